@@ -41,15 +41,127 @@ document.addEventListener('DOMContentLoaded', async () => {
     initializeTabs();
     loadGroups();
     updateStats();
+    subscribeToGroupChanges();
 });
 
+// Wait before reopening a stream the server refused
+const STREAM_REOPEN_MS = 5000;
+
+/**
+ * Follow live group changes (GET /api/stream) and patch currentGroups
+ * Other tabs and the artifact processor change groups too.
+ * @param {boolean} reopened - Replacing a refused stream; reload once connected
+ */
+async function subscribeToGroupChanges(reopened = false) {
+    if (!window.EventSource) return;
+    
+    const stream = new EventSource(await groupStreamUrl());
+    let connectedBefore = reopened;
+    let renderTimer = null;
+    let missingFaceData = false;
+    
+    const upsert = group => {
+        if (!group) return;
+        const index = currentGroups.findIndex(g => g.groupId === group.groupId);
+        if (index >= 0) currentGroups[index] = group;
+        else currentGroups.push(group);
+    };
+    const remove = groupIds => {
+        currentGroups = currentGroups.filter(g => !groupIds.includes(g.groupId));
+    };
+    const handlers = {
+        'group-created': event => upsert(event.group),
+        'group-updated': event => upsert(event.group),
+        'groups-merged': event => {
+            remove(event.mergedGroupIds || []);
+            upsert(event.group);
+        },
+        'group-split': event => (event.groups || []).forEach(upsert),
+        'group-deleted': event => remove([event.groupId]),
+        'face-assigned': event => {
+            if (!faceDataCache[event.faceId]) missingFaceData = true;
+        }
+    };
+    
+    // Events aren't replayed - reload in full after a reconnect
+    stream.addEventListener('ready', () => {
+        if (connectedBefore) refreshData();
+        connectedBefore = true;
+    });
+    
+    // EventSource reconnects by itself, except after an error response
+    // (401 once the token expired) - then open a new stream with a fresh token
+    stream.onerror = () => {
+        if (stream.readyState === EventSource.CLOSED) {
+            setTimeout(() => subscribeToGroupChanges(true), STREAM_REOPEN_MS);
+        }
+    };
+    
+    Object.entries(handlers).forEach(([type, handler]) => {
+        stream.addEventListener(type, e => {
+            handler(JSON.parse(e.data));
+            
+            // One render per burst of events
+            clearTimeout(renderTimer);
+            renderTimer = setTimeout(async () => {
+                if (missingFaceData) {
+                    missingFaceData = false;
+                    await loadFaceData();
+                }
+                if (currentTab === 'groups') {
+                    extractedFaces.clear();
+                    displayGroups(currentGroups);
+                } else if (currentTab === 'unassigned') {
+                    loadUnassignedFaces();
+                }
+                document.getElementById('totalFaces').textContent =
+                    currentGroups.reduce((sum, g) => sum + (g.faceCount || 0), 0);
+                document.getElementById('totalGroups').textContent = currentGroups.length;
+            }, 100);
+        });
+    });
+}
+
+/**
+ * Firebase ID token of the signed-in user, or null when the page has no auth
+ */
+async function getAuthToken() {
+    const user = typeof firebase !== 'undefined' && firebase.auth ? firebase.auth().currentUser : null;
+    if (!user) return null;
+    try {
+        // getIdToken refreshes an expired token
+        return await user.getIdToken();
+    } catch (error) {
+        console.warn('Failed to get auth token:', error);
+        return null;
+    }
+}
+
+/**
+ * fetch() for API calls - adds the Authorization header the server checks when auth is on
+ */
+async function apiFetch(url, options = {}) {
+    const token = await getAuthToken();
+    if (!token) return fetch(url, options);
+    return fetch(url, { ...options, headers: { ...options.headers, 'Authorization': `Bearer ${token}` } });
+}
+
+/**
+ * Stream URL with the Firebase ID token (EventSource can't send headers)
+ */
+async function groupStreamUrl() {
+    const url = `${API_BASE_URL}/stream/${USER_ID}`;
+    const token = await getAuthToken();
+    return token ? `${url}?access_token=${encodeURIComponent(token)}` : url;
+}
+
 /**
  * Load face data from Firebase via API
  */
 async function loadFaceData() {
     try {
         console.log('Loading face data from Firebase via API...');
-        const response = await fetch(`${API_BASE_URL}/files-with-faces/${USER_ID}`);
+        const response = await apiFetch(`${API_BASE_URL}/files-with-faces/${USER_ID}`);
         
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
@@ -139,7 +251,7 @@ async function loadGroups() {
     extractedFaces.clear();
     
     try {
-        const response = await fetch(`${API_BASE_URL}/groups/${USER_ID}`);
+        const response = await apiFetch(`${API_BASE_URL}/groups/${USER_ID}`);
         const data = await response.json();
         
         if (data.success) {
@@ -527,7 +639,7 @@ function clearSelection() {
  */
 async function updateStats() {
     try {
-        const response = await fetch(`${API_BASE_URL}/groups/${USER_ID}`);
+        const response = await apiFetch(`${API_BASE_URL}/groups/${USER_ID}`);
         const data = await response.json();
         
         if (data.success) {
@@ -583,7 +695,7 @@ async function mergeGroups() {
               `Merge ${groupsToMerge.size} groups into one?`,
               async () => {
         try {
-            const response = await fetch(`${API_BASE_URL}/groups/${USER_ID}/merge`, {
+            const response = await apiFetch(`${API_BASE_URL}/groups/${USER_ID}/merge`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ groupIds: Array.from(groupsToMerge) })
@@ -604,12 +716,35 @@ async function mergeGroups() {
  * Split a group
  */
 function splitGroup(groupId) {
+    const group = currentGroups.find(g => g.groupId === groupId);
+    const facesToSplit = (group?.faceIds || []).filter(faceId => selectedFaces.has(faceId));
+    
+    if (facesToSplit.length === 0) {
+        showToast('Select the faces to split out of this group first', 'error');
+        return;
+    }
+    
     showModal('Split Group',
-              'This will split the selected faces into a new group. Continue?',
+              `This will split ${facesToSplit.length} selected faces into a new group. Continue?`,
               async () => {
-        // In production, implement split logic
-        showToast('Group split successfully');
-        loadGroups();
+        try {
+            const response = await apiFetch(`${API_BASE_URL}/groups/${USER_ID}/${groupId}/split`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ partitions: [facesToSplit] })
+            });
+            
+            const data = await response.json();
+            if (data.success) {
+                showToast('Group split successfully');
+                clearSelection();
+                loadGroups();
+            } else {
+                showToast(data.message || 'Failed to split group', 'error');
+            }
+        } catch (error) {
+            showToast('Failed to split group', 'error');
+        }
     });
 }
 
@@ -673,7 +808,7 @@ async function resetAllGroups() {
               'This will delete ALL groups and unassign all faces. Are you sure?',
               async () => {
         try {
-            const response = await fetch(`${API_BASE_URL}/test/reset/${USER_ID}`, {
+            const response = await apiFetch(`${API_BASE_URL}/test/reset/${USER_ID}`, {
                 method: 'DELETE'
             });
             
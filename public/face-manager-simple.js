@@ -46,12 +46,116 @@ async function initializeFaceManager() {
     await loadUnassignedFaces();
     await loadGroups();
     setupEventListeners();
+    subscribeToGroupChanges();
+}
+
+// Wait before reopening a stream the server refused
+const STREAM_REOPEN_MS = 5000;
+
+// Live group changes (GET /api/stream) - patch state instead of reloading everything
+async function subscribeToGroupChanges(reopened = false) {
+    if (!window.EventSource) return;
+    
+    const stream = new EventSource(await groupStreamUrl());
+    let connectedBefore = reopened;
+    let renderTimer = null;
+    let missingFaceData = false;
+    
+    const upsert = group => {
+        if (!group) return;
+        const index = faceGroups.findIndex(g => g.groupId === group.groupId);
+        if (index >= 0) faceGroups[index] = group;
+        else faceGroups.push(group);
+    };
+    const remove = groupIds => {
+        faceGroups = faceGroups.filter(g => !groupIds.includes(g.groupId));
+    };
+    const handlers = {
+        'group-created': event => upsert(event.group),
+        'group-updated': event => upsert(event.group),
+        'groups-merged': event => {
+            remove(event.mergedGroupIds || []);
+            upsert(event.group);
+        },
+        'group-split': event => (event.groups || []).forEach(upsert),
+        'group-deleted': event => remove([event.groupId]),
+        'face-assigned': event => {
+            if (!faceDataCache[event.faceId]) missingFaceData = true;
+        }
+    };
+    
+    // Events aren't replayed - reload in full after a reconnect
+    stream.addEventListener('ready', async () => {
+        if (connectedBefore) {
+            await loadFaceData();
+            await loadUnassignedFaces();
+            await loadGroups();
+        }
+        connectedBefore = true;
+    });
+    
+    // EventSource reconnects by itself, except after an error response
+    // (401 once the token expired) - then open a new stream with a fresh token
+    stream.onerror = () => {
+        if (stream.readyState === EventSource.CLOSED) {
+            setTimeout(() => subscribeToGroupChanges(true), STREAM_REOPEN_MS);
+        }
+    };
+    
+    Object.entries(handlers).forEach(([type, handler]) => {
+        stream.addEventListener(type, e => {
+            handler(JSON.parse(e.data));
+            
+            // One render per burst of events
+            clearTimeout(renderTimer);
+            renderTimer = setTimeout(async () => {
+                if (missingFaceData) {
+                    missingFaceData = false;
+                    await loadFaceData();
+                }
+                const assignedFaceIds = new Set(faceGroups.flatMap(g => g.faceIds || []));
+                unassignedFaces = Object.keys(faceDataCache)
+                    .filter(faceId => !assignedFaceIds.has(faceId))
+                    .map(faceId => faceDataCache[faceId]);
+                renderUnassignedFaces();
+                renderGroups();
+                updateCounts();
+            }, 100);
+        });
+    });
+}
+
+// Firebase ID token of the signed-in user, or null when the page has no auth
+async function getAuthToken() {
+    const user = typeof firebase !== 'undefined' && firebase.auth ? firebase.auth().currentUser : null;
+    if (!user) return null;
+    try {
+        // getIdToken refreshes an expired token
+        return await user.getIdToken();
+    } catch (error) {
+        console.warn('Failed to get auth token:', error);
+        return null;
+    }
+}
+
+// fetch() for API calls - adds the Authorization header the server checks when auth is on
+async function apiFetch(url, options = {}) {
+    const token = await getAuthToken();
+    if (!token) return fetch(url, options);
+    return fetch(url, { ...options, headers: { ...options.headers, 'Authorization': `Bearer ${token}` } });
+}
+
+// EventSource can't send headers - the stream takes the Firebase ID token as ?access_token=
+async function groupStreamUrl() {
+    const url = `${API_BASE_URL}/stream/${USER_ID}`;
+    const token = await getAuthToken();
+    return token ? `${url}?access_token=${encodeURIComponent(token)}` : url;
 }
 
 // Load face data from Firebase
 async function loadFaceData() {
     try {
-        const response = await fetch(`${API_BASE_URL}/files-with-faces/${USER_ID}`);
+        const response = await apiFetch(`${API_BASE_URL}/files-with-faces/${USER_ID}`);
         const data = await response.json();
         
         faceDataCache = {};
@@ -84,7 +188,7 @@ async function loadFaceData() {
 // Load unassigned faces
 async function loadUnassignedFaces() {
     try {
-        const groupsResponse = await fetch(`${API_BASE_URL}/groups/${USER_ID}`);
+        const groupsResponse = await apiFetch(`${API_BASE_URL}/groups/${USER_ID}`);
         const groupsData = await groupsResponse.json();
         
         const assignedFaceIds = new Set();
@@ -110,7 +214,7 @@ async function loadUnassignedFaces() {
 // Load groups
 async function loadGroups() {
     try {
-        const response = await fetch(`${API_BASE_URL}/groups/${USER_ID}`);
+        const response = await apiFetch(`${API_BASE_URL}/groups/${USER_ID}`);
         const data = await response.json();
         
         if (data.success) {
@@ -198,7 +302,7 @@ window.deleteGroup = async function(groupId) {
     if (!confirm('Delete this group?')) return;
     
     try {
-        const response = await fetch(`${API_BASE_URL}/groups/${groupId}`, {
+        const response = await apiFetch(`${API_BASE_URL}/groups/${groupId}`, {
             method: 'DELETE'
         });
         
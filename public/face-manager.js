@@ -13,6 +13,13 @@ let selectedGroupFaces = new Set();
 let faceDataCache = {};
 let draggedFaces = [];
 let draggedFromGroup = null;
+let groupStream = null;
+let streamConnected = false;
+let streamRenderTimer = null;
+let missingFaceData = false;
+
+// Wait before reopening a stream the server refused (e.g. 401 once the token expired)
+const STREAM_REOPEN_MS = 5000;
 
 // Define critical functions BEFORE initialization so they're available even if init fails
 window.proceedToNextStep = async function() {
@@ -77,6 +84,12 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.error('Failed to setup event listeners:', e);
     }
     
+    try {
+        subscribeToGroupChanges();
+    } catch (e) {
+        console.error('Failed to subscribe to group changes:', e);
+    }
+    
     // Clean up any duplicates that might exist
     setTimeout(() => {
         if (window.deduplicateUnassignedFaces) {
@@ -91,7 +104,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 // Load face data from Firebase
 async function loadFaceData() {
     try {
-        const response = await fetch(`${API_BASE_URL}/files-with-faces/${USER_ID}`);
+        const response = await apiFetch(`${API_BASE_URL}/files-with-faces/${USER_ID}`);
         const data = await response.json();
         
         faceDataCache = {};
@@ -126,7 +139,7 @@ async function loadFaceData() {
 async function loadUnassignedFaces() {
     try {
         // Get all groups first
-        const groupsResponse = await fetch(`${API_BASE_URL}/groups/${USER_ID}`);
+        const groupsResponse = await apiFetch(`${API_BASE_URL}/groups/${USER_ID}`);
         const groupsData = await groupsResponse.json();
         
         // Get all assigned face IDs
@@ -155,7 +168,7 @@ async function loadUnassignedFaces() {
 // Load groups
 async function loadGroups() {
     try {
-        const response = await fetch(`${API_BASE_URL}/groups/${USER_ID}`);
+        const response = await apiFetch(`${API_BASE_URL}/groups/${USER_ID}`);
         const data = await response.json();
         
         if (data.success) {
@@ -505,8 +518,8 @@ async function handleDrop(e) {
                 document.getElementById('unassignedCount').textContent = remainingFaces;
             }
             
-            // Reload groups to show the new group
-            await loadGroups();
+            // Reload groups to show the new group (the change stream does it when open)
+            await reloadUnlessStreaming();
         } else {
             // Add to existing group - just update the DOM without reloading
             await addFacesToGroup(groupId, faceIds);
@@ -701,7 +714,7 @@ async function createNewGroup(faceIds) {
         
         console.log('Creating new group with face:', firstFaceId);
         
-        const response = await fetch(`${API_BASE_URL}/process-faces`, {
+        const response = await apiFetch(`${API_BASE_URL}/process-faces`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
@@ -725,30 +738,12 @@ async function createNewGroup(faceIds) {
         const result = await response.json();
         console.log('Group created:', result);
         
-        // If we have more faces, add them to the newly created group
-        if (faceIds.length > 1 && result.groups && result.groups.length > 0) {
+        // Confirm every dropped face into the new group (user-placed = must-link)
+        if (result.groups && result.groups.length > 0) {
             const newGroupId = result.groups[0].groupId;
-            const remainingFaceIds = faceIds.slice(1);
             
-            // Add remaining faces to the group
-            for (const faceId of remainingFaceIds) {
-                const faceData = faceDataCache[faceId];
-                if (!faceData) continue;
-                
-                await fetch(`${API_BASE_URL}/process-faces`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        userId: USER_ID,
-                        fileId: faceData.fileId,
-                        faces: [{
-                            faceId: faceId,
-                            boundingBox: faceData.boundingBox,
-                            confidence: faceData.confidence || 99.99,
-                            matchedFaceIds: [firstFaceId] // Match to first face in group
-                        }]
-                    })
-                });
+            for (const faceId of faceIds) {
+                await confirmFaceInGroup(newGroupId, faceId);
             }
         }
         
@@ -760,35 +755,36 @@ async function createNewGroup(faceIds) {
     }
 }
 
+// Confirm a face into a group (stored server-side as a must-link)
+async function confirmFaceInGroup(groupId, faceId) {
+    const faceData = faceDataCache[faceId] || {};
+    
+    const response = await apiFetch(`${API_BASE_URL}/groups/${groupId}/faces`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            userId: USER_ID,
+            faceId: faceId,
+            fileId: faceData.fileId,
+            boundingBox: faceData.boundingBox,
+            confidence: faceData.confidence
+        })
+    });
+    
+    if (!response.ok) {
+        throw new Error('Failed to add face to group');
+    }
+}
+
 async function addFacesToGroup(groupId, faceIds) {
     // Get the group's existing faces
     const group = faceGroups.find(g => g.groupId === groupId);
     if (!group) throw new Error('Group not found');
     
-    // For each face, merge it into the group
+    // Each dropped face is confirmed into the group so reprocessing won't move it
     for (const faceId of faceIds) {
-        const faceData = faceDataCache[faceId];
-        if (!faceData) continue;
-        
-        // Process the face with a match to an existing face in the group
-        const response = await fetch(`${API_BASE_URL}/process-faces`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                userId: USER_ID,
-                fileId: faceData.fileId,
-                faces: [{
-                    faceId: faceId,
-                    boundingBox: faceData.boundingBox,
-                    confidence: faceData.confidence || 99.99,
-                    matchedFaceIds: group.faceIds && group.faceIds.length > 0 ? [group.faceIds[0]] : []
-                }]
-            })
-        });
-        
-        if (!response.ok) {
-            throw new Error('Failed to add face to group');
-        }
+        if (!faceDataCache[faceId]) continue;
+        await confirmFaceInGroup(groupId, faceId);
     }
     
     showToast(`Added ${faceIds.length} face${faceIds.length > 1 ? 's' : ''} to group`, 'success');
@@ -807,7 +803,7 @@ async function deleteGroup(groupId) {
         const facesToReturn = group ? [...group.faceIds] : [];
         
         // Call the delete API endpoint
-        const response = await fetch(`${API_BASE_URL}/groups/${groupId}?userId=${USER_ID}`, {
+        const response = await apiFetch(`${API_BASE_URL}/groups/${groupId}?userId=${USER_ID}`, {
             method: 'DELETE'
         });
         
@@ -913,7 +909,7 @@ async function deleteSelectedGroupFaces() {
 async function removeFaceFromGroup(groupId, faceId) {
     try {
         // Call API to remove face from group in Firebase
-        const response = await fetch(`${API_BASE_URL}/groups/${groupId}/faces/${faceId}?userId=${USER_ID}`, {
+        const response = await apiFetch(`${API_BASE_URL}/groups/${groupId}/faces/${faceId}?userId=${USER_ID}`, {
             method: 'DELETE'
         });
         
@@ -1061,6 +1057,10 @@ function setupEventListeners() {
             unassignedFaces.forEach(face => selectedFaces.add(face.faceId));
             updateSelection();
         }
+        if (e.key.toLowerCase() === 'z' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            await undoLastOperation(e.shiftKey ? 'redo' : 'undo');
+        }
         if (e.key === 'Delete' || e.key === 'Backspace') {
             // Check if any group faces are selected
             if (selectedGroupFaces.size > 0) {
@@ -1109,6 +1109,148 @@ function setupEventListeners() {
     }
 }
 
+// Undo (Ctrl+Z) or redo (Ctrl+Shift+Z) the last group operation
+async function undoLastOperation(direction) {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/${direction}/${USER_ID}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ count: 1 })
+        });
+        const result = await response.json();
+        
+        if (!result.success) {
+            // 409: nothing to revert, or the faces changed since
+            showToast(result.message || `Failed to ${direction}`, 'error');
+            return;
+        }
+        
+        showToast(`${direction === 'undo' ? 'Undid' : 'Redid'} ${result.reverted[0].action.replace('-', ' ')}`, 'success');
+        await reloadUnlessStreaming();
+    } catch (error) {
+        console.error(`Failed to ${direction}:`, error);
+        showToast(`Failed to ${direction}`, 'error');
+    }
+}
+
+// Live group changes (GET /api/stream) - other tabs and the artifact processor
+// change groups too, so patch local state from the server's events
+async function subscribeToGroupChanges(reopened = false) {
+    if (!window.EventSource) return;
+    
+    let connectedBefore = reopened;
+    const stream = new EventSource(await groupStreamUrl());
+    groupStream = stream;
+    
+    stream.addEventListener('ready', async () => {
+        streamConnected = true;
+        // Events aren't replayed - after a reconnect, reload whatever was missed
+        if (connectedBefore) {
+            await loadFaceData();
+            await loadUnassignedFaces();
+            await loadGroups();
+        }
+        connectedBefore = true;
+    });
+    stream.onerror = () => {
+        // EventSource reconnects by itself; until then actions reload as before
+        streamConnected = false;
+        // ...except after an error response - open a new stream with a fresh token
+        if (stream.readyState === EventSource.CLOSED) {
+            setTimeout(() => subscribeToGroupChanges(true), STREAM_REOPEN_MS);
+        }
+    };
+    
+    const handlers = {
+        'group-created': event => upsertGroup(event.group),
+        'group-updated': event => upsertGroup(event.group),
+        'groups-merged': event => {
+            removeGroups(event.mergedGroupIds || []);
+            upsertGroup(event.group);
+        },
+        'group-split': event => (event.groups || []).forEach(upsertGroup),
+        'group-deleted': event => removeGroups([event.groupId]),
+        'face-assigned': event => {
+            // A face the processor just added isn't in the cache yet
+            if (!faceDataCache[event.faceId]) missingFaceData = true;
+        }
+    };
+    Object.entries(handlers).forEach(([type, handler]) => {
+        stream.addEventListener(type, e => {
+            handler(JSON.parse(e.data));
+            scheduleStreamRender();
+        });
+    });
+}
+
+// Firebase ID token of the signed-in user, or null when the page has no auth
+async function getAuthToken() {
+    const user = typeof firebase !== 'undefined' && firebase.auth ? firebase.auth().currentUser : null;
+    if (!user) return null;
+    try {
+        // getIdToken refreshes an expired token
+        return await user.getIdToken();
+    } catch (error) {
+        console.warn('Failed to get auth token:', error);
+        return null;
+    }
+}
+
+// fetch() for API calls - adds the Authorization header the server checks when auth is on
+async function apiFetch(url, options = {}) {
+    const token = await getAuthToken();
+    if (!token) return fetch(url, options);
+    return fetch(url, { ...options, headers: { ...options.headers, 'Authorization': `Bearer ${token}` } });
+}
+
+// EventSource can't send headers - the stream takes the Firebase ID token as ?access_token=
+async function groupStreamUrl() {
+    const url = `${API_BASE_URL}/stream/${USER_ID}`;
+    const token = await getAuthToken();
+    return token ? `${url}?access_token=${encodeURIComponent(token)}` : url;
+}
+
+function upsertGroup(group) {
+    if (!group) return;
+    const index = faceGroups.findIndex(g => g.groupId === group.groupId);
+    if (index >= 0) {
+        faceGroups[index] = group;
+    } else {
+        faceGroups.push(group);
+    }
+}
+
+function removeGroups(groupIds) {
+    faceGroups = faceGroups.filter(g => !groupIds.includes(g.groupId));
+}
+
+// Events come in bursts (one processFaces call sends several) - render once per burst
+function scheduleStreamRender() {
+    clearTimeout(streamRenderTimer);
+    streamRenderTimer = setTimeout(async () => {
+        if (missingFaceData) {
+            missingFaceData = false;
+            await loadFaceData();
+        }
+        
+        const assignedFaceIds = new Set(faceGroups.flatMap(g => g.faceIds || []));
+        unassignedFaces = Object.keys(faceDataCache)
+            .filter(faceId => !assignedFaceIds.has(faceId))
+            .map(faceId => faceDataCache[faceId]);
+        
+        renderUnassignedFaces();
+        renderGroups();
+        updateCounts();
+    }, 100);
+}
+
+// The change stream patches state when it's open; otherwise reload after an action
+async function reloadUnlessStreaming() {
+    if (streamConnected) return;
+    await loadUnassignedFaces();
+    await loadGroups();
+}
+
 // Refresh function
 window.refreshData = async function() {
     showToast('Refreshing...');
@@ -1233,30 +1375,34 @@ window.saveLeaderSelections = async function() {
         return;
     }
     
-    // Update leader faces via API
-    for (const update of updates) {
-        try {
-            const response = await fetch(`${API_BASE_URL}/groups/${USER_ID}/${update.groupId}/leader`, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ leaderFaceId: update.leaderFaceId })
-            });
-            
-            if (!response.ok) {
-                console.error(`Failed to update leader for group ${update.groupId}`);
+    // Update all leader faces in one request
+    let updatedCount = 0;
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/groups/${USER_ID}/leaders`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ leaders: updates })
+        });
+        
+        const data = await response.json();
+        (data.results || []).forEach(result => {
+            if (result.success) {
+                updatedCount++;
+            } else {
+                console.error(`Failed to update leader for group ${result.groupId}: ${result.message}`);
             }
-        } catch (error) {
-            console.error(`Error updating leader for group ${update.groupId}:`, error);
-        }
+        });
+    } catch (error) {
+        console.error('Error updating leader faces:', error);
     }
     
-    showToast(`Updated ${updates.length} leader faces`, 'success');
+    showToast(`Updated ${updatedCount} of ${updates.length} leader faces`, updatedCount === updates.length ? 'success' : 'error');
     
     // Close modal
     document.querySelector('[style*=fixed]').remove();
     
     // Reload groups to show updated leaders
-    await loadGroups();
+    await reloadUnlessStreaming();
 }
 
 // Show inline summary
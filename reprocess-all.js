@@ -22,12 +22,10 @@ async function reprocessAll() {
         
         console.log(`Found ${filesData.files.length} files`);
         
-        // Step 3: Process each file with its faces
-        console.log('\nStep 3: Processing each file...\n');
+        // Step 3: Process every file with its faces in one batch call
+        console.log('\nStep 3: Processing all files...\n');
         
-        for (const file of filesData.files) {
-            console.log(`Processing ${file.fileId} with ${file.faces.length} faces...`);
-            
+        const files = filesData.files.map(file => {
             // Prepare faces array with matches
             const faces = file.faces.map((face, index) => {
                 const faceId = face.FaceId || face.faceId;
@@ -45,25 +43,33 @@ async function reprocessAll() {
                 };
             });
             
-            // Send faces to process endpoint
-            const processResponse = await fetch(`${apiBase}/process-faces`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    userId: userId,
-                    fileId: file.fileId,
-                    faces: faces
-                })
-            });
-            
-            const processResult = await processResponse.json();
-            if (processResult.success) {
-                console.log(`  ✓ Created/updated ${processResult.groups.length} groups`);
+            return { fileId: file.fileId, faces: faces };
+        });
+        
+        // Send all files to the batch endpoint
+        const processResponse = await fetch(`${apiBase}/process-faces/batch`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                userId: userId,
+                files: files
+            })
+        });
+        
+        const processResult = await processResponse.json();
+        (processResult.results || []).forEach(result => {
+            if (result.success) {
+                console.log(`  ✓ ${result.fileId}: ${result.processedCount} faces into ${result.groupIds.length} groups`);
             } else {
-                console.log(`  ✗ Failed: ${processResult.message}`);
+                console.log(`  ✗ ${result.fileId} failed: ${result.message}`);
             }
+        });
+        if (processResult.summary) {
+            console.log(`Batch: ${processResult.summary.succeeded}/${processResult.summary.fileCount} files, ${processResult.summary.groupCount} groups`);
+        } else {
+            console.log(`  ✗ Batch failed: ${processResult.message}`);
         }
         
         // Step 4: Get final results
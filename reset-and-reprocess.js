@@ -31,31 +31,29 @@ async function resetAndReprocess() {
         });
         console.log(`Total faces to process: ${totalFaces}`);
         
-        // Step 3: Reprocess all files
+        // Step 3: Reprocess all files in one batch call
         console.log('\nStep 3: Reprocessing all files...');
-        for (const file of filesData.files) {
-            console.log(`\nProcessing ${file.fileId}...`);
-            
-            const processResponse = await fetch(`${apiBase}/process-faces`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    userId: userId,
-                    fileId: file.fileId
-                })
-            });
-            
-            const processResult = await processResponse.json();
-            if (processResult.success) {
-                console.log(`  ✓ Processed successfully`);
-                if (processResult.groups && processResult.groups.length > 0) {
-                    console.log(`  Created/updated ${processResult.groups.length} groups`);
-                }
+        const processResponse = await fetch(`${apiBase}/process-faces/batch`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                userId: userId,
+                files: filesData.files.map(file => ({ fileId: file.fileId, faces: file.faces }))
+            })
+        });
+        
+        const processResult = await processResponse.json();
+        (processResult.results || []).forEach(result => {
+            if (result.success) {
+                console.log(`  ✓ ${result.fileId}: processed ${result.processedCount} faces into ${result.groupIds.length} groups`);
             } else {
-                console.log(`  ✗ Failed: ${processResult.error}`);
+                console.log(`  ✗ ${result.fileId} failed: ${result.message}`);
             }
+        });
+        if (!processResult.summary) {
+            console.log(`  ✗ Batch failed: ${processResult.message}`);
         }
         
         // Step 4: Get final groups
@@ -0,0 +1,45 @@
+/**
+ * Grant or revoke the admin custom claim used by support tooling
+ * Admins may call the Face Manager API for any userId.
+ *
+ * Usage: node set-admin-claim.js <uid> [--revoke]
+ * The user must sign in again (or refresh their ID token) to pick it up.
+ */
+
+const admin = require('firebase-admin');
+require('dotenv').config();
+
+// Initialize Firebase Admin
+const serviceAccount = require(process.env.FIREBASE_CREDENTIALS_PATH || '/home/tim/credentials/firebase-credentials.json');
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount),
+  projectId: process.env.FIREBASE_PROJECT_ID || 'infitwin'
+});
+
+async function setAdminClaim() {
+  const uid = process.argv[2];
+  const revoke = process.argv.includes('--revoke');
+  if (!uid) {
+    console.error('Usage: node set-admin-claim.js <uid> [--revoke]');
+    process.exit(1);
+  }
+
+  const user = await admin.auth().getUser(uid);
+  // Keep any other claims the user already has
+  const claims = { ...(user.customClaims || {}) };
+  if (revoke) {
+    delete claims.admin;
+  } else {
+    claims.admin = true;
+  }
+  await admin.auth().setCustomUserClaims(uid, claims);
+
+  console.log(`${revoke ? '🔓 Revoked' : '🔑 Granted'} admin for ${user.email || uid}`);
+}
+
+setAdminClaim()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Failed to set admin claim:', error);
+    process.exit(1);
+  });
@@ -9,6 +9,16 @@ import dotenv from 'dotenv';
 import { initializeFirebase } from './config/firebase';
 import apiRoutes from './routes/api';
 import imageRoutes from './routes/images';
+import jobRoutes from './routes/jobs';
+import adminRoutes from './routes/admin';
+import auditRoutes from './routes/audit';
+import historyRoutes from './routes/history';
+import reconciliationRoutes from './routes/reconciliation';
+import streamRoutes from './routes/stream';
+import { authEnabled, authenticate } from './middleware/auth';
+import { assignRequestId } from './middleware/requestContext';
+import { jobQueue } from './services/jobQueue';
+import { getFaceStore } from './services/faceStore';
 
 // Load environment variables
 dotenv.config();
@@ -69,9 +79,21 @@ app.get('/health', (req: Request, res: Response) => {
   });
 });
 
+// Request IDs tie audit entries and logs to a call
+app.use('/api', assignRequestId);
+
+// Every API route needs a Firebase ID token or a scoped API key (AUTH_MODE=off for local development)
+app.use('/api', authenticate);
+
 // API Routes
 app.use('/api', apiRoutes);
 app.use('/api', imageRoutes);
+app.use('/api', jobRoutes);
+app.use('/api', auditRoutes);
+app.use('/api', historyRoutes);
+app.use('/api', reconciliationRoutes);
+app.use('/api', streamRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Error handling middleware
 app.use((err: any, req: Request, res: Response, next: any) => {
@@ -89,5 +111,13 @@ app.listen(PORT, () => {
   console.log(`🧪 Test UI: http://localhost:8083 (run 'npm run test-ui')`);
   console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`👤 Test User ID: ${process.env.TEST_USER_ID}`);
+  console.log(`🔒 Auth: ${authEnabled() ? 'Firebase ID tokens required' : 'OFF (AUTH_MODE=off)'}`);
   console.log(`🔄 Service v2.1 - FIXED: No more phantom faces in groups`);
+
+  // Background worker for /api/jobs (needs a working store)
+  if (firebaseInitialized || getFaceStore().name === 'memory') {
+    jobQueue.start();
+  } else {
+    console.warn('⚠️ Job worker not started - Firebase unavailable');
+  }
 });
\ No newline at end of file
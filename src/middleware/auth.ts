@@ -0,0 +1,176 @@
+/**
+ * Authentication Middleware
+ * Verifies Firebase ID tokens and keeps each user to their own data
+ *
+ * Every /api route names the user it acts on (path, query or body userId).
+ * The caller's token uid must match it, unless the token carries the
+ * `admin: true` custom claim (support tooling - see set-admin-claim.js).
+ *
+ * Services send an X-API-Key instead (see services/apiKeys.ts). A key may
+ * act for any user, but only on the routes its scopes cover.
+ *
+ * AUTH_MODE=off skips all of this for local development with the test pages.
+ */
+
+import { Request, Response, NextFunction } from 'express';
+import { getAdmin } from '../config/firebase';
+import { apiKeyStore } from '../services/apiKeys';
+import { ApiKeyScope } from '../types';
+
+export interface AuthContext {
+  uid: string | null;        // null for API key callers
+  admin: boolean;
+  apiKey?: { keyId: string; name: string; scopes: ApiKeyScope[] };
+}
+
+// The routes API keys may call, by scope
+const ROUTE_SCOPES: Array<{ method: string; path: string; scope: ApiKeyScope }> = [
+  { method: 'POST', path: '/process-faces', scope: 'process-faces' },
+  { method: 'POST', path: '/process-faces/batch', scope: 'process-faces' },
+  { method: 'DELETE', path: '/cleanup-faces-by-file', scope: 'cleanup-faces-by-file' }
+];
+
+declare global {
+  namespace Express {
+    interface Request {
+      auth?: AuthContext;
+    }
+  }
+}
+
+/**
+ * Error for rejected callers
+ * Carries the HTTP status the routes should respond with
+ */
+export class AuthError extends Error {
+  constructor(message: string, public status: number = 403) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+export function authEnabled(): boolean {
+  return process.env.AUTH_MODE !== 'off';
+}
+
+/**
+ * Bearer token from the Authorization header
+ * GET requests may pass ?access_token= instead - <img> tags and EventSource can't send headers.
+ */
+function tokenFrom(req: Request): string | null {
+  const header = req.get('Authorization');
+  if (header?.startsWith('Bearer ')) return header.slice('Bearer '.length).trim() || null;
+  if (req.method === 'GET' && typeof req.query.access_token === 'string') return req.query.access_token;
+  return null;
+}
+
+/**
+ * Throw unless the caller may act on this user's data
+ * For routes that only learn the user from a stored doc (e.g. a job)
+ */
+export function assertUserAccess(req: Request, userId: string | undefined): void {
+  if (!authEnabled()) return;
+  if (!req.auth) throw new AuthError('Authentication required', 401);
+  // Keys were already held to their routes in authenticate
+  if (req.auth.admin || req.auth.apiKey) return;
+  if (!userId || req.auth.uid !== userId) {
+    throw new AuthError('Not allowed to access this user\'s data');
+  }
+}
+
+function sendAuthError(res: Response, error: AuthError): void {
+  res.status(error.status).json({
+    success: false,
+    message: error.message
+  });
+}
+
+/**
+ * Check a service's API key and that its scopes cover the route
+ * The key's use is recorded without holding up the request.
+ */
+async function authenticateApiKey(req: Request, res: Response, next: NextFunction, presented: string) {
+  let key;
+  try {
+    key = await apiKeyStore.verify(presented);
+  } catch (error) {
+    console.error('❌ Cannot verify API key:', error);
+    return sendAuthError(res, new AuthError('Authentication unavailable', 503));
+  }
+  if (!key) {
+    console.warn(`🔒 Rejected API key for ${req.method} ${req.path}`);
+    return sendAuthError(res, new AuthError('Invalid or revoked API key', 401));
+  }
+
+  const route = ROUTE_SCOPES.find(r => r.method === req.method && r.path === req.path);
+  if (!route || !key.scopes.includes(route.scope)) {
+    console.warn(`🔒 API key ${key.keyId} (${key.name}) lacks scope for ${req.method} ${req.path}`);
+    return sendAuthError(res, new AuthError(`API key ${key.name} is not allowed to call ${req.method} ${req.path}`));
+  }
+
+  req.auth = { uid: null, admin: false, apiKey: { keyId: key.keyId, name: key.name, scopes: key.scopes } };
+  apiKeyStore.recordUse(key.keyId, `${req.method} ${req.path}`, req.ip);
+  next();
+}
+
+/**
+ * Verify the caller's ID token (or API key) and check any userId in the query or body
+ * Path userIds are checked per router with authorizeUserParam.
+ */
+export async function authenticate(req: Request, res: Response, next: NextFunction) {
+  if (!authEnabled()) return next();
+
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) return authenticateApiKey(req, res, next, apiKey);
+
+  const token = tokenFrom(req);
+  if (!token) {
+    return sendAuthError(res, new AuthError('Authentication required', 401));
+  }
+
+  try {
+    const decoded = await getAdmin().auth().verifyIdToken(token);
+    req.auth = { uid: decoded.uid, admin: decoded.admin === true };
+  } catch (error: any) {
+    // getAdmin().auth() throws before initializeApp - Firebase never came up
+    if (!getAdmin().apps.length) {
+      console.error('❌ Cannot verify ID token - Firebase not initialized');
+      return sendAuthError(res, new AuthError('Authentication unavailable', 503));
+    }
+    console.warn(`🔒 Rejected ID token: ${error.code || error.message}`);
+    return sendAuthError(res, new AuthError('Invalid or expired ID token', 401));
+  }
+
+  try {
+    const bodyUserId = req.body?.userId;
+    const queryUserId = req.query.userId;
+    if (bodyUserId !== undefined) assertUserAccess(req, String(bodyUserId));
+    if (queryUserId !== undefined) assertUserAccess(req, String(queryUserId));
+  } catch (error: any) {
+    console.warn(`🔒 ${req.auth.uid} denied ${req.method} ${req.path}`);
+    return sendAuthError(res, error);
+  }
+  next();
+}
+
+/**
+ * Admin-only routes (ID token with the admin claim)
+ */
+export function requireAdmin(req: Request, res: Response, next: NextFunction) {
+  if (!authEnabled() || req.auth?.admin) return next();
+  console.warn(`🔒 ${req.auth?.uid || req.auth?.apiKey?.name} denied admin route ${req.method} ${req.originalUrl.split('?')[0]}`);
+  sendAuthError(res, new AuthError('Admin access required'));
+}
+
+/**
+ * router.param handler for :userId
+ */
+export function authorizeUserParam(req: Request, res: Response, next: NextFunction, userId: string) {
+  try {
+    assertUserAccess(req, userId);
+    next();
+  } catch (error: any) {
+    console.warn(`🔒 ${req.auth?.uid} denied ${req.method} ${req.path}`);
+    sendAuthError(res, error);
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Request Context Middleware
+ * Gives every request an ID and works out who is behind it for the audit log
+ */
+
+import { randomUUID } from 'crypto';
+import { Request, Response, NextFunction } from 'express';
+import { AuditContext } from '../services/auditLog';
+
+declare global {
+  namespace Express {
+    interface Request {
+      requestId?: string;
+    }
+  }
+}
+
+/**
+ * Use the caller's X-Request-ID (so their logs line up with ours) or make one,
+ * and echo it on the response
+ */
+export function assignRequestId(req: Request, res: Response, next: NextFunction) {
+  const header = req.get('X-Request-ID');
+  req.requestId = header && header.length <= 128 ? header : randomUUID();
+  res.set('X-Request-ID', req.requestId);
+  next();
+}
+
+/**
+ * Actor and source for audit entries written on behalf of this request
+ */
+export function auditContextFor(req: Request): AuditContext {
+  const requestId = req.requestId || randomUUID();
+  const auth = req.auth;
+
+  if (auth?.apiKey) {
+    return {
+      actor: { type: 'api-key', id: auth.apiKey.keyId, name: auth.apiKey.name },
+      source: 'processor',
+      requestId
+    };
+  }
+  if (auth) {
+    return { actor: { type: auth.admin ? 'admin' : 'user', id: auth.uid }, source: 'ui', requestId };
+  }
+  // AUTH_MODE=off
+  return { actor: { type: 'anonymous', id: null }, source: 'ui', requestId };
+}
@@ -0,0 +1,67 @@
+/**
+ * Admin Routes
+ * Support tooling; every route needs the admin claim
+ */
+
+import { Router, Request, Response } from 'express';
+import { requireAdmin } from '../middleware/auth';
+import { apiKeyStore } from '../services/apiKeys';
+
+const router = Router();
+
+// Mounted at /api/admin, so this only guards these routes
+router.use(requireAdmin);
+
+/**
+ * POST /api/admin/api-keys
+ * Create a service API key; the key is in this response only
+ */
+router.post('/api-keys', async (req: Request, res: Response) => {
+  try {
+    const { name, scopes } = req.body;
+    const { apiKey, key } = await apiKeyStore.create(name, scopes, req.auth?.uid || undefined);
+    res.status(201).json({ success: true, apiKey, key });
+  } catch (error: any) {
+    console.error('Error creating API key:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to create API key'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/api-keys
+ * List keys with their scopes and last use (never the key or its hash)
+ */
+router.get('/api-keys', async (req: Request, res: Response) => {
+  try {
+    const keys = await apiKeyStore.list();
+    res.json({ success: true, keys });
+  } catch (error: any) {
+    console.error('Error listing API keys:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to list API keys'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/api-keys/:keyId
+ * Revoke a key
+ */
+router.delete('/api-keys/:keyId', async (req: Request, res: Response) => {
+  try {
+    const key = await apiKeyStore.revoke(req.params.keyId);
+    res.json({ success: true, key });
+  } catch (error: any) {
+    console.error('Error revoking API key:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to revoke API key'
+    });
+  }
+});
+
+export default router;
@@ -4,12 +4,24 @@
  */
 
 import { Router, Request, Response } from 'express';
-import { groupManager } from '../services/groupManager';
-import { getAdmin } from '../config/firebase';
+import { groupManager, isTestUser } from '../services/groupManager';
+import { constraintStore } from '../services/constraints';
+import { StoreField } from '../services/faceStore';
+import { idempotencyStore, IdempotencyStore } from '../services/idempotency';
+import { batchIdempotencyKey, filterByFileDoc, processFacesBatch, validateBatchFiles } from '../services/batchProcessing';
+import { assertUserAccess, authorizeUserParam } from '../middleware/auth';
+import { auditContextFor } from '../middleware/requestContext';
+import { auditLog, AuditLog } from '../services/auditLog';
+import { duplicateFiles } from '../services/duplicateFiles';
 import { 
   ProcessFacesRequest, 
   ProcessFacesResponse,
+  ProcessFacesBatchRequest,
+  PlannedFaceAction,
   MergeGroupsRequest,
+  SplitGroupRequest,
+  LeaderSelection,
+  CannotLinkSide,
   GroupOperationResponse,
   Face
 } from '../types';
@@ -17,68 +29,23 @@ import {
 
 const router = Router();
 
-/**
- * Compares two bounding boxes to determine if they represent the same face.
- * Uses tolerance-based comparison since AWS Rekognition may return slightly
- * different coordinates on reprocessing.
- *
- * @param faceBox - Bounding box from the face being checked
- * @param deletedBox - Bounding box from a previously deleted face
- * @param tolerance - Maximum allowed difference (default 0.05 = 5%)
- * @returns true if the bounding boxes match within tolerance
- */
-function boundingBoxesMatch(faceBox: any, deletedBox: any, tolerance = 0.05): boolean {
-  if (!faceBox || !deletedBox) return false;
-
-  return (
-    Math.abs((faceBox.Left || 0) - (deletedBox.Left || 0)) < tolerance &&
-    Math.abs((faceBox.Top || 0) - (deletedBox.Top || 0)) < tolerance &&
-    Math.abs((faceBox.Width || 0) - (deletedBox.Width || 0)) < tolerance &&
-    Math.abs((faceBox.Height || 0) - (deletedBox.Height || 0)) < tolerance
-  );
-}
+// Callers may only name their own userId in the path (admins excepted)
+router.param('userId', authorizeUserParam);
 
 /**
- * ELEGANT SOLUTION (#237): Only keep faces that EXIST in extractedFaces.
- * Instead of tracking deleted faces, we check the source of truth (extractedFaces).
- * If a face was deleted, it won't be in extractedFaces - so we don't process it.
- * This avoids the need for separate deletedFaces tracking.
- *
- * @param detectedFaces - Newly detected faces from Rekognition
- * @param extractedFaces - Faces stored in Firestore (user's approved faces)
- * @returns Filtered array containing only faces that exist in extractedFaces
+ * Idempotency key for a process-faces call: the Idempotency-Key header, else the batchId
  */
-function filterToExistingFaces(detectedFaces: any[], extractedFaces: any[]): any[] {
-  if (!extractedFaces || extractedFaces.length === 0) {
-    // No extracted faces means no approved faces - return empty
-    console.log('  ⚠️ No extractedFaces in Firestore - no faces to process');
-    return [];
-  }
-
-  return detectedFaces.filter(detected => {
-    const detectedBox = detected.boundingBox || detected.BoundingBox;
-    if (!detectedBox) {
-      console.log('  ⚠️ Detected face has no bounding box - skipping');
-      return false;
-    }
-
-    // Check if this detected face matches any existing face in extractedFaces
-    const existsInExtracted = extractedFaces.some(existing => {
-      const existingBox = existing.boundingBox || existing.BoundingBox;
-      return boundingBoxesMatch(detectedBox, existingBox);
-    });
-
-    if (!existsInExtracted) {
-      console.log(`  🚫 Face not in extractedFaces (deleted?) - skipping: bbox=${JSON.stringify(detectedBox).substring(0, 50)}`);
-    }
-
-    return existsInExtracted;
-  });
+function idempotencyKeyFor(req: Request, body: ProcessFacesRequest): string | undefined {
+  const header = req.get('Idempotency-Key');
+  if (header) return header;
+  return body.batchId ? batchIdempotencyKey(body.batchId, body.fileId) : undefined;
 }
 
 /**
  * POST /api/process-faces
  * Main endpoint for processing faces with transitivity
+ * Send an Idempotency-Key header (or batchId) to make retries safe: a repeat
+ * within the TTL returns the stored response instead of reprocessing.
  */
 router.post('/process-faces', async (req: Request, res: Response) => {
   console.log('\n════════════════════════════════════════');
@@ -87,8 +54,11 @@ router.post('/process-faces', async (req: Request, res: Response) => {
   console.log('🔍 Body type:', typeof req.body);
   console.log('🔑 Body keys:', Object.keys(req.body || {}));
   
+  // Set once this call owns an idempotency key
+  let claimedKey: { userId: string; key: string; fingerprint: string } | null = null;
+
   try {
-    const { userId, fileId, faces, interviewId } = req.body as ProcessFacesRequest;
+    const { userId, fileId, faces, interviewId, dryRun } = req.body as ProcessFacesRequest;
 
     // Log interview scoping for debugging
     console.log(`🎯 Interview scope: ${interviewId || 'NONE (global matching)'}`);
@@ -116,41 +86,77 @@ router.post('/process-faces', async (req: Request, res: Response) => {
     
     console.log('✅ VALIDATION PASSED');
 
+    // Dry runs write nothing, so there's nothing to protect from a retry
+    const idempotencyKey = dryRun ? undefined : idempotencyKeyFor(req, req.body);
+    if (idempotencyKey) {
+      const fingerprint = IdempotencyStore.fingerprint({ fileId, faces, interviewId: interviewId || null });
+      const claim = await idempotencyStore.claim(userId, idempotencyKey, fingerprint);
+
+      if (claim.state === 'replay') {
+        console.log(`🔁 Replaying stored response for idempotency key ${idempotencyKey}`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.json({ ...claim.response, replayed: true });
+      }
+      if (claim.state === 'in-progress') {
+        return res.status(409).json({
+          success: false,
+          message: `A request with idempotency key ${idempotencyKey} is still being processed - retry later`
+        });
+      }
+      if (claim.state === 'mismatch') {
+        return res.status(422).json({
+          success: false,
+          message: `Idempotency key ${idempotencyKey} was already used for a different request`
+        });
+      }
+      claimedKey = { userId, key: idempotencyKey, fingerprint };
+    }
+
+    // Record the response against the claimed key, then send it
+    const respond = async (response: ProcessFacesResponse) => {
+      if (claimedKey) {
+        await idempotencyStore.complete(claimedKey.userId, claimedKey.key, claimedKey.fingerprint, response);
+      }
+      return res.json(response);
+    };
+
     // ELEGANT SOLUTION (#237): Only process faces that EXIST in extractedFaces
     // If a face was deleted by user, it won't be in extractedFaces - we skip it
     // No need to track deletedFaces separately - extractedFaces is the source of truth
-    let filteredFaces = faces;
-    const fileDoc = await groupManager.db.collection('users').doc(userId)
-                                         .collection('files').doc(fileId).get();
-    if (fileDoc.exists) {
-      const fileData = fileDoc.data();
-      const extractedFaces = fileData?.extractedFaces;
-
-      if (extractedFaces && Array.isArray(extractedFaces)) {
-        const originalCount = filteredFaces.length;
-        filteredFaces = filterToExistingFaces(faces, extractedFaces);
-        console.log(`  ✅ ELEGANT FILTER: ${filteredFaces.length} of ${originalCount} faces exist in extractedFaces`);
-        if (filteredFaces.length < originalCount) {
-          console.log(`  🚫 Skipped ${originalCount - filteredFaces.length} faces (not in extractedFaces - likely deleted)`);
-        }
-      } else {
-        console.log('  ⚠️ No extractedFaces in Firestore - processing all detected faces');
-      }
-    } else {
-      console.log('  ⚠️ File document not found in Firestore - processing all detected faces');
-    }
+    const filteredFaces = filterByFileDoc(faces, await groupManager.store.getFile(userId, fileId));
+
+    // Dry runs report the faces the filter dropped alongside processFaces' decisions
+    const filteredOut: PlannedFaceAction[] = faces
+      .filter(face => !filteredFaces.includes(face))
+      .map(face => ({ faceId: face.faceId, action: 'skip', reason: 'not in extractedFaces (likely deleted)' }));
 
     // Skip processing if no faces remain after filtering
     if (filteredFaces.length === 0) {
       console.log(`  ⏭️ No faces to process - none exist in extractedFaces`);
-      return res.json({
+      return respond({
         success: true,
         processedCount: 0,
         groups: [],
-        message: 'No faces to process (faces not in extractedFaces - may have been deleted)'
+        message: 'No faces to process (faces not in extractedFaces - may have been deleted)',
+        ...(dryRun ? { dryRun: true, plannedActions: filteredOut } : {})
       });
     }
 
+    if (dryRun) {
+      const plan = await groupManager.planProcessFaces(userId, fileId, filteredFaces, interviewId);
+      const response: ProcessFacesResponse = {
+        success: true,
+        processedCount: 0,
+        groups: plan.groups,
+        message: `Dry run: planned ${plan.actions.length + filteredOut.length} face action(s) - nothing was written`,
+        dryRun: true,
+        plannedActions: [...filteredOut, ...plan.actions]
+      };
+      console.log('📤 SENDING DRY-RUN RESPONSE:', response.plannedActions!.map(a => `${a.action}:${a.faceId}`));
+      console.log('════════════════════════════════════════\n');
+      return res.json(response);
+    }
+
     console.log(`📊 About to process:`, {
       userId: userId,
       fileId: fileId,
@@ -166,6 +172,13 @@ router.post('/process-faces', async (req: Request, res: Response) => {
 
     // Process faces with transitivity (scoped to interview if provided)
     const groups = await groupManager.processFaces(userId, fileId, filteredFaces, interviewId);
+    await auditLog.record(auditContextFor(req), userId, {
+      action: 'process-faces',
+      groupIds: groups.map(g => g.groupId),
+      faceIds: filteredFaces.map(f => f.faceId),
+      after: AuditLog.snapshotOf(groups),
+      details: { fileId, ...(interviewId ? { interviewId } : {}) }
+    });
     
     const response: ProcessFacesResponse = {
       success: true,
@@ -182,8 +195,12 @@ router.post('/process-faces', async (req: Request, res: Response) => {
     });
     console.log('════════════════════════════════════════\n');
     
-    res.json(response);
+    await respond(response);
   } catch (error: any) {
+    // Let a retry run the call again
+    if (claimedKey) {
+      await idempotencyStore.release(claimedKey.userId, claimedKey.key);
+    }
     console.error('❌ ERROR IN /api/process-faces:', error);
     console.error('  Error message:', error.message);
     console.error('  Error stack:', error.stack);
@@ -196,6 +213,43 @@ router.post('/process-faces', async (req: Request, res: Response) => {
   }
 });
 
+/**
+ * POST /api/process-faces/batch
+ * Process many files in one call (reprocessing scripts, backfills)
+ * File docs and groups are loaded once; files run in fileId order so the
+ * outcome doesn't depend on how the request listed them.
+ */
+router.post('/process-faces/batch', async (req: Request, res: Response) => {
+  try {
+    const { userId, files, interviewId, batchId } = req.body as ProcessFacesBatchRequest;
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: userId, files[]'
+      });
+    }
+    if (req.body.dryRun) {
+      return res.status(400).json({
+        success: false,
+        message: 'Batches do not support dryRun - preview files one at a time with /api/process-faces'
+      });
+    }
+    const invalid = validateBatchFiles(files);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    res.json(await processFacesBatch(userId, files, { interviewId, batchId, audit: auditContextFor(req) }));
+  } catch (error: any) {
+    console.error('❌ ERROR IN /api/process-faces/batch:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to process batch'
+    });
+  }
+});
+
 /**
  * GET /api/files-with-faces/:userId
  * Get all files with faces for a user
@@ -207,19 +261,14 @@ router.get('/files-with-faces/:userId', async (req: Request, res: Response) => {
     
     // Query Firebase for ALL files in user subcollection
     // We'll check for faces in the document data
-    const filesSnapshot = await groupManager.db
-      .collection('users')
-      .doc(userId)
-      .collection('files')
-      .get();
+    const allFiles = await groupManager.store.listFiles(userId);
     
-    console.log(`📁 Found ${filesSnapshot.size} total files for user`);
+    console.log(`📁 Found ${allFiles.length} total files for user`);
     
     const files: any[] = [];
     
-    for (const doc of filesSnapshot.docs) {
-      const fileData = doc.data();
-      const fileId = doc.id;
+    for (const fileData of allFiles) {
+      const fileId = fileData.fileId;
       
       // Check if this file has faces in any format
       const hasFacesData = fileData.extractedFaces || fileData.faces || fileData.hasFaces;
@@ -243,17 +292,7 @@ router.get('/files-with-faces/:userId', async (req: Request, res: Response) => {
         console.log(`  📦 Found ${faces.length} embedded faces in file document`);
       } else {
         // Try to get faces from a separate faces subcollection
-        const facesSnapshot = await groupManager.db
-          .collection('users')
-          .doc(userId)
-          .collection('faces')
-          .where('fileId', '==', fileId)
-          .get();
-        
-        faces = facesSnapshot.docs.map(faceDoc => ({
-          faceId: faceDoc.id,
-          ...faceDoc.data()
-        }));
+        faces = await groupManager.store.findFacesByFile(userId, fileId);
         
         if (faces.length > 0) {
           console.log(`  📂 Found ${faces.length} faces in separate collection`);
@@ -265,6 +304,10 @@ router.get('/files-with-faces/:userId', async (req: Request, res: Response) => {
       // This is cleaner than tracking deletedFaces separately
       console.log(`  ✅ Using ${faces.length} faces from extractedFaces (source of truth)`)
 
+      // processFaces keeps one face per head when Rekognition returns overlapping boxes
+      const suppressed = fileData.suppressedFaces || {};
+      faces = faces.filter((face: any) => !((face.faceId || face.FaceId) in suppressed));
+
       // Skip files with no remaining faces - don't create empty groups (#237)
       if (faces.length === 0) {
         console.log(`  ⏭️ Skipping file ${fileId} - no faces remaining after filtering`);
@@ -287,8 +330,8 @@ router.get('/files-with-faces/:userId', async (req: Request, res: Response) => {
       console.log(`  📝 File ${fileId} extractedText: ${fileData.extractedText ? `YES (${fileData.extractedText.length} chars)` : 'NOT PRESENT'}`);
       console.log(`  📋 File ${fileId} fields: ${Object.keys(fileData).join(', ')}`);
 
+      // fileData carries fileId (the doc ID)
       files.push({
-        fileId,
         url: imageUrl,
         faces,
         ...fileData
@@ -313,13 +356,13 @@ router.get('/files-with-faces/:userId', async (req: Request, res: Response) => {
 
 /**
  * GET /api/groups/:userId
- * Get all groups for a user
+ * Get all groups for a user (with uniqueFaceCount)
  */
 router.get('/groups/:userId', async (req: Request, res: Response) => {
   try {
     const { userId } = req.params;
     
-    const groups = await groupManager.getAllGroups(userId);
+    const groups = await duplicateFiles.withUniqueFaceCounts(userId, await groupManager.getAllGroups(userId));
     
     res.json({
       success: true,
@@ -338,7 +381,7 @@ router.get('/groups/:userId', async (req: Request, res: Response) => {
 
 /**
  * GET /api/groups/:userId/:groupId
- * Get a specific group
+ * Get a specific group (with uniqueFaceCount)
  */
 router.get('/groups/:userId/:groupId', async (req: Request, res: Response) => {
   try {
@@ -353,9 +396,10 @@ router.get('/groups/:userId/:groupId', async (req: Request, res: Response) => {
       });
     }
     
+    const [counted] = await duplicateFiles.withUniqueFaceCounts(userId, [group]);
     res.json({
       success: true,
-      group
+      group: counted
     });
   } catch (error: any) {
     console.error('Error getting group:', error);
@@ -366,6 +410,36 @@ router.get('/groups/:userId/:groupId', async (req: Request, res: Response) => {
   }
 });
 
+/**
+ * GET /api/groups/:userId/:groupId/explain
+ * Explain why a group's faces are together (match edges and merge events)
+ */
+router.get('/groups/:userId/:groupId/explain', async (req: Request, res: Response) => {
+  try {
+    const { userId, groupId } = req.params;
+
+    const explanation = await groupManager.explainGroup(userId, groupId);
+
+    if (!explanation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      explanation
+    });
+  } catch (error: any) {
+    console.error('Error explaining group:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to explain group'
+    });
+  }
+});
+
 /**
  * POST /api/groups/:userId
  * Create a new group with faces
@@ -396,6 +470,12 @@ router.post('/groups/:userId', async (req: Request, res: Response) => {
     
     // Create the group using the group manager
     const groupId = await groupManager.createGroupWithFaces(userId, faces, groupName);
+    await auditLog.record(auditContextFor(req), userId, {
+      action: 'create-group',
+      groupIds: [groupId],
+      faceIds: faces.map((f: any) => f.faceId),
+      after: await auditLog.snapshot(userId, { groupIds: [groupId] })
+    });
     
     console.log(`[WORKFLOW-BACKEND] Step 8b: Group created in Firestore:`, {
       groupId,
@@ -443,13 +523,27 @@ router.post('/groups/:userId/merge', async (req: Request, res: Response) => {
       });
     }
     
-    // For simplicity, merge all into the first group
-    // In production, you might want more sophisticated logic
+    // Merge everything into the first group in a single transaction
+    const result = await auditLog.track(auditContextFor(req), userId, {
+      action: 'merge-groups',
+      groupIds,
+      facesOfGroups: groupIds.slice(1)  // Their faces are repointed at the first group
+    }, () => groupManager.mergeGroups(userId, groupIds));
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
     const response: GroupOperationResponse = {
       success: true,
-      groupId: groupIds[0],
-      message: `Merged ${groupIds.length} groups`,
-      affectedGroups: groupIds.length
+      groupId: result.group.groupId,
+      group: result.group,
+      removedGroupIds: result.removedGroupIds,
+      message: `Merged ${result.removedGroupIds.length + 1} groups`,
+      affectedGroups: result.removedGroupIds.length + 1
     };
     
     res.json(response);
@@ -462,14 +556,145 @@ router.post('/groups/:userId/merge', async (req: Request, res: Response) => {
   }
 });
 
+/**
+ * POST /api/groups/:userId/:groupId/split
+ * Split faces out of a group into new groups
+ */
+router.post('/groups/:userId/:groupId/split', async (req: Request, res: Response) => {
+  try {
+    const { userId, groupId } = req.params;
+    const { partitions } = req.body as SplitGroupRequest;
+
+    if (!partitions || !Array.isArray(partitions) || partitions.length === 0 ||
+        !partitions.every(p => Array.isArray(p) && p.length > 0 && p.every(id => typeof id === 'string'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'partitions must be a non-empty array of non-empty faceId arrays'
+      });
+    }
+
+    console.log(`Splitting group ${groupId} for user ${userId} into ${partitions.length} partition(s)`);
+
+    const result = await auditLog.track(auditContextFor(req), userId, {
+      action: 'split-group',
+      groupIds: [groupId],
+      faceIds: partitions.flat(),
+      createdGroupIds: result => result?.createdGroups.map(g => g.groupId) || []
+    }, () => groupManager.splitGroup(userId, groupId, partitions));
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const response: GroupOperationResponse = {
+      success: true,
+      groupId: result.group.groupId,
+      group: result.group,
+      createdGroups: result.createdGroups,
+      message: `Split group into ${result.createdGroups.length + 1} groups`,
+      affectedGroups: result.createdGroups.length + 1
+    };
+
+    res.json(response);
+  } catch (error: any) {
+    console.error('Error splitting group:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to split group'
+    });
+  }
+});
+
+/**
+ * PUT /api/groups/:userId/leaders
+ * Set leader faces for several groups in one request
+ */
+router.put('/groups/:userId/leaders', async (req: Request, res: Response) => {
+  try {
+    const { userId } = req.params;
+    const { leaders } = req.body as { leaders: LeaderSelection[] };
+
+    if (!leaders || !Array.isArray(leaders) || leaders.length === 0 ||
+        !leaders.every(l => l && l.groupId && l.leaderFaceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'leaders must be a non-empty array of { groupId, leaderFaceId }'
+      });
+    }
+
+    const results = await auditLog.track(auditContextFor(req), userId, {
+      action: 'set-leader',
+      groupIds: leaders.map(l => l.groupId)
+    }, () => groupManager.setLeaderFaces(userId, leaders));
+    const updatedCount = results.filter(r => r.success).length;
+
+    res.json({
+      success: updatedCount === results.length,
+      message: `Updated ${updatedCount} of ${results.length} leader faces`,
+      results
+    });
+  } catch (error: any) {
+    console.error('Error updating leader faces:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to update leader faces'
+    });
+  }
+});
+
+/**
+ * PUT /api/groups/:userId/:groupId/leader
+ * Set the leader face for a group
+ */
+router.put('/groups/:userId/:groupId/leader', async (req: Request, res: Response) => {
+  try {
+    const { userId, groupId } = req.params;
+    const { leaderFaceId } = req.body;
+
+    if (!leaderFaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing leaderFaceId'
+      });
+    }
+
+    const group = await auditLog.track(auditContextFor(req), userId, {
+      action: 'set-leader',
+      groupIds: [groupId]
+    }, () => groupManager.setLeaderFace(userId, groupId, leaderFaceId));
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Leader face updated successfully',
+      group
+    });
+  } catch (error: any) {
+    console.error('Error updating leader face:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to update leader face'
+    });
+  }
+});
+
 /**
  * POST /api/groups/:groupId/faces
- * Add a face to an existing group
+ * Add a face to an existing group (confirmed by the user)
  */
 router.post('/groups/:groupId/faces', async (req: Request, res: Response) => {
   try {
     const { groupId } = req.params;
-    const { userId, faceId, fileId } = req.body;
+    const { userId, faceId, fileId, boundingBox, confidence } = req.body;
 
     if (!userId || !faceId) {
       return res.status(400).json({
@@ -480,12 +705,25 @@ router.post('/groups/:groupId/faces', async (req: Request, res: Response) => {
 
     console.log(`Adding face ${faceId} to group ${groupId} for user ${userId}`);
 
-    // Add the face to the group
-    await groupManager.addFaceToExistingGroup(userId, groupId, faceId, fileId);
+    // A user placing a face is a confirmed must-link, not just an arrayUnion
+    const currentFace = await groupManager.store.getFace(userId, faceId);
+    const group = await auditLog.track(auditContextFor(req), userId, {
+      action: 'add-face',
+      groupIds: [groupId, ...(currentFace?.groupId ? [currentFace.groupId] : [])],  // It leaves its old group
+      faceIds: [faceId]
+    }, () => groupManager.confirmFaceInGroup(userId, groupId, faceId, fileId, boundingBox, confidence));
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Face added to group successfully'
+      message: 'Face added to group successfully',
+      group
     });
   } catch (error: any) {
     console.error('Error adding face to group:', error);
@@ -513,7 +751,11 @@ router.delete('/groups/:groupId/faces/:faceId', async (req: Request, res: Respon
     }
     
     // Remove the face from the group
-    const removed = await groupManager.removeFaceFromGroup(userId as string, groupId, faceId);
+    const removed = await auditLog.track(auditContextFor(req), userId as string, {
+      action: 'remove-face',
+      groupIds: [groupId],
+      faceIds: [faceId]
+    }, () => groupManager.removeFaceFromGroup(userId as string, groupId, faceId));
     
     res.json({
       success: removed,
@@ -544,24 +786,28 @@ router.put('/groups/:groupId/name', async (req: Request, res: Response) => {
       });
     }
     
+    if (!await groupManager.store.getGroup(userId, groupId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+    
     console.log(`Updating person name for group ${groupId}: ${personName}`);
     
     // Update the group document with the person name
-    const groupRef = groupManager.db
-      .collection('users')
-      .doc(userId)
-      .collection('faceGroups')
-      .doc(groupId);
-    
-    await groupRef.update({
+    await auditLog.track(auditContextFor(req), userId, {
+      action: 'rename-group',
+      groupIds: [groupId],
+      details: () => ({ personName })
+    }, () => groupManager.store.write(writer => writer.updateGroup(userId, groupId, {
       personName: personName,
       groupName: personName, // Also store as groupName for compatibility
-      updatedAt: getAdmin().firestore.FieldValue.serverTimestamp()
-    });
+      updatedAt: StoreField.serverTimestamp()
+    })));
     
-    // Get the updated group
-    const updatedDoc = await groupRef.get();
-    const updatedGroup = { groupId: updatedDoc.id, ...updatedDoc.data() };
+    // Get the updated group, with the same derived status as GET /groups
+    const updatedGroup = await groupManager.getGroup(userId, groupId);
     
     res.json({
       success: true,
@@ -594,7 +840,10 @@ router.delete('/groups/:groupId', async (req: Request, res: Response) => {
     }
     
     // Delete the group
-    const deleted = await groupManager.deleteGroup(userId as string, groupId);
+    const deleted = await auditLog.track(auditContextFor(req), userId as string, {
+      action: 'delete-group',
+      groupIds: [groupId]
+    }, () => groupManager.deleteGroup(userId as string, groupId));
     
     res.json({
       success: deleted,
@@ -609,6 +858,196 @@ router.delete('/groups/:groupId', async (req: Request, res: Response) => {
   }
 });
 
+/**
+ * GET /api/constraints/:userId
+ * List cannot-link constraints and confirmed (must-link) faces for a user
+ */
+router.get('/constraints/:userId', async (req: Request, res: Response) => {
+  try {
+    const { userId } = req.params;
+
+    const [cannotLinks, mustLinks] = await Promise.all([
+      constraintStore.getCannotLinks(userId),
+      constraintStore.getMustLinks(userId)
+    ]);
+
+    res.json({
+      success: true,
+      userId,
+      cannotLinks,
+      mustLinks
+    });
+  } catch (error: any) {
+    console.error('Error getting constraints:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get constraints'
+    });
+  }
+});
+
+/**
+ * POST /api/constraints/:userId/cannot-link
+ * Record that two sets of faces and/or groups are different people
+ */
+router.post('/constraints/:userId/cannot-link', async (req: Request, res: Response) => {
+  try {
+    const { userId } = req.params;
+    const { sideA, sideB } = req.body as { sideA: Partial<CannotLinkSide>; sideB: Partial<CannotLinkSide> };
+
+    const isSide = (side: any) => side &&
+      ((Array.isArray(side.faceIds) && side.faceIds.length > 0) ||
+       (Array.isArray(side.groupIds) && side.groupIds.length > 0));
+    if (!isSide(sideA) || !isSide(sideB)) {
+      return res.status(400).json({
+        success: false,
+        message: 'sideA and sideB each need at least one of faceIds[] or groupIds[]'
+      });
+    }
+
+    const constraint = await constraintStore.addCannotLink(
+      userId,
+      { faceIds: sideA.faceIds || [], groupIds: sideA.groupIds || [] },
+      { faceIds: sideB.faceIds || [], groupIds: sideB.groupIds || [] },
+      'manual'
+    );
+
+    res.json({
+      success: true,
+      message: 'Cannot-link constraint created',
+      constraint
+    });
+  } catch (error: any) {
+    console.error('Error creating cannot-link constraint:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to create cannot-link constraint'
+    });
+  }
+});
+
+/**
+ * DELETE /api/constraints/:userId/cannot-link/:constraintId
+ * Remove a cannot-link constraint
+ */
+router.delete('/constraints/:userId/cannot-link/:constraintId', async (req: Request, res: Response) => {
+  try {
+    const { userId, constraintId } = req.params;
+
+    const deleted = await constraintStore.deleteCannotLink(userId, constraintId);
+
+    res.status(deleted ? 200 : 404).json({
+      success: deleted,
+      message: deleted ? 'Cannot-link constraint deleted' : 'Constraint not found'
+    });
+  } catch (error: any) {
+    console.error('Error deleting cannot-link constraint:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to delete cannot-link constraint'
+    });
+  }
+});
+
+/**
+ * POST /api/recluster/:userId
+ * Rebuild a user's groups from the stored match graph
+ * Dry run unless the body says { "dryRun": false }.
+ */
+router.post('/recluster/:userId', async (req: Request, res: Response) => {
+  try {
+    const { userId } = req.params;
+    const dryRun = req.body?.dryRun !== false;
+
+    const result = await groupManager.recluster(userId, dryRun);
+    if (!dryRun) {
+      await auditLog.record(auditContextFor(req), userId, AuditLog.reclusterEntry(result));
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Recluster plan computed (dry run - nothing written)' : 'Recluster applied',
+      ...result
+    });
+  } catch (error: any) {
+    console.error('Error reclustering:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to recluster'
+    });
+  }
+});
+
+/**
+ * GET /api/integrity/:userId - report inconsistencies between groups, faces and files
+ * POST /api/integrity/:userId - report them and apply the proposed repairs
+ */
+router.get('/integrity/:userId', async (req: Request, res: Response) => {
+  try {
+    const report = await groupManager.verifyIntegrity(req.params.userId, false);
+
+    res.json({
+      success: true,
+      message: `Found ${report.issues.length} issue(s) (nothing written)`,
+      ...report
+    });
+  } catch (error: any) {
+    console.error('Error checking integrity:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to check integrity'
+    });
+  }
+});
+
+router.post('/integrity/:userId', async (req: Request, res: Response) => {
+  try {
+    const { userId } = req.params;
+
+    const report = await groupManager.verifyIntegrity(userId, true);
+    if (report.repaired) {
+      await auditLog.record(auditContextFor(req), userId, AuditLog.integrityEntry(report));
+    }
+
+    res.json({
+      success: true,
+      message: report.repaired ? `Repaired ${report.issues.length} issue(s)` : 'No issues found',
+      ...report
+    });
+  } catch (error: any) {
+    console.error('Error repairing integrity:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to repair integrity'
+    });
+  }
+});
+
+/**
+ * GET /api/duplicates/:userId
+ * Files uploaded more than once (same content hash), largest cluster first
+ */
+router.get('/duplicates/:userId', async (req: Request, res: Response) => {
+  try {
+    const clusters = await duplicateFiles.listClusters(req.params.userId);
+    const duplicateFileCount = clusters.reduce((sum, cluster) => sum + cluster.files.length - 1, 0);
+
+    res.json({
+      success: true,
+      message: `${clusters.length} photo(s) uploaded more than once (${duplicateFileCount} repeat file(s))`,
+      clusterCount: clusters.length,
+      duplicateFileCount,
+      clusters
+    });
+  } catch (error: any) {
+    console.error('Error listing duplicate files:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to list duplicate files'
+    });
+  }
+});
+
 /**
  * DELETE /api/cleanup-faces-by-file
  * Cascade cleanup when a file is deleted: removes face documents,
@@ -627,7 +1066,11 @@ router.delete('/cleanup-faces-by-file', async (req: Request, res: Response) => {
 
     console.log(`DELETE /cleanup-faces-by-file: userId=${userId}, fileId=${fileId}`);
 
-    const stats = await groupManager.cleanupFacesByFile(userId, fileId);
+    const stats = await auditLog.track(auditContextFor(req), userId, {
+      action: 'cleanup-file',
+      ...(await auditLog.fileScope(userId, fileId)),
+      details: stats => ({ fileId, ...stats })
+    }, () => groupManager.cleanupFacesByFile(userId, fileId));
 
     res.status(200).json({
       success: true,
@@ -652,7 +1095,7 @@ router.delete('/test/reset/:userId', async (req: Request, res: Response) => {
     const { userId } = req.params;
     
     // Allow reset for our known test user
-    if (userId !== 'zsvLTeIPJUYGnZHzWX7hVtLJlJX2' && userId !== process.env.TEST_USER_ID) {
+    if (!isTestUser(userId)) {
       return res.status(403).json({
         success: false,
         message: 'Reset only allowed for test user'
@@ -660,6 +1103,7 @@ router.delete('/test/reset/:userId', async (req: Request, res: Response) => {
     }
     
     const deletedCount = await groupManager.clearAllGroups(userId);
+    await auditLog.record(auditContextFor(req), userId, { action: 'reset', groupIds: [], details: { deletedCount } });
     
     res.json({
       success: true,
@@ -683,6 +1127,7 @@ router.post('/test/generate', async (req: Request, res: Response) => {
   try {
     const { scenario, userId } = req.body;
     const testUserId = userId || process.env.TEST_USER_ID;
+    assertUserAccess(req, testUserId);
     
     let testFaces: Face[] = [];
     
@@ -746,7 +1191,7 @@ router.post('/test/generate', async (req: Request, res: Response) => {
     });
   } catch (error: any) {
     console.error('Error generating test data:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message || 'Failed to generate test data'
     });
@@ -761,6 +1206,7 @@ router.get('/test/status', async (req: Request, res: Response) => {
   const testUserId = process.env.TEST_USER_ID;
   
   try {
+    assertUserAccess(req, testUserId);
     const groups = await groupManager.getAllGroups(testUserId!);
     
     res.json({
@@ -776,7 +1222,7 @@ router.get('/test/status', async (req: Request, res: Response) => {
     });
   } catch (error: any) {
     console.error('Error getting test status:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message || 'Failed to get test status'
     });
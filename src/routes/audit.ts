@@ -0,0 +1,73 @@
+/**
+ * Audit Routes
+ * Read a user's audit log of group mutations
+ */
+
+import { Router, Request, Response } from 'express';
+import { authorizeUserParam } from '../middleware/auth';
+import { auditLog, AuditQuery } from '../services/auditLog';
+import { AuditAction, AuditSource } from '../types';
+
+const router = Router();
+
+// Callers may only read their own log (admins excepted)
+router.param('userId', authorizeUserParam);
+
+/**
+ * Parse an ISO date query parameter
+ * @returns The date, undefined if absent, or null if unparseable
+ */
+function dateParam(value: unknown): Date | undefined | null {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(String(value));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * GET /api/audit/:userId
+ * Newest first. Filters: action, groupId, faceId, actorId, source, since, until (ISO dates);
+ * page with limit (default 50, max 200) and after=<nextCursor>
+ */
+router.get('/audit/:userId', async (req: Request, res: Response) => {
+  try {
+    const { userId } = req.params;
+    const { action, groupId, faceId, actorId, source, after, limit } = req.query;
+    const since = dateParam(req.query.since);
+    const until = dateParam(req.query.until);
+
+    if (since === null || until === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'since and until must be ISO dates'
+      });
+    }
+
+    const filter: AuditQuery = {
+      action: action ? String(action) as AuditAction : undefined,
+      groupId: groupId ? String(groupId) : undefined,
+      faceId: faceId ? String(faceId) : undefined,
+      actorId: actorId ? String(actorId) : undefined,
+      source: source ? String(source) as AuditSource : undefined,
+      since,
+      until,
+      after: after ? String(after) : undefined,
+      limit: limit ? Number(limit) || undefined : undefined
+    };
+    const { entries, nextCursor } = await auditLog.query(userId, filter);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      entries,
+      nextCursor
+    });
+  } catch (error: any) {
+    console.error('Error reading audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to read audit log'
+    });
+  }
+});
+
+export default router;
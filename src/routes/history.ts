@@ -0,0 +1,75 @@
+/**
+ * Undo/Redo Routes
+ * Revert a user's recent group operations (see services/undoManager.ts)
+ */
+
+import { Router, Request, Response } from 'express';
+import { authorizeUserParam } from '../middleware/auth';
+import { auditContextFor } from '../middleware/requestContext';
+import { undoManager } from '../services/undoManager';
+
+const router = Router();
+
+router.param('userId', authorizeUserParam);
+
+/**
+ * GET /api/history/:userId
+ * What undo and redo would revert next, most recent first
+ */
+router.get('/history/:userId', async (req: Request, res: Response) => {
+  try {
+    const { undo, redo } = await undoManager.stacks(req.params.userId);
+    res.json({
+      success: true,
+      undo,
+      redo
+    });
+  } catch (error: any) {
+    console.error('Error reading undo history:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to read undo history'
+    });
+  }
+});
+
+/**
+ * POST /api/undo/:userId and /api/redo/:userId
+ * Body: { count?: number } - operations to revert (default 1, max 20)
+ * 409 if the first can't be reverted; if a later one can't, the response
+ * lists what was reverted and why it stopped (conflict).
+ */
+for (const direction of ['undo', 'redo'] as const) {
+  router.post(`/${direction}/:userId`, async (req: Request, res: Response) => {
+    try {
+      const { userId } = req.params;
+      const count = req.body?.count === undefined ? 1 : Number(req.body.count);
+      if (!Number.isInteger(count) || count < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'count must be a positive integer'
+        });
+      }
+
+      const context = auditContextFor(req);
+      const { reverted, conflict } = direction === 'undo'
+        ? await undoManager.undo(context, userId, count)
+        : await undoManager.redo(context, userId, count);
+
+      res.json({
+        success: true,
+        message: `${direction === 'undo' ? 'Undid' : 'Redid'} ${reverted.length} operation${reverted.length === 1 ? '' : 's'}`,
+        reverted,
+        conflict
+      });
+    } catch (error: any) {
+      console.error(`Error during ${direction}:`, error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.message || `Failed to ${direction}`
+      });
+    }
+  });
+}
+
+export default router;
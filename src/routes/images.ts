@@ -4,9 +4,13 @@
 
 import { Router, Request, Response } from 'express';
 import { getDb } from '../config/firebase';
+import { authorizeUserParam } from '../middleware/auth';
 
 const router = Router();
 
+// Callers may only load their own images (admins excepted)
+router.param('userId', authorizeUserParam);
+
 /**
  * Get image URL for a file from Firestore
  */
@@ -0,0 +1,86 @@
+/**
+ * Job Routes
+ * Queue background grouping work and follow its progress
+ */
+
+import { Router, Request, Response } from 'express';
+import { jobQueue } from '../services/jobQueue';
+import { assertUserAccess } from '../middleware/auth';
+import { auditContextFor } from '../middleware/requestContext';
+import { CreateJobRequest } from '../types';
+
+const router = Router();
+
+/**
+ * POST /api/jobs
+ * Queue a job; responds 202 with the job doc to poll
+ * (the body userId is checked by the auth middleware)
+ */
+router.post('/jobs', async (req: Request, res: Response) => {
+  try {
+    const job = await jobQueue.enqueue(req.body as CreateJobRequest, auditContextFor(req).actor);
+    res.status(202).json({ success: true, job });
+  } catch (error: any) {
+    console.error('Error queueing job:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to queue job'
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId
+ * Job status, progress and (once finished) result or error
+ */
+router.get('/jobs/:jobId', async (req: Request, res: Response) => {
+  try {
+    const job = await jobQueue.get(req.params.jobId);
+    assertUserAccess(req, job.userId);
+    res.json({ success: true, job });
+  } catch (error: any) {
+    console.error('Error getting job:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to get job'
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:jobId/cancel
+ * Queued jobs cancel at once; running jobs stop at their next checkpoint
+ */
+router.post('/jobs/:jobId/cancel', async (req: Request, res: Response) => {
+  try {
+    assertUserAccess(req, (await jobQueue.get(req.params.jobId)).userId);
+    const job = await jobQueue.cancel(req.params.jobId);
+    res.json({ success: true, job });
+  } catch (error: any) {
+    console.error('Error cancelling job:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to cancel job'
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:jobId/retry
+ * Queue a failed or cancelled job again
+ */
+router.post('/jobs/:jobId/retry', async (req: Request, res: Response) => {
+  try {
+    assertUserAccess(req, (await jobQueue.get(req.params.jobId)).userId);
+    const job = await jobQueue.retry(req.params.jobId);
+    res.status(202).json({ success: true, job });
+  } catch (error: any) {
+    console.error('Error retrying job:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to retry job'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,91 @@
+/**
+ * Reconciliation Routes
+ * Diff a user's AWS face collection against Firestore (see services/collectionReconciler.ts)
+ */
+
+import { Router, Request, Response } from 'express';
+import { authorizeUserParam } from '../middleware/auth';
+import { auditContextFor } from '../middleware/requestContext';
+import { collectionReconciler } from '../services/collectionReconciler';
+
+const router = Router();
+
+router.param('userId', authorizeUserParam);
+
+/**
+ * POST /api/reconcile/:userId
+ * Body: { deleteOrphans?: boolean, reindexMissing?: boolean } - both off by default (report only)
+ * Runs synchronously; queue a reconcile-collection job for large collections.
+ */
+router.post('/reconcile/:userId', async (req: Request, res: Response) => {
+  try {
+    const { userId } = req.params;
+    const { deleteOrphans, reindexMissing } = req.body || {};
+
+    const run = await collectionReconciler.reconcile(auditContextFor(req), userId, {
+      deleteOrphans: deleteOrphans === true,
+      reindexMissing: reindexMissing === true
+    });
+
+    res.status(run.status === 'failed' ? 500 : 200).json({
+      success: run.status === 'completed',
+      message: `${run.orphanedCount} orphaned and ${run.missingCount} missing face(s); ` +
+        `${run.deletedFaceIds.length} deleted, ${run.reindexed.length} re-indexed`,
+      run
+    });
+  } catch (error: any) {
+    console.error('Error reconciling face collection:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to reconcile face collection'
+    });
+  }
+});
+
+/**
+ * GET /api/reconcile/:userId/runs?limit=20
+ * Stored reports, newest first
+ */
+router.get('/reconcile/:userId/runs', async (req: Request, res: Response) => {
+  try {
+    const runs = await collectionReconciler.listRuns(req.params.userId, Number(req.query.limit) || undefined);
+    res.json({
+      success: true,
+      count: runs.length,
+      runs
+    });
+  } catch (error: any) {
+    console.error('Error listing reconciliation runs:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to list reconciliation runs'
+    });
+  }
+});
+
+/**
+ * GET /api/reconcile/:userId/runs/:runId
+ */
+router.get('/reconcile/:userId/runs/:runId', async (req: Request, res: Response) => {
+  try {
+    const run = await collectionReconciler.getRun(req.params.userId, req.params.runId);
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation run not found'
+      });
+    }
+    res.json({
+      success: true,
+      run
+    });
+  } catch (error: any) {
+    console.error('Error reading reconciliation run:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to read reconciliation run'
+    });
+  }
+});
+
+export default router;
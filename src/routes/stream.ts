@@ -0,0 +1,62 @@
+/**
+ * Stream Routes
+ * Server-Sent Events feed of a user's group changes (see services/groupEvents.ts)
+ */
+
+import { Router, Request, Response } from 'express';
+import { authorizeUserParam } from '../middleware/auth';
+import { groupEvents } from '../services/groupEvents';
+import { GroupEvent } from '../types';
+
+const router = Router();
+
+router.param('userId', authorizeUserParam);
+
+// Comment lines keep proxies and Cloud Run from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long EventSource waits before reconnecting
+const RETRY_MS = 3 * 1000;
+
+/**
+ * GET /api/stream/:userId
+ * text/event-stream of group-created, group-updated, groups-merged,
+ * group-split, group-deleted and face-assigned events. A ready event opens
+ * every connection once changes are flowing - events aren't replayed, so
+ * clients reload on it.
+ * EventSource can't send headers; pass the ID token as ?access_token=.
+ */
+router.get('/stream/:userId', (req: Request, res: Response) => {
+  const { userId } = req.params;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (type: string, data: object, id?: number) => {
+    res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // ready waits for the watch's first snapshot, so nothing committed after the client reloads is missed
+  const unsubscribe = groupEvents.subscribe(
+    userId,
+    (event: GroupEvent) => send(event.type, event, event.eventId),
+    () => send('ready', { userId })
+  );
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  console.log(`📡 Stream opened for user ${userId} (${groupEvents.subscriberCount(userId)} open)`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    console.log(`📡 Stream closed for user ${userId} (${groupEvents.subscriberCount(userId)} open)`);
+  });
+});
+
+export default router;
@@ -0,0 +1,120 @@
+/**
+ * API Key Service
+ * Named, revocable keys for services (the artifact processor) that call the
+ * API without a signed-in user
+ *
+ * A key looks like `fmk.<keyId>.<secret>`. Only its sha256 is stored, so a
+ * leaked /apiKeys doc can't be replayed; the key itself is returned once,
+ * when it is created. Keys are limited to their scopes but not to a user.
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { ApiKey, ApiKeyScope } from '../types';
+import { FaceStore, StoreField, getFaceStore } from './faceStore';
+import { GroupOperationError } from './groupManager';
+
+export const API_KEY_SCOPES: ApiKeyScope[] = ['process-faces', 'cleanup-faces-by-file'];
+
+const KEY_PREFIX = 'fmk';
+
+/**
+ * A key as listed - never includes the hash
+ */
+export type ApiKeySummary = Omit<ApiKey, 'keyHash'>;
+
+function summarize(key: ApiKey): ApiKeySummary {
+  const { keyHash, ...summary } = key;
+  return summary;
+}
+
+export class ApiKeyStore {
+  get store(): FaceStore {
+    return getFaceStore();
+  }
+
+  static hash(apiKey: string): string {
+    return createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * Create a key
+   * @returns The key (shown only now) and its stored summary
+   * @throws GroupOperationError 400 for a missing name or unknown scope
+   */
+  async create(name: string, scopes: ApiKeyScope[], createdBy?: string): Promise<{ apiKey: string; key: ApiKeySummary }> {
+    if (!name || typeof name !== 'string') throw new GroupOperationError('Missing required field: name');
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new GroupOperationError(`Missing required field: scopes[] (${API_KEY_SCOPES.join(', ')})`);
+    }
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) throw new GroupOperationError(`Unknown scope(s): ${unknown.join(', ')}`);
+
+    const keyId = this.store.newId();
+    const apiKey = `${KEY_PREFIX}.${keyId}.${randomBytes(32).toString('base64url')}`;
+    await this.store.write(writer => writer.setApiKey(keyId, {
+      name,
+      keyHash: ApiKeyStore.hash(apiKey),
+      scopes: [...new Set(scopes)],
+      createdBy,
+      createdAt: StoreField.serverTimestamp()
+    }));
+    console.log(`🔑 Created API key ${keyId} (${name}) with scopes ${scopes.join(', ')}`);
+
+    return { apiKey, key: summarize((await this.store.getApiKey(keyId))!) };
+  }
+
+  async list(): Promise<ApiKeySummary[]> {
+    return (await this.store.listApiKeys()).map(summarize);
+  }
+
+  /**
+   * Revoke a key; it stops working at once and can't be restored
+   * @throws GroupOperationError 404 if there is no such key
+   */
+  async revoke(keyId: string): Promise<ApiKeySummary> {
+    const existing = await this.store.getApiKey(keyId);
+    if (!existing) throw new GroupOperationError(`API key ${keyId} not found`, 404);
+
+    if (!existing.revokedAt) {
+      await this.store.write(writer => writer.updateApiKey(keyId, { revokedAt: StoreField.serverTimestamp() }));
+      console.log(`🔓 Revoked API key ${keyId} (${existing.name})`);
+    }
+    return summarize((await this.store.getApiKey(keyId))!);
+  }
+
+  /**
+   * Look up the live key matching a presented one
+   * @returns The key, or null if it is malformed, unknown or revoked
+   */
+  async verify(apiKey: string): Promise<ApiKey | null> {
+    const [prefix, keyId, secret] = apiKey.split('.');
+    if (prefix !== KEY_PREFIX || !keyId || !secret) return null;
+
+    const key = await this.store.getApiKey(keyId);
+    if (!key || key.revokedAt) return null;
+
+    const presented = Buffer.from(ApiKeyStore.hash(apiKey), 'hex');
+    const stored = Buffer.from(key.keyHash, 'hex');
+    if (presented.length !== stored.length || !timingSafeEqual(presented, stored)) return null;
+    return key;
+  }
+
+  /**
+   * Record a key's latest use
+   * Failing to record mustn't fail the call, so errors are logged, not thrown.
+   */
+  async recordUse(keyId: string, route: string, ip?: string): Promise<void> {
+    try {
+      await this.store.write(writer => writer.updateApiKey(keyId, {
+        lastUsedAt: StoreField.serverTimestamp(),
+        lastUsedRoute: route,
+        lastUsedIp: ip
+      }));
+    } catch (error) {
+      console.error(`❌ Failed to record use of API key ${keyId}:`, error);
+    }
+  }
+}
+
+// Export singleton instance
+export const apiKeyStore = new ApiKeyStore();
@@ -0,0 +1,237 @@
+/**
+ * Audit Log Service
+ * Append-only record of every group mutation: who did it, from where, and
+ * what the touched groups and faces looked like before and after
+ *
+ * Snapshots are taken around the mutation rather than inside its
+ * transaction, so a concurrent write can land between snapshot and change;
+ * the entry still shows what the caller saw and what they left behind.
+ * Recording never fails the mutation itself - errors are logged.
+ */
+
+import { AuditAction, AuditActor, AuditEntry, AuditSnapshot, AuditSource, FaceGroup, IntegrityReport, ReclusterResult } from '../types';
+import { FaceStore, StoreField, getFaceStore } from './faceStore';
+
+export interface AuditContext {
+  actor: AuditActor;
+  source: AuditSource;
+  requestId: string;
+}
+
+export interface AuditEntryInput {
+  action: AuditAction;
+  groupIds: string[];
+  faceIds?: string[];
+  before?: AuditSnapshot | null;
+  after?: AuditSnapshot | null;
+  details?: Record<string, any>;
+}
+
+export interface AuditQuery {
+  action?: AuditAction;
+  groupId?: string;
+  faceId?: string;
+  actorId?: string;
+  source?: AuditSource;
+  since?: Date;
+  until?: Date;
+  after?: string;            // Cursor: entryId to continue past
+  limit?: number;
+}
+
+const DEFAULT_QUERY_LIMIT = 50;
+const MAX_QUERY_LIMIT = 200;
+
+// Filters other than the time range are applied in memory; stop after this many entries
+const MAX_SCAN = 2000;
+const SCAN_PAGE = 200;
+
+export class AuditLog {
+  get store(): FaceStore {
+    return getFaceStore();
+  }
+
+  /**
+   * Read groups and face docs as they are now
+   */
+  async snapshot(userId: string, ids: { groupIds?: string[]; faceIds?: string[] }): Promise<AuditSnapshot> {
+    const groupIds = [...new Set(ids.groupIds || [])];
+    const faceIds = [...new Set(ids.faceIds || [])];
+    const [groups, faces] = await Promise.all([
+      Promise.all(groupIds.map(groupId => this.store.getGroup(userId, groupId))),
+      this.store.getFaces(userId, faceIds)
+    ]);
+
+    return {
+      groups: Object.fromEntries(groupIds.map((groupId, i) => [groupId, groups[i]])),
+      faces: Object.fromEntries(faceIds.map((faceId, i) => [faceId, faces[i]]))
+    };
+  }
+
+  /**
+   * Run a mutation and record it with before and after snapshots
+   * Nothing is recorded if the mutation returns null or false (nothing changed).
+   *
+   * @param spec.facesOfGroups - Also snapshot the face docs of these groups (e.g. merged-away groups)
+   * @param spec.createdGroupIds - Groups that only exist afterwards (e.g. split results)
+   */
+  async track<T>(
+    context: AuditContext,
+    userId: string,
+    spec: {
+      action: AuditAction;
+      groupIds: string[];
+      faceIds?: string[];
+      facesOfGroups?: string[];
+      createdGroupIds?: (result: T) => string[];
+      details?: (result: T) => Record<string, any> | undefined;
+    },
+    mutate: () => Promise<T>
+  ): Promise<T> {
+    const before = await this.snapshot(userId, { groupIds: spec.groupIds, faceIds: spec.faceIds });
+    const ownedFaceIds = (spec.facesOfGroups || []).flatMap(groupId => before.groups[groupId]?.faceIds || []);
+    if (ownedFaceIds.length > 0) {
+      const extra = await this.snapshot(userId, { faceIds: ownedFaceIds });
+      Object.assign(before.faces, extra.faces);
+    }
+
+    const result = await mutate();
+    if (result === null || result === false) return result;
+
+    try {
+      const groupIds = [...spec.groupIds, ...(spec.createdGroupIds ? spec.createdGroupIds(result) : [])];
+      const faceIds = Object.keys(before.faces);
+      const after = await this.snapshot(userId, { groupIds, faceIds });
+      await this.record(context, userId, {
+        action: spec.action,
+        groupIds,
+        faceIds,
+        before,
+        after,
+        details: spec.details ? spec.details(result) : undefined
+      });
+    } catch (error) {
+      console.error(`❌ Failed to snapshot ${spec.action} for the audit log:`, error);
+    }
+    return result;
+  }
+
+  /**
+   * Groups and faces a file's cleanup will touch
+   */
+  async fileScope(userId: string, fileId: string): Promise<{ groupIds: string[]; faceIds: string[] }> {
+    const [groups, faces] = await Promise.all([
+      this.store.findGroupsByFile(userId, fileId),
+      this.store.findFacesByFile(userId, fileId)
+    ]);
+    const faceIds = faces.map(f => f.faceId);
+    // Faces whose group doesn't list the file are cleaned up too
+    const groupIds = [...groups.map(g => g.groupId), ...faces.map(f => f.groupId).filter(Boolean)];
+    return { groupIds: [...new Set(groupIds)], faceIds };
+  }
+
+  /**
+   * Entry for an applied recluster - the plan is the record; snapshots of every group would be too big
+   */
+  static reclusterEntry(result: ReclusterResult): AuditEntryInput {
+    const { plan } = result;
+    return {
+      action: 'recluster',
+      groupIds: [...plan.created, ...plan.updated, ...plan.deleted].map(g => g.groupId),
+      details: { plan, faceCount: result.faceCount, edgeCount: result.edgeCount, groupCount: result.groupCount }
+    };
+  }
+
+  /**
+   * Entry for applied integrity repairs - the plan and issue counts are the record
+   */
+  static integrityEntry(report: IntegrityReport): AuditEntryInput {
+    return {
+      action: 'repair-integrity',
+      groupIds: report.issues.flatMap(issue => issue.groupIds),
+      faceIds: report.issues.map(issue => issue.faceId).filter((id): id is string => !!id),
+      details: { plan: report.plan, summary: report.summary }
+    };
+  }
+
+  /**
+   * Snapshot built from groups already in hand (e.g. a processFaces response)
+   */
+  static snapshotOf(groups: FaceGroup[]): AuditSnapshot {
+    return { groups: Object.fromEntries(groups.map(g => [g.groupId, g])), faces: {} };
+  }
+
+  /**
+   * Append an entry
+   * @returns The entryId, or null if it couldn't be written
+   */
+  async record(context: AuditContext, userId: string, input: AuditEntryInput): Promise<string | null> {
+    const entryId = this.store.newId();
+    const entry: Omit<AuditEntry, 'entryId' | 'createdAt'> & { createdAt: any } = {
+      action: input.action,
+      actor: context.actor,
+      source: context.source,
+      requestId: context.requestId,
+      groupIds: [...new Set(input.groupIds)],
+      faceIds: [...new Set(input.faceIds || [])],
+      before: input.before || null,
+      after: input.after || null,
+      ...(input.details ? { details: input.details } : {}),
+      createdAt: StoreField.serverTimestamp()
+    };
+
+    try {
+      await this.store.write(writer => writer.addAuditEntry(userId, entryId, entry));
+      console.log(`📝 Audit: ${input.action} by ${context.actor.type}${context.actor.id ? ` ${context.actor.id}` : ''} (${context.source})`);
+      return entryId;
+    } catch (error) {
+      console.error(`❌ Failed to record audit entry for ${input.action}:`, error);
+      return null;
+    }
+  }
+
+  async get(userId: string, entryId: string): Promise<AuditEntry | null> {
+    return this.store.getAuditEntry(userId, entryId);
+  }
+
+  /**
+   * Entries matching the filters, newest first
+   * @returns The entries and, if there may be more, the cursor to pass as `after`
+   */
+  async query(userId: string, filter: AuditQuery): Promise<{ entries: AuditEntry[]; nextCursor: string | null }> {
+    const limit = Math.min(Math.max(Math.floor(filter.limit || DEFAULT_QUERY_LIMIT), 1), MAX_QUERY_LIMIT);
+    const matches = (entry: AuditEntry) =>
+      (!filter.action || entry.action === filter.action) &&
+      (!filter.groupId || entry.groupIds.includes(filter.groupId)) &&
+      (!filter.faceId || entry.faceIds.includes(filter.faceId)) &&
+      (!filter.actorId || entry.actor.id === filter.actorId) &&
+      (!filter.source || entry.source === filter.source);
+
+    const entries: AuditEntry[] = [];
+    let after = filter.after;
+    let scanned = 0;
+    while (entries.length < limit && scanned < MAX_SCAN) {
+      const page = await this.store.listAuditEntries(userId, {
+        since: filter.since,
+        until: filter.until,
+        after,
+        limit: SCAN_PAGE
+      });
+      for (const entry of page) {
+        after = entry.entryId;
+        scanned++;
+        if (matches(entry)) entries.push(entry);
+        if (entries.length === limit) break;
+      }
+      if (page.length < SCAN_PAGE) {
+        // Reached the oldest entry (unless the limit stopped us mid-page)
+        const exhausted = entries.length < limit || after === page[page.length - 1]?.entryId;
+        return { entries, nextCursor: exhausted ? null : after || null };
+      }
+    }
+    return { entries, nextCursor: after || null };
+  }
+}
+
+// Export singleton instance
+export const auditLog = new AuditLog();
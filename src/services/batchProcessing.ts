@@ -0,0 +1,266 @@
+/**
+ * Batch Processing Service
+ * Runs process-faces over many files - shared by POST /api/process-faces/batch
+ * and process-faces jobs
+ *
+ * Also home to the #237 extractedFaces filter, which the single-file
+ * endpoint applies the same way.
+ */
+
+import { groupManager } from './groupManager';
+import { FileRecord } from './faceStore';
+import { idempotencyStore, IdempotencyStore } from './idempotency';
+import { ProcessFacesBatch } from './processFacesBatch';
+import { AuditContext, AuditLog, auditLog } from './auditLog';
+import {
+  Face,
+  ProcessFacesBatchRequest,
+  ProcessFacesBatchResponse,
+  ProcessFacesFileResult,
+  ProcessFacesResponse
+} from '../types';
+
+/**
+ * Compares two bounding boxes to determine if they represent the same face.
+ * Uses tolerance-based comparison since AWS Rekognition may return slightly
+ * different coordinates on reprocessing.
+ *
+ * @param faceBox - Bounding box from the face being checked
+ * @param deletedBox - Bounding box from a previously deleted face
+ * @param tolerance - Maximum allowed difference (default 0.05 = 5%)
+ * @returns true if the bounding boxes match within tolerance
+ */
+export function boundingBoxesMatch(faceBox: any, deletedBox: any, tolerance = 0.05): boolean {
+  if (!faceBox || !deletedBox) return false;
+
+  return (
+    Math.abs((faceBox.Left || 0) - (deletedBox.Left || 0)) < tolerance &&
+    Math.abs((faceBox.Top || 0) - (deletedBox.Top || 0)) < tolerance &&
+    Math.abs((faceBox.Width || 0) - (deletedBox.Width || 0)) < tolerance &&
+    Math.abs((faceBox.Height || 0) - (deletedBox.Height || 0)) < tolerance
+  );
+}
+
+/**
+ * ELEGANT SOLUTION (#237): Only keep faces that EXIST in extractedFaces.
+ * Instead of tracking deleted faces, we check the source of truth (extractedFaces).
+ * If a face was deleted, it won't be in extractedFaces - so we don't process it.
+ * This avoids the need for separate deletedFaces tracking.
+ *
+ * @param detectedFaces - Newly detected faces from Rekognition
+ * @param extractedFaces - Faces stored in Firestore (user's approved faces)
+ * @returns Filtered array containing only faces that exist in extractedFaces
+ */
+function filterToExistingFaces(detectedFaces: any[], extractedFaces: any[]): any[] {
+  if (!extractedFaces || extractedFaces.length === 0) {
+    // No extracted faces means no approved faces - return empty
+    console.log('  ⚠️ No extractedFaces in Firestore - no faces to process');
+    return [];
+  }
+
+  return detectedFaces.filter(detected => {
+    const detectedBox = detected.boundingBox || detected.BoundingBox;
+    if (!detectedBox) {
+      console.log('  ⚠️ Detected face has no bounding box - skipping');
+      return false;
+    }
+
+    // Check if this detected face matches any existing face in extractedFaces
+    const existsInExtracted = extractedFaces.some(existing => {
+      const existingBox = existing.boundingBox || existing.BoundingBox;
+      return boundingBoxesMatch(detectedBox, existingBox);
+    });
+
+    if (!existsInExtracted) {
+      console.log(`  🚫 Face not in extractedFaces (deleted?) - skipping: bbox=${JSON.stringify(detectedBox).substring(0, 50)}`);
+    }
+
+    return existsInExtracted;
+  });
+}
+
+/**
+ * ELEGANT SOLUTION (#237) applied to one file: keep the faces its doc still lists
+ * Without a file doc or extractedFaces every detected face is processed.
+ */
+export function filterByFileDoc(faces: Face[], fileData: FileRecord | null): Face[] {
+  if (!fileData) {
+    console.log('  ⚠️ File document not found in Firestore - processing all detected faces');
+    return faces;
+  }
+
+  const extractedFaces = fileData.extractedFaces;
+  if (!extractedFaces || !Array.isArray(extractedFaces)) {
+    console.log('  ⚠️ No extractedFaces in Firestore - processing all detected faces');
+    return faces;
+  }
+
+  const filteredFaces = filterToExistingFaces(faces, extractedFaces);
+  console.log(`  ✅ ELEGANT FILTER: ${filteredFaces.length} of ${faces.length} faces exist in extractedFaces`);
+  if (filteredFaces.length < faces.length) {
+    console.log(`  🚫 Skipped ${faces.length - filteredFaces.length} faces (not in extractedFaces - likely deleted)`);
+  }
+  return filteredFaces;
+}
+
+/**
+ * Idempotency key for one file of a batch (one batch spans many files)
+ */
+export function batchIdempotencyKey(batchId: string, fileId: string): string {
+  return `batch:${batchId}:${fileId}`;
+}
+
+// Keeps one request's work (and its response) bounded
+export const MAX_BATCH_FILES = 500;
+
+/**
+ * Process one file of a batch, honouring its idempotency key
+ * Failures are reported in the result rather than thrown, so one bad file
+ * doesn't stop the rest of the batch.
+ */
+async function processBatchFile(
+  userId: string,
+  fileId: string,
+  faces: Face[],
+  interviewId: string | undefined,
+  batch: ProcessFacesBatch,
+  batchId?: string
+): Promise<ProcessFacesFileResult> {
+  console.log(`\n📄 Batch file ${fileId}: ${faces.length} face(s)`);
+  const toResult = (response: ProcessFacesResponse): ProcessFacesFileResult => ({
+    fileId,
+    success: true,
+    processedCount: response.processedCount,
+    skippedCount: faces.length - response.processedCount,
+    groupIds: [...new Set(response.groups.map(g => g.groupId))],
+    message: response.message
+  });
+  const failed = (message: string): ProcessFacesFileResult => ({
+    fileId, success: false, processedCount: 0, skippedCount: 0, groupIds: [], message
+  });
+
+  const key = batchId ? batchIdempotencyKey(batchId, fileId) : undefined;
+  const fingerprint = IdempotencyStore.fingerprint({ fileId, faces, interviewId: interviewId || null });
+  if (key) {
+    const claim = await idempotencyStore.claim(userId, key, fingerprint);
+    if (claim.state === 'replay') {
+      console.log(`  🔁 Replaying stored response for idempotency key ${key}`);
+      return { ...toResult(claim.response), replayed: true };
+    }
+    if (claim.state === 'in-progress') return failed(`A request with idempotency key ${key} is still being processed - retry later`);
+    if (claim.state === 'mismatch') return failed(`Idempotency key ${key} was already used for a different request`);
+  }
+
+  try {
+    const filteredFaces = filterByFileDoc(faces, batch.getFile(fileId));
+    const groups = filteredFaces.length > 0
+      ? await groupManager.processFaces(userId, fileId, filteredFaces, interviewId, undefined, batch)
+      : [];
+    const response: ProcessFacesResponse = {
+      success: true,
+      processedCount: filteredFaces.length,
+      groups,
+      message: filteredFaces.length > 0
+        ? `Successfully processed ${faces.length} faces into ${groups.length} groups`
+        : 'No faces to process (faces not in extractedFaces - may have been deleted)'
+    };
+    if (key) await idempotencyStore.complete(userId, key, fingerprint, response);
+    return toResult(response);
+  } catch (error: any) {
+    console.error(`  ❌ Batch file ${fileId} failed:`, error);
+    if (key) await idempotencyStore.release(userId, key);
+    return failed(error.message || 'Failed to process faces');
+  }
+}
+
+/**
+ * Check a batch's files
+ * @returns What's wrong with them, or null if they can be processed
+ */
+export function validateBatchFiles(files: ProcessFacesBatchRequest['files']): string | null {
+  if (!Array.isArray(files) || files.length === 0) {
+    return 'Missing required field: files[]';
+  }
+  if (files.length > MAX_BATCH_FILES) {
+    return `A batch holds at most ${MAX_BATCH_FILES} files (got ${files.length})`;
+  }
+
+  const invalid = files.filter(f => !f || !f.fileId || !Array.isArray(f.faces));
+  if (invalid.length > 0) {
+    return `Every file needs a fileId and faces[] (${invalid.length} invalid)`;
+  }
+  const fileIds = files.map(f => f.fileId);
+  const duplicates = [...new Set(fileIds.filter((id, i) => fileIds.indexOf(id) !== i))];
+  if (duplicates.length > 0) {
+    return `Each file may appear once per batch (repeated: ${duplicates.join(', ')})`;
+  }
+  return null;
+}
+
+/**
+ * Process a validated batch
+ * File docs and groups are loaded once; files run one at a time in fileId
+ * order, so later files see the groups earlier files left behind and the
+ * outcome doesn't depend on how the files were listed.
+ *
+ * @param onFileDone - Called after each file; may throw to stop the batch (job cancellation)
+ * @param audit - Who to record the batch against in the audit log
+ */
+export async function processFacesBatch(
+  userId: string,
+  files: ProcessFacesBatchRequest['files'],
+  options: {
+    interviewId?: string;
+    batchId?: string;
+    onFileDone?: (completed: number, total: number, result: ProcessFacesFileResult) => Promise<void>;
+    audit?: AuditContext;
+  } = {}
+): Promise<ProcessFacesBatchResponse> {
+  const { interviewId, batchId, onFileDone, audit } = options;
+  console.log(`\n📦 Batch: ${files.length} file(s) for user ${userId}${batchId ? ` (batch ${batchId})` : ''}`);
+
+  const ordered = [...files].sort((a, b) => a.fileId < b.fileId ? -1 : a.fileId > b.fileId ? 1 : 0);
+  const batch = await groupManager.prepareBatch(userId, ordered.map(f => f.fileId));
+
+  const results: ProcessFacesFileResult[] = [];
+  for (const file of ordered) {
+    const result = await processBatchFile(userId, file.fileId, file.faces, file.interviewId || interviewId, batch, batchId);
+    results.push(result);
+    if (onFileDone) await onFileDone(results.length, ordered.length, result);
+  }
+
+  const touchedGroupIds = [...new Set(results.flatMap(r => r.groupIds))];
+  const groups = (await Promise.all(touchedGroupIds.map(groupId => groupManager.getGroup(userId, groupId))))
+    .filter((g): g is NonNullable<typeof g> => !!g);  // Merged-away groups are gone
+
+  // One entry for the batch, covering the files this call actually processed
+  const processed = results.filter(r => r.success && !r.replayed && r.processedCount > 0);
+  if (audit && processed.length > 0) {
+    const processedFileIds = new Set(processed.map(r => r.fileId));
+    await auditLog.record(audit, userId, {
+      action: 'process-faces',
+      groupIds: groups.map(g => g.groupId),
+      faceIds: ordered.filter(f => processedFileIds.has(f.fileId)).flatMap(f => f.faces.map(face => face.faceId)),
+      after: AuditLog.snapshotOf(groups),
+      details: { fileIds: [...processedFileIds], ...(batchId ? { batchId } : {}) }
+    });
+  }
+
+  const failedCount = results.filter(r => !r.success).length;
+  const response: ProcessFacesBatchResponse = {
+    success: failedCount === 0,
+    results,
+    summary: {
+      fileCount: results.length,
+      succeeded: results.length - failedCount,
+      failed: failedCount,
+      facesProcessed: results.reduce((sum, r) => sum + r.processedCount, 0),
+      facesSkipped: results.reduce((sum, r) => sum + r.skippedCount, 0),
+      groupCount: groups.length
+    },
+    groups
+  };
+
+  console.log('📤 BATCH SUMMARY:', response.summary);
+  return response;
+}
@@ -0,0 +1,405 @@
+/**
+ * Collection Reconciler
+ * Diffs a user's AWS face collection (face_coll_{userId}) against Firestore
+ * and optionally fixes the differences - the built-in replacement for
+ * manage-aws-faces.js and clean-aws-collection.js
+ *
+ * Firestore knows a face if it has a /faces doc or is in a file's
+ * extractedFaces. Orphaned faces are in the collection but unknown to
+ * Firestore; they can be deleted. An orphan whose externalImageId names an
+ * existing file doc may just be indexed and not yet processed, so it's
+ * pending: deleted only once an earlier run, at least ORPHAN_GRACE_MS older,
+ * saw it orphaned too. Missing faces are known to Firestore but
+ * gone from the collection; they can be re-indexed from their file's image.
+ *
+ * Re-indexing gives a face a new AWS FaceId, so the old ID is swapped for the
+ * new one in its /faces doc, groups, file doc and cannot-links. Its match
+ * edges are dropped - the next process-faces run finds them again. Faces the
+ * re-index detects that weren't missing are duplicates and deleted again.
+ *
+ * Every run is stored in /users/{userId}/reconciliationRuns.
+ */
+
+import { IndexedFace } from './faceMatcher';
+import { FaceStore, FileRecord, StoreField, getFaceStore } from './faceStore';
+import { groupManager } from './groupManager';
+import { boundingBoxesMatch } from './batchProcessing';
+import { AuditContext, auditLog } from './auditLog';
+import { MissingCollectionFace, OrphanedCollectionFace, ReconciliationRun } from '../types';
+
+export interface ReconcileOptions {
+  deleteOrphans?: boolean;
+  reindexMissing?: boolean;
+  onProgress?: (completed: number, total: number, message: string) => Promise<void>;
+  /**
+   * Called before each write phase (deleting orphans, re-indexing a file); throw to stop.
+   * The run is stored as cancelled and the error rethrown.
+   */
+  checkpoint?: () => Promise<void>;
+}
+
+// Orphaned/missing faces listed in a stored run (the counts are always exact)
+const MAX_LISTED = 500;
+
+// Files re-indexed per run - each is an image download and an IndexFaces call
+const MAX_REINDEX_FILES = 25;
+
+// Rekognition's limit for image bytes
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// A stalled download would hold the job worker (its heartbeat keeps it 'running')
+const IMAGE_DOWNLOAD_TIMEOUT_MS = 30 * 1000;
+
+// A pending orphan must have been seen by a run this much older before it's deleted
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+const DEFAULT_RUN_LIMIT = 20;
+const MAX_RUN_LIMIT = 100;
+
+function extractedFaceId(face: any): string | undefined {
+  return face?.faceId || face?.FaceId;
+}
+
+export class CollectionReconciler {
+  get store(): FaceStore {
+    return getFaceStore();
+  }
+
+  /**
+   * Compare the collection with Firestore, apply the requested fixes and store the report
+   */
+  async reconcile(context: AuditContext, userId: string, options: ReconcileOptions = {}): Promise<ReconciliationRun> {
+    const runId = this.store.newId();
+    const startedAt = new Date();
+    const matcher = groupManager.faceMatcher;
+    const deleteOrphans = options.deleteOrphans === true;
+    const reindexMissing = options.reindexMissing === true;
+    const progress = options.onProgress || (async () => {});
+    let stopped: unknown = null;
+    const checkpoint = async () => {
+      try {
+        await options.checkpoint?.();
+      } catch (error) {
+        stopped = error;
+        throw error;
+      }
+    };
+
+    console.log(`🔍 Reconciling ${matcher.name} collection for ${userId}${deleteOrphans ? ' (deleting orphans)' : ''}${reindexMissing ? ' (re-indexing missing)' : ''}`);
+
+    const [collectionFaces, faces, files] = await Promise.all([
+      matcher.listFaces(userId),
+      this.store.listFaces(userId),
+      this.store.listFiles(userId)
+    ]);
+
+    // Every face Firestore knows about, and where
+    const known = new Map<string, MissingCollectionFace>();
+    faces.forEach(face => known.set(face.faceId, { faceId: face.faceId, fileId: face.fileId, source: 'faces' }));
+    files.forEach(file => (Array.isArray(file.extractedFaces) ? file.extractedFaces : []).forEach((face: any) => {
+      const faceId = extractedFaceId(face);
+      if (!faceId) return;
+      const existing = known.get(faceId);
+      known.set(faceId, existing
+        ? { ...existing, fileId: existing.fileId || file.fileId, source: 'both' }
+        : { faceId, fileId: file.fileId, source: 'extractedFaces' });
+    }));
+
+    const inCollection = new Set(collectionFaces.map(face => face.faceId));
+    const fileIds = new Set(files.map(file => file.fileId));
+    // Pending first, so the capped list keeps them for the next run's second sighting
+    const orphaned: OrphanedCollectionFace[] = collectionFaces
+      .filter(face => !known.has(face.faceId))
+      .map(face => ({
+        faceId: face.faceId,
+        ...(face.externalImageId ? { externalImageId: face.externalImageId } : {}),
+        ...(face.externalImageId && fileIds.has(face.externalImageId) ? { pending: true } : {})
+      }))
+      .sort((a, b) => Number(!!b.pending) - Number(!!a.pending));
+    const missing = [...known.values()].filter(face => !inCollection.has(face.faceId));
+
+    console.log(`  ${collectionFaces.length} in collection, ${known.size} in Firestore: ${orphaned.length} orphaned, ${missing.length} missing`);
+
+    const run: ReconciliationRun = {
+      runId,
+      userId,
+      matcher: matcher.name,
+      options: { deleteOrphans, reindexMissing },
+      requestedBy: context.actor,
+      status: 'completed',
+      collectionFaceCount: collectionFaces.length,
+      firestoreFaceCount: known.size,
+      orphanedCount: orphaned.length,
+      missingCount: missing.length,
+      orphaned: orphaned.slice(0, MAX_LISTED),
+      missing: missing.slice(0, MAX_LISTED),
+      deletedFaceIds: [],
+      reindexed: [],
+      errors: [],
+      startedAt,
+      finishedAt: startedAt
+    };
+
+    try {
+      if (deleteOrphans && orphaned.length > 0) {
+        const seenBefore = await this.pendingOrphansSeenBefore(userId, startedAt);
+        const deletable = orphaned.filter(face => !face.pending || seenBefore.has(face.faceId));
+        if (deletable.length < orphaned.length) {
+          console.log(`  ⏳ Keeping ${orphaned.length - deletable.length} pending orphan(s) until a later run sees them again`);
+        }
+        if (deletable.length > 0) {
+          await checkpoint();
+          await progress(0, 1, `Deleting ${deletable.length} orphaned face(s)`);
+          run.deletedFaceIds = await matcher.deleteFaces(userId, deletable.map(face => face.faceId));
+          console.log(`  🗑️ Deleted ${run.deletedFaceIds.length} orphaned face(s) from the collection`);
+        }
+      }
+
+      if (reindexMissing && missing.length > 0) {
+        await this.reindex(userId, missing, files, run, progress, checkpoint);
+      }
+    } catch (error: any) {
+      if (error === stopped) {
+        console.log(`🛑 Reconciliation ${runId} cancelled`);
+        run.status = 'cancelled';
+      } else {
+        console.error(`❌ Reconciliation ${runId} failed:`, error);
+        run.status = 'failed';
+        run.errors.push({ message: error.message || String(error) });
+      }
+    }
+
+    // Record whatever was re-indexed, also by a run stopped part way
+    try {
+      if (run.reindexed.length > 0) {
+        await auditLog.record(context, userId, {
+          action: 'reindex-faces',
+          groupIds: (await this.store.findGroupsContainingFaces(userId, run.reindexed.map(r => r.newFaceId))).map(g => g.groupId),
+          faceIds: run.reindexed.flatMap(r => [r.faceId, r.newFaceId]),
+          details: { runId, reindexed: run.reindexed }
+        });
+      }
+    } catch (error: any) {
+      console.error(`❌ Reconciliation ${runId} failed:`, error);
+      run.status = 'failed';
+      run.errors.push({ message: error.message || String(error) });
+    }
+
+    run.finishedAt = new Date();
+    const { runId: _, ...data } = run;
+    await this.store.write(writer => writer.setReconciliationRun(userId, runId, data));
+    console.log(`✅ Reconciliation ${runId} ${run.status}: ${run.deletedFaceIds.length} deleted, ${run.reindexed.length} re-indexed, ${run.errors.length} error(s)`);
+    if (stopped) throw stopped;
+    return run;
+  }
+
+  async getRun(userId: string, runId: string): Promise<ReconciliationRun | null> {
+    return this.store.getReconciliationRun(userId, runId);
+  }
+
+  /**
+   * Stored runs, newest first
+   */
+  async listRuns(userId: string, limit?: number): Promise<ReconciliationRun[]> {
+    return this.store.listReconciliationRuns(userId, Math.min(Math.max(Math.floor(limit || DEFAULT_RUN_LIMIT), 1), MAX_RUN_LIMIT));
+  }
+
+  /**
+   * Pending orphans listed by runs that started at least ORPHAN_GRACE_MS before this one
+   */
+  private async pendingOrphansSeenBefore(userId: string, startedAt: Date): Promise<Set<string>> {
+    const cutoff = startedAt.getTime() - ORPHAN_GRACE_MS;
+    const runs = await this.store.listReconciliationRuns(userId, MAX_RUN_LIMIT);
+    return new Set(runs
+      .filter(run => millisOf(run.startedAt) <= cutoff)
+      .flatMap(run => (run.orphaned || []).filter(face => face.pending).map(face => face.faceId)));
+  }
+
+  /**
+   * Index each missing face's file again and swap in the new FaceIds
+   */
+  private async reindex(
+    userId: string,
+    missing: MissingCollectionFace[],
+    files: FileRecord[],
+    run: ReconciliationRun,
+    progress: (completed: number, total: number, message: string) => Promise<void>,
+    checkpoint: () => Promise<void>
+  ): Promise<void> {
+    const filesById = new Map(files.map(file => [file.fileId, file]));
+    const byFile = new Map<string, MissingCollectionFace[]>();
+    missing.forEach(face => {
+      if (!face.fileId) {
+        run.errors.push({ faceId: face.faceId, message: 'No file to re-index from' });
+        return;
+      }
+      byFile.set(face.fileId, [...(byFile.get(face.fileId) || []), face]);
+    });
+
+    const fileIds = [...byFile.keys()];
+    fileIds.slice(MAX_REINDEX_FILES).forEach(fileId => run.errors.push({
+      fileId,
+      message: `Not re-indexed - at most ${MAX_REINDEX_FILES} files per run`
+    }));
+
+    const batch = fileIds.slice(0, MAX_REINDEX_FILES);
+    for (let i = 0; i < batch.length; i++) {
+      const fileId = batch[i];
+      await checkpoint();
+      await progress(i, batch.length, `Re-indexing ${fileId}`);
+      try {
+        await this.reindexFile(userId, filesById.get(fileId), fileId, byFile.get(fileId)!, run);
+      } catch (error: any) {
+        console.error(`  ❌ Could not re-index ${fileId}:`, error);
+        run.errors.push({ fileId, message: error.message || String(error) });
+      }
+    }
+    await progress(batch.length, batch.length, 'Re-indexing done');
+  }
+
+  private async reindexFile(
+    userId: string,
+    file: FileRecord | undefined,
+    fileId: string,
+    missing: MissingCollectionFace[],
+    run: ReconciliationRun
+  ): Promise<void> {
+    if (!file) throw new Error('File doc not found');
+    const imageUrl = file.url || file.imageUrl || file.downloadURL;
+    if (!imageUrl) throw new Error('File has no image URL');
+
+    const bytes = await downloadImage(imageUrl);
+    if (bytes.length > MAX_IMAGE_BYTES) throw new Error(`Image is ${bytes.length} bytes - over Rekognition's 5MB limit`);
+
+    const indexed = await groupManager.faceMatcher.indexFaces(userId, { bytes, externalImageId: fileId });
+
+    // Pair each detected face with the missing face in the same place
+    const boxes = await this.boxesOf(userId, file, missing);
+    const unclaimed = new Set(missing.map(face => face.faceId));
+    const duplicates: IndexedFace[] = [];
+    for (const face of indexed) {
+      const match = [...unclaimed].find(faceId => boundingBoxesMatch(face.boundingBox, boxes.get(faceId)));
+      if (!match) {
+        duplicates.push(face);
+        continue;
+      }
+      unclaimed.delete(match);
+      await this.replaceFaceId(userId, fileId, match, face.faceId);
+      run.reindexed.push({ faceId: match, newFaceId: face.faceId, fileId });
+    }
+
+    if (duplicates.length > 0) {
+      // Faces the collection already had (or the user deleted) - don't keep a second copy
+      await groupManager.faceMatcher.deleteFaces(userId, duplicates.map(face => face.faceId));
+    }
+    unclaimed.forEach(faceId => run.errors.push({ fileId, faceId, message: 'Not detected when the image was re-indexed' }));
+    console.log(`  🔁 Re-indexed ${fileId}: ${missing.length - unclaimed.size} of ${missing.length} missing face(s) restored`);
+  }
+
+  /**
+   * Bounding boxes of the missing faces, from their /faces docs or extractedFaces
+   */
+  private async boxesOf(userId: string, file: FileRecord, missing: MissingCollectionFace[]): Promise<Map<string, any>> {
+    const boxes = new Map<string, any>();
+    (file.extractedFaces || []).forEach((face: any) => {
+      const faceId = extractedFaceId(face);
+      if (faceId) boxes.set(faceId, face.boundingBox || face.BoundingBox);
+    });
+    const docs = await this.store.getFaces(userId, missing.map(face => face.faceId));
+    docs.forEach(doc => {
+      if (doc?.boundingBox) boxes.set(doc.faceId, doc.boundingBox);
+    });
+    return boxes;
+  }
+
+  /**
+   * Point everything that names a face at its new FaceId
+   */
+  private async replaceFaceId(userId: string, fileId: string, oldId: string, newId: string): Promise<void> {
+    const groupIds = (await this.store.findGroupsContainingFaces(userId, [oldId])).map(g => g.groupId);
+    const swap = (ids: string[] = []) => ids.map(id => id === oldId ? newId : id);
+
+    await this.store.runTransaction(async (transaction) => {
+      const [groups, [face], file] = await Promise.all([
+        transaction.getGroups(userId, groupIds),
+        transaction.getFaces(userId, [oldId]),
+        transaction.getFile(userId, fileId)
+      ]);
+
+      groups.forEach(group => {
+        if (!group) return;
+        transaction.updateGroup(userId, group.groupId, {
+          faceIds: swap(group.faceIds),
+          ...(group.leaderFaceId === oldId ? { leaderFaceId: newId } : {}),
+          updatedAt: StoreField.serverTimestamp()
+        });
+      });
+
+      if (face) {
+        const { faceId: _, ...data } = face;
+        transaction.setFace(userId, newId, { ...data, reindexedFrom: oldId, updatedAt: StoreField.serverTimestamp() });
+        transaction.deleteFace(userId, oldId);
+      }
+
+      if (file) {
+        const patch: Record<string, any> = {};
+        if (Array.isArray(file.extractedFaces)) {
+          patch.extractedFaces = file.extractedFaces.map((entry: any) => extractedFaceId(entry) !== oldId ? entry : {
+            ...entry,
+            ...(entry.faceId ? { faceId: newId } : {}),
+            ...(entry.FaceId ? { FaceId: newId } : {})
+          });
+        }
+        const mapped = file.faceGroupMapping?.[oldId];
+        if (mapped) {
+          patch.faceGroupMapping = { [oldId]: StoreField.delete(), [newId]: mapped };
+        }
+        if (Object.keys(patch).length > 0) transaction.mergeFile(userId, fileId, patch);
+      }
+    });
+
+    // Outside the transaction - these can be many docs
+    const [edges, cannotLinks] = await Promise.all([
+      this.store.findEdgesForFaces(userId, [oldId]),
+      this.store.listCannotLinks(userId)
+    ]);
+    const links = cannotLinks.filter(c => c.members.includes(oldId));
+    if (edges.length === 0 && links.length === 0) return;
+
+    await this.store.write(writer => {
+      edges.forEach(edge => writer.deleteEdge(userId, edge.edgeId));
+      links.forEach(c => writer.updateCannotLink(userId, c.constraintId, {
+        sideA: { ...c.sideA, faceIds: swap(c.sideA.faceIds) },
+        sideB: { ...c.sideB, faceIds: swap(c.sideB.faceIds) },
+        members: swap(c.members)
+      }));
+    });
+  }
+}
+
+/**
+ * NaN for a missing time, so it never counts as old enough
+ */
+/**
+ * Fetch an image, giving up after IMAGE_DOWNLOAD_TIMEOUT_MS (headers and body)
+ */
+async function downloadImage(url: string): Promise<Uint8Array> {
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(IMAGE_DOWNLOAD_TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`Image download failed: HTTP ${response.status}`);
+    return new Uint8Array(await response.arrayBuffer());
+  } catch (error: any) {
+    if (error?.name === 'TimeoutError') {
+      throw new Error(`Image download timed out after ${IMAGE_DOWNLOAD_TIMEOUT_MS / 1000}s`);
+    }
+    throw error;
+  }
+}
+
+function millisOf(value: any): number {
+  if (value && typeof value.toMillis === 'function') return value.toMillis();
+  return value ? new Date(value).getTime() : NaN;
+}
+
+// Export singleton instance
+export const collectionReconciler = new CollectionReconciler();
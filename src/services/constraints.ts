@@ -0,0 +1,289 @@
+/**
+ * Grouping Constraints Service
+ * Persists user decisions that automatic grouping must respect
+ *
+ * A cannot-link constraint says "everything on side A is a different person
+ * from everything on side B". Each side holds face IDs (face level) and/or
+ * group IDs (group level), so one doc covers a whole split or removal.
+ *
+ * A must-link is a face the user confirmed into a group (drag-and-drop). It
+ * lives on the /faces doc itself (confirmed/confirmedGroupId) so it moves
+ * with the face and disappears with it.
+ */
+
+import { CannotLinkConstraint, CannotLinkReason, CannotLinkSide, FaceGroup, MustLink } from '../types';
+import { FaceStore, StoreField, getFaceStore } from './faceStore';
+
+/**
+ * Anything that can sit on a side of a constraint: a lone face or a group
+ */
+export interface ConstraintSubject {
+  faceIds: string[];
+  groupId?: string;
+  groupIds?: string[];  // For subjects spanning several groups (e.g. a recluster candidate)
+}
+
+/**
+ * In-memory lookup over a user's cannot-link constraints
+ * Load once per operation with ConstraintStore.loadCannotLinkIndex().
+ */
+export class CannotLinkIndex {
+  private byFace = new Map<string, string[]>();
+  private byGroup = new Map<string, string[]>();
+
+  constructor(public readonly constraints: CannotLinkConstraint[]) {
+    for (const c of constraints) {
+      for (const [side, label] of [[c.sideA, 'A'], [c.sideB, 'B']] as Array<[CannotLinkSide, string]>) {
+        (side.faceIds || []).forEach(id => this.add(this.byFace, id, `${c.constraintId}:${label}`));
+        (side.groupIds || []).forEach(id => this.add(this.byGroup, id, `${c.constraintId}:${label}`));
+      }
+    }
+  }
+
+  get size(): number {
+    return this.constraints.length;
+  }
+
+  /**
+   * True if some constraint puts a on one side and b on the other
+   */
+  conflicts(a: ConstraintSubject, b: ConstraintSubject): boolean {
+    if (this.constraints.length === 0) return false;
+
+    const sidesOfA = this.sidesOf(a);
+    if (sidesOfA.size === 0) return false;
+
+    for (const key of this.sidesOf(b)) {
+      const [constraintId, side] = key.split(':');
+      if (sidesOfA.has(`${constraintId}:${side === 'A' ? 'B' : 'A'}`)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * True if any constraint separates two of the given subjects
+   */
+  conflictsWithin(subjects: ConstraintSubject[]): boolean {
+    for (let i = 0; i < subjects.length; i++) {
+      for (let j = i + 1; j < subjects.length; j++) {
+        if (this.conflicts(subjects[i], subjects[j])) return true;
+      }
+    }
+    return false;
+  }
+
+  private sidesOf(subject: ConstraintSubject): Set<string> {
+    const sides = new Set<string>();
+    subject.faceIds.forEach(id => (this.byFace.get(id) || []).forEach(k => sides.add(k)));
+    [...(subject.groupId ? [subject.groupId] : []), ...(subject.groupIds || [])]
+      .forEach(id => (this.byGroup.get(id) || []).forEach(k => sides.add(k)));
+    return sides;
+  }
+
+  private add(map: Map<string, string[]>, id: string, key: string): void {
+    const keys = map.get(id) || [];
+    keys.push(key);
+    map.set(id, keys);
+  }
+}
+
+/**
+ * Convert a group into a constraint subject
+ */
+export function groupSubject(group: Pick<FaceGroup, 'groupId' | 'faceIds'>): ConstraintSubject {
+  return { faceIds: group.faceIds || [], groupId: group.groupId };
+}
+
+export class ConstraintStore {
+  get store(): FaceStore {
+    return getFaceStore();
+  }
+
+  /**
+   * Record that side A and side B are different people
+   */
+  async addCannotLink(
+    userId: string,
+    sideA: CannotLinkSide,
+    sideB: CannotLinkSide,
+    reason: CannotLinkReason,
+    sourceGroupId?: string
+  ): Promise<CannotLinkConstraint> {
+    const constraintId = this.store.newId();
+    const normalize = (side: CannotLinkSide): CannotLinkSide => ({
+      faceIds: [...new Set(side.faceIds || [])],
+      groupIds: [...new Set(side.groupIds || [])]
+    });
+    const a = normalize(sideA);
+    const b = normalize(sideB);
+
+    const constraint: CannotLinkConstraint = {
+      constraintId,
+      sideA: a,
+      sideB: b,
+      members: [...new Set([...a.faceIds, ...a.groupIds, ...b.faceIds, ...b.groupIds])],
+      reason,
+      ...(sourceGroupId ? { sourceGroupId } : {}),
+      createdAt: StoreField.serverTimestamp()
+    };
+
+    await this.store.write(writer => writer.setCannotLink(userId, constraintId, constraint));
+    console.log(`    🚫 Cannot-link ${constraintId} (${reason}): ${a.faceIds.length} face(s)/${a.groupIds.length} group(s) vs ${b.faceIds.length} face(s)/${b.groupIds.length} group(s)`);
+    return constraint;
+  }
+
+  /**
+   * Get all cannot-link constraints for a user
+   */
+  async getCannotLinks(userId: string): Promise<CannotLinkConstraint[]> {
+    return this.store.listCannotLinks(userId);
+  }
+
+  /**
+   * Load every cannot-link for a user into an in-memory index
+   * On failure returns an empty index - grouping then behaves as before.
+   */
+  async loadCannotLinkIndex(userId: string): Promise<CannotLinkIndex> {
+    try {
+      return new CannotLinkIndex(await this.getCannotLinks(userId));
+    } catch (error) {
+      console.error(`    ❌ Failed to load cannot-link constraints for ${userId}:`, error);
+      return new CannotLinkIndex([]);
+    }
+  }
+
+  /**
+   * Delete a cannot-link constraint
+   * @returns false if it didn't exist
+   */
+  async deleteCannotLink(userId: string, constraintId: string): Promise<boolean> {
+    const existing = await this.store.getCannotLink(userId, constraintId);
+    if (!existing) return false;
+
+    await this.store.write(writer => writer.deleteCannotLink(userId, constraintId));
+    return true;
+  }
+
+  /**
+   * Delete cannot-links that separate any two of the given subjects
+   * Used when the user explicitly puts them together, overriding the old decision.
+   *
+   * @returns Number of constraints deleted
+   */
+  async clearConflictingCannotLinks(userId: string, subjects: ConstraintSubject[]): Promise<number> {
+    const constraints = await this.getCannotLinks(userId);
+    const conflicting = constraints.filter(c => new CannotLinkIndex([c]).conflictsWithin(subjects));
+    if (conflicting.length === 0) return 0;
+
+    await this.store.write(writer => conflicting.forEach(c => writer.deleteCannotLink(userId, c.constraintId)));
+
+    console.log(`    🚫 Cleared ${conflicting.length} cannot-link constraint(s) overridden by the user`);
+    return conflicting.length;
+  }
+
+  /**
+   * Get every face the user confirmed into a group
+   */
+  async getMustLinks(userId: string): Promise<MustLink[]> {
+    const confirmedFaces = await this.store.findFacesByField(userId, 'confirmed', true);
+
+    return confirmedFaces
+      .filter(data => data.confirmedGroupId)
+      .map(data => ({
+        faceId: data.faceId,
+        groupId: data.confirmedGroupId,
+        confirmedAt: data.confirmedAt
+      }));
+  }
+
+  /**
+   * Map of confirmed faceId -> groupId
+   * On failure returns an empty map - grouping then behaves as before.
+   */
+  async loadMustLinkMap(userId: string): Promise<Map<string, string>> {
+    try {
+      const mustLinks = await this.getMustLinks(userId);
+      return new Map(mustLinks.map(m => [m.faceId, m.groupId]));
+    } catch (error) {
+      console.error(`    ❌ Failed to load must-links for ${userId}:`, error);
+      return new Map();
+    }
+  }
+
+  /**
+   * Record that the groups a split produced are different people
+   * @param resultGroups - The split group and the groups created from it
+   */
+  async onGroupSplit(userId: string, resultGroups: FaceGroup[], sourceGroupId: string): Promise<void> {
+    for (let i = 0; i < resultGroups.length; i++) {
+      for (let j = i + 1; j < resultGroups.length; j++) {
+        try {
+          await this.addCannotLink(
+            userId,
+            { faceIds: resultGroups[i].faceIds || [], groupIds: [resultGroups[i].groupId] },
+            { faceIds: resultGroups[j].faceIds || [], groupIds: [resultGroups[j].groupId] },
+            'split',
+            sourceGroupId
+          );
+        } catch (error) {
+          console.error(`    ❌ Failed to record cannot-link after split of ${sourceGroupId}:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Keep constraints in step with a merge
+   * A manual merge overrides constraints that separated the merged groups (the
+   * user changed their mind); group references to the deleted secondaries are
+   * repointed at the primary so group-level constraints survive.
+   *
+   * @param mergedGroups - Pre-merge snapshots; the first is the primary
+   */
+  async onGroupsMerged(userId: string, mergedGroups: FaceGroup[], manual: boolean): Promise<void> {
+    const [primary, ...secondaries] = mergedGroups;
+    if (!primary || secondaries.length === 0) return;
+
+    try {
+      const constraints = await this.getCannotLinks(userId);
+      const secondaryIds = new Set(secondaries.map(g => g.groupId));
+      const deletes: string[] = [];
+      const updates: Array<[string, Partial<CannotLinkConstraint>]> = [];
+
+      for (const c of constraints) {
+        const index = new CannotLinkIndex([c]);
+        if (manual && index.conflictsWithin(mergedGroups.map(groupSubject))) {
+          deletes.push(c.constraintId);
+          continue;
+        }
+
+        const remap = (ids: string[]) => [...new Set(ids.map(id => secondaryIds.has(id) ? primary.groupId : id))];
+        if ([...c.sideA.groupIds, ...c.sideB.groupIds].some(id => secondaryIds.has(id))) {
+          const sideA = { ...c.sideA, groupIds: remap(c.sideA.groupIds) };
+          const sideB = { ...c.sideB, groupIds: remap(c.sideB.groupIds) };
+          updates.push([c.constraintId, {
+            sideA,
+            sideB,
+            members: [...new Set([...sideA.faceIds, ...sideA.groupIds, ...sideB.faceIds, ...sideB.groupIds])]
+          }]);
+        }
+      }
+
+      const changes = deletes.length + updates.length;
+      if (changes > 0) {
+        await this.store.write(writer => {
+          deletes.forEach(id => writer.deleteCannotLink(userId, id));
+          updates.forEach(([id, patch]) => writer.updateCannotLink(userId, id, patch));
+        });
+        console.log(`    🚫 Updated ${changes} cannot-link constraint(s) after merge into ${primary.groupId}`);
+      }
+    } catch (error) {
+      console.error(`    ❌ Failed to update cannot-link constraints after merge:`, error);
+    }
+  }
+}
+
+// Export singleton instance
+export const constraintStore = new ConstraintStore();
@@ -0,0 +1,159 @@
+/**
+ * Duplicate Files
+ * Spots the same photo uploaded more than once by the content hash on its
+ * file doc (analysis.metadata.hash, written by the uploader)
+ *
+ * processFaces links the faces of a repeat upload to the matching faces of
+ * the first processed copy (the original) instead of grouping them again:
+ * each gets a /faces doc with duplicateOf set and a faceGroupMapping entry
+ * for the original face's group, but never joins the group's faceIds. The
+ * repeat's file doc gets duplicateOfFileId.
+ *
+ * Groups built before this still list repeat faces; uniqueFaceCount counts
+ * them once. Replaces cleanup-john-by-hash.js.
+ */
+
+import { FaceStore, FileRecord, getFaceStore } from './faceStore';
+import { boundingBoxesMatch } from './batchProcessing';
+import { DuplicateFileCluster, FaceGroup } from '../types';
+
+export const CONTENT_HASH_FIELD = 'analysis.metadata.hash';
+
+/**
+ * A face of the original a repeat upload's face stands for
+ */
+export interface OriginalFace {
+  faceId: string;
+  fileId: string;
+  groupId: string;
+}
+
+export function contentHashOf(file: FileRecord | null): string | null {
+  const hash = file?.analysis?.metadata?.hash;
+  return typeof hash === 'string' && hash ? hash : null;
+}
+
+function uploadTime(file: FileRecord): number {
+  const uploadedAt = file.uploadedAt;
+  if (!uploadedAt) return Infinity;
+  if (typeof uploadedAt.toMillis === 'function') return uploadedAt.toMillis();
+  const time = new Date(uploadedAt).getTime();
+  return Number.isNaN(time) ? Infinity : time;
+}
+
+// Oldest upload first; fileId breaks ties so every caller picks the same original
+function byUpload(a: FileRecord, b: FileRecord): number {
+  return uploadTime(a) - uploadTime(b) || a.fileId.localeCompare(b.fileId);
+}
+
+function isProcessed(file: FileRecord): boolean {
+  return Object.keys(file.faceGroupMapping || {}).length > 0;
+}
+
+export class DuplicateFiles {
+  get store(): FaceStore {
+    return getFaceStore();
+  }
+
+  /**
+   * The already-processed copy of this file's photo, if there is one
+   * Repeats are never originals, so links always point at the first copy.
+   */
+  async findOriginal(userId: string, file: FileRecord): Promise<FileRecord | null> {
+    const hash = contentHashOf(file);
+    if (!hash) return null;
+
+    const copies = await this.store.findFilesByField(userId, CONTENT_HASH_FIELD, hash);
+    const original = copies
+      .filter(copy => copy.fileId !== file.fileId && !copy.duplicateOfFileId && isProcessed(copy))
+      .sort(byUpload)[0];
+    return original || null;
+  }
+
+  /**
+   * The original's face at the same spot in the photo, with the group it's in
+   */
+  matchFace(original: FileRecord, boundingBox: any): OriginalFace | null {
+    const mapping: Record<string, string> = original.faceGroupMapping || {};
+    const extracted: any[] = Array.isArray(original.extractedFaces) ? original.extractedFaces : [];
+
+    for (const face of extracted) {
+      const faceId = face?.faceId || face?.FaceId;
+      if (faceId && mapping[faceId] && boundingBoxesMatch(boundingBox, face.boundingBox || face.BoundingBox)) {
+        return { faceId, fileId: original.fileId, groupId: mapping[faceId] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Files sharing a content hash, largest cluster first
+   */
+  async listClusters(userId: string): Promise<DuplicateFileCluster[]> {
+    const byHash = new Map<string, FileRecord[]>();
+    (await this.store.listFiles(userId)).forEach(file => {
+      const hash = contentHashOf(file);
+      if (hash) byHash.set(hash, [...(byHash.get(hash) || []), file]);
+    });
+
+    const clusters: DuplicateFileCluster[] = [];
+    byHash.forEach((files, hash) => {
+      if (files.length < 2) return;
+      const sorted = [...files].sort(byUpload);
+      const original = sorted.find(file => !file.duplicateOfFileId && isProcessed(file)) || sorted[0];
+      clusters.push({
+        hash,
+        originalFileId: original.fileId,
+        files: sorted.map(file => ({
+          fileId: file.fileId,
+          fileName: file.fileName || null,
+          uploadedAt: file.uploadedAt || null,
+          faceCount: Object.keys(file.faceGroupMapping || {}).length,
+          duplicateOfFileId: file.duplicateOfFileId || null
+        }))
+      });
+    });
+    return clusters.sort((a, b) => b.files.length - a.files.length || a.hash.localeCompare(b.hash));
+  }
+
+  /**
+   * Set uniqueFaceCount: faceCount with repeat uploads of a photo counted once
+   * A face counts by the file that maps it to the group; among files with the
+   * same hash only the one with the most of the group's faces counts.
+   *
+   * @param files - The user's files, when the caller already has them all
+   */
+  async withUniqueFaceCounts(userId: string, groups: FaceGroup[], files?: FileRecord[]): Promise<FaceGroup[]> {
+    if (groups.length === 0) return groups;
+
+    if (!files) {
+      const fileIds = [...new Set(groups.flatMap(g => g.fileIds || []))];
+      files = (await this.store.getFiles(userId, fileIds)).filter((file): file is FileRecord => !!file);
+    }
+
+    return groups.map(group => {
+      const faceIds = new Set(group.faceIds || []);
+      const unplaced = new Set(faceIds);
+      const perPhoto = new Map<string, number>();   // hash (or fileId) -> most faces in one copy
+
+      files!.forEach(file => {
+        const mapped = Object.entries(file.faceGroupMapping || {})
+          .filter(([faceId, groupId]) => groupId === group.groupId && unplaced.has(faceId))
+          .map(([faceId]) => faceId);
+        if (mapped.length === 0) return;
+        mapped.forEach(faceId => unplaced.delete(faceId));
+        const photo = contentHashOf(file) || file.fileId;
+        perPhoto.set(photo, Math.max(perPhoto.get(photo) || 0, mapped.length));
+      });
+
+      let uniqueFaceCount = unplaced.size;
+      perPhoto.forEach(count => {
+        uniqueFaceCount += count;
+      });
+      return { ...group, uniqueFaceCount };
+    });
+  }
+}
+
+// Export singleton instance
+export const duplicateFiles = new DuplicateFiles();
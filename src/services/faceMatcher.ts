@@ -0,0 +1,86 @@
+/**
+ * Face Matcher
+ * Provider-neutral interface over the face collection (search, delete, list, index)
+ *
+ * GroupManager only talks to a FaceMatcher, so grouping runs against AWS
+ * Rekognition in production and against fixture match tables offline.
+ * Pick the adapter with FACE_MATCHER=rekognition|memory; the in-memory one
+ * loads its tables from FACE_MATCHER_FIXTURES (a JSON file) when set.
+ */
+
+import * as fs from 'fs';
+import { FaceMatchCandidate } from '../types';
+import { RekognitionFaceMatcher } from './rekognitionMatcher';
+import { InMemoryFaceMatcher, FaceMatcherFixtures } from './inMemoryMatcher';
+
+/**
+ * A face stored in a user's collection
+ */
+export interface IndexedFace {
+  faceId: string;
+  externalImageId?: string;  // Our fileId, when the indexer set it
+  boundingBox?: any;
+  confidence?: number;
+}
+
+/**
+ * Image to detect and index faces from
+ */
+export interface FaceImage {
+  bytes?: Uint8Array;
+  s3Object?: { bucket: string; name: string };
+  externalImageId?: string;
+}
+
+export interface SearchFacesOptions {
+  threshold?: number;  // Minimum similarity, 0-100
+  maxFaces?: number;
+}
+
+export interface FaceMatcher {
+  readonly name: string;
+
+  /**
+   * Faces in the user's collection that match an indexed face, best first
+   */
+  searchFaces(userId: string, faceId: string, options?: SearchFacesOptions): Promise<FaceMatchCandidate[]>;
+
+  /**
+   * Remove faces from the user's collection
+   * @returns IDs actually deleted
+   */
+  deleteFaces(userId: string, faceIds: string[]): Promise<string[]>;
+
+  /**
+   * Every face in the user's collection
+   */
+  listFaces(userId: string): Promise<IndexedFace[]>;
+
+  /**
+   * Detect faces in an image and add them to the user's collection
+   */
+  indexFaces(userId: string, image: FaceImage): Promise<IndexedFace[]>;
+}
+
+/**
+ * Build the matcher named by FACE_MATCHER (defaults to Rekognition)
+ * Call after env vars are loaded.
+ */
+export function createFaceMatcher(): FaceMatcher {
+  const kind = (process.env.FACE_MATCHER || 'rekognition').toLowerCase();
+
+  if (kind === 'memory') {
+    let fixtures: FaceMatcherFixtures = {};
+    const fixturesPath = process.env.FACE_MATCHER_FIXTURES;
+    if (fixturesPath) {
+      fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+      console.log(`🧪 Loaded face matcher fixtures for ${Object.keys(fixtures).length} user(s) from ${fixturesPath}`);
+    }
+    return new InMemoryFaceMatcher(fixtures);
+  }
+
+  if (kind !== 'rekognition') {
+    throw new Error(`Unknown FACE_MATCHER "${kind}" - expected "rekognition" or "memory"`);
+  }
+  return new RekognitionFaceMatcher();
+}
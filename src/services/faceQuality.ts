@@ -0,0 +1,153 @@
+/**
+ * Face Quality Scoring
+ * Ranks stored face data so groups get a large, sharp, frontal leader thumbnail,
+ * and picks the best of overlapping boxes Rekognition returns for one head
+ */
+
+/**
+ * Relative weight of each quality signal. Signals missing from a face are
+ * dropped and the remaining weights renormalized, so older face docs that
+ * only carry a bounding box and confidence still rank sensibly.
+ */
+const WEIGHTS = {
+  area: 0.4,
+  confidence: 0.2,
+  pose: 0.25,
+  sharpness: 0.15
+};
+
+// Faces at least this wide/tall (as a fraction of the image) get full area credit
+const FULL_CREDIT_SIDE = 0.3;
+
+// Combined |yaw| + |pitch| (degrees) at which a face counts as fully off-angle
+const MAX_POSE_DEVIATION = 90;
+
+// Same-file boxes overlapping at least this much are one head (FACE_OVERLAP_IOU overrides)
+const DEFAULT_OVERLAP_IOU = 0.5;
+
+/**
+ * A face dropped because a better one covers the same head
+ */
+export interface SuppressedFace {
+  faceId: string;
+  keptFaceId: string;
+  iou: number;
+}
+
+/**
+ * Score a stored face between 0 (unusable) and 1 (ideal leader)
+ * Uses bounding-box area, Rekognition confidence, and pose/sharpness when present.
+ *
+ * @param faceData - A /faces doc or incoming Face
+ */
+export function scoreFace(faceData: any): number {
+  if (!faceData) return 0;
+
+  const signals: Array<{ weight: number; value: number }> = [];
+
+  const box = faceData.boundingBox || faceData.BoundingBox;
+  if (box && typeof box.Width === 'number' && typeof box.Height === 'number') {
+    const side = Math.sqrt(Math.max(0, box.Width * box.Height));
+    signals.push({ weight: WEIGHTS.area, value: Math.min(1, side / FULL_CREDIT_SIDE) });
+  } else {
+    // Without a box the face can't even be cropped
+    return 0;
+  }
+
+  if (typeof faceData.confidence === 'number') {
+    signals.push({ weight: WEIGHTS.confidence, value: clamp(faceData.confidence / 100) });
+  }
+
+  const pose = faceData.pose || faceData.Pose;
+  if (pose && (typeof pose.Yaw === 'number' || typeof pose.Pitch === 'number')) {
+    const deviation = Math.abs(pose.Yaw || 0) + Math.abs(pose.Pitch || 0);
+    signals.push({ weight: WEIGHTS.pose, value: clamp(1 - deviation / MAX_POSE_DEVIATION) });
+  }
+
+  const quality = faceData.quality || faceData.Quality;
+  if (quality && typeof quality.Sharpness === 'number') {
+    signals.push({ weight: WEIGHTS.sharpness, value: clamp(quality.Sharpness / 100) });
+  }
+
+  const totalWeight = signals.reduce((sum, s) => sum + s.weight, 0);
+  return signals.reduce((sum, s) => sum + s.weight * s.value, 0) / totalWeight;
+}
+
+/**
+ * Pick the best-scoring face among candidates
+ * Ties keep the earlier candidate, so callers list the current leader first
+ * to avoid churning between equally good faces.
+ *
+ * @returns The winning candidate, or null if there are none
+ */
+export function selectBestFace<T extends { faceId: string; data: any }>(candidates: T[]): T | null {
+  let best: T | null = null;
+  let bestScore = -1;
+
+  for (const candidate of candidates) {
+    const score = scoreFace(candidate.data);
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Intersection over union of two Rekognition bounding boxes (0 if either is missing)
+ */
+export function boxIoU(a: any, b: any): number {
+  if (!a || !b) return 0;
+  const width = Math.min(a.Left + a.Width, b.Left + b.Width) - Math.max(a.Left, b.Left);
+  const height = Math.min(a.Top + a.Height, b.Top + b.Height) - Math.max(a.Top, b.Top);
+  if (!(width > 0 && height > 0)) return 0;
+
+  const intersection = width * height;
+  const union = a.Width * a.Height + b.Width * b.Height - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+export function overlapThreshold(): number {
+  const iou = Number(process.env.FACE_OVERLAP_IOU);
+  return iou > 0 && iou <= 1 ? iou : DEFAULT_OVERLAP_IOU;
+}
+
+/**
+ * Keep the best face of each set of overlapping boxes in one file
+ * Greedy non-maximum suppression: faces are taken best score first and
+ * dropped if they overlap an already kept face by `threshold` IoU or more.
+ * Kept faces stay in their original order.
+ */
+export function suppressOverlappingFaces<T extends { faceId: string }>(
+  faces: T[],
+  threshold: number = overlapThreshold()
+): { kept: T[]; suppressed: SuppressedFace[] } {
+  const boxOf = (face: any) => face.boundingBox || face.BoundingBox;
+  const ranked = faces
+    .map((face, index) => ({ face, index, score: scoreFace(face) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  const kept: typeof ranked = [];
+  const suppressed: SuppressedFace[] = [];
+  for (const candidate of ranked) {
+    const overlap = kept
+      .map(k => ({ keptFaceId: k.face.faceId, iou: boxIoU(boxOf(candidate.face), boxOf(k.face)) }))
+      .find(o => o.iou >= threshold);
+    if (overlap && candidate.face.faceId !== overlap.keptFaceId) {
+      suppressed.push({ faceId: candidate.face.faceId, ...overlap });
+    } else {
+      kept.push(candidate);
+    }
+  }
+
+  return {
+    kept: kept.sort((a, b) => a.index - b.index).map(k => k.face),
+    suppressed
+  };
+}
+
+function clamp(value: number): number {
+  return Math.max(0, Math.min(1, value));
+}
@@ -0,0 +1,230 @@
+/**
+ * Face Store
+ * Repository over a user's groups, faces, files, match edges, cannot-links
+ * process-faces idempotency records and the audit log, plus the background job queue and
+ * service API keys
+ *
+ * Everything that persists grouping state goes through a FaceStore, so the
+ * grouping algorithm runs unchanged against Firestore in production and
+ * entirely in-process in development. Pick the backend with
+ * FACE_STORE=firestore|memory (default firestore).
+ *
+ * Field values that need the backend's help (server timestamps, array
+ * unions, deletes) are written with the StoreField helpers below rather
+ * than Firestore's FieldValue, so both backends can apply them.
+ */
+
+import { ApiKey, AuditEntry, CannotLinkConstraint, FaceGroup, FaceMatchEdge, IdempotencyRecord, Job, JobStatus, ReconciliationRun } from '../types';
+import { FirestoreFaceStore } from './firestoreFaceStore';
+import { InMemoryFaceStore } from './inMemoryFaceStore';
+
+/**
+ * A /faces doc; faceId is always the doc ID
+ */
+export interface FaceRecord {
+  faceId: string;
+  [field: string]: any;
+}
+
+/**
+ * A /files doc; fileId is always the doc ID
+ */
+export interface FileRecord {
+  fileId: string;
+  [field: string]: any;
+}
+
+export type StoreData = Record<string, any>;
+
+/**
+ * A group doc that was created, changed or deleted (deleted: its last state)
+ */
+export interface GroupChange {
+  type: 'added' | 'modified' | 'removed';
+  group: FaceGroup;
+}
+
+/**
+ * Backend-neutral field operations
+ */
+export type FieldOp =
+  | { __fieldOp: 'serverTimestamp' }
+  | { __fieldOp: 'arrayUnion'; values: any[] }
+  | { __fieldOp: 'arrayRemove'; values: any[] }
+  | { __fieldOp: 'delete' };
+
+// Typed as any so they can stand in for any field, like FieldValue sentinels
+export const StoreField = {
+  serverTimestamp: (): any => ({ __fieldOp: 'serverTimestamp' }),
+  arrayUnion: (...values: any[]): any => ({ __fieldOp: 'arrayUnion', values }),
+  arrayRemove: (...values: any[]): any => ({ __fieldOp: 'arrayRemove', values }),
+  delete: (): any => ({ __fieldOp: 'delete' })
+};
+
+export function isFieldOp(value: any): value is FieldOp {
+  return !!value && typeof value === 'object' && typeof value.__fieldOp === 'string';
+}
+
+/**
+ * Writes queued in a batch or transaction
+ * update* fails (code 'not-found') if the doc doesn't exist; merge* creates it.
+ */
+export interface FaceStoreWriter {
+  setGroup(userId: string, groupId: string, data: StoreData): void;
+  updateGroup(userId: string, groupId: string, patch: StoreData): void;
+  deleteGroup(userId: string, groupId: string): void;
+
+  setFace(userId: string, faceId: string, data: StoreData, options?: { merge?: boolean }): void;
+  updateFace(userId: string, faceId: string, patch: StoreData): void;
+  deleteFace(userId: string, faceId: string): void;
+
+  mergeFile(userId: string, fileId: string, data: StoreData): void;
+
+  setEdge(userId: string, edgeId: string, edge: StoreData): void;
+  updateEdge(userId: string, edgeId: string, patch: StoreData): void;
+  deleteEdge(userId: string, edgeId: string): void;
+
+  setCannotLink(userId: string, constraintId: string, data: StoreData): void;
+  updateCannotLink(userId: string, constraintId: string, patch: StoreData): void;
+  deleteCannotLink(userId: string, constraintId: string): void;
+
+  setIdempotencyRecord(userId: string, recordId: string, data: StoreData): void;
+  deleteIdempotencyRecord(userId: string, recordId: string): void;
+
+  // Jobs aren't per-user docs - GET /api/jobs/:jobId has only the ID
+  setJob(jobId: string, data: StoreData): void;
+  updateJob(jobId: string, patch: StoreData): void;
+
+  // Service API keys (top level too - they aren't tied to a user)
+  setApiKey(keyId: string, data: StoreData): void;
+  updateApiKey(keyId: string, patch: StoreData): void;
+
+  // The audit log is append-only - there is no update or delete
+  addAuditEntry(userId: string, entryId: string, data: StoreData): void;
+
+  setReconciliationRun(userId: string, runId: string, data: StoreData): void;
+}
+
+/**
+ * Reads available inside a transaction (all reads before the first write)
+ */
+export interface FaceStoreTransaction extends FaceStoreWriter {
+  getGroups(userId: string, groupIds: string[]): Promise<Array<FaceGroup | null>>;
+  getFaces(userId: string, faceIds: string[]): Promise<Array<FaceRecord | null>>;
+  getFile(userId: string, fileId: string): Promise<FileRecord | null>;
+  getIdempotencyRecord(userId: string, recordId: string): Promise<IdempotencyRecord | null>;
+  getJob(jobId: string): Promise<Job | null>;
+}
+
+export interface TransactionOptions {
+  /**
+   * Attempts before giving up on a contended transaction (Firestore default 5)
+   */
+  maxAttempts?: number;
+}
+
+export interface FaceStore {
+  readonly name: string;
+
+  // Groups
+  getGroup(userId: string, groupId: string): Promise<FaceGroup | null>;
+  listGroups(userId: string, options?: { newestFirst?: boolean }): Promise<FaceGroup[]>;
+  findGroupsContainingFaces(userId: string, faceIds: string[]): Promise<FaceGroup[]>;
+  findGroupsByFile(userId: string, fileId: string): Promise<FaceGroup[]>;
+
+  /**
+   * Follow a user's groups, whoever writes them (any instance, jobs, scripts)
+   * onChange is first called with initial set and every current group as
+   * 'added' (no changes when there are no groups), then with each commit's
+   * changes together. After onError the watch has ended.
+   * @returns Call to stop watching
+   */
+  watchGroups(userId: string, onChange: (changes: GroupChange[], initial: boolean) => void, onError: (error: Error) => void): () => void;
+
+  // Faces
+  getFace(userId: string, faceId: string): Promise<FaceRecord | null>;
+  getFaces(userId: string, faceIds: string[]): Promise<Array<FaceRecord | null>>;
+  listFaces(userId: string): Promise<FaceRecord[]>;
+  findFacesByFile(userId: string, fileId: string): Promise<FaceRecord[]>;
+  findFacesByField(userId: string, field: string, value: any, limit?: number): Promise<FaceRecord[]>;
+
+  // Files
+  getFile(userId: string, fileId: string): Promise<FileRecord | null>;
+  getFiles(userId: string, fileIds: string[]): Promise<Array<FileRecord | null>>;
+  listFiles(userId: string): Promise<FileRecord[]>;
+  findFilesByField(userId: string, field: string, value: any): Promise<FileRecord[]>;   // field may be a dotted path
+
+  // Match edges
+  getEdges(userId: string, edgeIds: string[]): Promise<Array<FaceMatchEdge | null>>;
+  listEdges(userId: string): Promise<FaceMatchEdge[]>;
+  findEdgesForFaces(userId: string, faceIds: string[]): Promise<FaceMatchEdge[]>;
+
+  // Cannot-link constraints
+  getCannotLink(userId: string, constraintId: string): Promise<CannotLinkConstraint | null>;
+  listCannotLinks(userId: string): Promise<CannotLinkConstraint[]>;
+
+  // Idempotency records
+  getIdempotencyRecord(userId: string, recordId: string): Promise<IdempotencyRecord | null>;
+
+  // Jobs
+  getJob(jobId: string): Promise<Job | null>;
+  listJobs(filter: { status?: JobStatus; userId?: string }): Promise<Job[]>;
+
+  // Service API keys
+  getApiKey(keyId: string): Promise<ApiKey | null>;
+  listApiKeys(): Promise<ApiKey[]>;
+
+  // Audit log, newest first; `after` is the entryId to continue past
+  getAuditEntry(userId: string, entryId: string): Promise<AuditEntry | null>;
+  listAuditEntries(userId: string, options: { since?: Date; until?: Date; after?: string; limit: number }): Promise<AuditEntry[]>;
+
+  // AWS collection reconciliation reports, newest first
+  getReconciliationRun(userId: string, runId: string): Promise<ReconciliationRun | null>;
+  listReconciliationRuns(userId: string, limit: number): Promise<ReconciliationRun[]>;
+
+  /**
+   * A fresh document ID (for docs without a natural key)
+   */
+  newId(): string;
+
+  /**
+   * Apply writes in batches; atomic only up to the backend's batch limit
+   */
+  write(fn: (writer: FaceStoreWriter) => void): Promise<void>;
+
+  /**
+   * Run reads and writes atomically
+   * fn is re-run from the top if a doc it read changed before commit, so it
+   * must not have side effects outside the transaction.
+   */
+  runTransaction<T>(fn: (transaction: FaceStoreTransaction) => Promise<T>, options?: TransactionOptions): Promise<T>;
+}
+
+let store: FaceStore | null = null;
+
+/**
+ * The configured store, created on first use (after env vars are loaded)
+ */
+export function getFaceStore(): FaceStore {
+  if (!store) {
+    store = createFaceStore();
+    console.log(`🗄️ Face store: ${store.name}`);
+  }
+  return store;
+}
+
+/**
+ * Swap the store (local development, in-process scenarios)
+ */
+export function setFaceStore(next: FaceStore): void {
+  store = next;
+}
+
+function createFaceStore(): FaceStore {
+  const kind = (process.env.FACE_STORE || 'firestore').toLowerCase();
+  if (kind === 'memory') return new InMemoryFaceStore();
+  if (kind !== 'firestore') {
+    throw new Error(`Unknown FACE_STORE "${kind}" - expected "firestore" or "memory"`);
+  }
+  return new FirestoreFaceStore();
+}
@@ -0,0 +1,501 @@
+/**
+ * Firestore Face Store
+ * FaceStore backed by /users/{userId}/{faceGroups,faces,files,faceMatches,cannotLinks,idempotencyKeys,auditLog,reconciliationRuns}
+ * and the top-level /faceJobs and /apiKeys
+ */
+
+import { getDb } from '../config/firebase';
+import { ApiKey, AuditEntry, CannotLinkConstraint, FaceGroup, FaceMatchEdge, IdempotencyRecord, Job, JobStatus, ReconciliationRun } from '../types';
+import { FieldValue, Transaction, WriteBatch, DocumentSnapshot } from 'firebase-admin/firestore';
+import {
+  FaceRecord,
+  FaceStore,
+  FaceStoreTransaction,
+  FaceStoreWriter,
+  FileRecord,
+  GroupChange,
+  StoreData,
+  TransactionOptions,
+  isFieldOp
+} from './faceStore';
+
+// Batched writes are capped at 500 operations
+const BATCH_LIMIT = 500;
+
+// array-contains-any accepts at most 10 values per query
+const ANY_LIMIT = 10;
+
+type Collection = 'faceGroups' | 'faces' | 'files' | 'faceMatches' | 'cannotLinks' | 'idempotencyKeys' | 'auditLog' | 'reconciliationRuns';
+
+/**
+ * Translate StoreField ops into Firestore FieldValue sentinels
+ */
+function toFirestore(data: StoreData): StoreData {
+  const result: StoreData = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (isFieldOp(value)) {
+      switch (value.__fieldOp) {
+        case 'serverTimestamp': result[key] = FieldValue.serverTimestamp(); break;
+        case 'arrayUnion': result[key] = FieldValue.arrayUnion(...value.values); break;
+        case 'arrayRemove': result[key] = FieldValue.arrayRemove(...value.values); break;
+        case 'delete': result[key] = FieldValue.delete(); break;
+      }
+    } else if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      result[key] = toFirestore(value);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+function toGroup(doc: DocumentSnapshot): FaceGroup | null {
+  return doc.exists ? ({ ...doc.data(), groupId: doc.id } as FaceGroup) : null;
+}
+
+function toFace(doc: DocumentSnapshot): FaceRecord | null {
+  return doc.exists ? { ...doc.data(), faceId: doc.id } : null;
+}
+
+function toFile(doc: DocumentSnapshot): FileRecord | null {
+  return doc.exists ? { ...doc.data(), fileId: doc.id } : null;
+}
+
+function toEdge(doc: DocumentSnapshot): FaceMatchEdge | null {
+  return doc.exists ? ({ ...doc.data(), edgeId: doc.id } as FaceMatchEdge) : null;
+}
+
+function toCannotLink(doc: DocumentSnapshot): CannotLinkConstraint | null {
+  return doc.exists ? ({ ...doc.data(), constraintId: doc.id } as CannotLinkConstraint) : null;
+}
+
+function toIdempotencyRecord(doc: DocumentSnapshot): IdempotencyRecord | null {
+  if (!doc.exists) return null;
+  const data = doc.data()!;
+  // expiresAt comes back as a Timestamp
+  const expiresAt = data.expiresAt?.toDate ? data.expiresAt.toDate() : data.expiresAt;
+  return { ...data, expiresAt, recordId: doc.id } as IdempotencyRecord;
+}
+
+// Job fields the queue compares against the clock
+const JOB_DATE_FIELDS = ['runAfter', 'heartbeatAt', 'startedAt', 'finishedAt'];
+
+function toJob(doc: DocumentSnapshot): Job | null {
+  if (!doc.exists) return null;
+  const data = doc.data()!;
+  JOB_DATE_FIELDS.forEach(field => {
+    if (data[field]?.toDate) data[field] = data[field].toDate();
+  });
+  return { ...data, jobId: doc.id } as Job;
+}
+
+function toApiKey(doc: DocumentSnapshot): ApiKey | null {
+  return doc.exists ? ({ ...doc.data(), keyId: doc.id } as ApiKey) : null;
+}
+
+function toAuditEntry(doc: DocumentSnapshot): AuditEntry | null {
+  return doc.exists ? ({ ...doc.data(), entryId: doc.id } as AuditEntry) : null;
+}
+
+function toReconciliationRun(doc: DocumentSnapshot): ReconciliationRun | null {
+  return doc.exists ? ({ ...doc.data(), runId: doc.id } as ReconciliationRun) : null;
+}
+
+/**
+ * FaceStoreWriter over a Firestore batch or transaction
+ */
+abstract class FirestoreWriter implements FaceStoreWriter {
+  protected operations = 0;
+
+  constructor(protected store: FirestoreFaceStore) {}
+
+  /**
+   * Batch or transaction the next write goes to
+   */
+  protected abstract nextTarget(): WriteBatch | Transaction;
+
+  setGroup(userId: string, groupId: string, data: StoreData): void {
+    this.set(userId, 'faceGroups', groupId, data);
+  }
+
+  updateGroup(userId: string, groupId: string, patch: StoreData): void {
+    this.update(userId, 'faceGroups', groupId, patch);
+  }
+
+  deleteGroup(userId: string, groupId: string): void {
+    this.delete(userId, 'faceGroups', groupId);
+  }
+
+  setFace(userId: string, faceId: string, data: StoreData, options: { merge?: boolean } = {}): void {
+    this.set(userId, 'faces', faceId, data, options.merge);
+  }
+
+  updateFace(userId: string, faceId: string, patch: StoreData): void {
+    this.update(userId, 'faces', faceId, patch);
+  }
+
+  deleteFace(userId: string, faceId: string): void {
+    this.delete(userId, 'faces', faceId);
+  }
+
+  mergeFile(userId: string, fileId: string, data: StoreData): void {
+    this.set(userId, 'files', fileId, data, true);
+  }
+
+  setEdge(userId: string, edgeId: string, edge: StoreData): void {
+    this.set(userId, 'faceMatches', edgeId, edge);
+  }
+
+  updateEdge(userId: string, edgeId: string, patch: StoreData): void {
+    this.update(userId, 'faceMatches', edgeId, patch);
+  }
+
+  deleteEdge(userId: string, edgeId: string): void {
+    this.delete(userId, 'faceMatches', edgeId);
+  }
+
+  setCannotLink(userId: string, constraintId: string, data: StoreData): void {
+    this.set(userId, 'cannotLinks', constraintId, data);
+  }
+
+  updateCannotLink(userId: string, constraintId: string, patch: StoreData): void {
+    this.update(userId, 'cannotLinks', constraintId, patch);
+  }
+
+  deleteCannotLink(userId: string, constraintId: string): void {
+    this.delete(userId, 'cannotLinks', constraintId);
+  }
+
+  setIdempotencyRecord(userId: string, recordId: string, data: StoreData): void {
+    this.set(userId, 'idempotencyKeys', recordId, data);
+  }
+
+  deleteIdempotencyRecord(userId: string, recordId: string): void {
+    this.delete(userId, 'idempotencyKeys', recordId);
+  }
+
+  setJob(jobId: string, data: StoreData): void {
+    (this.nextTarget() as WriteBatch).set(this.store.jobs().doc(jobId), toFirestore(data));
+    this.operations++;
+  }
+
+  updateJob(jobId: string, patch: StoreData): void {
+    (this.nextTarget() as WriteBatch).update(this.store.jobs().doc(jobId), toFirestore(patch));
+    this.operations++;
+  }
+
+  addAuditEntry(userId: string, entryId: string, data: StoreData): void {
+    this.set(userId, 'auditLog', entryId, data);
+  }
+
+  setReconciliationRun(userId: string, runId: string, data: StoreData): void {
+    this.set(userId, 'reconciliationRuns', runId, data);
+  }
+
+  setApiKey(keyId: string, data: StoreData): void {
+    (this.nextTarget() as WriteBatch).set(this.store.apiKeys().doc(keyId), toFirestore(data));
+    this.operations++;
+  }
+
+  updateApiKey(keyId: string, patch: StoreData): void {
+    (this.nextTarget() as WriteBatch).update(this.store.apiKeys().doc(keyId), toFirestore(patch));
+    this.operations++;
+  }
+
+  private set(userId: string, collection: Collection, id: string, data: StoreData, merge = false): void {
+    const ref = this.store.collection(userId, collection).doc(id);
+    // WriteBatch and Transaction share these call shapes
+    (this.nextTarget() as WriteBatch).set(ref, toFirestore(data), { merge });
+    this.operations++;
+  }
+
+  private update(userId: string, collection: Collection, id: string, patch: StoreData): void {
+    (this.nextTarget() as WriteBatch).update(this.store.collection(userId, collection).doc(id), toFirestore(patch));
+    this.operations++;
+  }
+
+  private delete(userId: string, collection: Collection, id: string): void {
+    (this.nextTarget() as WriteBatch).delete(this.store.collection(userId, collection).doc(id));
+    this.operations++;
+  }
+}
+
+/**
+ * Spreads writes over as many batches as the 500-operation cap needs
+ */
+class ChunkedBatchWriter extends FirestoreWriter {
+  private batches: WriteBatch[] = [];
+
+  protected nextTarget(): WriteBatch {
+    if (this.operations % BATCH_LIMIT === 0) {
+      this.batches.push(this.store.db.batch());
+    }
+    return this.batches[this.batches.length - 1];
+  }
+
+  async commit(): Promise<void> {
+    for (const batch of this.batches) {
+      await batch.commit();
+    }
+  }
+}
+
+class FirestoreTransaction extends FirestoreWriter implements FaceStoreTransaction {
+  constructor(store: FirestoreFaceStore, private transaction: Transaction) {
+    super(store);
+  }
+
+  protected nextTarget(): Transaction {
+    return this.transaction;
+  }
+
+  async getGroups(userId: string, groupIds: string[]): Promise<Array<FaceGroup | null>> {
+    if (groupIds.length === 0) return [];
+    const docs = await this.transaction.getAll(...groupIds.map(id => this.store.collection(userId, 'faceGroups').doc(id)));
+    return docs.map(toGroup);
+  }
+
+  async getFaces(userId: string, faceIds: string[]): Promise<Array<FaceRecord | null>> {
+    if (faceIds.length === 0) return [];
+    const docs = await this.transaction.getAll(...faceIds.map(id => this.store.collection(userId, 'faces').doc(id)));
+    return docs.map(toFace);
+  }
+
+  async getFile(userId: string, fileId: string): Promise<FileRecord | null> {
+    return toFile(await this.transaction.get(this.store.collection(userId, 'files').doc(fileId)));
+  }
+
+  async getIdempotencyRecord(userId: string, recordId: string): Promise<IdempotencyRecord | null> {
+    return toIdempotencyRecord(await this.transaction.get(this.store.collection(userId, 'idempotencyKeys').doc(recordId)));
+  }
+
+  async getJob(jobId: string): Promise<Job | null> {
+    return toJob(await this.transaction.get(this.store.jobs().doc(jobId)));
+  }
+}
+
+export class FirestoreFaceStore implements FaceStore {
+  readonly name = 'firestore';
+
+  get db() {
+    return getDb();
+  }
+
+  collection(userId: string, collection: Collection) {
+    return this.db.collection('users').doc(userId).collection(collection);
+  }
+
+  jobs() {
+    return this.db.collection('faceJobs');
+  }
+
+  apiKeys() {
+    return this.db.collection('apiKeys');
+  }
+
+  async getGroup(userId: string, groupId: string): Promise<FaceGroup | null> {
+    return toGroup(await this.collection(userId, 'faceGroups').doc(groupId).get());
+  }
+
+  watchGroups(userId: string, onChange: (changes: GroupChange[], initial: boolean) => void, onError: (error: Error) => void): () => void {
+    let initial = true;
+    return this.collection(userId, 'faceGroups').onSnapshot(
+      snapshot => {
+        const changes = snapshot.docChanges().map(change => ({ type: change.type, group: toGroup(change.doc)! }));
+        // The first snapshot counts even when empty: it's the user's starting point
+        if (initial || changes.length > 0) onChange(changes, initial);
+        initial = false;
+      },
+      onError
+    );
+  }
+
+  async listGroups(userId: string, options: { newestFirst?: boolean } = {}): Promise<FaceGroup[]> {
+    const collection = this.collection(userId, 'faceGroups');
+    const snapshot = options.newestFirst
+      ? await collection.orderBy('updatedAt', 'desc').get()
+      : await collection.get();
+    return snapshot.docs.map(doc => toGroup(doc)!);
+  }
+
+  async findGroupsContainingFaces(userId: string, faceIds: string[]): Promise<FaceGroup[]> {
+    return this.findAny(userId, 'faceGroups', 'faceIds', faceIds, toGroup, g => g.groupId);
+  }
+
+  async findGroupsByFile(userId: string, fileId: string): Promise<FaceGroup[]> {
+    const snapshot = await this.collection(userId, 'faceGroups').where('fileIds', 'array-contains', fileId).get();
+    return snapshot.docs.map(doc => toGroup(doc)!);
+  }
+
+  async getFace(userId: string, faceId: string): Promise<FaceRecord | null> {
+    return toFace(await this.collection(userId, 'faces').doc(faceId).get());
+  }
+
+  async getFaces(userId: string, faceIds: string[]): Promise<Array<FaceRecord | null>> {
+    if (faceIds.length === 0) return [];
+    const docs = await this.db.getAll(...faceIds.map(id => this.collection(userId, 'faces').doc(id)));
+    return docs.map(toFace);
+  }
+
+  async listFaces(userId: string): Promise<FaceRecord[]> {
+    const snapshot = await this.collection(userId, 'faces').get();
+    return snapshot.docs.map(doc => toFace(doc)!);
+  }
+
+  async findFacesByFile(userId: string, fileId: string): Promise<FaceRecord[]> {
+    return this.findFacesByField(userId, 'fileId', fileId);
+  }
+
+  async findFacesByField(userId: string, field: string, value: any, limit?: number): Promise<FaceRecord[]> {
+    let query = this.collection(userId, 'faces').where(field, '==', value);
+    if (limit) query = query.limit(limit);
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => toFace(doc)!);
+  }
+
+  async getFile(userId: string, fileId: string): Promise<FileRecord | null> {
+    return toFile(await this.collection(userId, 'files').doc(fileId).get());
+  }
+
+  async getFiles(userId: string, fileIds: string[]): Promise<Array<FileRecord | null>> {
+    if (fileIds.length === 0) return [];
+    const docs = await this.db.getAll(...fileIds.map(id => this.collection(userId, 'files').doc(id)));
+    return docs.map(toFile);
+  }
+
+  async listFiles(userId: string): Promise<FileRecord[]> {
+    const snapshot = await this.collection(userId, 'files').get();
+    return snapshot.docs.map(doc => toFile(doc)!);
+  }
+
+  async findFilesByField(userId: string, field: string, value: any): Promise<FileRecord[]> {
+    const snapshot = await this.collection(userId, 'files').where(field, '==', value).get();
+    return snapshot.docs.map(doc => toFile(doc)!);
+  }
+
+  async getEdges(userId: string, edgeIds: string[]): Promise<Array<FaceMatchEdge | null>> {
+    if (edgeIds.length === 0) return [];
+    const docs = await this.db.getAll(...edgeIds.map(id => this.collection(userId, 'faceMatches').doc(id)));
+    return docs.map(toEdge);
+  }
+
+  async listEdges(userId: string): Promise<FaceMatchEdge[]> {
+    const snapshot = await this.collection(userId, 'faceMatches').get();
+    return snapshot.docs.map(doc => toEdge(doc)!);
+  }
+
+  async findEdgesForFaces(userId: string, faceIds: string[]): Promise<FaceMatchEdge[]> {
+    return this.findAny(userId, 'faceMatches', 'faceIds', faceIds, toEdge, e => e.edgeId);
+  }
+
+  async getCannotLink(userId: string, constraintId: string): Promise<CannotLinkConstraint | null> {
+    return toCannotLink(await this.collection(userId, 'cannotLinks').doc(constraintId).get());
+  }
+
+  async listCannotLinks(userId: string): Promise<CannotLinkConstraint[]> {
+    const snapshot = await this.collection(userId, 'cannotLinks').get();
+    return snapshot.docs.map(doc => toCannotLink(doc)!);
+  }
+
+  async getIdempotencyRecord(userId: string, recordId: string): Promise<IdempotencyRecord | null> {
+    return toIdempotencyRecord(await this.collection(userId, 'idempotencyKeys').doc(recordId).get());
+  }
+
+  async getJob(jobId: string): Promise<Job | null> {
+    return toJob(await this.jobs().doc(jobId).get());
+  }
+
+  async listJobs(filter: { status?: JobStatus; userId?: string }): Promise<Job[]> {
+    // Equality filters only, so no composite index is needed - order in memory
+    let query: FirebaseFirestore.Query = this.jobs();
+    if (filter.status) query = query.where('status', '==', filter.status);
+    if (filter.userId) query = query.where('userId', '==', filter.userId);
+    const snapshot = await query.get();
+    return snapshot.docs
+      .map(doc => toJob(doc)!)
+      .sort((a, b) => millisOf(a.createdAt) - millisOf(b.createdAt));
+  }
+
+  async getApiKey(keyId: string): Promise<ApiKey | null> {
+    return toApiKey(await this.apiKeys().doc(keyId).get());
+  }
+
+  async listApiKeys(): Promise<ApiKey[]> {
+    const snapshot = await this.apiKeys().get();
+    return snapshot.docs.map(doc => toApiKey(doc)!);
+  }
+
+  async getAuditEntry(userId: string, entryId: string): Promise<AuditEntry | null> {
+    return toAuditEntry(await this.collection(userId, 'auditLog').doc(entryId).get());
+  }
+
+  async listAuditEntries(
+    userId: string,
+    options: { since?: Date; until?: Date; after?: string; limit: number }
+  ): Promise<AuditEntry[]> {
+    // Range filters on the ordered field only, so the single-field index serves
+    let query = this.collection(userId, 'auditLog').orderBy('createdAt', 'desc');
+    if (options.since) query = query.where('createdAt', '>=', options.since);
+    if (options.until) query = query.where('createdAt', '<', options.until);
+    if (options.after) {
+      const cursor = await this.collection(userId, 'auditLog').doc(options.after).get();
+      if (cursor.exists) query = query.startAfter(cursor);
+    }
+    const snapshot = await query.limit(options.limit).get();
+    return snapshot.docs.map(doc => toAuditEntry(doc)!);
+  }
+
+  async getReconciliationRun(userId: string, runId: string): Promise<ReconciliationRun | null> {
+    return toReconciliationRun(await this.collection(userId, 'reconciliationRuns').doc(runId).get());
+  }
+
+  async listReconciliationRuns(userId: string, limit: number): Promise<ReconciliationRun[]> {
+    const snapshot = await this.collection(userId, 'reconciliationRuns').orderBy('startedAt', 'desc').limit(limit).get();
+    return snapshot.docs.map(doc => toReconciliationRun(doc)!);
+  }
+
+  newId(): string {
+    return this.db.collection('_').doc().id;
+  }
+
+  async write(fn: (writer: FaceStoreWriter) => void): Promise<void> {
+    const writer = new ChunkedBatchWriter(this);
+    fn(writer);
+    await writer.commit();
+  }
+
+  async runTransaction<T>(fn: (transaction: FaceStoreTransaction) => Promise<T>, options: TransactionOptions = {}): Promise<T> {
+    // Firestore retries contended transactions itself, with backoff
+    return this.db.runTransaction(
+      transaction => fn(new FirestoreTransaction(this, transaction)),
+      options.maxAttempts ? { maxAttempts: options.maxAttempts } : undefined
+    );
+  }
+
+  private async findAny<T>(
+    userId: string,
+    collection: Collection,
+    field: string,
+    values: string[],
+    convert: (doc: DocumentSnapshot) => T | null,
+    keyOf: (item: T) => string
+  ): Promise<T[]> {
+    const found = new Map<string, T>();
+    for (let i = 0; i < values.length; i += ANY_LIMIT) {
+      const snapshot = await this.collection(userId, collection)
+        .where(field, 'array-contains-any', values.slice(i, i + ANY_LIMIT))
+        .get();
+      snapshot.docs.forEach(doc => {
+        const item = convert(doc)!;
+        if (!found.has(keyOf(item))) found.set(keyOf(item), item);
+      });
+    }
+    return [...found.values()];
+  }
+}
+
+function millisOf(value: any): number {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value.toMillis === 'function') return value.toMillis();
+  return 0;
+}
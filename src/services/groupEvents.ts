@@ -0,0 +1,226 @@
+/**
+ * Group Events
+ * Feed of group changes behind GET /api/stream/:userId
+ *
+ * Events come from watching the user's faceGroups in the store (a Firestore
+ * snapshot listener), so every instance with an open stream sees changes
+ * written anywhere - other instances, jobs, scripts. Each instance watches a
+ * user only while one of their streams is open there. Events aren't
+ * replayed, so clients reload in full whenever their stream (re)connects.
+ */
+
+import { EventEmitter } from 'events';
+import { isDeepStrictEqual } from 'util';
+import { FaceGroup, GroupEvent } from '../types';
+import { GroupChange, getFaceStore } from './faceStore';
+import { groupManager } from './groupManager';
+
+// Open streams per instance before Node warns about a listener leak
+const MAX_SUBSCRIBERS = 1000;
+
+// Wait before watching again after the store ends a watch with an error
+const REWATCH_DELAY_MS = 5 * 1000;
+
+type GroupEventInput = Omit<GroupEvent, 'eventId' | 'userId' | 'at'>;
+
+interface UserWatch {
+  groups: Map<string, FaceGroup>;  // The user's groups as streams last saw them
+  primed: boolean;                 // First snapshot taken into groups
+  whenPrimed: Array<() => void>;   // Subscribers waiting to hear they're live
+  queue: Promise<void>;            // Snapshots are turned into events one at a time
+  unwatch: () => void;
+  rewatchTimer?: NodeJS.Timeout;
+}
+
+export class GroupEvents {
+  private emitter = new EventEmitter();
+  private sequence = 0;
+  private watches = new Map<string, UserWatch>();
+
+  constructor() {
+    this.emitter.setMaxListeners(MAX_SUBSCRIBERS);
+  }
+
+  get store() {
+    return getFaceStore();
+  }
+
+  /**
+   * Listen for a user's group changes
+   * The first subscriber on this instance starts watching the user's groups.
+   * @param onReady - Called once the watch has its first snapshot; every change
+   *   committed after that reaches the listener
+   * @returns Call to stop listening
+   */
+  subscribe(userId: string, listener: (event: GroupEvent) => void, onReady?: () => void): () => void {
+    this.emitter.on(userId, listener);
+    if (!this.watches.has(userId)) this.watch(userId);
+
+    let ready = onReady;
+    if (ready) {
+      const watch = this.watches.get(userId)!;
+      const notify = () => ready?.();
+      if (!watch.primed) watch.whenPrimed.push(notify);
+      else watch.queue = watch.queue.then(notify);
+    }
+
+    return () => {
+      ready = undefined;
+      this.emitter.off(userId, listener);
+      if (this.subscriberCount(userId) === 0) this.unwatch(userId);
+    };
+  }
+
+  subscriberCount(userId: string): number {
+    return this.emitter.listenerCount(userId);
+  }
+
+  /**
+   * @param previous - The watch an error ended; the first snapshot is diffed against what it saw
+   */
+  private watch(userId: string, previous?: UserWatch): void {
+    const resumed = !!previous?.primed;
+    const watch: UserWatch = {
+      groups: previous?.groups || new Map(),
+      primed: false,
+      whenPrimed: previous?.whenPrimed || [],
+      queue: Promise.resolve(),
+      unwatch: () => {}
+    };
+    this.watches.set(userId, watch);
+
+    watch.unwatch = this.store.watchGroups(
+      userId,
+      (changes, initial) => {
+        watch.queue = watch.queue
+          .then(() => this.handleChanges(userId, watch, changes, initial, resumed))
+          .catch(error => console.error(`❌ Failed to publish group changes for user ${userId}:`, error));
+      },
+      error => {
+        if (this.watches.get(userId) !== watch) return;
+        watch.unwatch();
+        console.error(`❌ Group watch for user ${userId} failed, watching again in ${REWATCH_DELAY_MS}ms:`, error);
+        watch.rewatchTimer = setTimeout(() => {
+          if (this.watches.get(userId) === watch) this.watch(userId, watch);
+        }, REWATCH_DELAY_MS);
+      }
+    );
+  }
+
+  private unwatch(userId: string): void {
+    const watch = this.watches.get(userId);
+    if (!watch) return;
+    this.watches.delete(userId);
+    clearTimeout(watch.rewatchTimer);
+    watch.unwatch();
+  }
+
+  private async handleChanges(
+    userId: string,
+    watch: UserWatch,
+    changes: GroupChange[],
+    initial: boolean,
+    resumed: boolean
+  ): Promise<void> {
+    if (this.watches.get(userId) !== watch) return;
+
+    if (initial) {
+      // The first snapshot is every current group - only news after a rewatch
+      const current = new Map(changes.map(change => [change.group.groupId, change.group]));
+      const seen = watch.groups;
+      watch.groups = current;
+      if (resumed) {
+        await this.publishChanges(userId, watch, [
+          ...[...current.values()]
+            .filter(group => !isDeepStrictEqual(seen.get(group.groupId), group))
+            .map(group => ({ type: seen.has(group.groupId) ? 'modified' : 'added', group }) as GroupChange),
+          ...[...seen.values()].filter(group => !current.has(group.groupId)).map(group => ({ type: 'removed', group }) as GroupChange)
+        ], seen);
+      }
+      watch.primed = true;
+      watch.whenPrimed.splice(0).forEach(notify => notify());
+      return;
+    }
+
+    const before = new Map(watch.groups);
+    changes.forEach(change => {
+      if (change.type === 'removed') watch.groups.delete(change.group.groupId);
+      else watch.groups.set(change.group.groupId, change.group);
+    });
+    await this.publishChanges(userId, watch, changes, before);
+  }
+
+  /**
+   * Turn one commit's group changes into stream events
+   * A written group whose mergedFrom names groups removed alongside it is a
+   * merge; groups added with a splitFrom of a group that still exists are a
+   * split. Faces entering a group, or leaving every group, are face-assigned.
+   */
+  private async publishChanges(userId: string, watch: UserWatch, changes: GroupChange[], before: Map<string, FaceGroup>): Promise<void> {
+    if (this.subscriberCount(userId) === 0 || changes.length === 0) return;
+
+    const written = changes.filter(change => change.type !== 'removed').map(change => change.group);
+    const removedIds = new Set(changes.filter(change => change.type === 'removed').map(change => change.group.groupId));
+    const reviewed = new Map((await groupManager.applyReviewStatus(userId, written)).map(group => [group.groupId, group]));
+    const current = (groupId: string) => reviewed.get(groupId) || watch.groups.get(groupId)!;
+
+    const events: GroupEventInput[] = [];
+    const reported = new Set<string>();
+
+    written.forEach(group => {
+      const mergedGroupIds = (group.mergedFrom || []).filter(id => removedIds.has(id) && !reported.has(id));
+      if (mergedGroupIds.length === 0) return;
+      events.push({ type: 'groups-merged', groupId: group.groupId, group: current(group.groupId), mergedGroupIds });
+      [group.groupId, ...mergedGroupIds].forEach(id => reported.add(id));
+    });
+
+    const splits = new Map<string, string[]>();
+    changes.forEach(({ type, group }) => {
+      if (type !== 'added' || !group.splitFrom || !watch.groups.has(group.splitFrom) || reported.has(group.groupId)) return;
+      splits.set(group.splitFrom, [...(splits.get(group.splitFrom) || []), group.groupId]);
+    });
+    splits.forEach((newGroupIds, sourceId) => {
+      if (reported.has(sourceId)) return;
+      events.push({ type: 'group-split', groupId: sourceId, groups: [sourceId, ...newGroupIds].map(current) });
+      [sourceId, ...newGroupIds].forEach(id => reported.add(id));
+    });
+
+    changes.forEach(({ type, group }) => {
+      if (reported.has(group.groupId)) return;
+      if (type === 'removed') events.push({ type: 'group-deleted', groupId: group.groupId });
+      else events.push({ type: type === 'added' ? 'group-created' : 'group-updated', groupId: group.groupId, group: current(group.groupId) });
+    });
+
+    const assigned = new Map<string, string | null>();
+    changes.forEach(({ type, group }) => {
+      if (type === 'removed') return;
+      const had = new Set(before.get(group.groupId)?.faceIds || []);
+      (group.faceIds || []).filter(faceId => !had.has(faceId)).forEach(faceId => assigned.set(faceId, group.groupId));
+    });
+    const left = changes
+      .flatMap(({ group }) => before.get(group.groupId)?.faceIds || [])
+      .filter(faceId => !assigned.has(faceId));
+    if (left.length > 0) {
+      const grouped = new Set([...watch.groups.values()].flatMap(group => group.faceIds || []));
+      left.filter(faceId => !grouped.has(faceId)).forEach(faceId => assigned.set(faceId, null));
+    }
+    assigned.forEach((groupId, faceId) => events.push({ type: 'face-assigned', faceId, groupId }));
+
+    events.forEach(event => this.publish(userId, event));
+  }
+
+  /**
+   * Never throws - one broken stream mustn't keep events from the others
+   */
+  private publish(userId: string, event: GroupEventInput): void {
+    const full: GroupEvent = { eventId: ++this.sequence, userId, at: new Date().toISOString(), ...event };
+    try {
+      this.emitter.emit(userId, full);
+    } catch (error) {
+      console.error(`❌ Failed to publish ${event.type} for user ${userId}:`, error);
+    }
+  }
+}
+
+// Export singleton instance
+export const groupEvents = new GroupEvents();
@@ -3,39 +3,98 @@
  * Core logic for face grouping with transitivity
  */
 
-import { getDb, getAdmin } from '../config/firebase';
-import { Face, FaceGroup, FileFaceUpdate } from '../types';
-import { FieldValue } from 'firebase-admin/firestore';
-import { RekognitionClient, SearchFacesCommand, DeleteFacesCommand } from '@aws-sdk/client-rekognition';
+import { getAdmin } from '../config/firebase';
+import {
+  Face,
+  FaceGroup,
+  FileFaceUpdate,
+  MergeGroupsResult,
+  SplitGroupResult,
+  LeaderSelection,
+  LeaderSelectionResult,
+  FaceMatchCandidate,
+  MatchSource,
+  MergeEvent,
+  MergeOptions,
+  GroupExplanation,
+  FaceExplanation,
+  ExplanationLink,
+  FaceMatchEdge,
+  ReclusterResult,
+  PlannedFaceAction,
+  IntegrityIssue,
+  IntegrityRepairPlan,
+  IntegrityReport
+} from '../types';
+import { selectBestFace, suppressOverlappingFaces, SuppressedFace } from './faceQuality';
+import { matchGraph } from './matchGraph';
+import { constraintStore, CannotLinkIndex, groupSubject } from './constraints';
+import { clusterFaces, planRecluster } from './reclustering';
+import { ProcessFacesPlan } from './processFacesPlan';
+import { ProcessFacesBatch } from './processFacesBatch';
+import { FaceMatcher, createFaceMatcher } from './faceMatcher';
+import { duplicateFiles, OriginalFace } from './duplicateFiles';
+import { FaceStore, FaceStoreWriter, FaceStoreTransaction, FaceRecord, StoreField, getFaceStore } from './faceStore';
+
+// Concurrent process-faces calls for one family contend on the same group
+// docs; give them more room than Firestore's default 5 attempts
+const TRANSACTION_ATTEMPTS = 10;
+
+/**
+ * Error for invalid group operations
+ * Carries the HTTP status the routes should respond with
+ */
+export class GroupOperationError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'GroupOperationError';
+  }
+}
+
+/**
+ * Whether destructive test helpers (reset) may run against this user
+ */
+export function isTestUser(userId: string): boolean {
+  return userId === 'zsvLTeIPJUYGnZHzWX7hVtLJlJX2' || userId === process.env.TEST_USER_ID;
+}
 
 export class GroupManager {
-  private rekognition: RekognitionClient | null = null;
+  private matcher: FaceMatcher | null = null;
 
   constructor() {
-    // AWS client will be initialized on first use
+    // Face matcher will be created on first use
   }
 
-  private getAWSClient(): RekognitionClient {
-    if (!this.rekognition) {
-      // Initialize AWS Rekognition client on first use (after env vars are loaded)
-      console.log('🔧 Initializing AWS Rekognition client (SDK v3)...');
-      console.log('  AWS_REGION:', process.env.AWS_REGION || 'us-east-1');
-      console.log('  AWS-ACCESS-KEY-ID:', process.env['AWS-ACCESS-KEY-ID'] ? 'Set' : 'NOT SET');
-      console.log('  AWS-SECRET-ACCESS-KEY:', process.env['AWS-SECRET-ACCESS-KEY'] ? 'Set' : 'NOT SET');
-      
-      this.rekognition = new RekognitionClient({
-        region: process.env.AWS_REGION || 'us-east-1',
-        credentials: {
-          accessKeyId: process.env['AWS-ACCESS-KEY-ID'] || '',  // Using hyphenated name from Secret Manager
-          secretAccessKey: process.env['AWS-SECRET-ACCESS-KEY'] || ''  // Using hyphenated name from Secret Manager
-        }
-      });
+  /**
+   * Face collection provider (Rekognition unless FACE_MATCHER says otherwise)
+   */
+  get faceMatcher(): FaceMatcher {
+    if (!this.matcher) {
+      // Created on first use (after env vars are loaded)
+      this.matcher = createFaceMatcher();
+      console.log(`🔧 Face matcher: ${this.matcher.name}`);
     }
-    return this.rekognition;
+    return this.matcher;
+  }
+
+  /**
+   * Swap the face matcher (local development, fixtures)
+   */
+  setFaceMatcher(matcher: FaceMatcher): void {
+    this.matcher = matcher;
+  }
+
+  get store(): FaceStore {
+    return getFaceStore();
   }
 
-  get db() {
-    return getDb();
+  /**
+   * Run a group mutation as a transaction, retried on contention
+   * Every read-modify-write of a group goes through here so concurrent
+   * writers can't lose faces or leave faceIds/faceCount/face groupId out of step.
+   */
+  private transact<T>(fn: (transaction: FaceStoreTransaction) => Promise<T>): Promise<T> {
+    return this.store.runTransaction(fn, { maxAttempts: TRANSACTION_ATTEMPTS });
   }
 
   /**
@@ -76,66 +135,117 @@ export class GroupManager {
   }
 
   /**
-   * Search for matching faces in AWS Face Collection
+   * Search for matching faces in the user's face collection
    * This is what the ArtifactProcessor should NOT be doing
+   * The threshold (97%, GH-744) lives in the matcher adapters.
    */
-  private async searchForMatches(userId: string, faceId: string): Promise<string[]> {
+  private async searchForMatches(userId: string, faceId: string): Promise<FaceMatchCandidate[]> {
     try {
-      console.log(`🔍 Searching for matches for face ${faceId} in collection face_coll_${userId}`);
-      
-      const rekognition = this.getAWSClient();
-      const command = new SearchFacesCommand({
-        CollectionId: `face_coll_${userId}`,
-        FaceId: faceId,
-        // GH-744: 85% chained unrelated crowd faces into mega-clusters
-        // (field-verified). 97% is identity-grade; transitivity amplifies
-        // any looseness, so err strict — a missed match splits a person
-        // (recoverable), a false match corrupts families (it isn't).
-        FaceMatchThreshold: 97.0,
-        MaxFaces: 20
-      });
+      console.log(`🔍 Searching for matches for face ${faceId} (${this.faceMatcher.name} matcher)`);
       
-      const response = await rekognition.send(command);
+      const matches = await this.faceMatcher.searchFaces(userId, faceId);
       
-      // Extract matched face IDs
-      const matchedFaceIds = response.FaceMatches
-        ?.map(match => match.Face?.FaceId)
-        .filter((id): id is string => id !== undefined && id !== faceId) || [];
-      
-      console.log(`✅ Face ${faceId} matches ${matchedFaceIds.length} other faces:`, matchedFaceIds);
-      return matchedFaceIds;
+      console.log(`✅ Face ${faceId} matches ${matches.length} other faces:`, matches.map(m => m.faceId));
+      return matches;
     } catch (error) {
       console.error(`❌ Error searching for face matches: ${error}`);
       return [];
     }
   }
 
+  /**
+   * Preview processFaces without writing anything
+   * Runs the same decision logic (match search, GH-744 merge rule, constraints)
+   * against an in-memory plan.
+   *
+   * @returns The groups as they would look, and one action per face
+   */
+  async planProcessFaces(
+    userId: string,
+    fileId: string,
+    faces: Face[],
+    interviewId?: string
+  ): Promise<{ groups: FaceGroup[]; actions: PlannedFaceAction[] }> {
+    const plan = new ProcessFacesPlan();
+    const groups = await this.processFaces(userId, fileId, faces, interviewId, plan);
+    return { groups, actions: plan.actions };
+  }
+
+  /**
+   * Load what a batch of processFaces calls shares: the files' docs and the user's groups
+   */
+  async prepareBatch(userId: string, fileIds: string[]): Promise<ProcessFacesBatch> {
+    const [files, groups] = await Promise.all([
+      this.store.getFiles(userId, fileIds),
+      this.store.listGroups(userId)
+    ]);
+    const batch = new ProcessFacesBatch(new Map(fileIds.map((fileId, i) => [fileId, files[i]])), groups);
+    console.log(`📦 Batch prefetched ${fileIds.length} file doc(s) and ${batch.groupCount} group(s)`);
+    return batch;
+  }
+
   /**
    * Process new faces with transitivity-aware grouping
    * This is the core algorithm that ensures A→B→C all get the same GroupId
+   *
+   * @param plan - Dry run: record decisions on the plan instead of writing
+   * @param batch - Part of a batch: read files and look up groups through its prefetched state
    */
-  async processFaces(userId: string, fileId: string, faces: Face[], interviewId?: string): Promise<FaceGroup[]> {
-    console.log('\n🎯 processFaces() CALLED');
+  async processFaces(
+    userId: string,
+    fileId: string,
+    faces: Face[],
+    interviewId?: string,
+    plan?: ProcessFacesPlan,
+    batch?: ProcessFacesBatch
+  ): Promise<FaceGroup[]> {
+    console.log(`\n🎯 processFaces() CALLED${plan ? ' (DRY RUN - nothing will be written)' : ''}`);
     console.log(`📊 Processing ${faces.length} faces for user ${userId}, file ${fileId}`);
     console.log(`🔄 Face matching v3.2 - Global face groups across all interviews`);
     console.log(`📌 Interview context: ${interviewId || 'NONE'} (groups are global, used for audit trail)`);
     console.log(`  ✅ Face groups are shared across all interviews for continuity`);
 
+    // Tags every edge, face assignment and merge from this call so they can be explained later
+    const processCallId = this.generateProcessCallId();
+    console.log(`🧾 Process call ID: ${processCallId}`);
+
+    // User "these are different people" decisions - never group across them
+    const cannotLinks = await constraintStore.loadCannotLinkIndex(userId);
+    console.log(`🚫 Loaded ${cannotLinks.size} cannot-link constraint(s)`);
+
+    // Faces the user confirmed into a group are never moved by automatic grouping
+    const confirmedFaces = await constraintStore.loadMustLinkMap(userId);
+    console.log(`📌 Loaded ${confirmedFaces.size} confirmed face(s)`);
+
+    // Dry runs read groups through the plan so earlier faces' decisions are visible;
+    // batches keep their group index in step with every group re-read
+    const readGroup = async (groupId: string) => {
+      const group = plan
+        ? await plan.getGroup(groupId, () => this.getGroup(userId, groupId))
+        : await this.getGroup(userId, groupId);
+      if (batch) {
+        if (group) batch.putGroup(group);
+        else batch.removeGroup(groupId);
+      }
+      return group;
+    };
+    const skipAll = (reason: string) => plan?.skipAll(faces.map(f => f.faceId), reason);
+
     // CRITICAL: Verify source file exists before processing faces (#237)
     // AWS may have faceIds for files that were deleted/renamed - don't create groups for them
-    const fileDoc = await this.db.collection('users').doc(userId)
-                                 .collection('files').doc(fileId).get();
+    const fileData = batch ? batch.getFile(fileId) : await this.store.getFile(userId, fileId);
 
-    if (!fileDoc.exists) {
+    if (!fileData) {
       console.log(`  ⏭️ Skipping all faces - source file ${fileId} does not exist`);
+      skipAll('source file does not exist');
       return [];
     }
 
-    const fileData = fileDoc.data();
     const imageUrl = fileData?.url || fileData?.imageUrl || fileData?.downloadURL;
 
     if (!imageUrl) {
       console.log(`  ⏭️ Skipping all faces - source file ${fileId} has no image URL`);
+      skipAll('source file has no image URL');
       return [];
     }
 
@@ -144,14 +254,26 @@ export class GroupManager {
     // CRITICAL: Verify image is actually accessible (#237)
     // This catches deleted images, expired URLs, or permission issues
     // The UI only displays faces whose images successfully load, so we must match that
-    const isAccessible = await this.isImageAccessible(imageUrl);
+    const isAccessible = batch
+      ? await batch.isAccessible(imageUrl, url => this.isImageAccessible(url))
+      : await this.isImageAccessible(imageUrl);
     if (!isAccessible) {
       console.log(`  ⏭️ Skipping all faces - image at ${imageUrl.substring(0, 60)}... is NOT accessible`);
+      skipAll('image is not accessible');
       return [];
     }
 
     console.log(`  ✅ Source file verified: ${fileId} image is accessible`);
 
+    // The same photo uploaded again: its faces are linked to the original's, not grouped twice
+    const original = await duplicateFiles.findOriginal(userId, fileData).catch(error => {
+      console.error(`  ❌ Failed to look up earlier uploads of ${fileId}:`, error);
+      return null;
+    });
+    if (original) {
+      console.log(`  🪞 File ${fileId} has the same content hash as ${original.fileId} - matching faces are linked as duplicates`);
+    }
+
     // Log exact structure of received faces
     console.log('📦 Received faces array:');
     faces.forEach((face, index) => {
@@ -166,6 +288,13 @@ export class GroupManager {
       });
     });
     
+    // Rekognition sometimes returns overlapping boxes for the same head - keep the best of each
+    const { kept: distinctFaces, suppressed } = suppressOverlappingFaces(faces);
+    suppressed.forEach(({ faceId, keptFaceId, iou }) => {
+      console.log(`  ✂️ Suppressing face ${faceId} - overlaps ${keptFaceId} (IoU ${iou.toFixed(2)})`);
+      plan?.record({ faceId, action: 'suppress', reason: `overlaps face ${keptFaceId} (IoU ${iou.toFixed(2)})` });
+    });
+
     const updatedGroups: FaceGroup[] = [];
     const fileUpdates: FileFaceUpdate[] = [];
     
@@ -174,7 +303,7 @@ export class GroupManager {
     // Each face from the same file should get its own group unless explicitly matched
     const processedFaceToGroup: Map<string, string> = new Map();
 
-    for (const face of faces) {
+    for (const face of distinctFaces) {
       console.log(`\n🔍 Processing face ${face.faceId}`);
 
       // Validate face has required image data - skip faces without valid bounding box (#237)
@@ -188,6 +317,7 @@ export class GroupManager {
           boundingBox.Height === undefined) {
         console.log(`  ⏭️ Skipping face ${face.faceId} - missing or invalid bounding box (no image data)`);
         console.log(`    BoundingBox received:`, JSON.stringify(boundingBox));
+        plan?.record({ faceId: face.faceId, action: 'skip', reason: 'missing or invalid bounding box' });
         continue;
       }
 
@@ -201,6 +331,30 @@ export class GroupManager {
         boundingBox: { L: boundingBox.Left?.toFixed(3), T: boundingBox.Top?.toFixed(3), W: boundingBox.Width?.toFixed(3), H: boundingBox.Height?.toFixed(3) }
       });
       
+      // A face of a repeat upload stands for the original's face at the same spot
+      const originalFace = original && !confirmedFaces.has(face.faceId)
+        ? duplicateFiles.matchFace(original, boundingBox)
+        : null;
+      const originalGroup = originalFace ? await readGroup(originalFace.groupId) : null;
+      if (originalFace && originalGroup &&
+          (originalGroup.faceIds || []).includes(originalFace.faceId) &&
+          !(originalGroup.faceIds || []).includes(face.faceId)) {
+        console.log(`  🪞 Face ${face.faceId} duplicates ${originalFace.faceId} in ${originalFace.fileId} - linking, not adding to group ${originalGroup.groupId}`);
+        if (plan) {
+          plan.record({
+            faceId: face.faceId,
+            action: 'duplicate',
+            groupId: originalGroup.groupId,
+            reason: `same photo as file ${originalFace.fileId} (face ${originalFace.faceId})`
+          });
+        } else {
+          await this.linkDuplicateFace(userId, face, fileId, boundingBox, originalFace, processCallId);
+        }
+        updatedGroups.push(originalGroup);
+        fileUpdates.push({ fileId, faceId: face.faceId, groupId: originalGroup.groupId });
+        continue;
+      }
+
       // Log AWS GroupId if present
       if (face.groupId) {
         console.log(`  🏷️ AWS GroupId: ${face.groupId}`);
@@ -215,13 +369,51 @@ export class GroupManager {
       }
       
       // If no matches provided, search AWS Face Collection for matches
-      let matchedFaceIds = face.matchedFaceIds;
-      if (!matchedFaceIds || matchedFaceIds.length === 0) {
+      let freshMatches: FaceMatchCandidate[];
+      let matchSource: MatchSource;
+      if (!face.matchedFaceIds || face.matchedFaceIds.length === 0) {
         console.log(`  ⚡ No matches provided - calling AWS SearchFaces API...`);
-        matchedFaceIds = await this.searchForMatches(userId, face.faceId);
-        console.log(`  ✅ AWS found ${matchedFaceIds.length} matching faces`);
+        freshMatches = await this.searchForMatches(userId, face.faceId);
+        matchSource = 'search';
+        console.log(`  ✅ AWS found ${freshMatches.length} matching faces`);
+      } else {
+        freshMatches = face.matchedFaceIds.map(id => ({ faceId: id, similarity: face.similarity }));
+        matchSource = 'provided';
+        console.log(`  📦 Using ${freshMatches.length} pre-provided matches: ${face.matchedFaceIds.join(', ')}`);
+      }
+
+      // Persist the edges, then decide from the stored graph so every grouping
+      // decision can be explained later. Fresh matches are unioned in case the
+      // edge write failed.
+      if (plan) {
+        plan.addEdges(face.faceId, freshMatches);
       } else {
-        console.log(`  📦 Using ${matchedFaceIds.length} pre-provided matches: ${matchedFaceIds.join(', ')}`);
+        await matchGraph.recordEdges(userId, face.faceId, fileId, freshMatches, matchSource, processCallId);
+      }
+      const storedNeighborIds = await matchGraph.getNeighborIds(userId, face.faceId).catch(error => {
+        console.error(`  ❌ Failed to read stored match edges for ${face.faceId}:`, error);
+        return [] as string[];
+      });
+      const matchedFaceIds = [...new Set([
+        ...storedNeighborIds,
+        ...(plan ? plan.neighborsOf(face.faceId) : []),
+        ...freshMatches.map(m => m.faceId)
+      ])]
+        .filter(id => id !== face.faceId);
+      console.log(`  🕸️ Match graph: ${matchedFaceIds.length} neighbor(s) (${storedNeighborIds.length} stored)`);
+
+      // Confirmed (must-link) faces stay where the user put them
+      const confirmedGroupId = confirmedFaces.get(face.faceId);
+      if (confirmedGroupId) {
+        const confirmedGroup = await readGroup(confirmedGroupId);
+        if (confirmedGroup && (confirmedGroup.faceIds || []).includes(face.faceId)) {
+          console.log(`  📌 Face ${face.faceId} is confirmed in group ${confirmedGroupId} - leaving it there`);
+          plan?.record({ faceId: face.faceId, action: 'skip', groupId: confirmedGroupId, reason: 'confirmed by the user' });
+          updatedGroups.push(confirmedGroup);
+          fileUpdates.push({ fileId, faceId: face.faceId, groupId: confirmedGroupId });
+          continue;
+        }
+        console.log(`  ⚠️ Face ${face.faceId} was confirmed in missing group ${confirmedGroupId} - regrouping normally`);
       }
       
       if (matchedFaceIds.length > 0) {
@@ -230,7 +422,7 @@ export class GroupManager {
         // This ensures we find existing groups when reprocessing the same face
         const searchFaceIds = [face.faceId, ...matchedFaceIds];
         console.log(`  🔍 Searching for groups containing ${searchFaceIds.length} face IDs (current + matches)...`);
-        const existingGroups = await this.findGroupsContainingFaces(userId, searchFaceIds, interviewId);
+        const existingGroups = await this.findGroupsContainingFaces(userId, searchFaceIds, interviewId, { faceId: face.faceId, cannotLinks }, plan, batch);
         console.log(`  📦 Found ${existingGroups.length} existing groups containing matched faces`);
         if (existingGroups.length > 0) {
           console.log(`  📋 Existing groups:`, existingGroups.map(g => ({
@@ -244,15 +436,21 @@ export class GroupManager {
           // No existing groups - create new group with ONLY this face
           // The matched faces will be grouped naturally when they are processed
           console.log(`  Creating new group for face (matches will be grouped when processed)`);
-          const groupId = await this.createGroup(userId, [face.faceId], fileId, face.boundingBox, interviewId);
-          
-          // Create face document for this face
-          await this.createFaceDocument(userId, face.faceId, groupId, fileId, face.boundingBox, face.confidence);
+          let groupId: string;
+          if (plan) {
+            groupId = plan.createGroup(this.generateGroupId(), face.faceId, fileId, face.boundingBox, interviewId).groupId;
+            plan.record({ faceId: face.faceId, action: 'create', groupId, matchedFaceIds, reason: 'no existing group holds a matched face' });
+          } else {
+            groupId = await this.createGroup(userId, [face.faceId], fileId, face.boundingBox, interviewId);
+
+            // Create face document for this face
+            await this.createFaceDocument(userId, face.faceId, groupId, fileId, face.boundingBox, face.confidence, face, processCallId);
+          }
           
           // Don't add matched faces to the group - they'll be added when they're actually processed
           // This prevents creating groups with phantom faces that haven't been processed yet
           
-          const newGroup = await this.getGroup(userId, groupId);
+          const newGroup = await readGroup(groupId);
           if (newGroup) updatedGroups.push(newGroup);
           fileUpdates.push({ fileId, faceId: face.faceId, groupId });
           
@@ -263,12 +461,16 @@ export class GroupManager {
           // Check if face is already in this group to prevent duplicates
           if (group.faceIds && group.faceIds.includes(face.faceId)) {
             console.log(`  ⏭️  Face ${face.faceId} already in group ${group.groupId} - skipping add operation`);
+            plan?.record({ faceId: face.faceId, action: 'skip', groupId: group.groupId, matchedFaceIds, reason: 'already in group' });
+          } else if (plan) {
+            plan.addFace(group, face.faceId, fileId);
+            plan.record({ faceId: face.faceId, action: 'add', groupId: group.groupId, matchedFaceIds });
           } else {
             console.log(`  Adding face to existing group ${group.groupId}`);
-            await this.addFaceToExistingGroup(userId, group.groupId, face.faceId, fileId, face.boundingBox, face.confidence);
+            await this.addFaceToExistingGroup(userId, group.groupId, face.faceId, fileId, face.boundingBox, face.confidence, face, processCallId);
           }
 
-          const updatedGroup = await this.getGroup(userId, group.groupId);
+          const updatedGroup = await readGroup(group.groupId);
           if (updatedGroup) updatedGroups.push(updatedGroup);
           fileUpdates.push({ fileId, faceId: face.faceId, groupId: group.groupId });
           
@@ -288,34 +490,65 @@ export class GroupManager {
           const ranked = [...existingGroups].sort((a, b) =>
             (support.get(b.groupId) || 0) - (support.get(a.groupId) || 0));
           const primaryGroupId = ranked[0].groupId;
-          const mergeable = ranked.slice(1).filter(
-            (g) => (support.get(g.groupId) || 0) >= 2);
-          const skipped = ranked.slice(1).length - mergeable.length;
-          console.log(`  ⚡ Group merge: primary ${primaryGroupId}, merging ${mergeable.length}, keeping ${skipped} single-edge group(s) separate (GH-744)`);
-
-          for (const g of mergeable) {
-            await this.mergeGroups(userId, primaryGroupId, g.groupId);
+          // Never merge across a cannot-link, including between two candidates
+          const mergeable: FaceGroup[] = [];
+          let blocked = 0;
+          for (const g of ranked.slice(1).filter((g) => (support.get(g.groupId) || 0) >= 2)) {
+            const accepted = [ranked[0], ...mergeable].map(groupSubject);
+            if (accepted.some(subject => cannotLinks.conflicts(subject, groupSubject(g)))) {
+              blocked++;
+              continue;
+            }
+            mergeable.push(g);
+          }
+          const skipped = ranked.slice(1).length - mergeable.length - blocked;
+          console.log(`  ⚡ Group merge: primary ${primaryGroupId}, merging ${mergeable.length}, keeping ${skipped} single-edge group(s) separate (GH-744), ${blocked} blocked by cannot-link`);
+
+          if (mergeable.length > 0) {
+            if (plan) {
+              plan.merge(ranked[0], mergeable);
+            } else {
+              await this.mergeGroups(userId, [primaryGroupId, ...mergeable.map(g => g.groupId)], {
+                origin: 'process-faces',
+                processCallId,
+                bridgeFaceId: face.faceId
+              });
+              mergeable.forEach(g => batch?.removeGroup(g.groupId));
+            }
           }
 
           // Get updated primary group after merge to check if face already present
-          const mergedGroup = await this.getGroup(userId, primaryGroupId);
+          const mergedGroup = await readGroup(primaryGroupId);
+          const alreadyPresent = !!mergedGroup?.faceIds?.includes(face.faceId);
 
           // Add new face to merged group only if not already present
-          if (mergedGroup && mergedGroup.faceIds && mergedGroup.faceIds.includes(face.faceId)) {
+          if (alreadyPresent) {
             console.log(`  ⏭️  Face ${face.faceId} already in merged group ${primaryGroupId} - skipping add operation`);
+          } else if (plan) {
+            if (mergedGroup) plan.addFace(mergedGroup, face.faceId, fileId);
           } else {
             console.log(`  Adding face to merged group ${primaryGroupId}`);
-            await this.addFaceToExistingGroup(userId, primaryGroupId, face.faceId, fileId, face.boundingBox, face.confidence);
+            await this.addFaceToExistingGroup(userId, primaryGroupId, face.faceId, fileId, face.boundingBox, face.confidence, face, processCallId);
           }
 
-          const updatedMergedGroup = await this.getGroup(userId, primaryGroupId);
+          plan?.record({
+            faceId: face.faceId,
+            action: mergeable.length > 0 ? 'merge' : (alreadyPresent ? 'skip' : 'add'),
+            groupId: primaryGroupId,
+            matchedFaceIds,
+            ...(mergeable.length > 0 ? { mergedGroupIds: mergeable.map(g => g.groupId) } : {}),
+            reason: `${mergeable.length} group(s) merged, ${skipped} single-edge group(s) kept separate (GH-744), ${blocked} blocked by cannot-link` +
+              (alreadyPresent ? '; face already in group' : '')
+          });
+
+          const updatedMergedGroup = await readGroup(primaryGroupId);
           if (updatedMergedGroup) updatedGroups.push(updatedMergedGroup);
           fileUpdates.push({ fileId, faceId: face.faceId, groupId: primaryGroupId });
         }
       } else {
         // No matches - but check if this face is already in an existing group
         console.log(`  No matches found - checking if face is already in a group...`);
-        const existingGroups = await this.findGroupsContainingFaces(userId, [face.faceId], interviewId);
+        const existingGroups = await this.findGroupsContainingFaces(userId, [face.faceId], interviewId, { faceId: face.faceId, cannotLinks }, plan, batch);
 
         if (existingGroups.length > 0) {
           // Face is already in a group - check if already added to prevent duplicates
@@ -324,23 +557,33 @@ export class GroupManager {
           // Check if face is already in this group
           if (group.faceIds && group.faceIds.includes(face.faceId)) {
             console.log(`  ⏭️  Face ${face.faceId} already in group ${group.groupId} - skipping add operation`);
+            plan?.record({ faceId: face.faceId, action: 'skip', groupId: group.groupId, reason: 'no matches; already in group' });
+          } else if (plan) {
+            plan.addFace(group, face.faceId, fileId);
+            plan.record({ faceId: face.faceId, action: 'add', groupId: group.groupId, reason: 'no matches' });
           } else {
             console.log(`  Face already in group ${group.groupId} - updating it`);
-            await this.addFaceToExistingGroup(userId, group.groupId, face.faceId, fileId, face.boundingBox, face.confidence);
+            await this.addFaceToExistingGroup(userId, group.groupId, face.faceId, fileId, face.boundingBox, face.confidence, face, processCallId);
           }
 
-          const updatedGroup = await this.getGroup(userId, group.groupId);
+          const updatedGroup = await readGroup(group.groupId);
           if (updatedGroup) updatedGroups.push(updatedGroup);
           fileUpdates.push({ fileId, faceId: face.faceId, groupId: group.groupId });
         } else {
           // Face is not in any group - create new single-face group
           console.log(`  Face not in any group - creating new single-face group`);
-          const groupId = await this.createGroup(userId, [face.faceId], fileId, face.boundingBox, interviewId);
+          let groupId: string;
+          if (plan) {
+            groupId = plan.createGroup(this.generateGroupId(), face.faceId, fileId, face.boundingBox, interviewId).groupId;
+            plan.record({ faceId: face.faceId, action: 'create', groupId, reason: 'no matches' });
+          } else {
+            groupId = await this.createGroup(userId, [face.faceId], fileId, face.boundingBox, interviewId);
 
-          // Create face document for this face
-          await this.createFaceDocument(userId, face.faceId, groupId, fileId, face.boundingBox, face.confidence);
+            // Create face document for this face
+            await this.createFaceDocument(userId, face.faceId, groupId, fileId, face.boundingBox, face.confidence, face, processCallId);
+          }
 
-          const newGroup = await this.getGroup(userId, groupId);
+          const newGroup = await readGroup(groupId);
           if (newGroup) updatedGroups.push(newGroup);
           fileUpdates.push({ fileId, faceId: face.faceId, groupId });
         }
@@ -348,9 +591,12 @@ export class GroupManager {
     }
 
     // Update file document with group assignments
-    if (fileUpdates.length > 0) {
+    if (fileUpdates.length > 0 && !plan) {
       await this.updateFileWithGroupIds(userId, fileId, fileUpdates);
     }
+    if (suppressed.length > 0 && !plan) {
+      await this.recordSuppressedFaces(userId, fileId, suppressed);
+    }
 
     console.log(`\n✅ Processed ${faces.length} faces into ${updatedGroups.length} groups`);
     
@@ -388,27 +634,16 @@ export class GroupManager {
     groupId: string, 
     fileId: string,
     boundingBox?: any,
-    confidence?: number
+    confidence?: number,
+    signals?: Pick<Face, 'pose' | 'quality'>,
+    processCallId?: string
   ): Promise<void> {
     try {
       console.log(`    📝 Attempting to create face document for ${faceId}...`);
       
-      const faceRef = this.db.collection('users').doc(userId)
-                            .collection('faces').doc(faceId);
-      
-      const faceData = {
-        faceId,
-        groupId,
-        fileId,
-        userId,
-        boundingBox: boundingBox || {},
-        confidence: confidence || 99.99,
-        emotions: [],
-        createdAt: FieldValue.serverTimestamp(),
-        updatedAt: FieldValue.serverTimestamp()
-      };
+      const faceData = this.buildFaceData(userId, faceId, groupId, fileId, boundingBox, confidence, signals, processCallId);
       
-      await faceRef.set(faceData);
+      await this.store.write(writer => writer.setFace(userId, faceId, faceData));
       console.log(`    ✅ Created face document: /users/${userId}/faces/${faceId} -> group ${groupId}`);
     } catch (error: any) {
       console.error(`    ❌ FAILED to create face document for ${faceId}:`, error);
@@ -418,6 +653,61 @@ export class GroupManager {
     }
   }
 
+  /**
+   * Record a repeat upload's face as a duplicate of the original's
+   * It gets a /faces doc pointing at the original face's group, but the group
+   * doesn't list it, so its faceCount isn't inflated.
+   */
+  private async linkDuplicateFace(
+    userId: string,
+    face: Face,
+    fileId: string,
+    boundingBox: any,
+    original: OriginalFace,
+    processCallId: string
+  ): Promise<void> {
+    await this.store.write(writer => {
+      writer.setFace(userId, face.faceId, {
+        ...this.buildFaceData(userId, face.faceId, original.groupId, fileId, boundingBox, face.confidence, face, processCallId),
+        duplicateOf: original.faceId
+      });
+      writer.mergeFile(userId, fileId, { duplicateOfFileId: original.fileId });
+    });
+    console.log(`    ✅ Linked face ${face.faceId} as a duplicate of ${original.faceId}`);
+  }
+
+  /**
+   * The /faces doc for a face assigned to a group
+   */
+  private buildFaceData(
+    userId: string,
+    faceId: string,
+    groupId: string,
+    fileId: string,
+    boundingBox?: any,
+    confidence?: number,
+    signals?: Pick<Face, 'pose' | 'quality'>,
+    processCallId?: string
+  ): FaceRecord {
+    return {
+      faceId,
+      groupId,
+      fileId,
+      userId,
+      boundingBox: boundingBox || {},
+      confidence: confidence || 99.99,
+      emotions: [],
+      // Quality signals for leader selection, when the processor sent them
+      ...(signals?.pose ? { pose: signals.pose } : {}),
+      ...(signals?.quality ? { quality: signals.quality } : {}),
+      // Explainability: who put this face in its group
+      assignedBy: processCallId ? 'process-faces' : 'manual',
+      ...(processCallId ? { processCallId } : {}),
+      createdAt: StoreField.serverTimestamp(),
+      updatedAt: StoreField.serverTimestamp()
+    };
+  }
+
   /**
    * Find similar faces in existing groups
    * This helps match new faces to existing groups even without explicit matchedFaceIds
@@ -426,26 +716,21 @@ export class GroupManager {
     console.log(`    Searching for similar faces to ${faceId} in existing groups...`);
     
     // First check if this face is already in a group
-    const existingGroupsQuery = this.db.collection('users').doc(userId)
-                                      .collection('faceGroups')
-                                      .where('faceIds', 'array-contains', faceId);
-    const existingSnapshot = await existingGroupsQuery.get();
+    const existingGroups = await this.store.findGroupsContainingFaces(userId, [faceId]);
     
-    if (!existingSnapshot.empty) {
+    if (existingGroups.length > 0) {
       console.log(`      Face ${faceId} is already in a group, skipping similarity search`);
       return [];
     }
     
     // Get the face document to check for embedded match data
-    const faceDoc = await this.db.collection('users').doc(userId)
-                                 .collection('faces').doc(faceId).get();
+    const faceData = await this.store.getFace(userId, faceId);
     
-    if (!faceDoc.exists) {
+    if (!faceData) {
       console.log(`      Face document ${faceId} not found in faces collection`);
       return [];
     }
-    
-    const faceData = faceDoc.data();
+
     const similarFaceIds: string[] = [];
     
     // Check if face has AWS Rekognition match data
@@ -473,16 +758,12 @@ export class GroupManager {
     
     // Additional check: Look for faces with the same externalId (if faces were imported from same source)
     if (faceData?.externalId) {
-      const externalIdQuery = this.db.collection('users').doc(userId)
-                                     .collection('faces')
-                                     .where('externalId', '==', faceData.externalId)
-                                     .limit(10);
-      const externalIdSnapshot = await externalIdQuery.get();
+      const sameExternalId = await this.store.findFacesByField(userId, 'externalId', faceData.externalId, 10);
       
-      externalIdSnapshot.forEach((doc: any) => {
-        if (doc.id !== faceId && !similarFaceIds.includes(doc.id)) {
-          similarFaceIds.push(doc.id);
-          console.log(`      Found face with same externalId: ${doc.id}`);
+      sameExternalId.forEach(face => {
+        if (face.faceId !== faceId && !similarFaceIds.includes(face.faceId)) {
+          similarFaceIds.push(face.faceId);
+          console.log(`      Found face with same externalId: ${face.faceId}`);
         }
       });
     }
@@ -503,9 +784,19 @@ export class GroupManager {
    * @param userId - User ID
    * @param faceIds - Array of face IDs to search for
    * @param interviewId - Optional, kept for audit trail (shows which interview created the group)
+   * @param conflictCheck - Drop groups a cannot-link separates from this face (or from the group it is already in)
+   * @param plan - Dry run: overlay the plan's unwritten groups on the query results
+   * @param batch - Look the faces up in the batch's group index instead of querying
    * @returns Array of face groups containing any of the specified faces
    */
-  private async findGroupsContainingFaces(userId: string, faceIds: string[], interviewId?: string): Promise<FaceGroup[]> {
+  private async findGroupsContainingFaces(
+    userId: string,
+    faceIds: string[],
+    interviewId?: string,
+    conflictCheck?: { faceId: string; cannotLinks: CannotLinkIndex },
+    plan?: ProcessFacesPlan,
+    batch?: ProcessFacesBatch
+  ): Promise<FaceGroup[]> {
     console.log(`    🔍 Looking up groups for ${faceIds.length} face IDs (GLOBAL matching)`);
 
     if (faceIds.length === 0) {
@@ -513,41 +804,40 @@ export class GroupManager {
       return [];
     }
 
-    const groups: FaceGroup[] = [];
-    const foundGroupIds = new Set<string>();
+    let groups: FaceGroup[] = [];
 
-    // Query groups directly using array-contains-any
-    // Firestore array-contains-any has a limit of 10 items, so batch if needed
-    const batchSize = 10;
-    for (let i = 0; i < faceIds.length; i += batchSize) {
-      const batch = faceIds.slice(i, i + batchSize);
-      console.log(`    📦 Querying groups batch ${Math.floor(i/batchSize) + 1}: ${batch.length} face IDs`);
+    // The store batches the array-contains-any query (10 values per query in Firestore)
+    try {
+      groups = batch
+        ? batch.findGroupsContainingFaces(faceIds)
+        : await this.store.findGroupsContainingFaces(userId, faceIds);
+      groups.forEach(group => {
+        console.log(`      ✓ Group ${group.groupId} contains ${group.faceIds?.length || 0} faces (name: ${group.groupName || '(unnamed)'}, created in: ${group.interviewId || 'global'})`);
+      });
+    } catch (error) {
+      console.error(`      ❌ Error querying groups:`, error);
+    }
 
-      try {
-        const groupsQuery = await this.db.collection('users').doc(userId)
-          .collection('faceGroups')
-          .where('faceIds', 'array-contains-any', batch)
-          .get();
+    if (plan) {
+      groups = plan.overlay(groups, faceIds);
+    }
 
-        console.log(`    ✓ Found ${groupsQuery.size} groups in batch ${Math.floor(i/batchSize) + 1}`);
+    console.log(`    📊 Found ${groups.length} unique groups containing matched faces`);
 
-        groupsQuery.forEach((doc) => {
-          const group = doc.data() as FaceGroup;
+    if (conflictCheck && conflictCheck.cannotLinks.size > 0) {
+      const { faceId, cannotLinks } = conflictCheck;
+      const ownGroup = groups.find(g => (g.faceIds || []).includes(faceId));
+      const subject = ownGroup
+        ? { faceIds: [faceId, ...(ownGroup.faceIds || [])], groupId: ownGroup.groupId }
+        : { faceIds: [faceId] };
 
-          // Only add if we haven't seen this group yet
-          if (!foundGroupIds.has(group.groupId)) {
-            foundGroupIds.add(group.groupId);
-            groups.push(group);
-            console.log(`      ✓ Group ${group.groupId} contains ${group.faceIds?.length || 0} faces (name: ${group.groupName || '(unnamed)'}, created in: ${group.interviewId || 'global'})`);
-          }
-        });
-      } catch (error) {
-        console.error(`      ❌ Error querying groups for batch:`, error);
+      const allowed = groups.filter(g => g === ownGroup || !cannotLinks.conflicts(subject, groupSubject(g)));
+      if (allowed.length < groups.length) {
+        console.log(`    🚫 Excluded ${groups.length - allowed.length} group(s) separated from face ${faceId} by cannot-link`);
       }
+      return allowed;
     }
 
-    console.log(`    📊 Found ${groups.length} unique groups containing matched faces`);
-
     return groups;
   }
 
@@ -578,8 +868,6 @@ export class GroupManager {
     }
 
     const groupId = this.generateGroupId();
-    const groupRef = this.db.collection('users').doc(userId)
-                           .collection('faceGroups').doc(groupId);
 
     const groupData: Partial<FaceGroup> = {
       groupId,
@@ -593,108 +881,1034 @@ export class GroupManager {
       fileIds: [fileId],
       faceCount: faceIds.length,
       status: 'unreviewed',
-      createdAt: FieldValue.serverTimestamp() as any,
-      updatedAt: FieldValue.serverTimestamp() as any
+      createdAt: StoreField.serverTimestamp() as any,
+      updatedAt: StoreField.serverTimestamp() as any
     };
 
-    await groupRef.set(groupData);
+    await this.store.write(writer => writer.setGroup(userId, groupId, groupData));
     console.log(`    Created group ${groupId} with ${faceIds.length} faces, leader: ${faceIds[0]}, created in interview: ${interviewId || 'N/A'}`);
     return groupId;
   }
 
 
   /**
-   * Merge two groups (for transitivity)
+   * Merge N groups into the first one (transitivity and manual merges)
+   * Everything happens in a single transaction: faceIds/fileIds are unioned,
+   * every /faces doc and file faceGroupMapping is repointed at the primary,
+   * mergedFrom records the lineage, and the secondaries are deleted.
+   *
+   * @param userId - User ID
+   * @param groupIds - Groups to merge; the first one survives as the primary
+   * @param options - What triggered the merge (recorded in mergeEvents); defaults to manual
+   * @returns The merged group and the IDs of the groups it removed, or null if the primary doesn't exist
    */
-  private async mergeGroups(userId: string, primaryGroupId: string, secondaryGroupId: string): Promise<void> {
-    console.log(`    Merging group ${secondaryGroupId} into ${primaryGroupId}`);
-    
-    // Get both groups' data
-    const primaryRef = this.db.collection('users').doc(userId)
-                             .collection('faceGroups').doc(primaryGroupId);
-    const secondaryRef = this.db.collection('users').doc(userId)
-                               .collection('faceGroups').doc(secondaryGroupId);
-    
-    const [primaryDoc, secondaryDoc] = await Promise.all([
-      primaryRef.get(),
-      secondaryRef.get()
-    ]);
-    
-    if (!secondaryDoc.exists) {
-      console.warn(`    Secondary group ${secondaryGroupId} not found`);
-      return;
+  async mergeGroups(userId: string, groupIds: string[], options: MergeOptions = {}): Promise<MergeGroupsResult | null> {
+    const uniqueGroupIds = [...new Set(groupIds.filter(Boolean))];
+    if (uniqueGroupIds.length === 0) {
+      return null;
     }
-    
-    const primaryData = primaryDoc.data() as FaceGroup;
-    const secondaryData = secondaryDoc.data() as FaceGroup;
-    
-    // Merge face IDs and calculate unique count
-    const mergedFaceIds = [...new Set([...(primaryData.faceIds || []), ...(secondaryData.faceIds || [])])];
-    const mergedFileIds = [...new Set([...(primaryData.fileIds || []), ...(secondaryData.fileIds || [])])];
-    
-    // Update all face documents from secondary group to point to primary group
-    console.log(`    Updating ${secondaryData.faceIds?.length || 0} face documents to point to primary group`);
-    const facesCollection = this.db.collection('users').doc(userId).collection('faces');
-    const updatePromises = (secondaryData.faceIds || []).map(faceId => 
-      facesCollection.doc(faceId).update({ 
-        groupId: primaryGroupId,
-        updatedAt: FieldValue.serverTimestamp()
-      }).catch(err => console.warn(`      Failed to update face ${faceId}:`, err))
+
+    const [primaryGroupId, ...secondaryGroupIds] = uniqueGroupIds;
+    console.log(`    Merging ${secondaryGroupIds.length} group(s) into ${primaryGroupId}: ${secondaryGroupIds.join(', ')}`);
+
+    const merged = await this.transact(async (transaction) => {
+      // Firestore transactions require every read before the first write
+      const [primaryData, ...secondaryDocs] = await transaction.getGroups(userId, uniqueGroupIds);
+
+      if (!primaryData) {
+        console.warn(`    Primary group ${primaryGroupId} not found`);
+        return null;
+      }
+
+      const secondaries = secondaryDocs
+        .filter((group, i): group is FaceGroup => {
+          if (!group) console.warn(`    Secondary group ${secondaryGroupIds[i]} not found`);
+          return !!group;
+        });
+
+      const secondaryFaceIds = [...new Set(secondaries.flatMap(g => g.faceIds || []))]
+        .filter(faceId => !(primaryData.faceIds || []).includes(faceId));
+      const faceDocs = await transaction.getFaces(userId, secondaryFaceIds);
+      const [primaryLeaderDoc] = primaryData.leaderFaceId
+        ? await transaction.getFaces(userId, [primaryData.leaderFaceId])
+        : [null];
+
+      // Merge face IDs and calculate unique count
+      const mergedFaceIds = [...new Set([...(primaryData.faceIds || []), ...secondaries.flatMap(g => g.faceIds || [])])];
+      const mergedFileIds = [...new Set([...(primaryData.fileIds || []), ...secondaries.flatMap(g => g.fileIds || [])])];
+
+      // Update all face documents from secondary groups to point to primary group
+      console.log(`    Updating ${faceDocs.length} face documents to point to primary group`);
+      const fileMappings = new Map<string, Record<string, string>>();
+      faceDocs.forEach((faceDoc, i) => {
+        if (!faceDoc) {
+          console.warn(`      Face document ${secondaryFaceIds[i]} not found - skipping repoint`);
+          return;
+        }
+        transaction.updateFace(userId, faceDoc.faceId, {
+          groupId: primaryGroupId,
+          // A confirmed face moves with its group
+          ...(faceDoc.confirmed ? { confirmedGroupId: primaryGroupId } : {}),
+          updatedAt: StoreField.serverTimestamp()
+        });
+
+        if (faceDoc.fileId) {
+          const mapping = fileMappings.get(faceDoc.fileId) || {};
+          mapping[faceDoc.faceId] = primaryGroupId;
+          fileMappings.set(faceDoc.fileId, mapping);
+        }
+      });
+
+      fileMappings.forEach((mapping, fileId) => {
+        transaction.mergeFile(userId, fileId, { faceGroupMapping: mapping });
+      });
+
+      // Keep the secondaries' own merge history so lineage survives chained merges
+      const mergeEvent: MergeEvent = {
+        mergedGroupIds: secondaries.map(g => g.groupId),
+        faceIds: secondaryFaceIds,
+        origin: options.origin || 'manual',
+        ...(options.processCallId ? { processCallId: options.processCallId } : {}),
+        ...(options.bridgeFaceId ? { bridgeFaceId: options.bridgeFaceId } : {}),
+        mergedAt: new Date()
+      };
+
+      const updateData: any = {
+        faceIds: mergedFaceIds,
+        fileIds: mergedFileIds,
+        faceCount: mergedFaceIds.length, // Exact count of unique faces
+        mergedFrom: StoreField.arrayUnion(...secondaries.map(g => g.groupId)),
+        mergeEvents: [
+          ...(primaryData.mergeEvents || []),
+          ...secondaries.flatMap(g => g.mergeEvents || []),
+          mergeEvent
+        ],
+        updatedAt: StoreField.serverTimestamp()
+      };
+
+      // A pinned leader survives the merge (primary's first, then the largest
+      // secondary's); otherwise the best-scoring face becomes the leader
+      const pinnedSource = [primaryData, ...[...secondaries].sort((a, b) => (b.faceIds?.length || 0) - (a.faceIds?.length || 0))]
+        .find(g => g.leaderPinned && g.leaderFaceId && mergedFaceIds.includes(g.leaderFaceId));
+      if (pinnedSource) {
+        updateData.leaderFaceId = pinnedSource.leaderFaceId;
+        updateData.leaderFaceData = pinnedSource.leaderFaceData;
+        updateData.leaderPinned = true;
+      } else {
+        // Each group's leader was already its best face, so only the primary's
+        // leader needs weighing against the incoming faces
+        const candidates = [primaryLeaderDoc, ...faceDocs]
+          .filter((doc): doc is FaceRecord => !!doc)
+          .map(doc => ({ faceId: doc.faceId, data: doc }));
+        const leader = this.electLeader(candidates, primaryData.leaderFaceData?.fileId);
+        if (leader) Object.assign(updateData, leader);
+      }
+
+      // Keep the primary's name; adopt the first named secondary if it has none
+      if (!primaryData.groupName) {
+        const named = secondaries.find(g => g.groupName);
+        if (named) {
+          updateData.groupName = named.groupName;
+          if ((named as any).personName) updateData.personName = (named as any).personName;
+        }
+      }
+
+      transaction.updateGroup(userId, primaryGroupId, updateData);
+
+      // Delete secondary groups
+      secondaries.forEach(g => transaction.deleteGroup(userId, g.groupId));
+
+      console.log(`    ✅ Merged ${secondaries.length} group(s) into ${primaryGroupId}, now has ${mergedFaceIds.length} unique faces`);
+      return { removedGroupIds: secondaries.map(g => g.groupId), mergedGroups: [{ ...primaryData, groupId: primaryGroupId }, ...secondaries] };
+    });
+
+    if (merged === null) {
+      return null;
+    }
+    const { removedGroupIds, mergedGroups } = merged;
+
+    await constraintStore.onGroupsMerged(userId, mergedGroups, (options.origin || 'manual') === 'manual');
+
+    const group = await this.getGroup(userId, primaryGroupId);
+    if (!group) {
+      return null;
+    }
+
+    return { group, removedGroupIds };
+  }
+
+  /**
+   * Split faces out of a group into new groups (undo a bad transitive merge)
+   * Each partition becomes its own group with a splitFrom lineage field; faces
+   * not named in any partition stay in the original group. If the partitions
+   * cover every face, the partition holding the leader keeps the original group.
+   * The name and leader follow the original leader face.
+   *
+   * @param userId - User ID
+   * @param groupId - Group to split
+   * @param partitions - Disjoint, non-empty lists of faceIds from the group
+   * @returns The updated original group and the newly created groups, or null if the group doesn't exist
+   */
+  async splitGroup(userId: string, groupId: string, partitions: string[][]): Promise<SplitGroupResult | null> {
+    console.log(`    Splitting group ${groupId} into ${partitions.length} new partition(s)`);
+
+    const createdGroupIds = await this.transact(async (transaction) => {
+      const [groupData] = await transaction.getGroups(userId, [groupId]);
+      if (!groupData) {
+        console.log(`Group ${groupId} not found`);
+        return null;
+      }
+
+      const groupFaceIds = groupData.faceIds || [];
+
+      // Validate partitions: non-empty, disjoint, and only faces from this group
+      const seen = new Set<string>();
+      for (const partition of partitions) {
+        if (partition.length === 0) {
+          throw new GroupOperationError('Partitions must not be empty');
+        }
+        for (const faceId of partition) {
+          if (!groupFaceIds.includes(faceId)) {
+            throw new GroupOperationError(`Face ${faceId} is not in group ${groupId}`);
+          }
+          if (seen.has(faceId)) {
+            throw new GroupOperationError(`Face ${faceId} appears in more than one partition`);
+          }
+          seen.add(faceId);
+        }
+      }
+
+      const faceDocs = await transaction.getFaces(userId, groupFaceIds);
+      const faceDataById = new Map<string, any>();
+      faceDocs.forEach(doc => {
+        if (doc) faceDataById.set(doc.faceId, doc);
+      });
+
+      // Decide which faces stay in the original group
+      const remaining = groupFaceIds.filter(faceId => !seen.has(faceId));
+      let newPartitions = partitions;
+      let keptFaceIds = remaining;
+      if (remaining.length === 0) {
+        const leaderIndex = partitions.findIndex(p => p.includes(groupData.leaderFaceId));
+        const keepIndex = leaderIndex >= 0 ? leaderIndex : 0;
+        keptFaceIds = partitions[keepIndex];
+        newPartitions = partitions.filter((_, i) => i !== keepIndex);
+      }
+
+      const fileIdsFor = (faceIds: string[]): string[] => {
+        const fileIds = [...new Set(faceIds.map(id => faceDataById.get(id)?.fileId).filter(Boolean))];
+        return fileIds.length > 0 ? fileIds : (groupData.fileIds || []).slice(0, 1);
+      };
+      const leaderFor = (faceIds: string[]): Pick<FaceGroup, 'leaderFaceId' | 'leaderFaceData' | 'leaderPinned'> => {
+        if (faceIds.includes(groupData.leaderFaceId)) {
+          return {
+            leaderFaceId: groupData.leaderFaceId,
+            leaderFaceData: groupData.leaderFaceData,
+            leaderPinned: !!groupData.leaderPinned
+          };
+        }
+        const candidates = faceIds
+          .filter(id => faceDataById.has(id))
+          .map(id => ({ faceId: id, data: faceDataById.get(id) }));
+        const leader = this.electLeader(candidates, fileIdsFor(faceIds)[0]);
+        return {
+          ...(leader || { leaderFaceId: faceIds[0], leaderFaceData: { fileId: fileIdsFor(faceIds)[0] || '', boundingBox: {} } }),
+          leaderPinned: false
+        };
+      };
+
+      // The group that ends up with the original leader keeps the name
+      const leaderStays = keptFaceIds.includes(groupData.leaderFaceId);
+      const namedFields: any = {};
+      if (groupData.groupName) namedFields.groupName = groupData.groupName;
+      if ((groupData as any).personName) namedFields.personName = (groupData as any).personName;
+
+      const newGroupIds: string[] = [];
+      const fileMappings = new Map<string, Record<string, string>>();
+      for (const partition of newPartitions) {
+        const newGroupId = this.generateGroupId();
+        newGroupIds.push(newGroupId);
+
+        const newGroupData: Partial<FaceGroup> = {
+          groupId: newGroupId,
+          interviewId: groupData.interviewId,
+          faceIds: partition,
+          ...leaderFor(partition),
+          fileIds: fileIdsFor(partition),
+          faceCount: partition.length,
+          status: groupData.status || 'unreviewed',
+          splitFrom: groupId,
+          createdAt: StoreField.serverTimestamp() as any,
+          updatedAt: StoreField.serverTimestamp() as any
+        };
+        if (!leaderStays && partition.includes(groupData.leaderFaceId)) {
+          Object.assign(newGroupData, namedFields);
+        }
+        transaction.setGroup(userId, newGroupId, newGroupData);
+
+        for (const faceId of partition) {
+          const faceData = faceDataById.get(faceId);
+          if (!faceData) {
+            console.warn(`      Face document ${faceId} not found - skipping repoint`);
+            continue;
+          }
+          transaction.updateFace(userId, faceId, {
+            groupId: newGroupId,
+            ...(faceData.confirmed ? { confirmedGroupId: newGroupId } : {}),
+            updatedAt: StoreField.serverTimestamp()
+          });
+          if (faceData.fileId) {
+            const mapping = fileMappings.get(faceData.fileId) || {};
+            mapping[faceId] = newGroupId;
+            fileMappings.set(faceData.fileId, mapping);
+          }
+        }
+      }
+
+      fileMappings.forEach((mapping, fileId) => {
+        transaction.mergeFile(userId, fileId, { faceGroupMapping: mapping });
+      });
+
+      const updateData: any = {
+        faceIds: keptFaceIds,
+        fileIds: fileIdsFor(keptFaceIds),
+        faceCount: keptFaceIds.length,
+        ...leaderFor(keptFaceIds),
+        updatedAt: StoreField.serverTimestamp()
+      };
+      if (!leaderStays && Object.keys(namedFields).length > 0) {
+        // The name left with the leader face
+        updateData.groupName = StoreField.delete();
+        updateData.personName = StoreField.delete();
+      }
+      transaction.updateGroup(userId, groupId, updateData);
+
+      console.log(`    ✅ Split group ${groupId}: kept ${keptFaceIds.length} faces, created ${newGroupIds.length} group(s)`);
+      return newGroupIds;
+    });
+
+    if (createdGroupIds === null) {
+      return null;
+    }
+
+    const [group, ...createdGroups] = await Promise.all(
+      [groupId, ...createdGroupIds].map(id => this.getGroup(userId, id))
     );
-    await Promise.all(updatePromises);
-    
-    // Update primary group with merged data
-    await primaryRef.update({
-      faceIds: mergedFaceIds,
-      fileIds: mergedFileIds,
-      faceCount: mergedFaceIds.length, // Exact count of unique faces
-      mergedFrom: FieldValue.arrayUnion(secondaryGroupId),
-      updatedAt: FieldValue.serverTimestamp()
+    if (!group) {
+      return null;
+    }
+
+    // The user said these are different people - keep processFaces from re-merging them
+    const resultGroups = [group, ...createdGroups.filter((g): g is FaceGroup => g !== null)];
+    await constraintStore.onGroupSplit(userId, resultGroups, groupId);
+
+    return {
+      group,
+      createdGroups: resultGroups.slice(1)
+    };
+  }
+
+  /**
+   * Set the leader face for a group (user's leader selection)
+   * The face must belong to the group; leaderFaceData comes from its /faces doc.
+   *
+   * @returns The updated group, or null if the group doesn't exist
+   */
+  async setLeaderFace(userId: string, groupId: string, faceId: string): Promise<FaceGroup | null> {
+    const found = await this.transact(async (transaction) => {
+      const [groupData] = await transaction.getGroups(userId, [groupId]);
+      const [faceData] = await transaction.getFaces(userId, [faceId]);
+      if (!groupData) {
+        console.log(`Group ${groupId} not found`);
+        return false;
+      }
+
+      if (!(groupData.faceIds || []).includes(faceId)) {
+        throw new GroupOperationError(`Face ${faceId} is not in group ${groupId}`);
+      }
+      if (!faceData) {
+        throw new GroupOperationError(`Face document ${faceId} not found`, 404);
+      }
+
+      transaction.updateGroup(userId, groupId, {
+        leaderFaceId: faceId,
+        leaderFaceData: {
+          fileId: faceData?.fileId || groupData.leaderFaceData?.fileId || '',
+          boundingBox: faceData?.boundingBox || {}
+        },
+        leaderPinned: true,
+        updatedAt: StoreField.serverTimestamp()
+      });
+      return true;
     });
-    
-    // Delete secondary group
-    await secondaryRef.delete();
-    console.log(`    ✅ Merged ${secondaryData.faceIds.length} faces into group, now has ${mergedFaceIds.length} unique faces`);
+
+    if (!found) {
+      return null;
+    }
+
+    console.log(`    👑 Set leader face of group ${groupId} to ${faceId}`);
+    return this.getGroup(userId, groupId);
+  }
+
+  /**
+   * Set leader faces for several groups at once (leader-selection modal)
+   * Each selection succeeds or fails on its own.
+   */
+  async setLeaderFaces(userId: string, selections: LeaderSelection[]): Promise<LeaderSelectionResult[]> {
+    const results: LeaderSelectionResult[] = [];
+
+    for (const { groupId, leaderFaceId } of selections) {
+      try {
+        const group = await this.setLeaderFace(userId, groupId, leaderFaceId);
+        results.push(group
+          ? { groupId, success: true, group }
+          : { groupId, success: false, message: 'Group not found' });
+      } catch (error: any) {
+        console.error(`Error setting leader for group ${groupId}:`, error);
+        results.push({ groupId, success: false, message: error.message || 'Failed to set leader face' });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Build leader fields for the best-scoring face among candidates
+   * Candidates are /faces doc data; see faceQuality.scoreFace for the ranking.
+   */
+  private electLeader(
+    candidates: Array<{ faceId: string; data: any }>,
+    fallbackFileId = ''
+  ): Pick<FaceGroup, 'leaderFaceId' | 'leaderFaceData'> | null {
+    const best = selectBestFace(candidates.filter(c => c.data));
+    if (!best) return null;
+
+    return {
+      leaderFaceId: best.faceId,
+      leaderFaceData: {
+        fileId: best.data.fileId || fallbackFileId,
+        boundingBox: best.data.boundingBox || {}
+      }
+    };
+  }
+
+  /**
+   * Leader fields for a group whose leader is leaving (a pin goes with it)
+   * Reads inside the caller's transaction, so call it before any write.
+   */
+  private async electReplacementLeader(
+    transaction: FaceStoreTransaction,
+    userId: string,
+    remainingFaceIds: string[],
+    fallbackFileId?: string
+  ): Promise<Partial<FaceGroup>> {
+    const faceDocs = await transaction.getFaces(userId, remainingFaceIds);
+    const leader = this.electLeader(
+      faceDocs.filter((doc): doc is FaceRecord => !!doc).map(doc => ({ faceId: doc.faceId, data: doc })),
+      fallbackFileId
+    );
+
+    if (leader) {
+      console.log(`    👑 Updated leader face to: ${leader.leaderFaceId} (fileId: ${leader.leaderFaceData.fileId})`);
+      return { ...leader, leaderPinned: false };
+    }
+    console.log(`    ⚠️ Updated leader face to: ${remainingFaceIds[0]} (face doc not found, keeping old leaderFaceData)`);
+    return { leaderFaceId: remainingFaceIds[0], leaderPinned: false };
+  }
+
+  /**
+   * Re-elect a group's leader by face quality, unless the user pinned one
+   *
+   * @param candidateFaceIds - Only weigh these faces against the current leader
+   *                           (cheap path for adds); defaults to every face in the group
+   */
+  private async reelectLeader(userId: string, groupId: string, candidateFaceIds?: string[]): Promise<void> {
+    try {
+      await this.transact(async (transaction) => {
+        const [groupData] = await transaction.getGroups(userId, [groupId]);
+        if (!groupData) return;
+
+        const faceIds = groupData.faceIds || [];
+        const leaderInGroup = !!groupData.leaderFaceId && faceIds.includes(groupData.leaderFaceId);
+        if (groupData.leaderPinned && leaderInGroup) return;
+
+        // Current leader first so ties don't churn the thumbnail
+        const candidateIds = [...new Set([
+          ...(leaderInGroup ? [groupData.leaderFaceId] : []),
+          ...(candidateFaceIds || faceIds).filter(id => faceIds.includes(id))
+        ])];
+        if (candidateIds.length === 0) return;
+
+        const faceDocs = await transaction.getFaces(userId, candidateIds);
+        const leader = this.electLeader(
+          faceDocs.filter((doc): doc is FaceRecord => !!doc).map(doc => ({ faceId: doc.faceId, data: doc })),
+          groupData.leaderFaceData?.fileId
+        );
+        if (!leader || (leader.leaderFaceId === groupData.leaderFaceId && leaderInGroup)) return;
+
+        transaction.updateGroup(userId, groupId, {
+          ...leader,
+          leaderPinned: false,
+          updatedAt: StoreField.serverTimestamp()
+        });
+        console.log(`    👑 Re-elected leader of group ${groupId}: ${leader.leaderFaceId}`);
+      });
+    } catch (error) {
+      // Leader choice is cosmetic - never fail the mutation that triggered it
+      console.warn(`    ⚠️ Could not re-elect leader for group ${groupId}:`, error);
+    }
+  }
+
+  /**
+   * Explain why a group's faces are together ("why are these grouped?")
+   * Walks the stored match graph from the leader, strongest edges first, and
+   * reports each face's chain of edges back to the leader, how the face was
+   * assigned, the merge that brought it in, and the bridge edges whose removal
+   * would disconnect the group - the usual suspects for a false merge.
+   *
+   * @returns The explanation, or null if the group doesn't exist
+   */
+  async explainGroup(userId: string, groupId: string): Promise<GroupExplanation | null> {
+    const group = await this.getGroup(userId, groupId);
+    if (!group) return null;
+
+    const faceIds = [...new Set(group.faceIds || [])];
+    const inGroup = new Set(faceIds);
+
+    // Only edges between two faces of this group can explain membership
+    const edges = (await matchGraph.getEdgesForFaces(userId, faceIds))
+      .filter(e => inGroup.has(e.faceIds[0]) && inGroup.has(e.faceIds[1]));
+    const faceDocs = await this.store.getFaces(userId, faceIds);
+    const faceDataById = new Map<string, any>();
+    faceDocs.forEach(doc => {
+      if (doc) faceDataById.set(doc.faceId, doc);
+    });
+
+    const adjacency = new Map<string, FaceMatchEdge[]>();
+    faceIds.forEach(id => adjacency.set(id, []));
+    edges.forEach(e => {
+      adjacency.get(e.faceIds[0])!.push(e);
+      adjacency.get(e.faceIds[1])!.push(e);
+    });
+    const otherEnd = (e: FaceMatchEdge, faceId: string) => e.faceIds[0] === faceId ? e.faceIds[1] : e.faceIds[0];
+    const toLink = (e: FaceMatchEdge, fromFaceId: string): ExplanationLink => ({
+      fromFaceId,
+      toFaceId: otherEnd(e, fromFaceId),
+      similarity: e.similarity ?? null,
+      source: e.source,
+      fileId: e.fileId,
+      ...(e.processCallId ? { processCallId: e.processCallId } : {}),
+      createdAt: e.createdAt
+    });
+
+    // BFS from the leader; each reached face remembers the edge that reached it
+    const parentEdge = new Map<string, FaceMatchEdge>();
+    const leaderFaceId = group.leaderFaceId;
+    if (inGroup.has(leaderFaceId)) {
+      const visited = new Set<string>([leaderFaceId]);
+      const queue = [leaderFaceId];
+      while (queue.length > 0) {
+        const current = queue.shift()!;
+        const neighbors = [...adjacency.get(current)!]
+          .sort((a, b) => (b.similarity ?? -1) - (a.similarity ?? -1));
+        for (const e of neighbors) {
+          const next = otherEnd(e, current);
+          if (visited.has(next)) continue;
+          visited.add(next);
+          parentEdge.set(next, e);
+          queue.push(next);
+        }
+      }
+    }
+
+    const mergeEvents = group.mergeEvents || [];
+    const faces: FaceExplanation[] = faceIds.map(faceId => {
+      const path: ExplanationLink[] = [];
+      let current = faceId;
+      while (parentEdge.has(current)) {
+        const e = parentEdge.get(current)!;
+        path.push(toLink(e, current));
+        current = otherEnd(e, current);
+      }
+
+      // The latest merge listing the face is the one that moved it into this group
+      const mergeEvent = [...mergeEvents].reverse().find(ev => (ev.faceIds || []).includes(faceId));
+      const faceData = faceDataById.get(faceId);
+
+      return {
+        faceId,
+        connectedToLeader: faceId === leaderFaceId || parentEdge.has(faceId),
+        path,
+        ...(faceData?.assignedBy ? { assignedBy: faceData.assignedBy } : {}),
+        ...(faceData?.processCallId ? { processCallId: faceData.processCallId } : {}),
+        ...(mergeEvent ? { mergeEvent } : {})
+      };
+    });
+
+    // Bridges (Tarjan): edges whose removal splits the graph. Unscored edges sort first.
+    const bridges = this.findBridges(faceIds, adjacency, otherEnd)
+      .map(e => toLink(e, e.sourceFaceId))
+      .sort((a, b) => (a.similarity ?? -1) - (b.similarity ?? -1));
+
+    console.log(`🔎 Explained group ${groupId}: ${faces.filter(f => f.connectedToLeader).length}/${faces.length} faces connected, ${bridges.length} bridge(s)`);
+
+    return { groupId, leaderFaceId, faces, mergeEvents, bridges };
+  }
+
+  /**
+   * Find bridge edges in an undirected face graph (Tarjan's low-link)
+   */
+  private findBridges(
+    faceIds: string[],
+    adjacency: Map<string, FaceMatchEdge[]>,
+    otherEnd: (e: FaceMatchEdge, faceId: string) => string
+  ): FaceMatchEdge[] {
+    const discovery = new Map<string, number>();
+    const low = new Map<string, number>();
+    const bridges: FaceMatchEdge[] = [];
+    let time = 0;
+
+    const visit = (faceId: string, viaEdgeId: string | null) => {
+      discovery.set(faceId, time);
+      low.set(faceId, time);
+      time++;
+
+      for (const e of adjacency.get(faceId) || []) {
+        if (e.edgeId === viaEdgeId) continue;
+        const next = otherEnd(e, faceId);
+        if (!discovery.has(next)) {
+          visit(next, e.edgeId);
+          low.set(faceId, Math.min(low.get(faceId)!, low.get(next)!));
+          if (low.get(next)! > discovery.get(faceId)!) {
+            bridges.push(e);
+          }
+        } else {
+          low.set(faceId, Math.min(low.get(faceId)!, discovery.get(next)!));
+        }
+      }
+    };
+
+    faceIds.forEach(id => {
+      if (!discovery.has(id)) visit(id, null);
+    });
+
+    return bridges;
+  }
+
+  /**
+   * Rebuild every group for a user from the stored match graph
+   * Order-independent counterpart to processFaces (see reclustering.ts). Groups
+   * keep their IDs, names and pinned leaders wherever the new cluster holds
+   * most of their faces, so a run over an already-consistent user is a no-op.
+   * Writes go out in chunked batches rather than one transaction - a user can
+   * have far more than 500 docs to touch - so don't run it alongside uploads.
+   *
+   * @param dryRun - Only compute the plan; nothing is written
+   * @param checkpoint - Called once the plan is ready, before anything is written; throw to stop
+   */
+  async recluster(userId: string, dryRun: boolean, checkpoint?: () => Promise<void>): Promise<ReclusterResult> {
+    const [allGroups, allFaces, edges, cannotLinks, confirmedFaces] = await Promise.all([
+      this.store.listGroups(userId),
+      this.store.listFaces(userId),
+      matchGraph.getAllEdges(userId),
+      constraintStore.loadCannotLinkIndex(userId),
+      constraintStore.loadMustLinkMap(userId)
+    ]);
+
+    // Empty groups are left alone - they're placeholders for drag-and-drop
+    const groups = allGroups.filter(g => (g.faceIds || []).length > 0);
+    const faceData = new Map(allFaces.map(face => [face.faceId, face]));
+
+    const faceGroupIds = new Map<string, string>();
+    groups.forEach(g => g.faceIds.forEach(id => {
+      if (!faceGroupIds.has(id)) faceGroupIds.set(id, g.groupId);
+    }));
+
+    console.log(`🔄 Reclustering ${faceGroupIds.size} faces in ${groups.length} groups from ${edges.length} match edges${dryRun ? ' (dry run)' : ''}`);
+
+    const clusters = clusterFaces({
+      faceIds: [...faceGroupIds.keys()],
+      edges,
+      cannotLinks,
+      confirmedFaces,
+      faceGroupIds
+    });
+    const plan = planRecluster(clusters, groups, confirmedFaces, () => this.generateGroupId());
+
+    console.log(`  Plan: ${plan.created.length} created, ${plan.updated.length} updated, ${plan.deleted.length} deleted, ${plan.unchangedCount} unchanged, ${plan.movedFaceCount} face(s) moved`);
+
+    const result: ReclusterResult = {
+      dryRun,
+      faceCount: faceGroupIds.size,
+      edgeCount: edges.length,
+      groupCount: clusters.length,
+      plan
+    };
+    await checkpoint?.();
+    if (dryRun) return result;
+
+    const groupsById = new Map(groups.map(g => [g.groupId, g]));
+    const writes: Array<(writer: FaceStoreWriter) => void> = [];
+    const fileMappings = new Map<string, Record<string, string>>();
+
+    const leaderFor = (faceIds: string[], previous?: FaceGroup) => {
+      if (previous?.leaderFaceId && faceIds.includes(previous.leaderFaceId)) {
+        return {
+          leaderFaceId: previous.leaderFaceId,
+          leaderFaceData: previous.leaderFaceData,
+          leaderPinned: !!previous.leaderPinned
+        };
+      }
+      const leader = this.electLeader(faceIds.map(faceId => ({ faceId, data: faceData.get(faceId) })));
+      return { ...(leader || { leaderFaceId: faceIds[0], leaderFaceData: { fileId: '', boundingBox: {} } }), leaderPinned: false };
+    };
+
+    const fileIdsFor = (faceIds: string[]) =>
+      [...new Set(faceIds.map(id => faceData.get(id)?.fileId).filter(Boolean))] as string[];
+
+    const moveFaces = (faceIds: string[], groupId: string) => {
+      faceIds.filter(id => faceGroupIds.get(id) !== groupId).forEach(faceId => {
+        const data = faceData.get(faceId);
+        if (!data) return;
+        writes.push(writer => writer.updateFace(userId, faceId, {
+          groupId,
+          ...(data.confirmed ? { confirmedGroupId: groupId } : {}),
+          updatedAt: StoreField.serverTimestamp()
+        }));
+        if (data.fileId) {
+          const mapping = fileMappings.get(data.fileId) || {};
+          mapping[faceId] = groupId;
+          fileMappings.set(data.fileId, mapping);
+        }
+      });
+    };
+
+    for (const change of plan.updated) {
+      const previous = groupsById.get(change.groupId)!;
+      const absorbed = change.absorbedGroupIds.map(id => groupsById.get(id)!);
+      const updateData: any = {
+        faceIds: change.faceIds,
+        fileIds: fileIdsFor(change.faceIds),
+        faceCount: change.faceIds.length,
+        ...leaderFor(change.faceIds, previous),
+        updatedAt: StoreField.serverTimestamp()
+      };
+
+      if (absorbed.length > 0) {
+        updateData.mergedFrom = StoreField.arrayUnion(...change.absorbedGroupIds);
+        updateData.mergeEvents = [
+          ...(previous.mergeEvents || []),
+          ...absorbed.flatMap(g => g.mergeEvents || []),
+          {
+            mergedGroupIds: change.absorbedGroupIds,
+            faceIds: change.addedFaceIds,
+            origin: 'recluster',
+            mergedAt: new Date()
+          } as MergeEvent
+        ];
+        if (!previous.groupName) {
+          const named = absorbed.find(g => g.groupName);
+          if (named) updateData.groupName = named.groupName;
+        }
+      }
+
+      writes.push(writer => writer.updateGroup(userId, change.groupId, updateData));
+      moveFaces(change.faceIds, change.groupId);
+    }
+
+    for (const change of plan.created) {
+      const source = change.splitFrom ? groupsById.get(change.splitFrom) : undefined;
+      const groupData: Partial<FaceGroup> = {
+        groupId: change.groupId,
+        ...(source?.interviewId ? { interviewId: source.interviewId } : {}),
+        faceIds: change.faceIds,
+        ...leaderFor(change.faceIds),
+        fileIds: fileIdsFor(change.faceIds),
+        faceCount: change.faceIds.length,
+        status: 'unreviewed',
+        ...(change.splitFrom ? { splitFrom: change.splitFrom } : {}),
+        createdAt: StoreField.serverTimestamp() as any,
+        updatedAt: StoreField.serverTimestamp() as any
+      };
+      writes.push(writer => writer.setGroup(userId, change.groupId, groupData));
+      moveFaces(change.faceIds, change.groupId);
+    }
+
+    plan.deleted.forEach(change => {
+      writes.push(writer => writer.deleteGroup(userId, change.groupId));
+    });
+
+    fileMappings.forEach((mapping, fileId) => {
+      writes.push(writer => writer.mergeFile(userId, fileId, { faceGroupMapping: mapping }));
+    });
+
+    await this.store.write(writer => writes.forEach(write => write(writer)));
+
+    console.log(`✅ Recluster applied: ${writes.length} write(s)`);
+    return result;
+  }
+
+  /**
+   * Check a user's groups, faces and files agree with each other
+   * Replaces the one-off check-*.js / cleanup-*.js scripts. Finds faces listed
+   * by several groups, phantom faceIds, faceCount and fileIds that don't match
+   * faceIds, leaders outside their group, and file faceGroupMapping entries
+   * that don't point at the face's group.
+   *
+   * A phantom face is one that exists nowhere: no /faces doc and not in any
+   * file's extractedFaces (manually created groups don't write /faces docs).
+   *
+   * The plan resolves a face listed by several groups to the group its /faces
+   * doc or file mapping names (else the first group found), drops phantoms
+   * (deleting groups left with no real faces), then derives faceCount, fileIds,
+   * leaders and mappings from the corrected faceIds. Like recluster, writes go
+   * out in chunked batches, not one transaction.
+   *
+   * @param repair - Apply the plan; otherwise only report
+   */
+  async verifyIntegrity(userId: string, repair: boolean): Promise<IntegrityReport> {
+    const [groups, faces, files] = await Promise.all([
+      this.store.listGroups(userId),
+      this.store.listFaces(userId),
+      this.store.listFiles(userId)
+    ]);
+
+    const faceData = new Map(faces.map(face => [face.faceId, face]));
+    const filesById = new Map(files.map(file => [file.fileId, file]));
+
+    // Where each face comes from: its /faces doc, else the file that extracted it
+    const faceFile = new Map<string, string>();
+    files.forEach(file => (Array.isArray(file.extractedFaces) ? file.extractedFaces : []).forEach((face: any) => {
+      const faceId = face?.faceId || face?.FaceId;
+      if (faceId) faceFile.set(faceId, file.fileId);
+    }));
+    faces.forEach(face => {
+      if (face.fileId) faceFile.set(face.faceId, face.fileId);
+    });
+
+    const issues: IntegrityIssue[] = [];
+    const plan: IntegrityRepairPlan = { groupUpdates: [], groupDeletes: [], faceUpdates: [], fileMappings: [] };
+
+    // Faces listed by more than one group
+    const listedBy = new Map<string, string[]>();
+    groups.forEach(g => [...new Set(g.faceIds || [])].forEach(faceId => {
+      listedBy.set(faceId, [...(listedBy.get(faceId) || []), g.groupId]);
+    }));
+
+    const owner = new Map<string, string>();
+    listedBy.forEach((groupIds, faceId) => {
+      if (groupIds.length === 1) {
+        owner.set(faceId, groupIds[0]);
+        return;
+      }
+      const fileId = faceFile.get(faceId);
+      const named = [faceData.get(faceId)?.groupId, fileId && filesById.get(fileId)?.faceGroupMapping?.[faceId]];
+      const keep = named.find(id => id && groupIds.includes(id)) || groupIds[0];
+      owner.set(faceId, keep);
+      issues.push({
+        type: 'face-in-multiple-groups',
+        groupIds,
+        faceId,
+        message: `Face ${faceId} is listed by ${groupIds.length} groups; keeping it in ${keep}`
+      });
+      if (faceData.has(faceId) && faceData.get(faceId)!.groupId !== keep) {
+        plan.faceUpdates.push({ faceId, groupId: keep });
+      }
+    });
+
+    const phantomIds = new Set<string>();
+    for (const group of groups) {
+      const listed = group.faceIds || [];
+      const phantoms = listed.filter(faceId => !faceData.has(faceId) && !faceFile.has(faceId));
+      phantoms.forEach(faceId => {
+        phantomIds.add(faceId);
+        issues.push({
+          type: 'phantom-face',
+          groupIds: [group.groupId],
+          faceId,
+          message: `Group ${group.groupId} lists face ${faceId}, which has no /faces doc and is in no file`
+        });
+      });
+
+      const faceIds = [...new Set(listed)].filter(faceId => owner.get(faceId) === group.groupId && !phantoms.includes(faceId));
+      if (phantoms.length > 0 && faceIds.length === 0) {
+        plan.groupDeletes.push(group.groupId);
+        continue;
+      }
+
+      if (group.faceCount !== listed.length) {
+        issues.push({
+          type: 'face-count-mismatch',
+          groupIds: [group.groupId],
+          message: `Group ${group.groupId} has faceCount ${group.faceCount} but lists ${listed.length} faces`
+        });
+      }
+
+      // Only judge fileIds when every face's file is known
+      const faceFiles = faceIds.map(faceId => faceFile.get(faceId));
+      const expectedFileIds = faceFiles.every(Boolean) ? [...new Set(faceFiles as string[])] : null;
+      if (expectedFileIds) {
+        const stale = (group.fileIds || []).filter(fileId => !expectedFileIds.includes(fileId));
+        const missing = expectedFileIds.filter(fileId => !(group.fileIds || []).includes(fileId));
+        if (stale.length > 0 || missing.length > 0) {
+          issues.push({
+            type: 'stale-file-ids',
+            groupIds: [group.groupId],
+            message: `Group ${group.groupId} fileIds` +
+              (stale.length > 0 ? ` list ${stale.length} file(s) none of its faces are in` : '') +
+              (stale.length > 0 && missing.length > 0 ? ' and' : '') +
+              (missing.length > 0 ? ` miss ${missing.length} file(s) its faces are in` : '')
+          });
+        }
+      }
+
+      const leaderDangling = listed.length > 0 && !listed.includes(group.leaderFaceId);
+      if (leaderDangling) {
+        issues.push({
+          type: 'dangling-leader',
+          groupIds: [group.groupId],
+          faceId: group.leaderFaceId,
+          message: `Group ${group.groupId} leader ${group.leaderFaceId || '(none)'} is not one of its faces`
+        });
+      }
+
+      // Corrected fields, derived from the faces the group keeps
+      const fields: Partial<FaceGroup> = {};
+      if (faceIds.length !== listed.length) {
+        fields.faceIds = faceIds;
+      }
+      if (group.faceCount !== faceIds.length) {
+        fields.faceCount = faceIds.length;
+      }
+      if (expectedFileIds && (expectedFileIds.length !== (group.fileIds || []).length ||
+          expectedFileIds.some(fileId => !(group.fileIds || []).includes(fileId)))) {
+        fields.fileIds = expectedFileIds;
+      }
+      if (faceIds.length > 0 && !faceIds.includes(group.leaderFaceId)) {
+        const leader = this.electLeader(faceIds.map(faceId => ({ faceId, data: faceData.get(faceId) })));
+        Object.assign(fields, leader || {
+          leaderFaceId: faceIds[0],
+          leaderFaceData: { fileId: faceFile.get(faceIds[0]) || '', boundingBox: {} }
+        }, { leaderPinned: false });
+      }
+      if (Object.keys(fields).length > 0) {
+        plan.groupUpdates.push({ groupId: group.groupId, fields });
+      }
+    }
+
+    // File mappings should name the group that keeps each face
+    const deleted = new Set(plan.groupDeletes);
+    const keptBy = (faceId: string): string | null => {
+      const groupId = owner.get(faceId);
+      return groupId && !deleted.has(groupId) && !phantomIds.has(faceId) ? groupId : null;
+    };
+    const mappingFixes = new Map<string, Record<string, string | null>>();
+    const fixMapping = (fileId: string, faceId: string, groupId: string | null, message: string) => {
+      issues.push({ type: 'file-mapping-mismatch', groupIds: groupId ? [groupId] : [], faceId, fileId, message });
+      mappingFixes.set(fileId, { ...mappingFixes.get(fileId), [faceId]: groupId });
+    };
+
+    files.forEach(file => Object.entries(file.faceGroupMapping || {}).forEach(([faceId, mapped]) => {
+      // A repeat upload's face follows the original face it duplicates
+      const groupId = keptBy(faceData.get(faceId)?.duplicateOf || faceId);
+      if (mapped !== groupId) {
+        fixMapping(file.fileId, faceId, groupId, groupId
+          ? `File ${file.fileId} maps face ${faceId} to ${mapped}, but it is in ${groupId}`
+          : `File ${file.fileId} maps face ${faceId} to ${mapped}, but it is in no group`);
+      }
+    }));
+    owner.forEach((_, faceId) => {
+      const groupId = keptBy(faceId);
+      const fileId = faceFile.get(faceId);
+      const file = fileId ? filesById.get(fileId) : undefined;
+      if (groupId && file && !(faceId in (file.faceGroupMapping || {}))) {
+        fixMapping(file.fileId, faceId, groupId, `File ${file.fileId} has no mapping for face ${faceId} (in ${groupId})`);
+      }
+    });
+    mappingFixes.forEach((mapping, fileId) => plan.fileMappings.push({ fileId, mapping }));
+
+    const summary: IntegrityReport['summary'] = {};
+    issues.forEach(issue => {
+      summary[issue.type] = (summary[issue.type] || 0) + 1;
+    });
+
+    console.log(`🩺 Integrity check for ${userId}: ${issues.length} issue(s) in ${groups.length} groups`);
+
+    const report: IntegrityReport = {
+      repaired: false,
+      groupCount: groups.length,
+      faceCount: listedBy.size,
+      fileCount: files.length,
+      issues,
+      summary,
+      plan
+    };
+    if (!repair || issues.length === 0) return report;
+
+    await this.store.write(writer => {
+      plan.groupUpdates.forEach(({ groupId, fields }) => writer.updateGroup(userId, groupId, {
+        ...fields,
+        updatedAt: StoreField.serverTimestamp()
+      }));
+      plan.groupDeletes.forEach(groupId => writer.deleteGroup(userId, groupId));
+      plan.faceUpdates.forEach(({ faceId, groupId }) => writer.updateFace(userId, faceId, {
+        groupId,
+        updatedAt: StoreField.serverTimestamp()
+      }));
+      plan.fileMappings.forEach(({ fileId, mapping }) => writer.mergeFile(userId, fileId, {
+        faceGroupMapping: Object.fromEntries(Object.entries(mapping).map(([faceId, groupId]) =>
+          [faceId, groupId === null ? StoreField.delete() : groupId]))
+      }));
+    });
+
+    console.log(`✅ Integrity repairs applied: ${plan.groupUpdates.length} group update(s), ${plan.groupDeletes.length} deletion(s), ${plan.faceUpdates.length} face update(s), ${plan.fileMappings.length} file(s) remapped`);
+    return { ...report, repaired: true };
   }
 
   /**
    * Get a specific group
    */
   async getGroup(userId: string, groupId: string): Promise<FaceGroup | null> {
-    const groupRef = this.db.collection('users').doc(userId)
-                           .collection('faceGroups').doc(groupId);
-    const doc = await groupRef.get();
+    const stored = await this.store.getGroup(userId, groupId);
     
-    if (!doc.exists) return null;
-    return { groupId: doc.id, ...doc.data() } as FaceGroup;
+    if (!stored) return null;
+    const [group] = await this.applyReviewStatus(userId, [stored]);
+    return group;
   }
 
   /**
    * Get all groups for a user
    */
   async getAllGroups(userId: string): Promise<FaceGroup[]> {
-    const groupsRef = this.db.collection('users').doc(userId).collection('faceGroups');
-    const snapshot = await groupsRef.orderBy('updatedAt', 'desc').get();
+    // Include ALL groups, even empty ones (they're valid for drag-drop)
+    // Don't auto-delete empty groups - user may want to add faces to them
+    const groups = await this.store.listGroups(userId, { newestFirst: true });
 
-    const groups: FaceGroup[] = [];
+    return this.applyReviewStatus(userId, groups);
+  }
 
-    snapshot.forEach((doc: any) => {
-      const data = doc.data();
-      // Include ALL groups, even empty ones (they're valid for drag-drop)
-      // Don't auto-delete empty groups - user may want to add faces to them
-      groups.push({ groupId: doc.id, ...data } as FaceGroup);
-    });
+  /**
+   * Report groups whose faces are all user-confirmed as 'reviewed'
+   * Derived on read so it can't go stale as faces are added or removed.
+   */
+  async applyReviewStatus(userId: string, groups: FaceGroup[]): Promise<FaceGroup[]> {
+    if (groups.length === 0) return groups;
 
-    return groups;
+    const confirmedFaces = await constraintStore.loadMustLinkMap(userId);
+    if (confirmedFaces.size === 0) return groups;
+
+    return groups.map(group => {
+      const faceIds = group.faceIds || [];
+      const allConfirmed = faceIds.length > 0 &&
+        faceIds.every(faceId => confirmedFaces.get(faceId) === group.groupId);
+      return allConfirmed ? { ...group, status: 'reviewed' } : group;
+    });
   }
 
   /**
    * Update file document with group IDs
    */
   private async updateFileWithGroupIds(userId: string, fileId: string, updates: FileFaceUpdate[]): Promise<void> {
-    const fileRef = this.db.collection('users').doc(userId)
-                          .collection('files').doc(fileId);
-    
     // Create map of faceId to groupId
     const groupMapping: Record<string, string> = {};
     updates.forEach(update => {
@@ -703,10 +1917,10 @@ export class GroupManager {
     
     try {
       // Try to update, or create if it doesn't exist
-      await fileRef.set({
+      await this.store.write(writer => writer.mergeFile(userId, fileId, {
         faceGroupMapping: groupMapping,
-        faceGroupsProcessedAt: FieldValue.serverTimestamp()
-      }, { merge: true });
+        faceGroupsProcessedAt: StoreField.serverTimestamp()
+      }));
       
       console.log(`    Updated file ${fileId} with ${updates.length} group assignments`);
     } catch (error) {
@@ -715,6 +1929,23 @@ export class GroupManager {
     }
   }
 
+  /**
+   * Note suppressed faces on the file doc so the UI doesn't list them
+   */
+  private async recordSuppressedFaces(userId: string, fileId: string, suppressed: SuppressedFace[]): Promise<void> {
+    const suppressedFaces: Record<string, { keptFaceId: string; iou: number }> = {};
+    suppressed.forEach(({ faceId, keptFaceId, iou }) => {
+      suppressedFaces[faceId] = { keptFaceId, iou };
+    });
+
+    try {
+      await this.store.write(writer => writer.mergeFile(userId, fileId, { suppressedFaces }));
+      console.log(`    Recorded ${suppressed.length} suppressed duplicate face(s) on file ${fileId}`);
+    } catch (error) {
+      console.warn(`    Could not record suppressed faces on file ${fileId}:`, error);
+    }
+  }
+
   /**
    * Clear all groups for a user (for testing)
    */
@@ -723,59 +1954,55 @@ export class GroupManager {
    */
   async removeFaceFromGroup(userId: string, groupId: string, faceId: string): Promise<boolean> {
     try {
-      const groupRef = this.db.collection('users').doc(userId)
-                             .collection('faceGroups').doc(groupId);
-      
-      const groupDoc = await groupRef.get();
-      if (!groupDoc.exists) {
-        console.log(`Group ${groupId} not found`);
-        return false;
-      }
-      
-      const groupData = groupDoc.data() as FaceGroup;
-      const updatedFaceIds = (groupData.faceIds || []).filter(id => id !== faceId);
+      const updatedFaceIds = await this.transact(async (transaction) => {
+        const [groupData] = await transaction.getGroups(userId, [groupId]);
+        if (!groupData) {
+          console.log(`Group ${groupId} not found`);
+          return null;
+        }
 
-      // Delete the face document from faces collection
-      const faceRef = this.db.collection('users').doc(userId)
-                            .collection('faces').doc(faceId);
-      await faceRef.delete();
-      console.log(`    🗑️ Deleted face document: /users/${userId}/faces/${faceId}`);
+        const remainingFaceIds = (groupData.faceIds || []).filter(id => id !== faceId);
 
-      // Don't auto-delete empty groups - let user manually delete if desired
-      // Empty groups are valid and can have faces added back via drag-drop
-      console.log(`ℹ️ Group ${groupId} now has ${updatedFaceIds.length} faces (empty groups are preserved)`);
+        // Don't auto-delete empty groups - let user manually delete if desired
+        // Empty groups are valid and can have faces added back via drag-drop
+        console.log(`ℹ️ Group ${groupId} now has ${remainingFaceIds.length} faces (empty groups are preserved)`);
 
-      // Prepare update object
-      const updateData: any = {
-        faceIds: updatedFaceIds,
-        faceCount: updatedFaceIds.length,
-        updatedAt: FieldValue.serverTimestamp()
-      };
-      
-      // Update leader if removed face was the leader
-      if (groupData.leaderFaceId === faceId && updatedFaceIds.length > 0) {
-        const newLeaderFaceId = updatedFaceIds[0];
-        updateData.leaderFaceId = newLeaderFaceId;
-
-        // Fetch the new leader's face data to update leaderFaceData
-        const newLeaderFaceRef = this.db.collection('users').doc(userId)
-                                        .collection('faces').doc(newLeaderFaceId);
-        const newLeaderFaceDoc = await newLeaderFaceRef.get();
-
-        if (newLeaderFaceDoc.exists) {
-          const newLeaderData = newLeaderFaceDoc.data();
-          updateData.leaderFaceData = {
-            fileId: newLeaderData?.fileId || groupData.leaderFaceData?.fileId || '',
-            boundingBox: newLeaderData?.boundingBox || {}
-          };
-          console.log(`    👑 Updated leader face to: ${newLeaderFaceId} (fileId: ${newLeaderData?.fileId})`);
-        } else {
-          console.log(`    ⚠️ Updated leader face to: ${newLeaderFaceId} (face doc not found, keeping old leaderFaceData)`);
+        // Prepare update object
+        const updateData: any = {
+          faceIds: remainingFaceIds,
+          faceCount: remainingFaceIds.length,
+          updatedAt: StoreField.serverTimestamp()
+        };
+
+        // Elect the best remaining face if removed face was the leader (a pin goes with it)
+        if (groupData.leaderFaceId === faceId && remainingFaceIds.length > 0) {
+          Object.assign(updateData, await this.electReplacementLeader(
+            transaction, userId, remainingFaceIds, groupData.leaderFaceData?.fileId));
         }
+
+        // Delete the face document and update the group together
+        transaction.deleteFace(userId, faceId);
+        transaction.updateGroup(userId, groupId, updateData);
+        return remainingFaceIds;
+      });
+
+      if (updatedFaceIds === null) {
+        return false;
+      }
+      console.log(`    🗑️ Deleted face document: /users/${userId}/faces/${faceId}`);
+
+      // Keep processFaces from putting the face straight back
+      try {
+        await constraintStore.addCannotLink(
+          userId,
+          { faceIds: [faceId], groupIds: [] },
+          { faceIds: updatedFaceIds, groupIds: [groupId] },
+          'remove',
+          groupId
+        );
+      } catch (error) {
+        console.error(`    ❌ Failed to record cannot-link for removed face ${faceId}:`, error);
       }
-      
-      // Update the group with the remaining faces
-      await groupRef.update(updateData);
       
       console.log(`✅ Removed face ${faceId} from group ${groupId}`);
       return true;
@@ -794,36 +2021,142 @@ export class GroupManager {
     faceId: string,
     fileId: string,
     boundingBox?: any,
-    confidence?: number
+    confidence?: number,
+    signals?: Pick<Face, 'pose' | 'quality'>,
+    processCallId?: string
   ): Promise<boolean> {
     try {
-      const groupRef = this.db.collection('users').doc(userId)
-                             .collection('faceGroups').doc(groupId);
-
-      // Update group FIRST - arrayUnion is atomic and handles duplicates automatically
-      // This prevents race conditions when multiple operations try to add the same face
-      await groupRef.update({
-        faceIds: FieldValue.arrayUnion(faceId),
-        fileIds: FieldValue.arrayUnion(fileId),
-        updatedAt: FieldValue.serverTimestamp()
+      // Group and face doc change together, so faceIds, faceCount and the
+      // face's groupId can't drift apart under concurrent adds
+      const added = await this.transact(async (transaction) => {
+        const [groupData] = await transaction.getGroups(userId, [groupId]);
+        if (!groupData) return false;
+
+        // Re-adding a face is a no-op for the arrays (idempotent)
+        const faceIds = [...new Set([...(groupData.faceIds || []), faceId])];
+        const fileIds = [...new Set([...(groupData.fileIds || []), fileId])];
+        transaction.updateGroup(userId, groupId, {
+          faceIds,
+          fileIds,
+          faceCount: faceIds.length,
+          updatedAt: StoreField.serverTimestamp()
+        });
+        transaction.setFace(userId, faceId,
+          this.buildFaceData(userId, faceId, groupId, fileId, boundingBox, confidence, signals, processCallId));
+        return true;
       });
 
-      // Only create face document if group update succeeded
-      // This prevents orphan face documents if group doesn't exist
-      await this.createFaceDocument(userId, faceId, groupId, fileId, boundingBox, confidence);
+      if (!added) {
+        console.warn(`Cannot add face ${faceId} - group ${groupId} does not exist`);
+        return false;
+      }
+      console.log(`    ✅ Created face document: /users/${userId}/faces/${faceId} -> group ${groupId}`);
+
+      // The new face may make a better thumbnail than the current leader
+      await this.reelectLeader(userId, groupId, [faceId]);
 
       console.log(`✅ Added face ${faceId} to group ${groupId} (idempotent)`);
       return true;
     } catch (error: any) {
-      if (error.code === 'not-found') {
-        console.warn(`Cannot add face ${faceId} - group ${groupId} does not exist`);
-        return false;
-      }
       console.error('Error adding face to group:', error);
       throw error;
     }
   }
 
+  /**
+   * Confirm a face into a group (user drag-and-drop) as a must-link
+   * Moves the face out of any other group, marks its /faces doc confirmed so
+   * processFaces never pulls it out, and clears cannot-links the user just
+   * overrode. Creates the /faces doc if the face has none yet.
+   *
+   * @returns The updated group, or null if the group doesn't exist
+   */
+  async confirmFaceInGroup(
+    userId: string,
+    groupId: string,
+    faceId: string,
+    fileId?: string,
+    boundingBox?: any,
+    confidence?: number
+  ): Promise<FaceGroup | null> {
+    const found = await this.transact(async (transaction) => {
+      const [groupData] = await transaction.getGroups(userId, [groupId]);
+      const [faceDoc] = await transaction.getFaces(userId, [faceId]);
+      if (!groupData) {
+        console.log(`Group ${groupId} not found`);
+        return false;
+      }
+
+      const existingFace = faceDoc || undefined;
+      const faceFileId = fileId || existingFace?.fileId;
+
+      // Take the face out of the group it is in now, if any
+      const previousGroupId = existingFace?.groupId;
+      const [previousData] = previousGroupId && previousGroupId !== groupId
+        ? await transaction.getGroups(userId, [previousGroupId])
+        : [null];
+      if (previousData) {
+        const remaining = (previousData.faceIds || []).filter(id => id !== faceId);
+        if (remaining.length < (previousData.faceIds || []).length) {
+          transaction.updateGroup(userId, previousGroupId, {
+            faceIds: remaining,
+            faceCount: remaining.length,
+            updatedAt: StoreField.serverTimestamp()
+          });
+          console.log(`    Moved face ${faceId} out of group ${previousGroupId}`);
+        }
+      }
+
+      const faceIds = [...new Set([...(groupData.faceIds || []), faceId])];
+      const fileIds = [...new Set([...(groupData.fileIds || []), ...(faceFileId ? [faceFileId] : [])])];
+      transaction.updateGroup(userId, groupId, {
+        faceIds,
+        fileIds,
+        faceCount: faceIds.length,
+        updatedAt: StoreField.serverTimestamp()
+      });
+
+      transaction.setFace(userId, faceId, {
+        faceId,
+        groupId,
+        userId,
+        ...(faceFileId ? { fileId: faceFileId } : {}),
+        boundingBox: boundingBox || existingFace?.boundingBox || {},
+        confidence: confidence || existingFace?.confidence || 99.99,
+        ...(existingFace ? {} : { emotions: [], createdAt: StoreField.serverTimestamp() }),
+        assignedBy: 'manual',
+        confirmed: true,
+        confirmedGroupId: groupId,
+        confirmedAt: StoreField.serverTimestamp(),
+        updatedAt: StoreField.serverTimestamp()
+      }, { merge: true });
+
+      if (faceFileId) {
+        transaction.mergeFile(userId, faceFileId, {
+          faceGroupMapping: { [faceId]: groupId }
+        });
+      }
+      return true;
+    });
+
+    if (!found) {
+      return null;
+    }
+
+    const group = await this.getGroup(userId, groupId);
+    if (group) {
+      try {
+        await constraintStore.clearConflictingCannotLinks(userId, [{ faceIds: [faceId] }, groupSubject(group)]);
+      } catch (error) {
+        console.error(`    ❌ Failed to clear cannot-links for confirmed face ${faceId}:`, error);
+      }
+      await this.reelectLeader(userId, groupId, [faceId]);
+    }
+
+    console.log(`📌 Confirmed face ${faceId} in group ${groupId}`);
+    return this.getGroup(userId, groupId);
+  }
+
   /**
    * Create a new group with specific faces (public method for API)
    */
@@ -841,23 +2174,24 @@ export class GroupManager {
     });
     
     const groupId = this.generateGroupId();
-    const groupRef = this.db.collection('users').doc(userId)
-                           .collection('faceGroups').doc(groupId);
     
+    // Best-quality face is the leader
+    const leader = this.electLeader(faces.map(f => ({ faceId: f.faceId, data: f })), fileIds[0] || 'manual');
+
     const groupData: Partial<FaceGroup> = {
       groupId,
       groupName: groupName || `Group ${groupId.substring(0, 8)}`,
       faceIds,
-      leaderFaceId: faceIds[0],  // First face is the leader
-      leaderFaceData: {
+      leaderFaceId: leader?.leaderFaceId || faceIds[0],
+      leaderFaceData: leader?.leaderFaceData || {
         fileId: fileIds[0] || 'manual',
         boundingBox: faces[0]?.boundingBox || {}
       },
       fileIds: fileIds.length > 0 ? fileIds : ['manual'],
       faceCount: faceIds.length,
       status: 'unreviewed',
-      createdAt: FieldValue.serverTimestamp() as any,
-      updatedAt: FieldValue.serverTimestamp() as any
+      createdAt: StoreField.serverTimestamp() as any,
+      updatedAt: StoreField.serverTimestamp() as any
     };
     
     console.log(`[WORKFLOW-BACKEND] Firestore Document to write:`, {
@@ -865,7 +2199,7 @@ export class GroupManager {
       document: groupData
     });
     
-    await groupRef.set(groupData);
+    await this.store.write(writer => writer.setGroup(userId, groupId, groupData));
     console.log(`[WORKFLOW-BACKEND] ✅ Successfully wrote to Firestore: ${groupId}`);
     return groupId;
   }
@@ -875,16 +2209,13 @@ export class GroupManager {
    */
   async deleteGroup(userId: string, groupId: string): Promise<boolean> {
     try {
-      const groupRef = this.db.collection('users').doc(userId)
-                             .collection('faceGroups').doc(groupId);
-      
-      const groupDoc = await groupRef.get();
-      if (!groupDoc.exists) {
+      const groupData = await this.store.getGroup(userId, groupId);
+      if (!groupData) {
         console.log(`Group ${groupId} not found`);
         return false;
       }
       
-      await groupRef.delete();
+      await this.store.write(writer => writer.deleteGroup(userId, groupId));
       console.log(`🗑️ Deleted group ${groupId} for user ${userId}`);
       return true;
     } catch (error) {
@@ -914,90 +2245,92 @@ export class GroupManager {
     };
 
     // 1. Find all faces from this file
-    const facesSnapshot = await this.db
-      .collection('users').doc(userId)
-      .collection('faces')
-      .where('fileId', '==', fileId)
-      .get();
+    const facesForFile = await this.store.findFacesByFile(userId, fileId);
 
-    if (facesSnapshot.empty) {
+    if (facesForFile.length === 0) {
       console.log('  No faces found for this file');
       return stats;
     }
 
-    const faceIdsToDelete = facesSnapshot.docs.map(doc => doc.id);
+    const faceIdsToDelete = facesForFile.map(face => face.faceId);
     console.log(`  Found ${faceIdsToDelete.length} faces to delete`);
 
-    // 2. Delete from AWS Rekognition (uses faceIds as FaceIds)
+    // 2. Delete from the face collection (uses faceIds as FaceIds)
     try {
-      const rekognition = this.getAWSClient();
-      const deleteCommand = new DeleteFacesCommand({
-        CollectionId: `face_coll_${userId}`,
-        FaceIds: faceIdsToDelete
-      });
-
-      const awsResponse = await rekognition.send(deleteCommand);
-      stats.awsFacesDeleted = awsResponse.DeletedFaces?.length || 0;
-      console.log(`  Deleted ${stats.awsFacesDeleted} faces from AWS Rekognition`);
+      const deletedFaceIds = await this.faceMatcher.deleteFaces(userId, faceIdsToDelete);
+      stats.awsFacesDeleted = deletedFaceIds.length;
+      console.log(`  Deleted ${stats.awsFacesDeleted} faces from the ${this.faceMatcher.name} face collection`);
     } catch (awsError: any) {
       // Continue with Firestore cleanup even if AWS fails
       console.error(`  AWS cleanup failed (continuing): ${awsError.message}`);
     }
 
-    // 3. Find and update groups containing these faces
+    // 2b. Drop match edges touching these faces - they no longer exist
+    try {
+      await matchGraph.deleteEdgesForFaces(userId, faceIdsToDelete);
+    } catch (edgeError: any) {
+      console.error(`  Match edge cleanup failed (continuing): ${edgeError.message}`);
+    }
+
+    // 3. Update groups containing these faces and delete the face documents
+    // in one transaction. Queries can't run inside it, so find the candidate
+    // groups first and re-read them there.
     const faceIdSet = new Set(faceIdsToDelete);
-    const groupsSnapshot = await this.db
-      .collection('users').doc(userId)
-      .collection('faceGroups')
-      .where('fileIds', 'array-contains', fileId)
-      .get();
-
-    for (const groupDoc of groupsSnapshot.docs) {
-      const groupData = groupDoc.data() as FaceGroup;
-      const updatedFaceIds = (groupData.faceIds || []).filter(id => !faceIdSet.has(id));
-      const updatedFileIds = (groupData.fileIds || []).filter(id => id !== fileId);
-
-      if (updatedFaceIds.length === 0) {
-        // Group is now empty - delete it
-        await groupDoc.ref.delete();
-        stats.groupsDeleted++;
-        console.log(`  Deleted empty group ${groupDoc.id}`);
-      } else if (updatedFaceIds.length < (groupData.faceIds || []).length) {
-        // Group still has faces - update it
-        const updateData: any = {
-          faceIds: updatedFaceIds,
-          fileIds: updatedFileIds,
-          faceCount: updatedFaceIds.length,
-          updatedAt: FieldValue.serverTimestamp()
-        };
+    const groupsForFile = await this.store.findGroupsByFile(userId, fileId);
+    const candidateGroupIds = [...new Set([
+      ...groupsForFile.map(g => g.groupId),
+      ...facesForFile.map(face => face.groupId).filter(Boolean)
+    ])];
+
+    const groupStats = await this.transact(async (transaction) => {
+      const counts = { groupsUpdated: 0, groupsDeleted: 0 };
+      const groups = (await transaction.getGroups(userId, candidateGroupIds))
+        .filter((g): g is FaceGroup => !!g);
+
+      // Transactions need every read before the first write
+      const deletes: string[] = [];
+      const updates: Array<[string, any]> = [];
+      for (const groupData of groups) {
+        const updatedFaceIds = (groupData.faceIds || []).filter(id => !faceIdSet.has(id));
+        const updatedFileIds = (groupData.fileIds || []).filter(id => id !== fileId);
+
+        if (updatedFaceIds.length === 0) {
+          // Group is now empty - delete it
+          deletes.push(groupData.groupId);
+        } else if (updatedFaceIds.length < (groupData.faceIds || []).length) {
+          // Group still has faces - update it
+          const updateData: any = {
+            faceIds: updatedFaceIds,
+            fileIds: updatedFileIds,
+            faceCount: updatedFaceIds.length,
+            updatedAt: StoreField.serverTimestamp()
+          };
 
-        // Update leader if it was one of the deleted faces
-        if (faceIdSet.has(groupData.leaderFaceId || '')) {
-          updateData.leaderFaceId = updatedFaceIds[0];
-          // Try to get new leader's face data
-          const newLeaderDoc = await this.db.collection('users').doc(userId)
-            .collection('faces').doc(updatedFaceIds[0]).get();
-          if (newLeaderDoc.exists) {
-            const newLeaderData = newLeaderDoc.data();
-            updateData.leaderFaceData = {
-              fileId: newLeaderData?.fileId || '',
-              boundingBox: newLeaderData?.boundingBox || {}
-            };
+          // Elect the best remaining face if the leader was one of the deleted faces
+          if (faceIdSet.has(groupData.leaderFaceId || '')) {
+            Object.assign(updateData, await this.electReplacementLeader(transaction, userId, updatedFaceIds));
           }
-        }
 
-        await groupDoc.ref.update(updateData);
-        stats.groupsUpdated++;
-        console.log(`  Updated group ${groupDoc.id}: ${(groupData.faceIds || []).length} -> ${updatedFaceIds.length} faces`);
+          updates.push([groupData.groupId, updateData]);
+          console.log(`  Updating group ${groupData.groupId}: ${(groupData.faceIds || []).length} -> ${updatedFaceIds.length} faces`);
+        }
       }
-    }
 
-    // 4. Delete face documents from Firestore
-    const batch = this.db.batch();
-    for (const faceDoc of facesSnapshot.docs) {
-      batch.delete(faceDoc.ref);
-    }
-    await batch.commit();
+      deletes.forEach(groupId => {
+        transaction.deleteGroup(userId, groupId);
+        counts.groupsDeleted++;
+        console.log(`  Deleting empty group ${groupId}`);
+      });
+      updates.forEach(([groupId, updateData]) => {
+        transaction.updateGroup(userId, groupId, updateData);
+        counts.groupsUpdated++;
+      });
+      faceIdsToDelete.forEach(faceId => transaction.deleteFace(userId, faceId));
+      return counts;
+    });
+
+    stats.groupsUpdated = groupStats.groupsUpdated;
+    stats.groupsDeleted = groupStats.groupsDeleted;
     stats.facesDeleted = faceIdsToDelete.length;
 
     console.log(`  Cleanup complete:`, stats);
@@ -1005,21 +2338,21 @@ export class GroupManager {
   }
 
   async clearAllGroups(userId: string): Promise<number> {
-    const groupsRef = this.db.collection('users').doc(userId).collection('faceGroups');
-    const snapshot = await groupsRef.get();
-    
-    let deleted = 0;
-    const batch = this.db.batch();
-    snapshot.forEach((doc: any) => {
-      batch.delete(doc.ref);
-      deleted++;
-    });
+    const groups = await this.store.listGroups(userId);
     
-    await batch.commit();
+    await this.store.write(writer => groups.forEach(group => writer.deleteGroup(userId, group.groupId)));
+    const deleted = groups.length;
     console.log(`🗑️ Deleted ${deleted} groups for user ${userId}`);
     return deleted;
   }
 
+  /**
+   * Generate a unique ID for one processFaces call
+   */
+  private generateProcessCallId(): string {
+    return `call_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
   /**
    * Generate a unique group ID
    */
@@ -0,0 +1,123 @@
+/**
+ * Idempotency Service
+ * Lets the artifact processor retry /api/process-faces safely
+ *
+ * The first call with a key claims it (status 'pending'), runs, and stores
+ * its response. A retry with the same key inside the TTL gets that stored
+ * response back instead of reprocessing - a second processFaces run could
+ * create a duplicate single-face group before the first run's writes are
+ * visible. A retry that arrives while the first call is still running is
+ * turned away rather than run twice.
+ */
+
+import { createHash } from 'crypto';
+import { IdempotencyRecord, ProcessFacesResponse } from '../types';
+import { FaceStore, StoreField, getFaceStore } from './faceStore';
+
+// How long a stored response is replayed (IDEMPOTENCY_TTL_HOURS overrides)
+const DEFAULT_TTL_HOURS = 24;
+
+// A claim this old belongs to a call that died mid-flight - let a retry take it over
+const PENDING_LEASE_MS = 10 * 60 * 1000;
+
+export type IdempotencyClaim =
+  | { state: 'claimed' }
+  | { state: 'replay'; response: ProcessFacesResponse }
+  | { state: 'in-progress' }
+  | { state: 'mismatch' };
+
+export class IdempotencyStore {
+  get store(): FaceStore {
+    return getFaceStore();
+  }
+
+  get ttlMs(): number {
+    const hours = Number(process.env.IDEMPOTENCY_TTL_HOURS);
+    return (hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+  }
+
+  /**
+   * Doc ID for a key - keys are caller-chosen and may hold characters Firestore IDs can't
+   */
+  static recordId(key: string): string {
+    return createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Hash of the parts of a request that decide what it does
+   */
+  static fingerprint(request: unknown): string {
+    return createHash('sha256').update(JSON.stringify(request)).digest('hex');
+  }
+
+  /**
+   * Claim a key before doing the work, or find out why not
+   * A claim on a key whose record has expired starts over.
+   */
+  async claim(userId: string, key: string, fingerprint: string): Promise<IdempotencyClaim> {
+    const recordId = IdempotencyStore.recordId(key);
+    const now = Date.now();
+
+    return this.store.runTransaction(async (transaction) => {
+      const existing = await transaction.getIdempotencyRecord(userId, recordId);
+      const live = existing && new Date(existing.expiresAt).getTime() > now;
+
+      if (existing && live) {
+        if (existing.fingerprint !== fingerprint) return { state: 'mismatch' } as const;
+        if (existing.status === 'complete' && existing.response) {
+          return { state: 'replay', response: existing.response } as const;
+        }
+        if (now - millisOf(existing.createdAt) < PENDING_LEASE_MS) return { state: 'in-progress' } as const;
+        console.log(`    🔑 Taking over stale idempotency claim ${key}`);
+      }
+
+      transaction.setIdempotencyRecord(userId, recordId, {
+        key,
+        fingerprint,
+        status: 'pending',
+        createdAt: StoreField.serverTimestamp(),
+        expiresAt: new Date(now + this.ttlMs)
+      });
+      return { state: 'claimed' } as const;
+    });
+  }
+
+  /**
+   * Store the response for a claimed key
+   * Failing to record only costs a future retry its replay, so errors are logged, not thrown.
+   */
+  async complete(userId: string, key: string, fingerprint: string, response: ProcessFacesResponse): Promise<void> {
+    try {
+      const record: Omit<IdempotencyRecord, 'recordId'> = {
+        key,
+        fingerprint,
+        status: 'complete',
+        response,
+        createdAt: StoreField.serverTimestamp(),
+        expiresAt: new Date(Date.now() + this.ttlMs)
+      };
+      await this.store.write(writer => writer.setIdempotencyRecord(userId, IdempotencyStore.recordId(key), record));
+    } catch (error) {
+      console.error(`    ❌ Failed to record idempotent response for key ${key}:`, error);
+    }
+  }
+
+  /**
+   * Drop a claim whose call failed, so a retry runs it again
+   */
+  async release(userId: string, key: string): Promise<void> {
+    try {
+      await this.store.write(writer => writer.deleteIdempotencyRecord(userId, IdempotencyStore.recordId(key)));
+    } catch (error) {
+      console.error(`    ❌ Failed to release idempotency key ${key}:`, error);
+    }
+  }
+}
+
+function millisOf(value: any): number {
+  if (value && typeof value.toMillis === 'function') return value.toMillis();
+  return value ? new Date(value).getTime() : 0;
+}
+
+// Export singleton instance
+export const idempotencyStore = new IdempotencyStore();
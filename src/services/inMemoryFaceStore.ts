@@ -0,0 +1,528 @@
+/**
+ * In-Memory Face Store
+ * FaceStore kept in process memory - for local development and running the
+ * grouping scenarios without Firestore. State is lost on restart.
+ *
+ * Mirrors the Firestore semantics the grouping code relies on: update fails
+ * on a missing doc, set with merge deep-merges maps, transactions are atomic
+ * (they run one at a time and their writes apply only on success).
+ *
+ * With { optimistic: true } transactions don't take the lock: their reads
+ * interleave with other writers, and one whose reads changed before it
+ * commits is run again, up to maxAttempts - the contention Firestore retries.
+ */
+
+import { ApiKey, AuditEntry, CannotLinkConstraint, FaceGroup, FaceMatchEdge, IdempotencyRecord, Job, JobStatus, ReconciliationRun } from '../types';
+import {
+  FaceRecord,
+  FaceStore,
+  FaceStoreTransaction,
+  FaceStoreWriter,
+  FileRecord,
+  GroupChange,
+  StoreData,
+  TransactionOptions,
+  isFieldOp
+} from './faceStore';
+
+type Collection = 'faceGroups' | 'faces' | 'files' | 'faceMatches' | 'cannotLinks' | 'idempotencyKeys' | 'auditLog' | 'reconciliationRuns' | 'faceJobs' | 'apiKeys';
+
+// Owner key for top-level collections (jobs, API keys)
+const TOP_LEVEL = '';
+
+type Operation =
+  | { kind: 'set'; collection: Collection; userId: string; id: string; data: StoreData; merge: boolean }
+  | { kind: 'update'; collection: Collection; userId: string; id: string; data: StoreData }
+  | { kind: 'delete'; collection: Collection; userId: string; id: string };
+
+function isPlainObject(value: any): boolean {
+  return !!value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Apply StoreField ops and plain values onto an existing doc
+ * @param deep - Merge nested maps (set with merge) instead of replacing them (update)
+ */
+function applyFields(existing: StoreData, data: StoreData, deep: boolean): StoreData {
+  const result: StoreData = { ...existing };
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) continue;  // Matches ignoreUndefinedProperties
+    if (isFieldOp(value)) {
+      const current = Array.isArray(result[key]) ? result[key] : [];
+      switch (value.__fieldOp) {
+        case 'serverTimestamp': result[key] = new Date(); break;
+        case 'arrayUnion': result[key] = [...current, ...value.values.filter(v => !current.includes(v))]; break;
+        case 'arrayRemove': result[key] = current.filter((v: any) => !value.values.includes(v)); break;
+        case 'delete': delete result[key]; break;
+      }
+    } else if (isPlainObject(value)) {
+      result[key] = applyFields(deep && isPlainObject(result[key]) ? result[key] : {}, value, deep);
+    } else {
+      result[key] = structuredClone(value);
+    }
+  }
+  return result;
+}
+
+class NotFoundError extends Error {
+  code = 'not-found';
+}
+
+class AbortedError extends Error {
+  code = 'aborted';
+}
+
+export interface InMemoryFaceStoreOptions {
+  /**
+   * Run transactions concurrently and retry the ones that conflict
+   */
+  optimistic?: boolean;
+}
+
+/**
+ * Queues writes; the store applies them in order
+ */
+class QueuedWriter implements FaceStoreWriter {
+  readonly operations: Operation[] = [];
+
+  setGroup(userId: string, groupId: string, data: StoreData): void {
+    this.operations.push({ kind: 'set', collection: 'faceGroups', userId, id: groupId, data, merge: false });
+  }
+
+  updateGroup(userId: string, groupId: string, patch: StoreData): void {
+    this.operations.push({ kind: 'update', collection: 'faceGroups', userId, id: groupId, data: patch });
+  }
+
+  deleteGroup(userId: string, groupId: string): void {
+    this.operations.push({ kind: 'delete', collection: 'faceGroups', userId, id: groupId });
+  }
+
+  setFace(userId: string, faceId: string, data: StoreData, options: { merge?: boolean } = {}): void {
+    this.operations.push({ kind: 'set', collection: 'faces', userId, id: faceId, data, merge: !!options.merge });
+  }
+
+  updateFace(userId: string, faceId: string, patch: StoreData): void {
+    this.operations.push({ kind: 'update', collection: 'faces', userId, id: faceId, data: patch });
+  }
+
+  deleteFace(userId: string, faceId: string): void {
+    this.operations.push({ kind: 'delete', collection: 'faces', userId, id: faceId });
+  }
+
+  mergeFile(userId: string, fileId: string, data: StoreData): void {
+    this.operations.push({ kind: 'set', collection: 'files', userId, id: fileId, data, merge: true });
+  }
+
+  setEdge(userId: string, edgeId: string, edge: StoreData): void {
+    this.operations.push({ kind: 'set', collection: 'faceMatches', userId, id: edgeId, data: edge, merge: false });
+  }
+
+  updateEdge(userId: string, edgeId: string, patch: StoreData): void {
+    this.operations.push({ kind: 'update', collection: 'faceMatches', userId, id: edgeId, data: patch });
+  }
+
+  deleteEdge(userId: string, edgeId: string): void {
+    this.operations.push({ kind: 'delete', collection: 'faceMatches', userId, id: edgeId });
+  }
+
+  setCannotLink(userId: string, constraintId: string, data: StoreData): void {
+    this.operations.push({ kind: 'set', collection: 'cannotLinks', userId, id: constraintId, data, merge: false });
+  }
+
+  updateCannotLink(userId: string, constraintId: string, patch: StoreData): void {
+    this.operations.push({ kind: 'update', collection: 'cannotLinks', userId, id: constraintId, data: patch });
+  }
+
+  deleteCannotLink(userId: string, constraintId: string): void {
+    this.operations.push({ kind: 'delete', collection: 'cannotLinks', userId, id: constraintId });
+  }
+
+  setIdempotencyRecord(userId: string, recordId: string, data: StoreData): void {
+    this.operations.push({ kind: 'set', collection: 'idempotencyKeys', userId, id: recordId, data, merge: false });
+  }
+
+  deleteIdempotencyRecord(userId: string, recordId: string): void {
+    this.operations.push({ kind: 'delete', collection: 'idempotencyKeys', userId, id: recordId });
+  }
+
+  setJob(jobId: string, data: StoreData): void {
+    this.operations.push({ kind: 'set', collection: 'faceJobs', userId: TOP_LEVEL, id: jobId, data, merge: false });
+  }
+
+  updateJob(jobId: string, patch: StoreData): void {
+    this.operations.push({ kind: 'update', collection: 'faceJobs', userId: TOP_LEVEL, id: jobId, data: patch });
+  }
+
+  addAuditEntry(userId: string, entryId: string, data: StoreData): void {
+    this.operations.push({ kind: 'set', collection: 'auditLog', userId, id: entryId, data, merge: false });
+  }
+
+  setReconciliationRun(userId: string, runId: string, data: StoreData): void {
+    this.operations.push({ kind: 'set', collection: 'reconciliationRuns', userId, id: runId, data, merge: false });
+  }
+
+  setApiKey(keyId: string, data: StoreData): void {
+    this.operations.push({ kind: 'set', collection: 'apiKeys', userId: TOP_LEVEL, id: keyId, data, merge: false });
+  }
+
+  updateApiKey(keyId: string, patch: StoreData): void {
+    this.operations.push({ kind: 'update', collection: 'apiKeys', userId: TOP_LEVEL, id: keyId, data: patch });
+  }
+}
+
+class InMemoryTransaction extends QueuedWriter implements FaceStoreTransaction {
+  /**
+   * Version of every doc read, checked at commit in optimistic mode
+   */
+  readonly readVersions = new Map<string, number>();
+
+  constructor(private store: InMemoryFaceStore) {
+    super();
+  }
+
+  async getGroups(userId: string, groupIds: string[]): Promise<Array<FaceGroup | null>> {
+    await this.store.yieldToWriters();
+    return groupIds.map(id => this.read(userId, 'faceGroups', id, 'groupId') as FaceGroup | null);
+  }
+
+  async getFaces(userId: string, faceIds: string[]): Promise<Array<FaceRecord | null>> {
+    await this.store.yieldToWriters();
+    return faceIds.map(id => this.read(userId, 'faces', id, 'faceId') as FaceRecord | null);
+  }
+
+  async getFile(userId: string, fileId: string): Promise<FileRecord | null> {
+    await this.store.yieldToWriters();
+    return this.read(userId, 'files', fileId, 'fileId') as FileRecord | null;
+  }
+
+  async getIdempotencyRecord(userId: string, recordId: string): Promise<IdempotencyRecord | null> {
+    await this.store.yieldToWriters();
+    return this.read(userId, 'idempotencyKeys', recordId, 'recordId') as IdempotencyRecord | null;
+  }
+
+  async getJob(jobId: string): Promise<Job | null> {
+    await this.store.yieldToWriters();
+    return this.read(TOP_LEVEL, 'faceJobs', jobId, 'jobId') as Job | null;
+  }
+
+  private read(userId: string, collection: Collection, id: string, idField: string): StoreData | null {
+    this.readVersions.set(this.store.key(userId, collection, id), this.store.version(userId, collection, id));
+    return this.store.read(userId, collection, id, idField);
+  }
+}
+
+export class InMemoryFaceStore implements FaceStore {
+  readonly name = 'memory';
+  private data = new Map<string, StoreData>();  // `${userId}/${collection}/${id}` -> doc
+  private versions = new Map<string, number>();  // Bumped on every write, for optimistic commits
+  private lock: Promise<void> = Promise.resolve();
+  private idCounter = 0;
+  private optimistic: boolean;
+  private groupWatchers = new Map<string, Set<(changes: GroupChange[], initial: boolean) => void>>();  // userId -> watchGroups listeners
+
+  /**
+   * Transactions run again after a conflict (optimistic mode)
+   */
+  retries = 0;
+
+  constructor(options: InMemoryFaceStoreOptions = {}) {
+    this.optimistic = !!options.optimistic;
+  }
+
+  async getGroup(userId: string, groupId: string): Promise<FaceGroup | null> {
+    return this.read(userId, 'faceGroups', groupId, 'groupId') as FaceGroup | null;
+  }
+
+  /**
+   * Like onSnapshot, listeners hear about writes after they commit, never inline
+   */
+  watchGroups(userId: string, onChange: (changes: GroupChange[], initial: boolean) => void, _onError: (error: Error) => void): () => void {
+    let watching = true;
+    const listener = (changes: GroupChange[], initial: boolean) => {
+      if (watching) onChange(changes, initial);
+    };
+    const current = (this.list(userId, 'faceGroups', 'groupId') as FaceGroup[]).map(group => ({ type: 'added' as const, group }));
+    queueMicrotask(() => listener(current, true));
+
+    if (!this.groupWatchers.has(userId)) this.groupWatchers.set(userId, new Set());
+    this.groupWatchers.get(userId)!.add(listener);
+    return () => {
+      watching = false;
+      this.groupWatchers.get(userId)?.delete(listener);
+    };
+  }
+
+  async listGroups(userId: string, options: { newestFirst?: boolean } = {}): Promise<FaceGroup[]> {
+    const groups = this.list(userId, 'faceGroups', 'groupId') as FaceGroup[];
+    if (!options.newestFirst) return groups;
+    // Like Firestore's orderBy, docs without the field are left out
+    return groups
+      .filter(g => g.updatedAt)
+      .sort((a, b) => timeOf(b.updatedAt) - timeOf(a.updatedAt));
+  }
+
+  async findGroupsContainingFaces(userId: string, faceIds: string[]): Promise<FaceGroup[]> {
+    const wanted = new Set(faceIds);
+    return (this.list(userId, 'faceGroups', 'groupId') as FaceGroup[])
+      .filter(g => (g.faceIds || []).some(id => wanted.has(id)));
+  }
+
+  async findGroupsByFile(userId: string, fileId: string): Promise<FaceGroup[]> {
+    return (this.list(userId, 'faceGroups', 'groupId') as FaceGroup[])
+      .filter(g => (g.fileIds || []).includes(fileId));
+  }
+
+  async getFace(userId: string, faceId: string): Promise<FaceRecord | null> {
+    return this.read(userId, 'faces', faceId, 'faceId') as FaceRecord | null;
+  }
+
+  async getFaces(userId: string, faceIds: string[]): Promise<Array<FaceRecord | null>> {
+    return faceIds.map(id => this.read(userId, 'faces', id, 'faceId') as FaceRecord | null);
+  }
+
+  async listFaces(userId: string): Promise<FaceRecord[]> {
+    return this.list(userId, 'faces', 'faceId') as FaceRecord[];
+  }
+
+  async findFacesByFile(userId: string, fileId: string): Promise<FaceRecord[]> {
+    return this.findFacesByField(userId, 'fileId', fileId);
+  }
+
+  async findFacesByField(userId: string, field: string, value: any, limit?: number): Promise<FaceRecord[]> {
+    const faces = (this.list(userId, 'faces', 'faceId') as FaceRecord[]).filter(f => f[field] === value);
+    return limit ? faces.slice(0, limit) : faces;
+  }
+
+  async getFile(userId: string, fileId: string): Promise<FileRecord | null> {
+    return this.read(userId, 'files', fileId, 'fileId') as FileRecord | null;
+  }
+
+  async getFiles(userId: string, fileIds: string[]): Promise<Array<FileRecord | null>> {
+    return fileIds.map(id => this.read(userId, 'files', id, 'fileId') as FileRecord | null);
+  }
+
+  async listFiles(userId: string): Promise<FileRecord[]> {
+    return this.list(userId, 'files', 'fileId') as FileRecord[];
+  }
+
+  async findFilesByField(userId: string, field: string, value: any): Promise<FileRecord[]> {
+    const path = field.split('.');
+    return (this.list(userId, 'files', 'fileId') as FileRecord[])
+      .filter(file => path.reduce((node: any, key) => node?.[key], file) === value);
+  }
+
+  async getEdges(userId: string, edgeIds: string[]): Promise<Array<FaceMatchEdge | null>> {
+    return edgeIds.map(id => this.read(userId, 'faceMatches', id, 'edgeId') as FaceMatchEdge | null);
+  }
+
+  async listEdges(userId: string): Promise<FaceMatchEdge[]> {
+    return this.list(userId, 'faceMatches', 'edgeId') as FaceMatchEdge[];
+  }
+
+  async findEdgesForFaces(userId: string, faceIds: string[]): Promise<FaceMatchEdge[]> {
+    const wanted = new Set(faceIds);
+    return (this.list(userId, 'faceMatches', 'edgeId') as FaceMatchEdge[])
+      .filter(e => (e.faceIds || []).some(id => wanted.has(id)));
+  }
+
+  async getCannotLink(userId: string, constraintId: string): Promise<CannotLinkConstraint | null> {
+    return this.read(userId, 'cannotLinks', constraintId, 'constraintId') as CannotLinkConstraint | null;
+  }
+
+  async listCannotLinks(userId: string): Promise<CannotLinkConstraint[]> {
+    return this.list(userId, 'cannotLinks', 'constraintId') as CannotLinkConstraint[];
+  }
+
+  async getIdempotencyRecord(userId: string, recordId: string): Promise<IdempotencyRecord | null> {
+    return this.read(userId, 'idempotencyKeys', recordId, 'recordId') as IdempotencyRecord | null;
+  }
+
+  async getJob(jobId: string): Promise<Job | null> {
+    return this.read(TOP_LEVEL, 'faceJobs', jobId, 'jobId') as Job | null;
+  }
+
+  async listJobs(filter: { status?: JobStatus; userId?: string }): Promise<Job[]> {
+    return (this.list(TOP_LEVEL, 'faceJobs', 'jobId') as Job[])
+      .filter(job => (!filter.status || job.status === filter.status) && (!filter.userId || job.userId === filter.userId))
+      .sort((a, b) => timeOf(a.createdAt) - timeOf(b.createdAt));
+  }
+
+  async getApiKey(keyId: string): Promise<ApiKey | null> {
+    return this.read(TOP_LEVEL, 'apiKeys', keyId, 'keyId') as ApiKey | null;
+  }
+
+  async listApiKeys(): Promise<ApiKey[]> {
+    return this.list(TOP_LEVEL, 'apiKeys', 'keyId') as ApiKey[];
+  }
+
+  async getAuditEntry(userId: string, entryId: string): Promise<AuditEntry | null> {
+    return this.read(userId, 'auditLog', entryId, 'entryId') as AuditEntry | null;
+  }
+
+  async listAuditEntries(
+    userId: string,
+    options: { since?: Date; until?: Date; after?: string; limit: number }
+  ): Promise<AuditEntry[]> {
+    // Insertion order breaks createdAt ties, newest last, like Firestore's doc order
+    const entries = (this.list(userId, 'auditLog', 'entryId') as AuditEntry[])
+      .map((entry, i) => ({ entry, i }))
+      .sort((a, b) => timeOf(b.entry.createdAt) - timeOf(a.entry.createdAt) || b.i - a.i)
+      .map(({ entry }) => entry)
+      .filter(entry => (!options.since || timeOf(entry.createdAt) >= options.since.getTime()) &&
+        (!options.until || timeOf(entry.createdAt) < options.until.getTime()));
+    const start = options.after ? entries.findIndex(entry => entry.entryId === options.after) + 1 : 0;
+    return entries.slice(start, start + options.limit);
+  }
+
+  async getReconciliationRun(userId: string, runId: string): Promise<ReconciliationRun | null> {
+    return this.read(userId, 'reconciliationRuns', runId, 'runId') as ReconciliationRun | null;
+  }
+
+  async listReconciliationRuns(userId: string, limit: number): Promise<ReconciliationRun[]> {
+    return (this.list(userId, 'reconciliationRuns', 'runId') as ReconciliationRun[])
+      .sort((a, b) => timeOf(b.startedAt) - timeOf(a.startedAt))
+      .slice(0, limit);
+  }
+
+  newId(): string {
+    return `mem_${Date.now().toString(36)}_${(this.idCounter++).toString(36)}`;
+  }
+
+  async write(fn: (writer: FaceStoreWriter) => void): Promise<void> {
+    const writer = new QueuedWriter();
+    fn(writer);
+    await this.exclusive(async () => this.apply(writer.operations));
+  }
+
+  /**
+   * By default transactions hold the store lock, so they never contend and
+   * maxAttempts is moot. Optimistic ones only lock to commit.
+   */
+  async runTransaction<T>(fn: (transaction: FaceStoreTransaction) => Promise<T>, options: TransactionOptions = {}): Promise<T> {
+    if (!this.optimistic) {
+      return this.exclusive(async () => {
+        const transaction = new InMemoryTransaction(this);
+        const result = await fn(transaction);
+        this.apply(transaction.operations);
+        return result;
+      });
+    }
+
+    const maxAttempts = options.maxAttempts ?? 5;  // Firestore's default
+    for (let attempt = 1; ; attempt++) {
+      const transaction = new InMemoryTransaction(this);
+      const result = await fn(transaction);
+      await this.yieldToWriters();
+      const committed = await this.exclusive(async () => {
+        for (const [key, version] of transaction.readVersions) {
+          if ((this.versions.get(key) || 0) !== version) return false;
+        }
+        this.apply(transaction.operations);
+        return true;
+      });
+      if (committed) return result;
+
+      if (attempt >= maxAttempts) {
+        throw new AbortedError(`Transaction still contended after ${maxAttempts} attempts`);
+      }
+      this.retries++;
+    }
+  }
+
+  /**
+   * Drop everything (local development)
+   */
+  clear(): void {
+    this.data.clear();
+  }
+
+  version(userId: string, collection: Collection, id: string): number {
+    return this.versions.get(this.key(userId, collection, id)) || 0;
+  }
+
+  /**
+   * Let other writers run between an optimistic transaction's reads
+   */
+  async yieldToWriters(): Promise<void> {
+    if (this.optimistic) await new Promise(resolve => setImmediate(resolve));
+  }
+
+  read(userId: string, collection: Collection, id: string, idField: string): StoreData | null {
+    const doc = this.data.get(this.key(userId, collection, id));
+    return doc ? { ...structuredClone(doc), [idField]: id } : null;
+  }
+
+  private list(userId: string, collection: Collection, idField: string): StoreData[] {
+    const prefix = this.key(userId, collection, '');
+    return [...this.data.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, doc]) => ({ ...structuredClone(doc), [idField]: key.slice(prefix.length) }));
+  }
+
+  /**
+   * Apply operations all-or-nothing
+   */
+  private apply(operations: Operation[]): void {
+    const staged = new Map<string, StoreData | null>();
+    const current = (key: string) => staged.has(key) ? staged.get(key)! : (this.data.get(key) || null);
+
+    for (const op of operations) {
+      const key = this.key(op.userId, op.collection, op.id);
+      if (op.kind === 'delete') {
+        staged.set(key, null);
+      } else if (op.kind === 'update') {
+        const existing = current(key);
+        if (!existing) throw new NotFoundError(`No document to update: ${key}`);
+        staged.set(key, applyFields(existing, op.data, false));
+      } else {
+        staged.set(key, applyFields(op.merge ? (current(key) || {}) : {}, op.data, op.merge));
+      }
+    }
+
+    const groupChanges = new Map<string, GroupChange[]>();
+    for (const op of operations) {
+      const key = this.key(op.userId, op.collection, op.id);
+      if (op.collection !== 'faceGroups' || !this.groupWatchers.get(op.userId)?.size || !staged.has(key)) continue;
+      const before = this.data.get(key);
+      const after = staged.get(key);
+      staged.delete(key);
+      this.commit(key, after!);
+      if (!before && !after) continue;
+      const change: GroupChange = {
+        type: !before ? 'added' : after ? 'modified' : 'removed',
+        group: { ...structuredClone(after || before!), groupId: op.id } as FaceGroup
+      };
+      groupChanges.set(op.userId, [...(groupChanges.get(op.userId) || []), change]);
+    }
+    staged.forEach((doc, key) => this.commit(key, doc));
+
+    groupChanges.forEach((changes, userId) => {
+      queueMicrotask(() => this.groupWatchers.get(userId)?.forEach(listener => listener(changes, false)));
+    });
+  }
+
+  private commit(key: string, doc: StoreData | null): void {
+    if (doc) this.data.set(key, doc);
+    else this.data.delete(key);
+    this.versions.set(key, (this.versions.get(key) || 0) + 1);
+  }
+
+  /**
+   * Run one writer at a time so transactions see a stable state
+   */
+  private exclusive<T>(fn: () => Promise<T>): Promise<T> {
+    const run = this.lock.then(fn);
+    this.lock = run.then(() => undefined, () => undefined);
+    return run;
+  }
+
+  key(userId: string, collection: Collection, id: string): string {
+    return `${userId}/${collection}/${id}`;
+  }
+}
+
+function timeOf(value: any): number {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value.toMillis === 'function') return value.toMillis();
+  return 0;
+}
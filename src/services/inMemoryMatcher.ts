@@ -0,0 +1,115 @@
+/**
+ * In-Memory Face Matcher
+ * Deterministic FaceMatcher driven by fixture match tables - no AWS needed
+ *
+ * Fixture shape, per user:
+ *   {
+ *     "user123": {
+ *       "faces":   [{ "faceId": "f1", "externalImageId": "file1" }],
+ *       "matches": { "f1": [{ "faceId": "f2", "similarity": 99.1 }, "f3"] },
+ *       "images":  { "file2": [{ "faceId": "f4", "boundingBox": { ... } }] }
+ *     }
+ *   }
+ * Matches are symmetric (f1 -> f2 implies f2 -> f1); a bare ID means 100%.
+ * Faces named in "matches" count as indexed. "images" holds what indexFaces
+ * returns for an externalImageId - those faces join the collection only once indexed.
+ */
+
+import { FaceMatchCandidate } from '../types';
+import { FaceImage, FaceMatcher, IndexedFace, SearchFacesOptions } from './faceMatcher';
+
+export interface FaceMatcherFixture {
+  faces?: IndexedFace[];
+  matches?: Record<string, Array<string | FaceMatchCandidate>>;
+  images?: Record<string, IndexedFace[]>;
+}
+
+export type FaceMatcherFixtures = Record<string, FaceMatcherFixture>;
+
+// Same default as the Rekognition adapter (GH-744)
+const DEFAULT_THRESHOLD = 97.0;
+const DEFAULT_MAX_FACES = 20;
+
+interface UserCollection {
+  faces: Map<string, IndexedFace>;
+  matches: Map<string, Map<string, number>>;
+  images: Record<string, IndexedFace[]>;
+}
+
+export class InMemoryFaceMatcher implements FaceMatcher {
+  readonly name = 'memory';
+  private collections = new Map<string, UserCollection>();
+
+  constructor(fixtures: FaceMatcherFixtures = {}) {
+    Object.entries(fixtures).forEach(([userId, fixture]) => this.loadFixture(userId, fixture));
+  }
+
+  /**
+   * Replace a user's collection with a fixture
+   */
+  loadFixture(userId: string, fixture: FaceMatcherFixture): void {
+    const collection: UserCollection = { faces: new Map(), matches: new Map(), images: fixture.images || {} };
+    (fixture.faces || []).forEach(face => collection.faces.set(face.faceId, { ...face }));
+
+    Object.entries(fixture.matches || {}).forEach(([faceId, matches]) => {
+      matches.forEach(match => {
+        const candidate = typeof match === 'string' ? { faceId: match } : match;
+        this.link(collection, faceId, candidate.faceId, candidate.similarity ?? 100);
+      });
+    });
+
+    this.collections.set(userId, collection);
+  }
+
+  async searchFaces(userId: string, faceId: string, options: SearchFacesOptions = {}): Promise<FaceMatchCandidate[]> {
+    const collection = this.collections.get(userId);
+    if (!collection || !collection.faces.has(faceId)) return [];
+
+    const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+    return [...(collection.matches.get(faceId) || new Map<string, number>()).entries()]
+      .filter(([id, similarity]) => id !== faceId && similarity >= threshold && collection.faces.has(id))
+      .sort((a, b) => (b[1] - a[1]) || a[0].localeCompare(b[0]))
+      .slice(0, options.maxFaces ?? DEFAULT_MAX_FACES)
+      .map(([id, similarity]) => ({ faceId: id, similarity }));
+  }
+
+  async deleteFaces(userId: string, faceIds: string[]): Promise<string[]> {
+    const collection = this.collections.get(userId);
+    if (!collection) return [];
+    return faceIds.filter(faceId => collection.faces.delete(faceId));
+  }
+
+  async listFaces(userId: string): Promise<IndexedFace[]> {
+    const collection = this.collections.get(userId);
+    if (!collection) return [];
+    return [...collection.faces.values()].sort((a, b) => a.faceId.localeCompare(b.faceId));
+  }
+
+  async indexFaces(userId: string, image: FaceImage): Promise<IndexedFace[]> {
+    const collection = this.getOrCreate(userId);
+    const faces = (image.externalImageId && collection.images[image.externalImageId]) || [];
+    return faces.map(face => {
+      const indexed = { ...face, externalImageId: image.externalImageId };
+      collection.faces.set(face.faceId, indexed);
+      return indexed;
+    });
+  }
+
+  private getOrCreate(userId: string): UserCollection {
+    let collection = this.collections.get(userId);
+    if (!collection) {
+      collection = { faces: new Map(), matches: new Map(), images: {} };
+      this.collections.set(userId, collection);
+    }
+    return collection;
+  }
+
+  private link(collection: UserCollection, a: string, b: string, similarity: number): void {
+    for (const [from, to] of [[a, b], [b, a]]) {
+      if (!collection.faces.has(from)) collection.faces.set(from, { faceId: from });
+      const row = collection.matches.get(from) || new Map<string, number>();
+      row.set(to, Math.max(row.get(to) ?? 0, similarity));
+      collection.matches.set(from, row);
+    }
+  }
+}
@@ -0,0 +1,484 @@
+/**
+ * Job Queue
+ * Runs long grouping work (batch process-faces, recluster, cleanup, reset,
+ * AWS collection reconciliation)
+ * in the background instead of holding an HTTP request open
+ *
+ * Jobs live in the store (/faceJobs) so their status survives a restart and
+ * any instance can report on them. Each instance runs an in-process worker
+ * that claims queued jobs one at a time in a transaction, so two instances
+ * never run the same job. A running job refreshes its heartbeat; a job whose
+ * heartbeat goes stale (its instance died) is queued again.
+ *
+ * Failed runs are retried with exponential backoff up to maxAttempts. Running
+ * jobs are cancelled cooperatively: handlers check between units of work, and
+ * a job that fails or goes stale after a cancel was requested isn't retried.
+ */
+
+import { hostname } from 'os';
+import { AuditActor, CreateJobRequest, Job, JobProgress, JobType } from '../types';
+import { FaceStore, StoreData, StoreField, getFaceStore } from './faceStore';
+import { GroupOperationError, groupManager, isTestUser } from './groupManager';
+import { processFacesBatch, validateBatchFiles } from './batchProcessing';
+import { AuditContext, AuditLog, auditLog } from './auditLog';
+import { collectionReconciler } from './collectionReconciler';
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const MAX_ATTEMPTS_LIMIT = 10;
+
+// Retry backoff: 30s, 1m, 2m, ... capped at 10m
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 10 * 60 * 1000;
+
+// Running jobs refresh their heartbeat this often; one this stale has lost its worker
+const HEARTBEAT_MS = 30 * 1000;
+const STALE_AFTER_MS = 2 * 60 * 1000;
+
+// Picks up jobs enqueued on other instances and retries that come due
+const POLL_MS = 15 * 1000;
+
+const JOB_TYPES: JobType[] = ['process-faces', 'recluster', 'cleanup-by-file', 'reset', 'reconcile-collection'];
+
+/**
+ * Thrown by throwIfCancelled() to stop a handler
+ */
+export class JobCancelledError extends Error {
+  constructor(jobId: string) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * A failure that still produced a result worth keeping (e.g. some files of a batch failed)
+ */
+class JobFailedError extends Error {
+  constructor(message: string, public result: any) {
+    super(message);
+    this.name = 'JobFailedError';
+  }
+}
+
+/**
+ * What a handler gets to report back through
+ */
+export interface JobContext {
+  job: Job;
+  progress(completed: number, total: number, message?: string): Promise<void>;
+  throwIfCancelled(): Promise<void>;
+}
+
+type JobHandler = (context: JobContext) => Promise<any>;
+
+/**
+ * Audit entries from a job go against whoever queued it, with the jobId as request ID
+ */
+function auditContextOf(job: Job): AuditContext {
+  return { actor: job.requestedBy || { type: 'job', id: job.jobId }, source: 'job', requestId: job.jobId };
+}
+
+const handlers: Record<JobType, JobHandler> = {
+  'process-faces': async ({ job, progress, throwIfCancelled }) => {
+    const { files, interviewId } = job.payload;
+    // Defaulting the batchId to the job keeps a retry from redoing files that finished
+    const batchId = job.payload.batchId || `job_${job.jobId}`;
+    const response = await processFacesBatch(job.userId, files, {
+      interviewId,
+      batchId,
+      audit: auditContextOf(job),
+      onFileDone: async (completed, total, result) => {
+        await progress(completed, total, `Processed ${result.fileId}`);
+        await throwIfCancelled();
+      }
+    });
+    // The groups are left out - the job doc would outgrow Firestore's size limit
+    const result = { results: response.results, summary: response.summary };
+    if (!response.success) {
+      throw new JobFailedError(`${response.summary.failed} of ${response.summary.fileCount} file(s) failed`, result);
+    }
+    return result;
+  },
+
+  'recluster': async ({ job, progress, throwIfCancelled }) => {
+    // Dry run unless asked otherwise, same as POST /api/recluster
+    const dryRun = job.payload.dryRun !== false;
+    await progress(0, 1, dryRun ? 'Planning recluster' : 'Reclustering');
+    const result = await groupManager.recluster(job.userId, dryRun, throwIfCancelled);
+    if (!dryRun) await auditLog.record(auditContextOf(job), job.userId, AuditLog.reclusterEntry(result));
+    await progress(1, 1);
+    return result;
+  },
+
+  'cleanup-by-file': async ({ job, progress, throwIfCancelled }) => {
+    const fileIds: string[] = job.payload.fileIds;
+    const results = [];
+    for (const fileId of fileIds) {
+      await throwIfCancelled();
+      const stats = await auditLog.track(auditContextOf(job), job.userId, {
+        action: 'cleanup-file',
+        ...(await auditLog.fileScope(job.userId, fileId)),
+        details: stats => ({ fileId, ...stats })
+      }, () => groupManager.cleanupFacesByFile(job.userId, fileId));
+      results.push({ fileId, ...stats });
+      await progress(results.length, fileIds.length, `Cleaned up ${fileId}`);
+    }
+    return { results };
+  },
+
+  'reset': async ({ job, progress, throwIfCancelled }) => {
+    await throwIfCancelled();
+    const deletedCount = await groupManager.clearAllGroups(job.userId);
+    await auditLog.record(auditContextOf(job), job.userId, { action: 'reset', groupIds: [], details: { deletedCount } });
+    await progress(1, 1);
+    return { deletedCount };
+  },
+
+  'reconcile-collection': async ({ job, progress, throwIfCancelled }) => {
+    const run = await collectionReconciler.reconcile(auditContextOf(job), job.userId, {
+      deleteOrphans: job.payload.deleteOrphans === true,
+      reindexMissing: job.payload.reindexMissing === true,
+      onProgress: progress,
+      checkpoint: throwIfCancelled
+    });
+    // The full report is stored with the run
+    const result = {
+      runId: run.runId,
+      orphanedCount: run.orphanedCount,
+      missingCount: run.missingCount,
+      deletedCount: run.deletedFaceIds.length,
+      reindexedCount: run.reindexed.length,
+      errorCount: run.errors.length
+    };
+    if (run.status === 'failed') throw new JobFailedError(run.errors[run.errors.length - 1].message, result);
+    return result;
+  }
+};
+
+export class JobQueue {
+  private readonly workerId = `${hostname()}-${process.pid}`;
+  private pumping: Promise<void> | null = null;
+  private pumpAgain = false;
+  private retryTimer: NodeJS.Timeout | null = null;
+  private pollTimer: NodeJS.Timeout | null = null;
+
+  get store(): FaceStore {
+    return getFaceStore();
+  }
+
+  /**
+   * Start the worker: pick up jobs left behind by a dead instance, then work the queue
+   */
+  start(): void {
+    if (this.pollTimer) return;
+    console.log(`👷 Job worker ${this.workerId} started`);
+    this.pollTimer = setInterval(() => this.pump(), POLL_MS);
+    this.pollTimer.unref();
+    this.pump();
+  }
+
+  stop(): void {
+    if (this.pollTimer) clearInterval(this.pollTimer);
+    if (this.retryTimer) clearTimeout(this.retryTimer);
+    this.pollTimer = null;
+    this.retryTimer = null;
+  }
+
+  /**
+   * Check and queue a job
+   * @param requestedBy - Caller, for the audit entries the job writes
+   * @throws GroupOperationError - 400 for a bad type or payload, 403 for reset on a real user
+   */
+  async enqueue(request: CreateJobRequest, requestedBy?: AuditActor): Promise<Job> {
+    const { userId, type } = request;
+    const payload = request.payload || {};
+    if (!userId) throw new GroupOperationError('Missing required field: userId');
+    if (!JOB_TYPES.includes(type)) {
+      throw new GroupOperationError(`Unknown job type: ${type} (expected ${JOB_TYPES.join(', ')})`);
+    }
+    this.validatePayload(userId, type, payload);
+
+    const requested = Number(request.maxAttempts);
+    const maxAttempts = requested >= 1 ? Math.min(Math.floor(requested), MAX_ATTEMPTS_LIMIT) : DEFAULT_MAX_ATTEMPTS;
+
+    const jobId = this.store.newId();
+    const job: Omit<Job, 'jobId' | 'createdAt' | 'updatedAt'> & StoreData = {
+      userId,
+      type,
+      payload,
+      status: 'queued',
+      progress: { completed: 0, total: 0 },
+      attempts: 0,
+      maxAttempts,
+      requestedBy,
+      createdAt: StoreField.serverTimestamp(),
+      updatedAt: StoreField.serverTimestamp()
+    };
+    await this.store.write(writer => writer.setJob(jobId, job));
+    console.log(`📥 Queued ${type} job ${jobId} for user ${userId}`);
+
+    this.pump();
+    return (await this.store.getJob(jobId))!;
+  }
+
+  /**
+   * @throws GroupOperationError 404 if there is no such job
+   */
+  async get(jobId: string): Promise<Job> {
+    const job = await this.store.getJob(jobId);
+    if (!job) throw new GroupOperationError(`Job ${jobId} not found`, 404);
+    return job;
+  }
+
+  /**
+   * Cancel a job: a queued one at once, a running one at its next checkpoint
+   * @throws GroupOperationError 409 if the job has already finished
+   */
+  async cancel(jobId: string): Promise<Job> {
+    await this.store.runTransaction(async (transaction) => {
+      const job = await transaction.getJob(jobId);
+      if (!job) throw new GroupOperationError(`Job ${jobId} not found`, 404);
+
+      if (job.status === 'queued') {
+        transaction.updateJob(jobId, {
+          status: 'cancelled',
+          finishedAt: new Date(),
+          updatedAt: StoreField.serverTimestamp()
+        });
+      } else if (job.status === 'running') {
+        transaction.updateJob(jobId, { cancelRequested: true, updatedAt: StoreField.serverTimestamp() });
+      } else {
+        throw new GroupOperationError(`Job ${jobId} is already ${job.status}`, 409);
+      }
+    });
+    console.log(`🛑 Cancel requested for job ${jobId}`);
+    return this.get(jobId);
+  }
+
+  /**
+   * Queue a failed or cancelled job again, with a fresh set of attempts
+   * @throws GroupOperationError 409 if the job is queued, running or succeeded
+   */
+  async retry(jobId: string): Promise<Job> {
+    await this.store.runTransaction(async (transaction) => {
+      const job = await transaction.getJob(jobId);
+      if (!job) throw new GroupOperationError(`Job ${jobId} not found`, 404);
+      if (job.status !== 'failed' && job.status !== 'cancelled') {
+        throw new GroupOperationError(`Only failed or cancelled jobs can be retried (job ${jobId} is ${job.status})`, 409);
+      }
+
+      transaction.updateJob(jobId, {
+        status: 'queued',
+        attempts: 0,
+        progress: { completed: 0, total: 0 },
+        cancelRequested: StoreField.delete(),
+        error: StoreField.delete(),
+        result: StoreField.delete(),
+        runAfter: StoreField.delete(),
+        finishedAt: StoreField.delete(),
+        updatedAt: StoreField.serverTimestamp()
+      });
+    });
+    console.log(`🔁 Re-queued job ${jobId}`);
+
+    this.pump();
+    return this.get(jobId);
+  }
+
+  private validatePayload(userId: string, type: JobType, payload: Record<string, any>): void {
+    switch (type) {
+      case 'process-faces': {
+        const problem = validateBatchFiles(payload.files);
+        if (problem) throw new GroupOperationError(problem);
+        break;
+      }
+      case 'cleanup-by-file': {
+        const fileIds = payload.fileIds;
+        if (!Array.isArray(fileIds) || fileIds.length === 0 || fileIds.some(id => !id || typeof id !== 'string')) {
+          throw new GroupOperationError('cleanup-by-file jobs need payload.fileIds[]');
+        }
+        break;
+      }
+      case 'reset':
+        if (!isTestUser(userId)) throw new GroupOperationError('Reset only allowed for test user', 403);
+        break;
+    }
+  }
+
+  /**
+   * Run queued jobs until none are due; overlapping calls fold into one pass
+   */
+  private pump(): void {
+    if (this.pumping) {
+      this.pumpAgain = true;
+      return;
+    }
+    this.pumping = (async () => {
+      do {
+        this.pumpAgain = false;
+        try {
+          await this.requeueStaleJobs();
+          let job: Job | null;
+          while ((job = await this.claimNext())) {
+            await this.run(job);
+          }
+        } catch (error) {
+          console.error('❌ Job worker error:', error);
+        }
+      } while (this.pumpAgain);
+    })().finally(() => {
+      this.pumping = null;
+    });
+  }
+
+  /**
+   * Claim the oldest due job, or schedule a pass for when the next retry comes due
+   */
+  private async claimNext(): Promise<Job | null> {
+    const now = Date.now();
+    const queued = await this.store.listJobs({ status: 'queued' });
+    const due = queued.filter(job => !job.runAfter || new Date(job.runAfter).getTime() <= now);
+
+    for (const candidate of due) {
+      const claimed = await this.store.runTransaction(async (transaction) => {
+        const job = await transaction.getJob(candidate.jobId);
+        // Another instance may have taken it since the listing
+        if (!job || job.status !== 'queued') return false;
+        transaction.updateJob(job.jobId, {
+          status: 'running',
+          attempts: (job.attempts || 0) + 1,
+          workerId: this.workerId,
+          heartbeatAt: new Date(),
+          startedAt: new Date(),
+          updatedAt: StoreField.serverTimestamp()
+        });
+        return true;
+      });
+      if (claimed) return this.store.getJob(candidate.jobId);
+    }
+
+    const waiting = queued.filter(job => !due.includes(job));
+    if (waiting.length > 0) {
+      const next = Math.min(...waiting.map(job => new Date(job.runAfter!).getTime()));
+      if (this.retryTimer) clearTimeout(this.retryTimer);
+      this.retryTimer = setTimeout(() => this.pump(), Math.max(next - now, 0));
+      this.retryTimer.unref();
+    }
+    return null;
+  }
+
+  /**
+   * Queue again any running job whose worker stopped sending heartbeats
+   */
+  private async requeueStaleJobs(): Promise<void> {
+    const cutoff = Date.now() - STALE_AFTER_MS;
+    const isStale = (job: Job | null) =>
+      !!job && job.status === 'running' && (!job.heartbeatAt || new Date(job.heartbeatAt).getTime() < cutoff);
+
+    const running = await this.store.listJobs({ status: 'running' });
+    for (const stale of running.filter(isStale)) {
+      const cancelled = await this.store.runTransaction(async (transaction) => {
+        const job = await transaction.getJob(stale.jobId);
+        if (!isStale(job)) return null;
+        // Nobody is left to reach the checkpoint a cancel waits for
+        transaction.updateJob(stale.jobId, job!.cancelRequested ? {
+          status: 'cancelled',
+          cancelRequested: StoreField.delete(),
+          workerId: StoreField.delete(),
+          finishedAt: new Date(),
+          updatedAt: StoreField.serverTimestamp()
+        } : {
+          status: 'queued',
+          workerId: StoreField.delete(),
+          updatedAt: StoreField.serverTimestamp()
+        });
+        return !!job!.cancelRequested;
+      });
+      if (cancelled === null) continue;
+      console.log(cancelled
+        ? `🛑 Job ${stale.jobId} cancelled (worker ${stale.workerId} stopped responding)`
+        : `♻️ Re-queued job ${stale.jobId} (worker ${stale.workerId} stopped responding)`);
+    }
+  }
+
+  private async run(job: Job): Promise<void> {
+    console.log(`\n▶️ Running ${job.type} job ${job.jobId} (attempt ${job.attempts}/${job.maxAttempts})`);
+    const heartbeat = setInterval(() => {
+      this.update(job.jobId, { heartbeatAt: new Date() }).catch(error =>
+        console.error(`❌ Heartbeat failed for job ${job.jobId}:`, error)
+      );
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    const context: JobContext = {
+      job,
+      progress: async (completed, total, message) => {
+        const progress: JobProgress = { completed, total };
+        if (message) progress.message = message;
+        await this.update(job.jobId, { progress, heartbeatAt: new Date() });
+      },
+      throwIfCancelled: async () => {
+        const current = await this.store.getJob(job.jobId);
+        if (current?.cancelRequested) throw new JobCancelledError(job.jobId);
+      }
+    };
+
+    try {
+      const result = await handlers[job.type](context);
+      await this.finish(job.jobId, { status: 'succeeded', result: result ?? null });
+      console.log(`✅ Job ${job.jobId} succeeded`);
+    } catch (error: any) {
+      if (error instanceof JobCancelledError) {
+        await this.finish(job.jobId, { status: 'cancelled' });
+        console.log(`🛑 Job ${job.jobId} cancelled`);
+      } else {
+        await this.fail(job, error);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Record a failed run: back to the queue with a backoff, or failed for good
+   * A job asked to cancel before it failed ends cancelled instead of retrying.
+   */
+  private async fail(job: Job, error: any): Promise<void> {
+    const message = error?.message || String(error);
+    const result = error instanceof JobFailedError ? error.result : StoreField.delete();
+
+    const current = await this.store.getJob(job.jobId);
+    if (current?.cancelRequested) {
+      await this.finish(job.jobId, { status: 'cancelled', error: message, result });
+      console.log(`🛑 Job ${job.jobId} cancelled (failed before reaching a checkpoint: ${message})`);
+    } else if (job.attempts < job.maxAttempts) {
+      const delay = Math.min(RETRY_BASE_MS * 2 ** (job.attempts - 1), RETRY_MAX_MS);
+      await this.update(job.jobId, {
+        status: 'queued',
+        error: message,
+        result,
+        runAfter: new Date(Date.now() + delay),
+        workerId: StoreField.delete()
+      });
+      console.warn(`⚠️ Job ${job.jobId} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${delay / 1000}s: ${message}`);
+    } else {
+      await this.finish(job.jobId, { status: 'failed', error: message, result });
+      console.error(`❌ Job ${job.jobId} failed after ${job.attempts} attempt(s): ${message}`);
+    }
+  }
+
+  private async finish(jobId: string, patch: StoreData): Promise<void> {
+    await this.update(jobId, {
+      ...patch,
+      cancelRequested: StoreField.delete(),
+      workerId: StoreField.delete(),
+      finishedAt: new Date()
+    });
+  }
+
+  private async update(jobId: string, patch: StoreData): Promise<void> {
+    await this.store.write(writer => writer.updateJob(jobId, { ...patch, updatedAt: StoreField.serverTimestamp() }));
+  }
+}
+
+// Export singleton instance
+export const jobQueue = new JobQueue();
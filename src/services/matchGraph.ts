@@ -0,0 +1,130 @@
+/**
+ * Match Graph Service
+ * Persists every face match edge so grouping decisions can be explained later
+ */
+
+import { FaceMatchCandidate, FaceMatchEdge, MatchSource } from '../types';
+import { FaceStore, StoreField, getFaceStore } from './faceStore';
+
+export class MatchGraph {
+  get store(): FaceStore {
+    return getFaceStore();
+  }
+
+  /**
+   * Edges are undirected - one doc per face pair, keyed by the sorted IDs
+   */
+  static edgeId(faceA: string, faceB: string): string {
+    return [faceA, faceB].sort().join('__');
+  }
+
+  /**
+   * Record the matches found for a face
+   * Re-seeing a known pair keeps its original source/fileId/createdAt and only
+   * raises the similarity if the new score is higher.
+   *
+   * @param userId - User ID
+   * @param faceId - Face being processed
+   * @param fileId - File the face came from
+   * @param matches - Matched faces with similarity scores when known
+   * @param source - 'provided' (artifact processor) or 'search' (SearchFaces)
+   * @param processCallId - processFaces call that found the matches
+   */
+  async recordEdges(
+    userId: string,
+    faceId: string,
+    fileId: string,
+    matches: FaceMatchCandidate[],
+    source: MatchSource,
+    processCallId?: string
+  ): Promise<void> {
+    const uniqueMatches = new Map<string, FaceMatchCandidate>();
+    matches
+      .filter(m => m.faceId && m.faceId !== faceId)
+      .forEach(m => uniqueMatches.set(m.faceId, m));
+
+    if (uniqueMatches.size === 0) return;
+
+    try {
+      const matchList = [...uniqueMatches.values()];
+      const edgeIds = matchList.map(m => MatchGraph.edgeId(faceId, m.faceId));
+      const existingEdges = await this.store.getEdges(userId, edgeIds);
+
+      await this.store.write(writer => existingEdges.forEach((existing, i) => {
+        const match = matchList[i];
+        const similarity = typeof match.similarity === 'number' ? match.similarity : null;
+
+        if (existing) {
+          const updateData: any = { lastSeenAt: StoreField.serverTimestamp() };
+          if (similarity !== null && (existing.similarity === null || similarity > existing.similarity)) {
+            updateData.similarity = similarity;
+          }
+          writer.updateEdge(userId, edgeIds[i], updateData);
+        } else {
+          const edge: FaceMatchEdge = {
+            edgeId: edgeIds[i],
+            faceIds: [faceId, match.faceId].sort() as [string, string],
+            sourceFaceId: faceId,
+            targetFaceId: match.faceId,
+            similarity,
+            source,
+            fileId,
+            processCallId,
+            createdAt: StoreField.serverTimestamp(),
+            lastSeenAt: StoreField.serverTimestamp()
+          };
+          writer.setEdge(userId, edgeIds[i], edge);
+        }
+      }));
+      console.log(`    🔗 Recorded ${uniqueMatches.size} ${source} match edge(s) for face ${faceId}`);
+    } catch (error) {
+      // Grouping still works from the in-memory matches - don't fail the face
+      console.error(`    ❌ Failed to record match edges for face ${faceId}:`, error);
+    }
+  }
+
+  /**
+   * Get every stored edge touching a face
+   */
+  async getEdgesForFace(userId: string, faceId: string): Promise<FaceMatchEdge[]> {
+    return this.store.findEdgesForFaces(userId, [faceId]);
+  }
+
+  /**
+   * Get every stored edge touching any of the given faces
+   */
+  async getEdgesForFaces(userId: string, faceIds: string[]): Promise<FaceMatchEdge[]> {
+    return this.store.findEdgesForFaces(userId, faceIds);
+  }
+
+  /**
+   * Get every stored edge for a user (full-graph jobs such as recluster)
+   */
+  async getAllEdges(userId: string): Promise<FaceMatchEdge[]> {
+    return this.store.listEdges(userId);
+  }
+
+  /**
+   * Get the IDs of every face with a stored edge to this face
+   */
+  async getNeighborIds(userId: string, faceId: string): Promise<string[]> {
+    const edges = await this.getEdgesForFace(userId, faceId);
+    return [...new Set(edges.map(e => e.faceIds[0] === faceId ? e.faceIds[1] : e.faceIds[0]))];
+  }
+
+  /**
+   * Delete every edge touching the given faces (their faces no longer exist)
+   */
+  async deleteEdgesForFaces(userId: string, faceIds: string[]): Promise<number> {
+    const edges = await this.getEdgesForFaces(userId, faceIds);
+    if (edges.length === 0) return 0;
+
+    await this.store.write(writer => edges.forEach(e => writer.deleteEdge(userId, e.edgeId)));
+
+    console.log(`  Deleted ${edges.length} match edge(s) for ${faceIds.length} face(s)`);
+    return edges.length;
+  }
+}
+
+// Export singleton instance
+export const matchGraph = new MatchGraph();
@@ -0,0 +1,73 @@
+/**
+ * Process Faces Batch
+ * State shared by the processFaces calls of one batch request
+ *
+ * Processing files one call at a time re-reads the file doc, re-checks
+ * storage and re-queries groups for every face. A batch loads the file docs
+ * and the user's groups once up front and keeps the group index current as
+ * its own calls write, so later files see the groups earlier files created,
+ * grew or merged away. Writes made outside the batch while it runs are not
+ * seen until the batch re-reads the group (every add/merge re-reads it).
+ */
+
+import { FaceGroup } from '../types';
+import { FileRecord } from './faceStore';
+
+export class ProcessFacesBatch {
+  private groups = new Map<string, FaceGroup>();
+  private groupsByFace = new Map<string, Set<string>>();
+  private accessibleUrls = new Map<string, boolean>();
+
+  constructor(private files: Map<string, FileRecord | null>, groups: FaceGroup[]) {
+    groups.forEach(group => this.putGroup(group));
+  }
+
+  get groupCount(): number {
+    return this.groups.size;
+  }
+
+  /**
+   * Prefetched file doc (null if it doesn't exist)
+   */
+  getFile(fileId: string): FileRecord | null {
+    return this.files.get(fileId) || null;
+  }
+
+  /**
+   * Groups holding any of the faces - the batch's stand-in for the array-contains-any query
+   */
+  findGroupsContainingFaces(faceIds: string[]): FaceGroup[] {
+    const groupIds = new Set(faceIds.flatMap(faceId => [...(this.groupsByFace.get(faceId) || [])]));
+    return [...groupIds].map(groupId => this.groups.get(groupId)!);
+  }
+
+  /**
+   * Record the latest version of a group
+   */
+  putGroup(group: FaceGroup): void {
+    this.removeGroup(group.groupId);
+    this.groups.set(group.groupId, group);
+    (group.faceIds || []).forEach(faceId => {
+      const groupIds = this.groupsByFace.get(faceId) || new Set<string>();
+      groupIds.add(group.groupId);
+      this.groupsByFace.set(faceId, groupIds);
+    });
+  }
+
+  removeGroup(groupId: string): void {
+    const existing = this.groups.get(groupId);
+    if (!existing) return;
+    (existing.faceIds || []).forEach(faceId => this.groupsByFace.get(faceId)?.delete(groupId));
+    this.groups.delete(groupId);
+  }
+
+  /**
+   * Storage check, run once per image URL
+   */
+  async isAccessible(imageUrl: string, check: (url: string) => Promise<boolean>): Promise<boolean> {
+    if (!this.accessibleUrls.has(imageUrl)) {
+      this.accessibleUrls.set(imageUrl, await check(imageUrl));
+    }
+    return this.accessibleUrls.get(imageUrl)!;
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Process Faces Plan
+ * In-memory stand-in for the writes processFaces would make (dry run)
+ *
+ * processFaces decides each face from the groups and edges left behind by the
+ * faces before it, so a dry run can't just skip the writes - later faces would
+ * see stale state. The plan keeps the would-be groups and edges in memory and
+ * overlays them on what's read from Firestore.
+ */
+
+import { FaceGroup, FaceMatchCandidate, PlannedFaceAction } from '../types';
+
+export class ProcessFacesPlan {
+  readonly actions: PlannedFaceAction[] = [];
+  private groups = new Map<string, FaceGroup>();
+  private deletedGroupIds = new Set<string>();
+  private edges = new Map<string, Set<string>>();
+
+  record(action: PlannedFaceAction): void {
+    this.actions.push(action);
+    console.log(`  🧪 [dry run] ${action.action} ${action.faceId}${action.groupId ? ` -> ${action.groupId}` : ''}${action.reason ? ` (${action.reason})` : ''}`);
+  }
+
+  skipAll(faceIds: string[], reason: string): void {
+    faceIds.forEach(faceId => this.record({ faceId, action: 'skip', reason }));
+  }
+
+  /**
+   * Edges that would have been written, in both directions
+   */
+  addEdges(faceId: string, matches: FaceMatchCandidate[]): void {
+    matches.filter(m => m.faceId && m.faceId !== faceId).forEach(m => {
+      this.link(faceId, m.faceId);
+      this.link(m.faceId, faceId);
+    });
+  }
+
+  neighborsOf(faceId: string): string[] {
+    return [...(this.edges.get(faceId) || [])];
+  }
+
+  /**
+   * Read a group through the plan
+   * @param fetch - Loads the stored group when the plan hasn't touched it
+   */
+  async getGroup(groupId: string, fetch: () => Promise<FaceGroup | null>): Promise<FaceGroup | null> {
+    if (this.deletedGroupIds.has(groupId)) return null;
+    return this.groups.get(groupId) || fetch();
+  }
+
+  /**
+   * Swap stored groups for their planned versions and add planned groups
+   * that contain any of the faces
+   */
+  overlay(stored: FaceGroup[], faceIds: string[]): FaceGroup[] {
+    const result = new Map<string, FaceGroup>();
+    stored
+      .filter(g => !this.deletedGroupIds.has(g.groupId))
+      .forEach(g => result.set(g.groupId, this.groups.get(g.groupId) || g));
+    this.groups.forEach(g => {
+      if ((g.faceIds || []).some(id => faceIds.includes(id))) result.set(g.groupId, g);
+    });
+    // A stored group the plan already moved faces out of may no longer match
+    return [...result.values()].filter(g => (g.faceIds || []).some(id => faceIds.includes(id)));
+  }
+
+  createGroup(groupId: string, faceId: string, fileId: string, boundingBox: any, interviewId?: string): FaceGroup {
+    const group: FaceGroup = {
+      groupId,
+      ...(interviewId ? { interviewId } : {}),
+      faceIds: [faceId],
+      leaderFaceId: faceId,
+      leaderFaceData: { fileId, boundingBox: boundingBox || {} },
+      fileIds: [fileId],
+      faceCount: 1,
+      status: 'unreviewed',
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    this.groups.set(groupId, group);
+    return group;
+  }
+
+  addFace(group: FaceGroup, faceId: string, fileId: string): FaceGroup {
+    const faceIds = [...new Set([...(group.faceIds || []), faceId])];
+    const updated: FaceGroup = {
+      ...group,
+      faceIds,
+      fileIds: [...new Set([...(group.fileIds || []), fileId])],
+      faceCount: faceIds.length,
+      updatedAt: new Date()
+    };
+    this.groups.set(group.groupId, updated);
+    return updated;
+  }
+
+  merge(primary: FaceGroup, secondaries: FaceGroup[]): FaceGroup {
+    const faceIds = [...new Set([...(primary.faceIds || []), ...secondaries.flatMap(g => g.faceIds || [])])];
+    const merged: FaceGroup = {
+      ...primary,
+      faceIds,
+      fileIds: [...new Set([...(primary.fileIds || []), ...secondaries.flatMap(g => g.fileIds || [])])],
+      faceCount: faceIds.length,
+      mergedFrom: [...(primary.mergedFrom || []), ...secondaries.map(g => g.groupId)],
+      updatedAt: new Date()
+    };
+    this.groups.set(primary.groupId, merged);
+    secondaries.forEach(g => {
+      this.groups.delete(g.groupId);
+      this.deletedGroupIds.add(g.groupId);
+    });
+    return merged;
+  }
+
+  private link(from: string, to: string): void {
+    const neighbors = this.edges.get(from) || new Set<string>();
+    neighbors.add(to);
+    this.edges.set(from, neighbors);
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * Reclustering
+ * Order-independent rebuild of a user's groups from the stored match graph
+ *
+ * processFaces is incremental, so the same photos uploaded in a different
+ * order can end up grouped differently. This rebuilds every cluster from the
+ * full graph with a union-find that applies the same rules in a fixed order:
+ *   - lone faces whose edges form a triangle seed a cluster together
+ *   - two multi-face clusters merge only when one face has >=2 edges into the
+ *     other (GH-744: one bridging edge must never fuse whole families)
+ *   - a face still alone after that joins the neighboring cluster with the
+ *     most edges to it
+ *   - never across a cannot-link, never across two different confirmed groups
+ * Everything here is pure; GroupManager.recluster does the I/O.
+ */
+
+import { FaceGroup, FaceMatchEdge, ReclusterPlan } from '../types';
+import { CannotLinkIndex } from './constraints';
+
+/**
+ * Union-find over face IDs that also tracks each cluster's members
+ */
+class UnionFind {
+  private parent = new Map<string, string>();
+  private members = new Map<string, string[]>();
+
+  constructor(ids: string[]) {
+    ids.forEach(id => {
+      this.parent.set(id, id);
+      this.members.set(id, [id]);
+    });
+  }
+
+  find(id: string): string {
+    let root = id;
+    while (this.parent.get(root) !== root) root = this.parent.get(root)!;
+    // Path compression
+    let current = id;
+    while (current !== root) {
+      const next = this.parent.get(current)!;
+      this.parent.set(current, root);
+      current = next;
+    }
+    return root;
+  }
+
+  union(a: string, b: string): string {
+    let rootA = this.find(a);
+    let rootB = this.find(b);
+    if (rootA === rootB) return rootA;
+
+    // Union by size; ties keep the smaller ID as root for determinism
+    const sizeA = this.members.get(rootA)!.length;
+    const sizeB = this.members.get(rootB)!.length;
+    if (sizeB > sizeA || (sizeB === sizeA && rootB < rootA)) {
+      [rootA, rootB] = [rootB, rootA];
+    }
+
+    this.parent.set(rootB, rootA);
+    this.members.set(rootA, [...this.members.get(rootA)!, ...this.members.get(rootB)!]);
+    this.members.delete(rootB);
+    return rootA;
+  }
+
+  membersOf(root: string): string[] {
+    return this.members.get(root) || [];
+  }
+
+  clusters(): string[][] {
+    return [...this.members.values()].map(m => [...m].sort());
+  }
+}
+
+export interface ClusterInput {
+  faceIds: string[];
+  edges: FaceMatchEdge[];
+  cannotLinks: CannotLinkIndex;
+  confirmedFaces: Map<string, string>;  // faceId -> confirmed groupId
+  faceGroupIds: Map<string, string>;    // faceId -> current groupId (for group-level cannot-links)
+}
+
+/**
+ * Cluster faces from the match graph
+ * @returns Clusters as sorted faceId lists
+ */
+export function clusterFaces(input: ClusterInput): string[][] {
+  const { cannotLinks, confirmedFaces, faceGroupIds } = input;
+  const faceIds = [...new Set(input.faceIds)].sort();
+  const universe = new Set(faceIds);
+  const uf = new UnionFind(faceIds);
+
+  // Strongest edges first; edgeId breaks ties so the order never depends on upload order
+  const edges = input.edges
+    .filter(e => universe.has(e.faceIds[0]) && universe.has(e.faceIds[1]) && e.faceIds[0] !== e.faceIds[1])
+    .sort((a, b) => ((b.similarity ?? -1) - (a.similarity ?? -1)) || a.edgeId.localeCompare(b.edgeId));
+
+  const neighbors = new Map<string, Set<string>>();
+  faceIds.forEach(id => neighbors.set(id, new Set()));
+  edges.forEach(e => {
+    neighbors.get(e.faceIds[0])!.add(e.faceIds[1]);
+    neighbors.get(e.faceIds[1])!.add(e.faceIds[0]);
+  });
+
+  const edgesInto = (faceId: string, root: string) =>
+    [...neighbors.get(faceId)!].filter(n => uf.find(n) === root).length;
+
+  const confirmedGroupsOf = (root: string) =>
+    new Set(uf.membersOf(root).map(id => confirmedFaces.get(id)).filter((g): g is string => !!g));
+
+  const canUnion = (rootA: string, rootB: string): boolean => {
+    const confirmedA = confirmedGroupsOf(rootA);
+    const confirmedB = confirmedGroupsOf(rootB);
+    if (confirmedA.size > 0 && confirmedB.size > 0 &&
+        [...confirmedB].some(g => !confirmedA.has(g))) {
+      return false;
+    }
+    const subject = (root: string) => {
+      const members = uf.membersOf(root);
+      return {
+        faceIds: members,
+        groupIds: [...new Set(members.map(id => faceGroupIds.get(id)).filter((g): g is string => !!g))]
+      };
+    };
+    return !cannotLinks.conflicts(subject(rootA), subject(rootB));
+  };
+
+  // Must-links: faces confirmed into the same group start out together
+  const byConfirmedGroup = new Map<string, string[]>();
+  faceIds.forEach(id => {
+    const groupId = confirmedFaces.get(id);
+    if (groupId) byConfirmedGroup.set(groupId, [...(byConfirmedGroup.get(groupId) || []), id]);
+  });
+  byConfirmedGroup.forEach(ids => ids.slice(1).forEach(id => uf.union(ids[0], id)));
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+
+    // Phase A: merge clusters with >=2 independent edges from one face (GH-744)
+    for (const e of edges) {
+      const [a, b] = e.faceIds;
+      const rootA = uf.find(a);
+      const rootB = uf.find(b);
+      if (rootA === rootB) continue;
+
+      // An edge inside a triangle already has two independent witnesses, which
+      // seeds clusters before any of them has grown past one face. Once either
+      // side has grown, a triangle edge is still one bridge between families.
+      const support = Math.max(edgesInto(a, rootB), edgesInto(b, rootA));
+      const seeding = uf.membersOf(rootA).length === 1 && uf.membersOf(rootB).length === 1;
+      const inTriangle = seeding && [...neighbors.get(a)!].some(n => neighbors.get(b)!.has(n));
+      if ((support >= 2 || inTriangle) && canUnion(rootA, rootB)) {
+        uf.union(rootA, rootB);
+        changed = true;
+      }
+    }
+    if (changed) continue;
+
+    // Phase B: each lone face joins the neighboring cluster with the most edges to it
+    for (const faceId of faceIds) {
+      const root = uf.find(faceId);
+      if (uf.membersOf(root).length !== 1) continue;
+
+      const support = new Map<string, number>();
+      neighbors.get(faceId)!.forEach(n => {
+        const r = uf.find(n);
+        if (r !== root) support.set(r, (support.get(r) || 0) + 1);
+      });
+
+      const ranked = [...support.entries()]
+        .sort((x, y) => (y[1] - x[1]) || x[0].localeCompare(y[0]))
+        .filter(([r]) => canUnion(root, r));
+      if (ranked.length > 0) {
+        uf.union(root, ranked[0][0]);
+        changed = true;
+      }
+    }
+  }
+
+  return uf.clusters();
+}
+
+/**
+ * Map new clusters onto existing groups and describe the difference
+ * A cluster keeps a group's ID (and so its name and leader) when it holds
+ * the majority of that group's faces; a cluster holding a group's confirmed
+ * faces keeps that group. Anything else becomes a new group.
+ *
+ * @param clusters - Output of clusterFaces
+ * @param groups - Current non-empty groups
+ * @param generateGroupId - ID factory for new groups
+ */
+export function planRecluster(
+  clusters: string[][],
+  groups: FaceGroup[],
+  confirmedFaces: Map<string, string>,
+  generateGroupId: () => string
+): ReclusterPlan {
+  const groupsById = new Map(groups.map(g => [g.groupId, g]));
+  const originalGroupOf = new Map<string, string>();
+  groups.forEach(g => (g.faceIds || []).forEach(id => {
+    if (!originalGroupOf.has(id)) originalGroupOf.set(id, g.groupId);
+  }));
+
+  const plan: ReclusterPlan = { created: [], updated: [], deleted: [], unchangedCount: 0, movedFaceCount: 0 };
+  const survivors = new Set<string>();
+  const absorbedInto = new Map<string, string>();
+  const finalGroupOf = new Map<string, string>();
+
+  // Largest clusters pick first so big families keep their IDs
+  const ordered = [...clusters].sort((a, b) => (b.length - a.length) || a[0].localeCompare(b[0]));
+
+  for (const cluster of ordered) {
+    const overlap = new Map<string, number>();
+    cluster.forEach(id => {
+      const g = originalGroupOf.get(id);
+      if (g) overlap.set(g, (overlap.get(g) || 0) + 1);
+    });
+
+    const majority = [...overlap.entries()]
+      .filter(([g, n]) => n * 2 > (groupsById.get(g)!.faceIds || []).length)
+      .sort((x, y) => (y[1] - x[1]) || x[0].localeCompare(y[0]))
+      .map(([g]) => g)
+      .filter(g => !survivors.has(g));
+
+    const confirmedGroup = cluster.map(id => confirmedFaces.get(id))
+      .find((g): g is string => !!g && groupsById.has(g) && !survivors.has(g));
+    const survivorId = confirmedGroup || majority[0];
+
+    if (survivorId) {
+      survivors.add(survivorId);
+      const absorbed = majority.filter(g => g !== survivorId);
+      absorbed.forEach(g => {
+        absorbedInto.set(g, survivorId);
+        survivors.add(g);
+      });
+
+      const before = new Set(groupsById.get(survivorId)!.faceIds || []);
+      const after = new Set(cluster);
+      const addedFaceIds = cluster.filter(id => !before.has(id));
+      const removedFaceIds = [...before].filter(id => !after.has(id));
+
+      if (addedFaceIds.length === 0 && removedFaceIds.length === 0 && absorbed.length === 0) {
+        plan.unchangedCount++;
+      } else {
+        plan.updated.push({ groupId: survivorId, faceIds: cluster, addedFaceIds, removedFaceIds, absorbedGroupIds: absorbed });
+      }
+      cluster.forEach(id => finalGroupOf.set(id, survivorId));
+    } else {
+      const groupId = generateGroupId();
+      const largest = [...overlap.entries()].sort((x, y) => (y[1] - x[1]) || x[0].localeCompare(y[0]))[0];
+      plan.created.push({ groupId, faceIds: cluster, ...(largest ? { splitFrom: largest[0] } : {}) });
+      cluster.forEach(id => finalGroupOf.set(id, groupId));
+    }
+  }
+
+  groups.forEach(g => {
+    if (survivors.has(g.groupId) && !absorbedInto.has(g.groupId)) return;
+    plan.deleted.push({
+      groupId: g.groupId,
+      faceIds: g.faceIds || [],
+      ...(absorbedInto.has(g.groupId) ? { mergedInto: absorbedInto.get(g.groupId) } : {})
+    });
+  });
+
+  plan.movedFaceCount = [...finalGroupOf.entries()]
+    .filter(([faceId, groupId]) => originalGroupOf.get(faceId) !== groupId).length;
+
+  return plan;
+}
@@ -0,0 +1,126 @@
+/**
+ * Rekognition Face Matcher
+ * FaceMatcher adapter over AWS Rekognition collections (face_coll_{userId})
+ */
+
+import {
+  RekognitionClient,
+  SearchFacesCommand,
+  DeleteFacesCommand,
+  ListFacesCommand,
+  IndexFacesCommand
+} from '@aws-sdk/client-rekognition';
+import { FaceMatchCandidate } from '../types';
+import { FaceImage, FaceMatcher, IndexedFace, SearchFacesOptions } from './faceMatcher';
+
+// GH-744: 85% chained unrelated crowd faces into mega-clusters
+// (field-verified). 97% is identity-grade; transitivity amplifies
+// any looseness, so err strict — a missed match splits a person
+// (recoverable), a false match corrupts families (it isn't).
+const DEFAULT_THRESHOLD = 97.0;
+const DEFAULT_MAX_FACES = 20;
+
+// DeleteFaces accepts at most 4096 IDs per call
+const DELETE_CHUNK = 4096;
+
+export class RekognitionFaceMatcher implements FaceMatcher {
+  readonly name = 'rekognition';
+  private client: RekognitionClient | null = null;
+
+  static collectionId(userId: string): string {
+    return `face_coll_${userId}`;
+  }
+
+  private getClient(): RekognitionClient {
+    if (!this.client) {
+      // Initialize AWS Rekognition client on first use (after env vars are loaded)
+      console.log('🔧 Initializing AWS Rekognition client (SDK v3)...');
+      console.log('  AWS_REGION:', process.env.AWS_REGION || 'us-east-1');
+      console.log('  AWS-ACCESS-KEY-ID:', process.env['AWS-ACCESS-KEY-ID'] ? 'Set' : 'NOT SET');
+      console.log('  AWS-SECRET-ACCESS-KEY:', process.env['AWS-SECRET-ACCESS-KEY'] ? 'Set' : 'NOT SET');
+
+      this.client = new RekognitionClient({
+        region: process.env.AWS_REGION || 'us-east-1',
+        credentials: {
+          accessKeyId: process.env['AWS-ACCESS-KEY-ID'] || '',  // Using hyphenated name from Secret Manager
+          secretAccessKey: process.env['AWS-SECRET-ACCESS-KEY'] || ''  // Using hyphenated name from Secret Manager
+        }
+      });
+    }
+    return this.client;
+  }
+
+  async searchFaces(userId: string, faceId: string, options: SearchFacesOptions = {}): Promise<FaceMatchCandidate[]> {
+    const response = await this.getClient().send(new SearchFacesCommand({
+      CollectionId: RekognitionFaceMatcher.collectionId(userId),
+      FaceId: faceId,
+      FaceMatchThreshold: options.threshold ?? DEFAULT_THRESHOLD,
+      MaxFaces: options.maxFaces ?? DEFAULT_MAX_FACES
+    }));
+
+    return response.FaceMatches
+      ?.filter(match => match.Face?.FaceId !== undefined && match.Face.FaceId !== faceId)
+      .map(match => ({ faceId: match.Face!.FaceId!, similarity: match.Similarity })) || [];
+  }
+
+  async deleteFaces(userId: string, faceIds: string[]): Promise<string[]> {
+    const deleted: string[] = [];
+    for (let i = 0; i < faceIds.length; i += DELETE_CHUNK) {
+      const response = await this.getClient().send(new DeleteFacesCommand({
+        CollectionId: RekognitionFaceMatcher.collectionId(userId),
+        FaceIds: faceIds.slice(i, i + DELETE_CHUNK)
+      }));
+      deleted.push(...(response.DeletedFaces || []));
+    }
+    return deleted;
+  }
+
+  async listFaces(userId: string): Promise<IndexedFace[]> {
+    const faces: IndexedFace[] = [];
+    let nextToken: string | undefined;
+
+    do {
+      const response = await this.getClient().send(new ListFacesCommand({
+        CollectionId: RekognitionFaceMatcher.collectionId(userId),
+        MaxResults: 4096,
+        NextToken: nextToken
+      }));
+      (response.Faces || []).forEach(face => {
+        if (!face.FaceId) return;
+        faces.push({
+          faceId: face.FaceId,
+          externalImageId: face.ExternalImageId,
+          boundingBox: face.BoundingBox,
+          confidence: face.Confidence
+        });
+      });
+      nextToken = response.NextToken;
+    } while (nextToken);
+
+    return faces;
+  }
+
+  async indexFaces(userId: string, image: FaceImage): Promise<IndexedFace[]> {
+    if (!image.bytes && !image.s3Object) {
+      throw new Error('indexFaces needs image bytes or an S3 object');
+    }
+
+    const response = await this.getClient().send(new IndexFacesCommand({
+      CollectionId: RekognitionFaceMatcher.collectionId(userId),
+      Image: image.bytes
+        ? { Bytes: image.bytes }
+        : { S3Object: { Bucket: image.s3Object!.bucket, Name: image.s3Object!.name } },
+      ExternalImageId: image.externalImageId,
+      DetectionAttributes: ['DEFAULT']
+    }));
+
+    return (response.FaceRecords || [])
+      .filter(record => record.Face?.FaceId)
+      .map(record => ({
+        faceId: record.Face!.FaceId!,
+        externalImageId: record.Face!.ExternalImageId,
+        boundingBox: record.Face!.BoundingBox,
+        confidence: record.Face!.Confidence
+      }));
+  }
+}
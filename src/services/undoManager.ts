@@ -0,0 +1,315 @@
+/**
+ * Undo Manager
+ * Undo and redo group operations by replaying the audit log's snapshots
+ *
+ * The undo stack is worked out from the user's recent audit entries: each
+ * undoable operation goes on it, an 'undo' entry moves it to the redo stack
+ * and a 'redo' entry moves it back. A new undoable operation clears the redo
+ * stack; a reset clears both.
+ *
+ * An operation is only reverted if nothing since has touched its faces or
+ * groups - both according to the log and to the docs as they are now -
+ * otherwise the caller gets a 409 and nothing changes.
+ *
+ * Cannot-links the operation added (split, remove) are dropped on undo and
+ * re-added on redo. Links an undone merge cleared are not restored.
+ */
+
+import { AuditAction, AuditEntry, AuditSnapshot, FaceGroup } from '../types';
+import { FaceStore, StoreField, getFaceStore } from './faceStore';
+import { auditLog, AuditContext } from './auditLog';
+import { constraintStore, groupSubject } from './constraints';
+import { GroupOperationError } from './groupManager';
+
+export const UNDOABLE_ACTIONS: AuditAction[] = [
+  'merge-groups',
+  'split-group',
+  'add-face',
+  'remove-face',
+  'rename-group',
+  'delete-group'
+];
+
+// Operations further back than this many log entries can't be undone
+const HISTORY_WINDOW = 200;
+const MAX_STEPS = 20;
+
+type Direction = 'undo' | 'redo';
+
+export interface HistoryItem {
+  entryId: string;
+  action: AuditAction;
+  groupIds: string[];
+  faceIds: string[];
+  actor: AuditEntry['actor'];
+  createdAt: AuditEntry['createdAt'];
+}
+
+export interface UndoResult {
+  reverted: HistoryItem[];    // Oldest step first
+  conflict: string | null;    // Why it stopped short of the requested count
+}
+
+interface History {
+  entries: AuditEntry[];                 // Oldest first
+  undoStack: AuditEntry[];               // Next to undo is last
+  redoStack: AuditEntry[];               // Next to redo is last
+  undone: Set<string>;                   // Undone and not redone (redoable or not)
+  appliedAt: Map<string, number>;        // Index of the entry that last applied an operation
+  undoneAt: Map<string, number>;         // Index of the entry that last undid it
+}
+
+function itemOf(entry: AuditEntry): HistoryItem {
+  return {
+    entryId: entry.entryId,
+    action: entry.action,
+    groupIds: entry.groupIds,
+    faceIds: entry.faceIds,
+    actor: entry.actor,
+    createdAt: entry.createdAt
+  };
+}
+
+function overlaps(a: AuditEntry, b: AuditEntry): boolean {
+  return a.faceIds.some(id => b.faceIds.includes(id)) || a.groupIds.some(id => b.groupIds.includes(id));
+}
+
+function sameGroup(current: FaceGroup | null, expected: FaceGroup | null): boolean {
+  if (!current || !expected) return current === expected;
+  const faces = (g: FaceGroup) => [...(g.faceIds || [])].sort().join(',');
+  return faces(current) === faces(expected) &&
+    (current.groupName || null) === (expected.groupName || null) &&   // Renames set it with personName
+    (current.leaderFaceId || null) === (expected.leaderFaceId || null);
+}
+
+function sameFace(current: Record<string, any> | null, expected: Record<string, any> | null): boolean {
+  if (!current || !expected) return current === expected;
+  return (current.groupId || null) === (expected.groupId || null);
+}
+
+export class UndoManager {
+  get store(): FaceStore {
+    return getFaceStore();
+  }
+
+  /**
+   * What undo and redo would revert next, most recent first
+   */
+  async stacks(userId: string): Promise<{ undo: HistoryItem[]; redo: HistoryItem[] }> {
+    const history = await this.history(userId);
+    return {
+      undo: [...history.undoStack].reverse().map(itemOf),
+      redo: [...history.redoStack].reverse().map(itemOf)
+    };
+  }
+
+  async undo(context: AuditContext, userId: string, count: number = 1): Promise<UndoResult> {
+    return this.step(context, userId, 'undo', count);
+  }
+
+  async redo(context: AuditContext, userId: string, count: number = 1): Promise<UndoResult> {
+    return this.step(context, userId, 'redo', count);
+  }
+
+  /**
+   * Revert up to `count` operations, one at a time
+   * Throws (409) if not even the first can be reverted; otherwise stops at the
+   * first that can't and says why.
+   */
+  private async step(context: AuditContext, userId: string, direction: Direction, count: number): Promise<UndoResult> {
+    const steps = Math.min(Math.max(Math.floor(count) || 1, 1), MAX_STEPS);
+    const reverted: HistoryItem[] = [];
+
+    for (let i = 0; i < steps; i++) {
+      const history = await this.history(userId);
+      const stack = direction === 'undo' ? history.undoStack : history.redoStack;
+      const entry = stack[stack.length - 1];
+
+      try {
+        if (!entry) throw new GroupOperationError(`Nothing to ${direction}`, 409);
+        this.checkLaterEntries(history, entry, direction);
+        await this.revert(context, userId, entry, direction);
+      } catch (error: any) {
+        if (reverted.length === 0 || !(error instanceof GroupOperationError)) throw error;
+        return { reverted, conflict: error.message };
+      }
+
+      reverted.push(itemOf(entry));
+      console.log(`↩️ ${direction === 'undo' ? 'Undid' : 'Redid'} ${entry.action} ${entry.entryId} for user ${userId}`);
+    }
+    return { reverted, conflict: null };
+  }
+
+  /**
+   * Replay the user's recent log into undo and redo stacks
+   */
+  private async history(userId: string): Promise<History> {
+    const entries = (await this.store.listAuditEntries(userId, { limit: HISTORY_WINDOW })).reverse();
+    const history: History = {
+      entries,
+      undoStack: [],
+      redoStack: [],
+      undone: new Set(),
+      appliedAt: new Map(),
+      undoneAt: new Map()
+    };
+    const byId = new Map(entries.map(entry => [entry.entryId, entry]));
+    const without = (stack: AuditEntry[], entryId: string) => stack.filter(e => e.entryId !== entryId);
+
+    entries.forEach((entry, index) => {
+      const target = byId.get(entry.details?.entryId);
+      if (entry.action === 'undo' && target) {
+        history.undoStack = without(history.undoStack, target.entryId);
+        history.redoStack.push(target);
+        history.undone.add(target.entryId);
+        history.undoneAt.set(target.entryId, index);
+      } else if (entry.action === 'redo' && target) {
+        history.redoStack = without(history.redoStack, target.entryId);
+        history.undoStack.push(target);
+        history.undone.delete(target.entryId);
+        history.appliedAt.set(target.entryId, index);
+      } else if (entry.action === 'reset') {
+        history.undoStack = [];
+        history.redoStack = [];
+      } else if (UNDOABLE_ACTIONS.includes(entry.action)) {
+        history.undoStack.push(entry);
+        history.redoStack = [];
+        history.appliedAt.set(entry.entryId, index);
+      }
+    });
+    return history;
+  }
+
+  /**
+   * Refuse if a later operation touched the same faces or groups
+   * Undo and redo entries are skipped (their effect is the operation's own
+   * state), as are operations that are currently undone.
+   */
+  private checkLaterEntries(history: History, entry: AuditEntry, direction: Direction): void {
+    const from = (direction === 'undo' ? history.appliedAt : history.undoneAt).get(entry.entryId) ?? -1;
+    const later = history.entries.slice(from + 1).find(e =>
+      e.action !== 'undo' && e.action !== 'redo' && !history.undone.has(e.entryId) && overlaps(e, entry));
+
+    if (later) {
+      throw new GroupOperationError(
+        `Cannot ${direction} ${entry.action}: a later ${later.action} changed the same faces or groups`, 409);
+    }
+  }
+
+  /**
+   * Put the touched groups and faces back as the snapshot has them
+   */
+  private async revert(context: AuditContext, userId: string, entry: AuditEntry, direction: Direction): Promise<void> {
+    const target = direction === 'undo' ? entry.before : entry.after;
+    const expected = direction === 'undo' ? entry.after : entry.before;
+    if (!target || !expected) {
+      throw new GroupOperationError(`Cannot ${direction} ${entry.action}: its audit entry has no snapshots`, 409);
+    }
+
+    // Groups a split created are missing from its before snapshot - absent means didn't exist
+    const groupIds = [...new Set([...Object.keys(target.groups), ...Object.keys(expected.groups)])];
+    const faceIds = [...new Set([...Object.keys(target.faces), ...Object.keys(expected.faces)])];
+
+    await auditLog.track(context, userId, {
+      action: direction,
+      groupIds,
+      faceIds,
+      details: () => ({ entryId: entry.entryId, action: entry.action })
+    }, () => this.restore(userId, entry, direction, target, expected, groupIds, faceIds));
+
+    try {
+      await this.restoreConstraints(userId, entry, direction);
+    } catch (error) {
+      console.error(`    ❌ Failed to update cannot-links after ${direction} of ${entry.entryId}:`, error);
+    }
+  }
+
+  private async restore(
+    userId: string,
+    entry: AuditEntry,
+    direction: Direction,
+    target: AuditSnapshot,
+    expected: AuditSnapshot,
+    groupIds: string[],
+    faceIds: string[]
+  ): Promise<true> {
+    return this.store.runTransaction(async (transaction) => {
+      const [groups, faces] = await Promise.all([
+        transaction.getGroups(userId, groupIds),
+        transaction.getFaces(userId, faceIds)
+      ]);
+
+      // The log can miss changes (unlogged scripts, a failed audit write) - the docs can't
+      const changedGroup = groupIds.find((groupId, i) => !sameGroup(groups[i], expected.groups[groupId] ?? null));
+      const changedFace = faceIds.find((faceId, i) => !sameFace(faces[i], expected.faces[faceId] ?? null));
+      if (changedGroup || changedFace) {
+        throw new GroupOperationError(
+          `Cannot ${direction} ${entry.action}: ${changedGroup ? `group ${changedGroup}` : `face ${changedFace}`} has changed since`, 409);
+      }
+
+      groupIds.forEach((groupId, i) => {
+        const group = target.groups[groupId] ?? null;
+        if (group) {
+          transaction.setGroup(userId, groupId, { ...group, updatedAt: StoreField.serverTimestamp() });
+        } else if (groups[i]) {
+          transaction.deleteGroup(userId, groupId);
+        }
+      });
+
+      const fileMappings = new Map<string, Record<string, string>>();
+      faceIds.forEach((faceId, i) => {
+        const face = target.faces[faceId] ?? null;
+        if (!face) {
+          if (faces[i]) transaction.deleteFace(userId, faceId);
+          return;
+        }
+        transaction.setFace(userId, faceId, face);
+        if (face.fileId && face.groupId && face.groupId !== faces[i]?.groupId) {
+          fileMappings.set(face.fileId, { ...fileMappings.get(face.fileId), [faceId]: face.groupId });
+        }
+      });
+      fileMappings.forEach((mapping, fileId) => {
+        transaction.mergeFile(userId, fileId, { faceGroupMapping: mapping });
+      });
+      return true as const;
+    });
+  }
+
+  /**
+   * Drop the cannot-links an operation added (undo) or add them again (redo)
+   */
+  private async restoreConstraints(userId: string, entry: AuditEntry, direction: Direction): Promise<void> {
+    const after = entry.after ? Object.values(entry.after.groups).filter((g): g is FaceGroup => g !== null) : [];
+    // add-face and remove-face list the face's group first (add-face also lists the group it left)
+    const group = after.find(g => g.groupId === entry.groupIds[0]);
+
+    if (direction === 'undo') {
+      if (entry.action === 'split-group') {
+        await constraintStore.clearConflictingCannotLinks(userId, after.map(groupSubject));
+      } else if (entry.action === 'remove-face' && group) {
+        await constraintStore.clearConflictingCannotLinks(userId, [{ faceIds: entry.faceIds }, groupSubject(group)]);
+      }
+      return;
+    }
+
+    if (entry.action === 'split-group') {
+      await constraintStore.onGroupSplit(userId, after, entry.groupIds[0]);
+    } else if (entry.action === 'remove-face' && group) {
+      await constraintStore.addCannotLink(
+        userId,
+        { faceIds: entry.faceIds, groupIds: [] },
+        { faceIds: group.faceIds || [], groupIds: [group.groupId] },
+        'remove',
+        group.groupId
+      );
+    } else if (entry.action === 'add-face' && group) {
+      await constraintStore.clearConflictingCannotLinks(userId, [{ faceIds: entry.faceIds }, groupSubject(group)]);
+    } else if (entry.action === 'merge-groups' && entry.before) {
+      const merged = entry.groupIds.map(id => entry.before!.groups[id]).filter((g): g is FaceGroup => !!g);
+      await constraintStore.onGroupsMerged(userId, merged, true);
+    }
+  }
+}
+
+// Export singleton instance
+export const undoManager = new UndoManager();
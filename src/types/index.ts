@@ -16,6 +16,40 @@ export interface Face {
   similarity?: number;
   groupId?: string;  // GroupId from AWS Rekognition
   emotions?: any[];
+  pose?: any;        // Rekognition Pose (Roll/Yaw/Pitch) when available
+  quality?: any;     // Rekognition Quality (Brightness/Sharpness) when available
+}
+
+/**
+ * Where a match edge came from
+ * - provided: matchedFaceIds sent by the Artifact Processor
+ * - search: our own SearchFaces call
+ */
+export type MatchSource = 'provided' | 'search';
+
+/**
+ * A matched face before it is stored as an edge
+ */
+export interface FaceMatchCandidate {
+  faceId: string;
+  similarity?: number;
+}
+
+/**
+ * Face match edge in Firestore (/users/{userId}/faceMatches/{edgeId})
+ * Undirected: faceIds is the sorted pair so either face finds it
+ */
+export interface FaceMatchEdge {
+  edgeId: string;
+  faceIds: [string, string];
+  sourceFaceId: string;   // Face being processed when the match was found
+  targetFaceId: string;   // Face it matched
+  similarity: number | null;  // null when the processor didn't send a score
+  source: MatchSource;
+  fileId: string;         // File of the source face
+  processCallId?: string; // processFaces call that found the match
+  createdAt: Timestamp | Date;
+  lastSeenAt: Timestamp | Date;
 }
 
 /**
@@ -26,7 +60,22 @@ export interface ProcessFacesRequest {
   fileId: string;
   faces: Face[];
   interviewId?: string;  // Interview scope for group isolation
-  batchId?: string;      // Batch ID for tracking
+  batchId?: string;      // Batch ID for tracking; doubles as an idempotency key per file
+  dryRun?: boolean;      // Plan only - nothing is written
+}
+
+/**
+ * What processFaces did (or would do) with one face
+ */
+export interface PlannedFaceAction {
+  faceId: string;
+  // duplicate: linked to the same face in an earlier upload of the photo
+  // suppress: overlaps a better box for the same head in this file
+  action: 'create' | 'add' | 'merge' | 'skip' | 'duplicate' | 'suppress';
+  groupId?: string;           // Group the face ends up in
+  mergedGroupIds?: string[];  // merge: groups folded into groupId
+  matchedFaceIds?: string[];
+  reason?: string;
 }
 
 /**
@@ -37,6 +86,227 @@ export interface ProcessFacesResponse {
   processedCount: number;
   groups: FaceGroup[];
   message?: string;
+  dryRun?: boolean;
+  plannedActions?: PlannedFaceAction[];  // Only on dry runs
+  replayed?: boolean;  // Stored response for a repeated idempotency key
+}
+
+/**
+ * Request to process many files in one call
+ * Files run one after another in fileId order; each may override interviewId.
+ */
+export interface ProcessFacesBatchRequest {
+  userId: string;
+  files: Array<{ fileId: string; faces: Face[]; interviewId?: string }>;
+  interviewId?: string;
+  batchId?: string;      // Makes each file idempotent (same keys as the single endpoint)
+}
+
+/**
+ * Outcome for one file of a batch
+ */
+export interface ProcessFacesFileResult {
+  fileId: string;
+  success: boolean;
+  processedCount: number;
+  skippedCount: number;  // Not in the file's extractedFaces
+  groupIds: string[];    // Groups the file's faces ended up in
+  message?: string;
+  replayed?: boolean;
+}
+
+export interface ProcessFacesBatchResponse {
+  success: boolean;      // True only if every file succeeded
+  results: ProcessFacesFileResult[];
+  summary: {
+    fileCount: number;
+    succeeded: number;
+    failed: number;
+    facesProcessed: number;
+    facesSkipped: number;
+    groupCount: number;  // Distinct groups touched
+  };
+  groups: FaceGroup[];   // Final state of the touched groups
+}
+
+export type JobType = 'process-faces' | 'recluster' | 'cleanup-by-file' | 'reset' | 'reconcile-collection';
+
+export type JobStatus = 'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled';
+
+export interface JobProgress {
+  completed: number;
+  total: number;
+  message?: string;
+}
+
+/**
+ * Background job in Firestore (/faceJobs/{jobId})
+ * Payload by type:
+ *   process-faces:   { files, interviewId?, batchId? } (as ProcessFacesBatchRequest)
+ *   recluster:       { dryRun? } (dry run unless false, like the endpoint)
+ *   cleanup-by-file: { fileIds }
+ *   reset:           {} (test user only)
+ *   reconcile-collection: { deleteOrphans?, reindexMissing? } (report only by default)
+ */
+export interface Job {
+  jobId: string;
+  userId: string;
+  type: JobType;
+  payload: Record<string, any>;
+  status: JobStatus;
+  progress: JobProgress;
+  attempts: number;        // Runs started so far
+  maxAttempts: number;     // Failed runs are retried automatically up to this
+  cancelRequested?: boolean;
+  requestedBy?: AuditActor; // Who queued it - its audit entries are recorded against them
+  result?: any;
+  error?: string;          // Last failure
+  runAfter?: Date;         // Retry backoff: not picked up before this
+  workerId?: string;       // Worker running it
+  heartbeatAt?: Date;      // Running jobs refresh this; a stale one is picked up again
+  createdAt: Timestamp | Date;
+  updatedAt: Timestamp | Date;
+  startedAt?: Date;
+  finishedAt?: Date;
+}
+
+export interface CreateJobRequest {
+  userId: string;
+  type: JobType;
+  payload?: Record<string, any>;
+  maxAttempts?: number;
+}
+
+/**
+ * What a service API key may call
+ *   process-faces:         POST /api/process-faces and /api/process-faces/batch
+ *   cleanup-faces-by-file: DELETE /api/cleanup-faces-by-file
+ */
+export type ApiKeyScope = 'process-faces' | 'cleanup-faces-by-file';
+
+/**
+ * Service API key in Firestore (/apiKeys/{keyId})
+ * Only a hash of the key is stored; the key itself is shown once, at creation.
+ */
+export interface ApiKey {
+  keyId: string;
+  name: string;              // Who holds it, e.g. "artifact-processor"
+  keyHash: string;           // sha256 of the full key
+  scopes: ApiKeyScope[];
+  createdBy?: string;        // uid of the admin who created it
+  createdAt: Timestamp | Date;
+  revokedAt?: Timestamp | Date;
+  lastUsedAt?: Timestamp | Date;
+  lastUsedRoute?: string;    // e.g. "POST /process-faces"
+  lastUsedIp?: string;
+}
+
+export type AuditAction =
+  | 'process-faces'
+  | 'create-group'
+  | 'rename-group'
+  | 'delete-group'
+  | 'add-face'
+  | 'remove-face'
+  | 'merge-groups'
+  | 'split-group'
+  | 'set-leader'
+  | 'recluster'
+  | 'cleanup-file'
+  | 'reset'
+  | 'repair-integrity'
+  | 'reindex-faces'
+  | 'undo'                   // details.entryId is the entry undone
+  | 'redo';
+
+export type AuditSource = 'ui' | 'processor' | 'job';
+
+export interface AuditActor {
+  type: 'user' | 'admin' | 'api-key' | 'job' | 'anonymous';
+  id: string | null;         // uid, keyId or jobId; null with AUTH_MODE=off
+  name?: string;             // API key name
+}
+
+/**
+ * Groups and face docs as they stood - null where the doc didn't exist
+ */
+export interface AuditSnapshot {
+  groups: Record<string, FaceGroup | null>;
+  faces: Record<string, Record<string, any> | null>;
+}
+
+/**
+ * Audit log entry in Firestore (/users/{userId}/auditLog/{entryId})
+ * Entries are only ever added, never changed or deleted.
+ */
+export interface AuditEntry {
+  entryId: string;
+  action: AuditAction;
+  actor: AuditActor;
+  source: AuditSource;
+  requestId: string;         // X-Request-ID of the call (the jobId for jobs)
+  groupIds: string[];        // Groups the action touched (for filtering)
+  faceIds: string[];         // Faces the action moved, added or removed
+  before: AuditSnapshot | null;
+  after: AuditSnapshot | null;
+  details?: Record<string, any>;
+  createdAt: Timestamp | Date;
+}
+
+/**
+ * Face in the AWS collection that no /faces doc or file knows about
+ */
+export interface OrphanedCollectionFace {
+  faceId: string;
+  externalImageId?: string;  // The fileId it was indexed from, if set
+  pending?: boolean;         // That file doc exists - process-faces may not have recorded the face yet
+}
+
+/**
+ * Face Firestore knows about that the AWS collection doesn't have
+ */
+export interface MissingCollectionFace {
+  faceId: string;
+  fileId?: string;
+  source: 'faces' | 'extractedFaces' | 'both';  // Where Firestore lists it
+}
+
+/**
+ * One reconciliation of a user's AWS face collection against Firestore
+ * (/users/{userId}/reconciliationRuns/{runId})
+ */
+export interface ReconciliationRun {
+  runId: string;
+  userId: string;
+  matcher: string;           // FaceMatcher name ('rekognition' or 'memory')
+  options: { deleteOrphans: boolean; reindexMissing: boolean };
+  requestedBy: AuditActor;
+  status: 'completed' | 'failed' | 'cancelled';
+  collectionFaceCount: number;
+  firestoreFaceCount: number;
+  orphanedCount: number;
+  missingCount: number;
+  orphaned: OrphanedCollectionFace[];   // Capped - see the counts for totals
+  missing: MissingCollectionFace[];     // Capped - see the counts for totals
+  deletedFaceIds: string[];             // Orphans removed from the collection
+  reindexed: Array<{ faceId: string; newFaceId: string; fileId: string }>;
+  errors: Array<{ fileId?: string; faceId?: string; message: string }>;
+  startedAt: Timestamp | Date;
+  finishedAt: Timestamp | Date;
+}
+
+/**
+ * Result of a process-faces call, kept so a retry with the same key replays it
+ * (/users/{userId}/idempotencyKeys/{recordId}, recordId = hash of the key)
+ */
+export interface IdempotencyRecord {
+  recordId: string;
+  key: string;
+  fingerprint: string;   // Hash of the request, to catch a key reused for different work
+  status: 'pending' | 'complete';
+  response?: ProcessFacesResponse;
+  createdAt: Timestamp | Date;
+  expiresAt: Date;       // Also usable as a Firestore TTL field
 }
 
 /**
@@ -52,12 +322,124 @@ export interface FaceGroup {
     fileId: string;
     boundingBox: any;
   };
+  leaderPinned?: boolean;  // User chose the leader - skip automatic re-election
   fileIds: string[];
   faceCount: number;
   status: string;
   createdAt: Timestamp | Date;
   updatedAt: Timestamp | Date;
   mergedFrom?: string[];
+  mergeEvents?: MergeEvent[];  // Why each mergedFrom group was folded in
+  splitFrom?: string;    // Group this one was split out of
+  uniqueFaceCount?: number;  // Derived on read (GET endpoints): repeat uploads of a photo counted once
+}
+
+/**
+ * Files with the same content hash - one photo uploaded more than once
+ */
+export interface DuplicateFileCluster {
+  hash: string;
+  originalFileId: string;   // First processed upload; repeats link their faces to it
+  files: Array<{
+    fileId: string;
+    fileName: string | null;
+    uploadedAt: Timestamp | Date | null;
+    faceCount: number;      // Entries in its faceGroupMapping
+    duplicateOfFileId: string | null;
+  }>;  // Oldest upload first
+}
+
+/**
+ * Group change pushed to GET /api/stream/:userId subscribers
+ * - group-created / group-updated: group as it is now (clients should upsert either)
+ * - groups-merged: groupId survived as group; mergedGroupIds were deleted
+ * - group-split: groupId was split; groups holds it and the groups split out of it
+ * - group-deleted: groupId no longer exists
+ * - face-assigned: faceId now belongs to groupId (null: to no group)
+ */
+export type GroupEventType =
+  | 'group-created'
+  | 'group-updated'
+  | 'groups-merged'
+  | 'group-split'
+  | 'group-deleted'
+  | 'face-assigned';
+
+export interface GroupEvent {
+  eventId: number;          // Increases per server instance
+  type: GroupEventType;
+  userId: string;
+  groupId?: string | null;
+  group?: FaceGroup;
+  groups?: FaceGroup[];
+  mergedGroupIds?: string[];
+  faceId?: string;
+  at: string;               // ISO time the event was published
+}
+
+/**
+ * What triggered a grouping change
+ * - process-faces: automatic grouping in processFaces
+ * - manual: a user action through the API
+ * - recluster: a full rebuild from the match graph
+ */
+export type ChangeOrigin = 'process-faces' | 'manual' | 'recluster';
+
+/**
+ * One merge folded into a group (stored on the surviving group)
+ */
+export interface MergeEvent {
+  mergedGroupIds: string[];   // Groups deleted by this merge
+  faceIds: string[];          // Faces they brought in
+  origin: ChangeOrigin;
+  processCallId?: string;     // processFaces call, when automatic
+  bridgeFaceId?: string;      // Face whose matches triggered the merge
+  mergedAt: Timestamp | Date;
+}
+
+/**
+ * Options describing who/what is merging groups
+ */
+export interface MergeOptions {
+  origin?: ChangeOrigin;
+  processCallId?: string;
+  bridgeFaceId?: string;
+}
+
+/**
+ * Why a cannot-link constraint exists
+ */
+export type CannotLinkReason = 'split' | 'remove' | 'manual';
+
+/**
+ * One side of a cannot-link constraint
+ */
+export interface CannotLinkSide {
+  faceIds: string[];   // Face-level members
+  groupIds: string[];  // Group-level members (the group and any face added to it later)
+}
+
+/**
+ * Cannot-link constraint in Firestore (/users/{userId}/cannotLinks/{constraintId})
+ * Everything on sideA is a different person from everything on sideB
+ */
+export interface CannotLinkConstraint {
+  constraintId: string;
+  sideA: CannotLinkSide;
+  sideB: CannotLinkSide;
+  members: string[];   // All face/group IDs on either side, for array-contains queries
+  reason: CannotLinkReason;
+  sourceGroupId?: string;  // Group that was split or had a face removed
+  createdAt: Timestamp | Date;
+}
+
+/**
+ * A face the user confirmed into a group (stored on the /faces doc)
+ */
+export interface MustLink {
+  faceId: string;
+  groupId: string;
+  confirmedAt: Timestamp | Date;
 }
 
 /**
@@ -67,6 +449,150 @@ export interface MergeGroupsRequest {
   groupIds: string[];
 }
 
+/**
+ * Result of merging groups
+ */
+export interface MergeGroupsResult {
+  group: FaceGroup;
+  removedGroupIds: string[];
+}
+
+/**
+ * Request to split a group
+ */
+export interface SplitGroupRequest {
+  partitions: string[][];
+}
+
+/**
+ * Result of splitting a group
+ */
+export interface SplitGroupResult {
+  group: FaceGroup;
+  createdGroups: FaceGroup[];
+}
+
+/**
+ * A leader face choice for one group
+ */
+export interface LeaderSelection {
+  groupId: string;
+  leaderFaceId: string;
+}
+
+/**
+ * Outcome of one leader face choice in a bulk update
+ */
+export interface LeaderSelectionResult {
+  groupId: string;
+  success: boolean;
+  group?: FaceGroup;
+  message?: string;
+}
+
+/**
+ * One hop in the chain connecting a face to its group leader
+ */
+export interface ExplanationLink {
+  fromFaceId: string;
+  toFaceId: string;
+  similarity: number | null;
+  source: MatchSource;
+  fileId: string;
+  processCallId?: string;
+  createdAt: Timestamp | Date;
+}
+
+/**
+ * Why a single face is in its group
+ */
+export interface FaceExplanation {
+  faceId: string;
+  connectedToLeader: boolean;  // A chain of stored match edges reaches the leader
+  path: ExplanationLink[];     // Face -> ... -> leader; empty for the leader itself
+  assignedBy?: ChangeOrigin;   // From the /faces doc
+  processCallId?: string;      // processFaces call that assigned the face
+  mergeEvent?: MergeEvent;     // Merge that brought the face into this group
+}
+
+/**
+ * Response for GET /api/groups/:userId/:groupId/explain
+ */
+export interface GroupExplanation {
+  groupId: string;
+  leaderFaceId: string;
+  faces: FaceExplanation[];
+  mergeEvents: MergeEvent[];
+  bridges: ExplanationLink[];  // Edges whose removal would split the group, weakest first
+}
+
+/**
+ * What a recluster would change (or changed)
+ */
+export interface ReclusterPlan {
+  created: Array<{ groupId: string; faceIds: string[]; splitFrom?: string }>;
+  updated: Array<{
+    groupId: string;
+    faceIds: string[];
+    addedFaceIds: string[];
+    removedFaceIds: string[];
+    absorbedGroupIds: string[];  // Groups folded into this one (listed in deleted)
+  }>;
+  deleted: Array<{ groupId: string; faceIds: string[]; mergedInto?: string }>;
+  unchangedCount: number;
+  movedFaceCount: number;
+}
+
+/**
+ * Result of a recluster run
+ */
+export interface ReclusterResult {
+  dryRun: boolean;
+  faceCount: number;
+  edgeCount: number;
+  groupCount: number;  // Groups after the recluster
+  plan: ReclusterPlan;
+}
+
+export type IntegrityIssueType =
+  | 'face-in-multiple-groups'
+  | 'phantom-face'
+  | 'face-count-mismatch'
+  | 'stale-file-ids'
+  | 'dangling-leader'
+  | 'file-mapping-mismatch';
+
+export interface IntegrityIssue {
+  type: IntegrityIssueType;
+  groupIds: string[];
+  faceId?: string;
+  fileId?: string;
+  message: string;
+}
+
+/**
+ * Writes that fix the issues found; fields are the corrected values
+ */
+export interface IntegrityRepairPlan {
+  groupUpdates: Array<{ groupId: string; fields: Partial<FaceGroup> }>;
+  groupDeletes: string[];                      // Groups left with no real faces
+  faceUpdates: Array<{ faceId: string; groupId: string }>;
+  fileMappings: Array<{ fileId: string; mapping: Record<string, string | null> }>;  // null removes the entry
+}
+
+/**
+ * Result of GroupManager.verifyIntegrity
+ */
+export interface IntegrityReport {
+  repaired: boolean;           // Whether the plan was applied
+  groupCount: number;
+  faceCount: number;           // Faces the groups list
+  fileCount: number;
+  issues: IntegrityIssue[];
+  summary: Partial<Record<IntegrityIssueType, number>>;
+  plan: IntegrityRepairPlan;
+}
+
 /**
  * Response for group operations
  */
@@ -75,6 +601,9 @@ export interface GroupOperationResponse {
   groupId?: string;
   message?: string;
   affectedGroups?: number;
+  group?: FaceGroup;
+  removedGroupIds?: string[];
+  createdGroups?: FaceGroup[];
 }
 
 /**
@@ -0,0 +1,134 @@
+/**
+ * Orphan deletion: faces whose file doc exists may be waiting on their
+ * process-faces call, so they're only deleted on a second sighting
+ */
+
+import { AuditContext } from '../src/services/auditLog';
+import { collectionReconciler } from '../src/services/collectionReconciler';
+import { setFaceStore } from '../src/services/faceStore';
+import { InMemoryFaceStore } from '../src/services/inMemoryFaceStore';
+import { InMemoryFaceMatcher } from '../src/services/inMemoryMatcher';
+import { groupManager } from '../src/services/groupManager';
+import { ReconciliationRun } from '../src/types';
+
+const USER = 'reconcile-user';
+const CONTEXT: AuditContext = { actor: { type: 'admin', id: 'admin-1' }, source: 'ui', requestId: 'req-1' };
+
+let store: InMemoryFaceStore;
+let matcher: InMemoryFaceMatcher;
+
+async function reconcile(): Promise<ReconciliationRun> {
+  return collectionReconciler.reconcile(CONTEXT, USER, { deleteOrphans: true });
+}
+
+async function collectionFaceIds(): Promise<string[]> {
+  return (await matcher.listFaces(USER)).map(face => face.faceId);
+}
+
+/**
+ * Move a stored run's start back, as if it ran that long ago
+ */
+async function backdate(run: ReconciliationRun, ms: number): Promise<void> {
+  const { runId, ...data } = run;
+  const startedAt = new Date((run.startedAt as Date).getTime() - ms);
+  await store.write(writer => writer.setReconciliationRun(USER, runId, { ...data, startedAt }));
+}
+
+describe('collectionReconciler orphans', () => {
+  beforeEach(async () => {
+    store = new InMemoryFaceStore();
+    setFaceStore(store);
+    matcher = new InMemoryFaceMatcher({
+      [USER]: {
+        faces: [
+          { faceId: 'known', externalImageId: 'file-done' },
+          { faceId: 'just-indexed', externalImageId: 'file-processing' },
+          { faceId: 'file-gone', externalImageId: 'file-deleted' },
+          { faceId: 'no-image-id' }
+        ]
+      }
+    });
+    groupManager.setFaceMatcher(matcher);
+    await store.write(writer => {
+      writer.mergeFile(USER, 'file-done', { extractedFaces: [{ faceId: 'known' }] });
+      writer.mergeFile(USER, 'file-processing', { url: 'https://photos.example.test/processing.jpg' });
+      writer.setFace(USER, 'known', { faceId: 'known', fileId: 'file-done' });
+    });
+  });
+
+  it('keeps an orphan whose file doc exists and deletes the rest', async () => {
+    const run = await reconcile();
+
+    expect(run.orphaned).toEqual([
+      { faceId: 'just-indexed', externalImageId: 'file-processing', pending: true },
+      { faceId: 'file-gone', externalImageId: 'file-deleted' },
+      { faceId: 'no-image-id' }
+    ]);
+    expect(run.deletedFaceIds.sort()).toEqual(['file-gone', 'no-image-id']);
+    expect(await collectionFaceIds()).toEqual(['just-indexed', 'known']);
+  });
+
+  it('keeps a pending orphan the processor records before the next run', async () => {
+    await reconcile();
+    await store.write(writer => writer.setFace(USER, 'just-indexed', { faceId: 'just-indexed', fileId: 'file-processing' }));
+
+    const run = await reconcile();
+
+    expect(run.orphanedCount).toBe(0);
+    expect(await collectionFaceIds()).toEqual(['just-indexed', 'known']);
+  });
+
+  it('does not count a sighting from a run less than an hour old', async () => {
+    await backdate(await reconcile(), 59 * 60 * 1000);
+
+    const run = await reconcile();
+
+    expect(run.deletedFaceIds).toEqual([]);
+    expect(await collectionFaceIds()).toContain('just-indexed');
+  });
+
+  it('deletes a pending orphan an hour-old run also saw', async () => {
+    await backdate(await reconcile(), 60 * 60 * 1000);
+
+    const run = await reconcile();
+
+    expect(run.deletedFaceIds).toEqual(['just-indexed']);
+    expect(await collectionFaceIds()).toEqual(['known']);
+  });
+});
+
+describe('collectionReconciler re-indexing', () => {
+  beforeEach(async () => {
+    store = new InMemoryFaceStore();
+    setFaceStore(store);
+    matcher = new InMemoryFaceMatcher({});
+    groupManager.setFaceMatcher(matcher);
+    await store.write(writer => {
+      writer.mergeFile(USER, 'file-slow', { url: 'https://photos.example.test/slow.jpg' });
+      writer.setFace(USER, 'lost', { faceId: 'lost', fileId: 'file-slow' });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records a download that times out as that file\'s error', async () => {
+    // A server that never answers: the request only ends when its signal aborts
+    const fetch = jest.spyOn(global, 'fetch').mockImplementation((_url, init) => new Promise((_resolve, reject) => {
+      const signal = init!.signal!;
+      if (signal.aborted) reject(signal.reason);
+      else signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+    const timeout = jest.spyOn(AbortSignal, 'timeout')
+      .mockImplementation(() => AbortSignal.abort(new DOMException('The operation timed out', 'TimeoutError')));
+
+    const run = await collectionReconciler.reconcile(CONTEXT, USER, { reindexMissing: true });
+
+    expect(fetch).toHaveBeenCalledWith('https://photos.example.test/slow.jpg', expect.objectContaining({ signal: expect.anything() }));
+    expect(timeout).toHaveBeenCalledWith(30 * 1000);
+    expect(run.status).toBe('completed');
+    expect(run.reindexed).toEqual([]);
+    expect(run.errors).toEqual([{ fileId: 'file-slow', message: 'Image download timed out after 30s' }]);
+  });
+});
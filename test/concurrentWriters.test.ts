@@ -0,0 +1,109 @@
+/**
+ * Concurrent group writers over a store whose transactions really conflict
+ * Interleaved adds, removes and merges must leave faceIds, faceCount and
+ * every /faces doc's groupId in agreement.
+ */
+
+import { setFaceStore } from '../src/services/faceStore';
+import { InMemoryFaceStore } from '../src/services/inMemoryFaceStore';
+import { groupManager } from '../src/services/groupManager';
+import { seedGroups } from './helpers';
+
+const USER = 'concurrency-user';
+
+/**
+ * Every group's faceCount matches its faceIds, a face is in at most one
+ * group, and its /faces doc names that group (and only ever a live one)
+ */
+async function expectConsistent(store: InMemoryFaceStore): Promise<Set<string>> {
+  const groups = await store.listGroups(USER);
+  const owner = new Map<string, string>();
+
+  groups.forEach(group => {
+    expect(new Set(group.faceIds).size).toBe(group.faceIds.length);
+    expect(group.faceCount).toBe(group.faceIds.length);
+    group.faceIds.forEach(faceId => {
+      expect(owner.get(faceId)).toBeUndefined();
+      owner.set(faceId, group.groupId);
+    });
+  });
+
+  const faces = await store.listFaces(USER);
+  for (const [faceId, groupId] of owner) {
+    expect(faces.find(face => face.faceId === faceId)?.groupId).toBe(groupId);
+  }
+  faces.forEach(face => expect(owner.get(face.faceId)).toBe(face.groupId));
+
+  return new Set(owner.keys());
+}
+
+describe('concurrent group writers', () => {
+  let store: InMemoryFaceStore;
+
+  beforeEach(() => {
+    store = new InMemoryFaceStore({ optimistic: true });
+    setFaceStore(store);
+  });
+
+  it('keeps faceIds, faceCount and face groupIds in step under interleaved writes', async () => {
+    await seedGroups(store, USER, {
+      g1: ['a1', 'a2', 'a3'],
+      g2: ['b1', 'b2', 'b3'],
+      g3: ['c1', 'c2', 'c3'],
+      g4: ['d1', 'd2', 'd3']
+    });
+    const seeded = ['a1', 'a2', 'a3', 'b1', 'b2', 'b3', 'c1', 'c2', 'c3', 'd1', 'd2', 'd3'];
+
+    const adds: Array<[string, string]> = [
+      ['g1', 'n1'], ['g2', 'n2'], ['g2', 'n3'], ['g3', 'n4'], ['g4', 'n5'], ['g1', 'n6']
+    ];
+    const removes: Array<[string, string]> = [['g1', 'a2'], ['g2', 'b1'], ['g4', 'd3']];
+
+    const results = await Promise.all([
+      ...adds.map(([groupId, faceId]) => groupManager.addFaceToExistingGroup(USER, groupId, faceId, `file_${faceId}`)),
+      groupManager.mergeGroups(USER, ['g1', 'g2']),
+      ...removes.map(([groupId, faceId]) => groupManager.removeFaceFromGroup(USER, groupId, faceId)),
+      groupManager.mergeGroups(USER, ['g3', 'g4'])
+    ]);
+
+    // The store made writers retry, so the test exercised real contention
+    expect(store.retries).toBeGreaterThan(0);
+
+    const added = adds.filter((_, i) => results[i] === true).map(([, faceId]) => faceId);
+    const removed = removes.filter((_, i) => results[adds.length + 1 + i] === true).map(([, faceId]) => faceId);
+    const expected = new Set([...seeded, ...added].filter(faceId => !removed.includes(faceId)));
+
+    expect(await expectConsistent(store)).toEqual(expected);
+    expect((await store.listGroups(USER)).map(g => g.groupId).sort()).toEqual(['g1', 'g3']);
+  });
+
+  it('survives repeated rounds of contention', async () => {
+    await seedGroups(store, USER, { g1: ['a1'], g2: ['b1'] });
+
+    for (let round = 0; round < 5; round++) {
+      await Promise.all([
+        groupManager.addFaceToExistingGroup(USER, 'g1', `x${round}`, `file_x${round}`),
+        groupManager.addFaceToExistingGroup(USER, 'g1', `y${round}`, `file_y${round}`),
+        groupManager.addFaceToExistingGroup(USER, 'g1', `z${round}`, `file_z${round}`),
+        groupManager.removeFaceFromGroup(USER, 'g1', `x${round - 1}`)
+      ]);
+      await expectConsistent(store);
+    }
+
+    const [group] = await store.listGroups(USER).then(groups => groups.filter(g => g.groupId === 'g1'));
+    expect(group.faceIds).toEqual(expect.arrayContaining(['a1', 'x4', 'y0', 'z4']));
+    expect(group.faceIds).not.toContain('x0');
+    expect(store.retries).toBeGreaterThan(0);
+  });
+
+  it('gives up after maxAttempts when a transaction never wins', async () => {
+    await seedGroups(store, USER, { g1: ['a1'] });
+
+    await expect(store.runTransaction(async transaction => {
+      await transaction.getGroups(USER, ['g1']);
+      // Another writer touches the group between every read and commit
+      await store.write(writer => writer.updateGroup(USER, 'g1', { updatedAt: new Date() }));
+    }, { maxAttempts: 3 })).rejects.toMatchObject({ code: 'aborted' });
+    expect(store.retries).toBe(2);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Repeat uploads of one photo: uniqueFaceCount counts their faces once, and
+ * a repeat's face is matched to the original's face at the same spot
+ */
+
+import { FileRecord } from '../src/services/faceStore';
+import { duplicateFiles } from '../src/services/duplicateFiles';
+import { FaceGroup } from '../src/types';
+
+const USER = 'duplicates-user';
+
+function file(fileId: string, hash: string | null, faceGroupMapping: Record<string, string>, extra: Partial<FileRecord> = {}): FileRecord {
+  return { fileId, faceGroupMapping, ...(hash ? { analysis: { metadata: { hash } } } : {}), ...extra } as FileRecord;
+}
+
+function group(groupId: string, faceIds: string[]): FaceGroup {
+  return { groupId, faceIds, faceCount: faceIds.length, fileIds: [] } as unknown as FaceGroup;
+}
+
+describe('withUniqueFaceCounts', () => {
+  it('counts a photo uploaded twice once', async () => {
+    const files = [
+      file('original', 'hash-1', { a1: 'g1', a2: 'g1' }),
+      file('repeat', 'hash-1', { r1: 'g1', r2: 'g1' }),
+      file('other', 'hash-2', { b1: 'g1' })
+    ];
+
+    const [counted] = await duplicateFiles.withUniqueFaceCounts(USER, [group('g1', ['a1', 'a2', 'r1', 'r2', 'b1'])], files);
+
+    expect(counted.faceCount).toBe(5);
+    expect(counted.uniqueFaceCount).toBe(3);
+  });
+
+  it('counts the copy with the most of the group faces when repeats differ', async () => {
+    const files = [
+      file('original', 'hash-1', { a1: 'g1' }),
+      file('repeat', 'hash-1', { r1: 'g1', r2: 'g1' }),
+      file('third', 'hash-1', { t1: 'g1', t2: 'g2' })
+    ];
+
+    const [counted] = await duplicateFiles.withUniqueFaceCounts(USER, [group('g1', ['a1', 'r1', 'r2', 't1'])], files);
+
+    expect(counted.uniqueFaceCount).toBe(2);
+  });
+
+  it('counts files without a hash and faces no file maps on their own', async () => {
+    const files = [
+      file('plain-1', null, { p1: 'g1' }),
+      file('plain-2', null, { p2: 'g1' })
+    ];
+
+    const [counted] = await duplicateFiles.withUniqueFaceCounts(USER, [group('g1', ['p1', 'p2', 'manual'])], files);
+
+    expect(counted.uniqueFaceCount).toBe(3);
+  });
+});
+
+describe('matchFace', () => {
+  const original = file('original', 'hash-1', { f1: 'g1' }, {
+    extractedFaces: [
+      { faceId: 'f1', boundingBox: { Left: 0.1, Top: 0.1, Width: 0.2, Height: 0.2 } },
+      { FaceId: 'f2', BoundingBox: { Left: 0.6, Top: 0.1, Width: 0.2, Height: 0.2 } }
+    ]
+  });
+
+  it('finds the mapped face at the same spot', () => {
+    expect(duplicateFiles.matchFace(original, { Left: 0.12, Top: 0.09, Width: 0.21, Height: 0.2 }))
+      .toEqual({ faceId: 'f1', fileId: 'original', groupId: 'g1' });
+  });
+
+  it('ignores a face at the same spot that is in no group', () => {
+    expect(duplicateFiles.matchFace(original, { Left: 0.6, Top: 0.1, Width: 0.2, Height: 0.2 })).toBeNull();
+  });
+
+  it('finds nothing where the original has no face', () => {
+    expect(duplicateFiles.matchFace(original, { Left: 0.4, Top: 0.5, Width: 0.2, Height: 0.2 })).toBeNull();
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * suppressOverlappingFaces: one face per head when Rekognition returns
+ * overlapping boxes in the same file
+ */
+
+import { boxIoU, suppressOverlappingFaces } from '../src/services/faceQuality';
+
+function face(faceId: string, Left: number, Top: number, Width: number, Height: number, confidence = 99) {
+  return { faceId, boundingBox: { Left, Top, Width, Height }, confidence };
+}
+
+describe('suppressOverlappingFaces', () => {
+  it('drops the lower-scoring face of a pair overlapping exactly at the threshold', () => {
+    const large = face('large', 0, 0, 0.25, 0.25);
+    const half = face('half', 0, 0, 0.25, 0.125);  // Inside large, half its area
+    expect(boxIoU(large.boundingBox, half.boundingBox)).toBe(0.5);
+
+    const { kept, suppressed } = suppressOverlappingFaces([half, large], 0.5);
+
+    expect(kept.map(f => f.faceId)).toEqual(['large']);
+    expect(suppressed).toEqual([{ faceId: 'half', keptFaceId: 'large', iou: 0.5 }]);
+  });
+
+  it('keeps both faces when their overlap is just under the threshold', () => {
+    const large = face('large', 0, 0, 0.25, 0.25);
+    const half = face('half', 0, 0, 0.25, 0.125);
+
+    const { kept, suppressed } = suppressOverlappingFaces([half, large], 0.51);
+
+    expect(kept.map(f => f.faceId)).toEqual(['half', 'large']);
+    expect(suppressed).toEqual([]);
+  });
+
+  it('keeps the earlier of two equally scored overlapping faces', () => {
+    const first = face('first', 0, 0.125, 0.5, 0.5);
+    const second = face('second', 0, 0, 0.5, 0.5);
+
+    const { kept, suppressed } = suppressOverlappingFaces([first, second], 0.5);
+
+    expect(kept.map(f => f.faceId)).toEqual(['first']);
+    expect(suppressed).toEqual([{ faceId: 'second', keptFaceId: 'first', iou: 0.6 }]);
+  });
+
+  it('keeps faces in their original order and leaves separate heads alone', () => {
+    const small = face('small', 0.7, 0.7, 0.1, 0.1);
+    const blurry = face('blurry', 0.02, 0.02, 0.4, 0.4, 60);
+    const sharp = face('sharp', 0, 0, 0.4, 0.4);
+
+    const { kept, suppressed } = suppressOverlappingFaces([small, blurry, sharp], 0.5);
+
+    expect(kept.map(f => f.faceId)).toEqual(['small', 'sharp']);
+    expect(suppressed.map(s => [s.faceId, s.keptFaceId])).toEqual([['blurry', 'sharp']]);
+  });
+
+  it('never suppresses faces without a bounding box', () => {
+    const boxless = [{ faceId: 'x' }, { faceId: 'y' }];
+
+    expect(suppressOverlappingFaces(boxless, 0.5).kept).toEqual(boxless);
+  });
+});
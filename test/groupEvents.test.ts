@@ -0,0 +1,239 @@
+/**
+ * groupEvents: stream events derived from watching the store's faceGroups
+ */
+
+import { GroupChange, setFaceStore } from '../src/services/faceStore';
+import { FirestoreFaceStore } from '../src/services/firestoreFaceStore';
+import { InMemoryFaceStore } from '../src/services/inMemoryFaceStore';
+import { groupEvents } from '../src/services/groupEvents';
+import { groupManager } from '../src/services/groupManager';
+import { GroupEvent } from '../src/types';
+import { seedGroups } from './helpers';
+
+const USER = 'events-user';
+
+let store: InMemoryFaceStore;
+let events: GroupEvent[];
+let unsubscribe: () => void;
+
+/**
+ * Let the watch deliver and the events go out
+ */
+async function settle(): Promise<void> {
+  await new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Subscribe and wait for ready, as GET /api/stream does
+ */
+async function subscribe(): Promise<void> {
+  events = [];
+  await new Promise<void>(resolve => {
+    unsubscribe = groupEvents.subscribe(USER, event => events.push(event), resolve);
+  });
+}
+
+describe('groupEvents', () => {
+  beforeEach(async () => {
+    store = new InMemoryFaceStore();
+    setFaceStore(store);
+    await seedGroups(store, USER, { g1: ['a1', 'a2'], g2: ['b1', 'b2'], g3: ['c1', 'c2', 'c3'] });
+    await subscribe();
+  });
+
+  afterEach(() => {
+    unsubscribe();
+  });
+
+  it('sends nothing for the groups that already existed', () => {
+    expect(events).toEqual([]);
+  });
+
+  it('reports a merge once, with the survivor and the groups it absorbed', async () => {
+    await groupManager.mergeGroups(USER, ['g1', 'g2']);
+    await settle();
+
+    expect(events.map(event => event.type).sort()).toEqual(['face-assigned', 'face-assigned', 'groups-merged']);
+    const merged = events.find(event => event.type === 'groups-merged')!;
+    expect(merged).toMatchObject({ groupId: 'g1', mergedGroupIds: ['g2'], userId: USER });
+    expect(merged.group!.faceIds).toEqual(expect.arrayContaining(['a1', 'a2', 'b1', 'b2']));
+    expect(events.filter(event => event.type === 'face-assigned')).toEqual([
+      expect.objectContaining({ faceId: 'b1', groupId: 'g1' }),
+      expect.objectContaining({ faceId: 'b2', groupId: 'g1' })
+    ]);
+  });
+
+  it('reports a split with the original group first', async () => {
+    await groupManager.splitGroup(USER, 'g3', [['c3']]);
+    await settle();
+
+    const split = events.find(event => event.type === 'group-split')!;
+    expect(split.groupId).toBe('g3');
+    expect(split.groups!.map(group => group.faceIds)).toEqual([['c1', 'c2'], ['c3']]);
+    expect(events.filter(event => event.type === 'group-created' || event.type === 'group-updated')).toEqual([]);
+    expect(events.filter(event => event.type === 'face-assigned')).toEqual([
+      expect.objectContaining({ faceId: 'c3', groupId: split.groups![1].groupId })
+    ]);
+  });
+
+  it('reports a face leaving every group as assigned to null', async () => {
+    await groupManager.removeFaceFromGroup(USER, 'g3', 'c1');
+    await settle();
+
+    expect(events).toEqual([
+      expect.objectContaining({ type: 'group-updated', groupId: 'g3' }),
+      expect.objectContaining({ type: 'face-assigned', faceId: 'c1', groupId: null })
+    ]);
+    expect(events[0].group!.faceIds).toEqual(['c2', 'c3']);
+  });
+
+  it('hears writes that never went through this process\'s group manager', async () => {
+    // Stands in for another instance, or a script, writing to the same store
+    await store.write(writer => {
+      writer.setGroup(USER, 'g4', { groupId: 'g4', faceIds: ['d1'], faceCount: 1 });
+      writer.deleteGroup(USER, 'g2');
+    });
+    await settle();
+
+    expect(events).toEqual([
+      expect.objectContaining({ type: 'group-created', groupId: 'g4' }),
+      expect.objectContaining({ type: 'group-deleted', groupId: 'g2' }),
+      expect.objectContaining({ type: 'face-assigned', faceId: 'd1', groupId: 'g4' }),
+      expect.objectContaining({ type: 'face-assigned', faceId: 'b1', groupId: null }),
+      expect.objectContaining({ type: 'face-assigned', faceId: 'b2', groupId: null })
+    ]);
+  });
+
+  it('watches again after the store ends the watch, sending what changed meanwhile', async () => {
+    unsubscribe();
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'queueMicrotask', 'nextTick'] });
+    const watchGroups = store.watchGroups.bind(store);
+    let failWatch: (error: Error) => void = () => {};
+    const spy = jest.spyOn(store, 'watchGroups').mockImplementationOnce((userId, onChange, onError) => {
+      failWatch = onError;
+      return watchGroups(userId, onChange, onError);
+    });
+
+    try {
+      await subscribe();
+      failWatch(new Error('stream reset'));
+      await store.write(writer => writer.deleteGroup(USER, 'g1'));
+      await settle();
+      expect(events).toEqual([]);
+
+      jest.advanceTimersByTime(5000);
+      await settle();
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(events.map(event => [event.type, event.groupId])).toEqual([
+        ['group-deleted', 'g1'],
+        ['face-assigned', null],
+        ['face-assigned', null]
+      ]);
+    } finally {
+      jest.useRealTimers();
+      spy.mockRestore();
+    }
+  });
+
+  it('stops watching once the last stream closes', async () => {
+    const watchGroups = jest.spyOn(store, 'watchGroups');
+    const second = groupEvents.subscribe(USER, () => {});
+    expect(watchGroups).not.toHaveBeenCalled();
+
+    unsubscribe();
+    second();
+    await store.write(writer => writer.deleteGroup(USER, 'g1'));
+    await settle();
+    expect(events).toEqual([]);
+
+    await subscribe();
+    expect(watchGroups).toHaveBeenCalledTimes(1);
+    watchGroups.mockRestore();
+  });
+});
+
+describe('groupEvents for a user with no groups yet', () => {
+  beforeEach(() => {
+    store = new InMemoryFaceStore();
+    setFaceStore(store);
+  });
+
+  afterEach(() => {
+    unsubscribe();
+  });
+
+  it('sends the first group the user gets', async () => {
+    await subscribe();
+
+    await seedGroups(store, USER, { g1: ['a1'] });
+    await settle();
+
+    expect(events).toEqual([
+      expect.objectContaining({ type: 'group-created', groupId: 'g1' }),
+      expect.objectContaining({ type: 'face-assigned', faceId: 'a1', groupId: 'g1' })
+    ]);
+  });
+});
+
+describe('groupEvents over Firestore snapshots', () => {
+  type Snapshot = Array<{ type: GroupChange['type']; groupId: string; data?: object }>;
+
+  let firestore: FirestoreFaceStore;
+  let deliver: (changes: Snapshot) => void;
+
+  beforeEach(() => {
+    firestore = new FirestoreFaceStore();
+    setFaceStore(firestore);
+    // A faceGroups listener we feed snapshots by hand
+    jest.spyOn(firestore, 'collection').mockReturnValue({
+      onSnapshot: (next: (snapshot: any) => void) => {
+        deliver = changes => next({
+          docChanges: () => changes.map(({ type, groupId, data }) => ({
+            type,
+            doc: { id: groupId, exists: true, data: () => ({ faceIds: [], ...data }) }
+          }))
+        });
+        return () => {};
+      }
+    } as any);
+    jest.spyOn(groupManager, 'applyReviewStatus').mockImplementation(async (_userId, groups) => groups);
+  });
+
+  afterEach(() => {
+    unsubscribe();
+    jest.restoreAllMocks();
+  });
+
+  it('passes on the first snapshot even when the user has no groups', () => {
+    const calls: Array<[GroupChange[], boolean]> = [];
+    firestore.watchGroups(USER, (changes, initial) => calls.push([changes, initial]), () => {});
+
+    deliver([]);
+    deliver([]);
+    deliver([{ type: 'added', groupId: 'g1' }]);
+
+    expect(calls).toEqual([
+      [[], true],
+      [[{ type: 'added', group: { groupId: 'g1', faceIds: [] } }], false]
+    ]);
+  });
+
+  it('is ready once the first snapshot is in, and sends the first group after it', async () => {
+    events = [];
+    let ready = false;
+    unsubscribe = groupEvents.subscribe(USER, event => events.push(event), () => { ready = true; });
+    await settle();
+    expect(ready).toBe(false);
+
+    deliver([]);
+    await settle();
+    expect(ready).toBe(true);
+
+    deliver([{ type: 'added', groupId: 'g1', data: { faceIds: ['a1'] } }]);
+    await settle();
+    expect(events.map(event => [event.type, event.groupId])).toEqual([
+      ['group-created', 'g1'],
+      ['face-assigned', 'g1']
+    ]);
+  });
+});
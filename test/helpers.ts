@@ -0,0 +1,31 @@
+/**
+ * Fixture builders shared by the suites
+ */
+
+import { FaceStore } from '../src/services/faceStore';
+
+/**
+ * Write groups as processFaces leaves them: each group's faces come from one
+ * file (file_{groupId}), with /faces docs and the file's faceGroupMapping
+ * pointing back at the group
+ */
+export async function seedGroups(store: FaceStore, userId: string, groups: Record<string, string[]>): Promise<void> {
+  await store.write(writer => {
+    Object.entries(groups).forEach(([groupId, faceIds]) => {
+      const fileId = `file_${groupId}`;
+      writer.setGroup(userId, groupId, {
+        groupId,
+        groupName: groupId,
+        faceIds,
+        fileIds: [fileId],
+        faceCount: faceIds.length,
+        leaderFaceId: faceIds[0],
+        leaderFaceData: { fileId, boundingBox: {} },
+        status: 'unreviewed',
+        updatedAt: new Date()
+      });
+      faceIds.forEach(faceId => writer.setFace(userId, faceId, { faceId, groupId, fileId, userId, confidence: 99 }));
+      writer.mergeFile(userId, fileId, { faceGroupMapping: Object.fromEntries(faceIds.map(faceId => [faceId, groupId])) });
+    });
+  });
+}
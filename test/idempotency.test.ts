@@ -0,0 +1,56 @@
+/**
+ * Idempotency keys on /api/process-faces: a retry gets the first call's
+ * response back, and a key can't be reused for a different request
+ */
+
+import { setFaceStore } from '../src/services/faceStore';
+import { InMemoryFaceStore } from '../src/services/inMemoryFaceStore';
+import { IdempotencyStore, idempotencyStore } from '../src/services/idempotency';
+import { ProcessFacesResponse } from '../src/types';
+
+const USER = 'idempotency-user';
+const KEY = 'artifact-42';
+
+const request = { fileId: 'file1', faces: [{ faceId: 'a' }], interviewId: null };
+const response: ProcessFacesResponse = { success: true, processedCount: 1, groups: [], message: 'Processed 1 face' };
+
+describe('idempotency keys', () => {
+  beforeEach(() => {
+    setFaceStore(new InMemoryFaceStore());
+  });
+
+  it('replays the stored response for a repeated key', async () => {
+    const fingerprint = IdempotencyStore.fingerprint(request);
+    expect(await idempotencyStore.claim(USER, KEY, fingerprint)).toEqual({ state: 'claimed' });
+    await idempotencyStore.complete(USER, KEY, fingerprint, response);
+
+    const retry = await idempotencyStore.claim(USER, KEY, IdempotencyStore.fingerprint({ ...request }));
+
+    expect(retry).toEqual({ state: 'replay', response });
+  });
+
+  it('turns away a retry while the first call is still running', async () => {
+    const fingerprint = IdempotencyStore.fingerprint(request);
+    await idempotencyStore.claim(USER, KEY, fingerprint);
+
+    expect(await idempotencyStore.claim(USER, KEY, fingerprint)).toEqual({ state: 'in-progress' });
+  });
+
+  it('refuses a key reused for a different request', async () => {
+    const fingerprint = IdempotencyStore.fingerprint(request);
+    await idempotencyStore.claim(USER, KEY, fingerprint);
+    await idempotencyStore.complete(USER, KEY, fingerprint, response);
+
+    const reuse = await idempotencyStore.claim(USER, KEY, IdempotencyStore.fingerprint({ ...request, fileId: 'file2' }));
+
+    expect(reuse).toEqual({ state: 'mismatch' });
+  });
+
+  it('runs a released key again', async () => {
+    const fingerprint = IdempotencyStore.fingerprint(request);
+    await idempotencyStore.claim(USER, KEY, fingerprint);
+    await idempotencyStore.release(USER, KEY);
+
+    expect(await idempotencyStore.claim(USER, KEY, fingerprint)).toEqual({ state: 'claimed' });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * InMemoryFaceMatcher over the checked-in fixture (test/fixtures/faceMatcher.json)
+ */
+
+import * as path from 'path';
+import * as fs from 'fs';
+import { createFaceMatcher } from '../src/services/faceMatcher';
+import { FaceMatcherFixtures, InMemoryFaceMatcher } from '../src/services/inMemoryMatcher';
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'faceMatcher.json');
+const USER = 'fixture-user';
+
+function loadMatcher(): InMemoryFaceMatcher {
+  const fixtures: FaceMatcherFixtures = JSON.parse(fs.readFileSync(FIXTURE_PATH, 'utf8'));
+  return new InMemoryFaceMatcher(fixtures);
+}
+
+describe('InMemoryFaceMatcher', () => {
+  let matcher: InMemoryFaceMatcher;
+
+  beforeEach(() => {
+    matcher = loadMatcher();
+  });
+
+  describe('searchFaces', () => {
+    it('returns matches at or above the default 97% threshold, best first', async () => {
+      expect(await matcher.searchFaces(USER, 'alice-1')).toEqual([
+        { faceId: 'alice-3', similarity: 100 },
+        { faceId: 'alice-2', similarity: 99.2 }
+      ]);
+      // 97.0 is exactly the threshold; the 91.5 match to alice-1 is not
+      expect(await matcher.searchFaces(USER, 'bob-1')).toEqual([{ faceId: 'bob-2', similarity: 97 }]);
+    });
+
+    it('applies a caller threshold and maxFaces', async () => {
+      expect(await matcher.searchFaces(USER, 'bob-1', { threshold: 90 })).toEqual([
+        { faceId: 'bob-2', similarity: 97 },
+        { faceId: 'alice-1', similarity: 91.5 }
+      ]);
+      expect(await matcher.searchFaces(USER, 'alice-1', { maxFaces: 1 })).toEqual([{ faceId: 'alice-3', similarity: 100 }]);
+    });
+
+    it('treats matches as symmetric', async () => {
+      expect(await matcher.searchFaces(USER, 'alice-2')).toEqual([
+        { faceId: 'alice-1', similarity: 99.2 },
+        { faceId: 'alice-3', similarity: 98.1 }
+      ]);
+      expect(await matcher.searchFaces(USER, 'alice-1', { threshold: 90 }))
+        .toEqual(expect.arrayContaining([{ faceId: 'bob-1', similarity: 91.5 }]));
+    });
+
+    it('keeps users apart and knows nothing of unindexed faces', async () => {
+      expect(await matcher.searchFaces('other-user', 'alice-1')).toEqual([{ faceId: 'zed-1', similarity: 100 }]);
+      expect(await matcher.searchFaces(USER, 'carol-1')).toEqual([]);
+      expect(await matcher.searchFaces('nobody', 'alice-1')).toEqual([]);
+    });
+  });
+
+  describe('indexFaces', () => {
+    it('indexes the fixture faces for the externalImageId', async () => {
+      const indexed = await matcher.indexFaces(USER, { externalImageId: 'file-beach' });
+
+      expect(indexed.map(face => face.faceId)).toEqual(['carol-1', 'dave-1']);
+      indexed.forEach(face => {
+        expect(face.externalImageId).toBe('file-beach');
+        expect(face.boundingBox).toBeDefined();
+      });
+      expect((await matcher.listFaces(USER)).map(face => face.faceId)).toEqual(expect.arrayContaining(['carol-1', 'dave-1']));
+    });
+
+    it('finds no faces in an image the fixture does not describe', async () => {
+      expect(await matcher.indexFaces(USER, { externalImageId: 'file-unknown' })).toEqual([]);
+      expect(await matcher.indexFaces('new-user', { externalImageId: 'file-beach' })).toEqual([]);
+      expect(await matcher.listFaces('new-user')).toEqual([]);
+    });
+  });
+
+  describe('deleteFaces', () => {
+    it('returns only the faces it removed and stops matching them', async () => {
+      expect(await matcher.deleteFaces(USER, ['alice-3', 'not-indexed'])).toEqual(['alice-3']);
+
+      expect(await matcher.searchFaces(USER, 'alice-1')).toEqual([{ faceId: 'alice-2', similarity: 99.2 }]);
+      expect(await matcher.searchFaces(USER, 'alice-3')).toEqual([]);
+      expect(await matcher.deleteFaces('nobody', ['alice-1'])).toEqual([]);
+    });
+  });
+
+  describe('listFaces', () => {
+    it('lists fixture faces and faces named in matches, sorted by faceId', async () => {
+      const faces = await matcher.listFaces(USER);
+
+      expect(faces.map(face => face.faceId)).toEqual(['alice-1', 'alice-2', 'alice-3', 'bob-1', 'bob-2']);
+      expect(faces.find(face => face.faceId === 'bob-1')?.externalImageId).toBe('file-party');
+    });
+  });
+
+  it('is what FACE_MATCHER=memory builds from FACE_MATCHER_FIXTURES', async () => {
+    process.env.FACE_MATCHER_FIXTURES = FIXTURE_PATH;
+    try {
+      const built = createFaceMatcher();
+      expect(built.name).toBe('memory');
+      expect(await built.searchFaces(USER, 'alice-1')).toEqual(await matcher.searchFaces(USER, 'alice-1'));
+    } finally {
+      delete process.env.FACE_MATCHER_FIXTURES;
+    }
+  });
+});
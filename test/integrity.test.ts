@@ -0,0 +1,61 @@
+/**
+ * Integrity repair (POST /api/integrity/:userId): applying the plan leaves
+ * groups, faces and file mappings that a fresh check finds nothing wrong with
+ */
+
+import { setFaceStore } from '../src/services/faceStore';
+import { InMemoryFaceStore } from '../src/services/inMemoryFaceStore';
+import { groupManager } from '../src/services/groupManager';
+import { seedGroups } from './helpers';
+
+const USER = 'integrity-user';
+
+describe('integrity repair', () => {
+  let store: InMemoryFaceStore;
+
+  beforeEach(async () => {
+    store = new InMemoryFaceStore();
+    setFaceStore(store);
+    await seedGroups(store, USER, { g1: ['a', 'b'], g2: ['c'] });
+
+    // A face in two groups, phantoms, a stale faceCount, a dangling leader and a wrong mapping
+    await store.write(writer => {
+      writer.updateGroup(USER, 'g1', { leaderFaceId: 'c' });
+      writer.updateGroup(USER, 'g2', { faceIds: ['c', 'b', 'ghost'], faceCount: 1 });
+      writer.setGroup(USER, 'g3', { groupId: 'g3', faceIds: ['ghost2'], fileIds: [], faceCount: 1, leaderFaceId: 'ghost2' });
+      writer.mergeFile(USER, 'file_g2', { faceGroupMapping: { c: 'g3' } });
+    });
+  });
+
+  it('finds every kind of damage before repairing', async () => {
+    const report = await groupManager.verifyIntegrity(USER, false);
+
+    expect(report.repaired).toBe(false);
+    expect(report.summary).toEqual({
+      'face-in-multiple-groups': 1,
+      'phantom-face': 2,
+      'face-count-mismatch': 1,
+      'dangling-leader': 1,
+      'file-mapping-mismatch': 1
+    });
+    expect(report.plan.groupDeletes).toEqual(['g3']);
+    expect(await store.getGroup(USER, 'g3')).not.toBeNull();
+  });
+
+  it('leaves a clean report after a repair', async () => {
+    const repaired = await groupManager.verifyIntegrity(USER, true);
+    expect(repaired.repaired).toBe(true);
+
+    const after = await groupManager.verifyIntegrity(USER, false);
+
+    expect(after.issues).toEqual([]);
+    expect(after.summary).toEqual({});
+
+    const [g1, g2, g3] = await Promise.all(['g1', 'g2', 'g3'].map(groupId => store.getGroup(USER, groupId)));
+    expect(g1).toMatchObject({ faceIds: ['a', 'b'], faceCount: 2 });
+    expect(['a', 'b']).toContain(g1!.leaderFaceId);
+    expect(g2).toMatchObject({ faceIds: ['c'], faceCount: 1, fileIds: ['file_g2'] });
+    expect(g3).toBeNull();
+    expect((await store.getFile(USER, 'file_g2'))?.faceGroupMapping).toEqual({ c: 'g2' });
+  });
+});
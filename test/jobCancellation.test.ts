@@ -0,0 +1,130 @@
+/**
+ * Cancelling running jobs: checkpoints in every handler, and no retry of a
+ * job that fails after a cancel was requested
+ */
+
+import { setFaceStore } from '../src/services/faceStore';
+import { InMemoryFaceStore } from '../src/services/inMemoryFaceStore';
+import { InMemoryFaceMatcher } from '../src/services/inMemoryMatcher';
+import { groupManager } from '../src/services/groupManager';
+import { jobQueue } from '../src/services/jobQueue';
+import { matchGraph } from '../src/services/matchGraph';
+import { CreateJobRequest, Job } from '../src/types';
+
+const USER = 'jobs-user';
+
+let store: InMemoryFaceStore;
+
+/**
+ * Ask the job that is running right now to cancel (what POST /api/jobs/:jobId/cancel does)
+ */
+async function cancelRunningJob(): Promise<void> {
+  const [running] = await store.listJobs({ status: 'running' });
+  await jobQueue.cancel(running.jobId);
+}
+
+async function runToEnd(request: CreateJobRequest): Promise<Job> {
+  const { jobId } = await jobQueue.enqueue(request);
+  for (let i = 0; i < 200; i++) {
+    const job = (await store.getJob(jobId))!;
+    if (job.status !== 'running' && (job.status !== 'queued' || job.runAfter)) return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+describe('job cancellation', () => {
+  beforeEach(() => {
+    store = new InMemoryFaceStore();
+    setFaceStore(store);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jobQueue.stop();
+  });
+
+  it('ends a job that throws after a cancel request as cancelled, not queued for retry', async () => {
+    jest.spyOn(groupManager, 'cleanupFacesByFile').mockImplementation(async () => {
+      await cancelRunningJob();
+      throw new Error('storage unavailable');
+    });
+
+    const job = await runToEnd({ userId: USER, type: 'cleanup-by-file', payload: { fileIds: ['file1'] } });
+
+    expect(job.status).toBe('cancelled');
+    expect(job.error).toBe('storage unavailable');
+    expect(job.cancelRequested).toBeUndefined();
+    expect(job.runAfter).toBeUndefined();
+    expect(job.attempts).toBe(1);
+  });
+
+  it('still retries a failed job nobody cancelled', async () => {
+    jest.spyOn(groupManager, 'cleanupFacesByFile').mockRejectedValue(new Error('storage unavailable'));
+
+    const job = await runToEnd({ userId: USER, type: 'cleanup-by-file', payload: { fileIds: ['file1'] } });
+
+    expect(job.status).toBe('queued');
+    expect(job.runAfter).toBeDefined();
+  });
+
+  it('stops a recluster job before it writes the new groups', async () => {
+    await store.write(writer => {
+      writer.setGroup(USER, 'g1', { groupId: 'g1', faceIds: ['a', 'b'], fileIds: ['file1'], faceCount: 2, updatedAt: new Date() });
+      writer.setFace(USER, 'a', { faceId: 'a', groupId: 'g1', fileId: 'file1' });
+      writer.setFace(USER, 'b', { faceId: 'b', groupId: 'g1', fileId: 'file1' });
+    });
+    // No edges, so applying the recluster would split a from b
+    jest.spyOn(matchGraph, 'getAllEdges').mockImplementation(async () => {
+      await cancelRunningJob();
+      return [];
+    });
+
+    const job = await runToEnd({ userId: USER, type: 'recluster', payload: { dryRun: false } });
+
+    expect(job.status).toBe('cancelled');
+    const groups = await store.listGroups(USER);
+    expect(groups.map(g => g.faceIds)).toEqual([['a', 'b']]);
+  });
+
+  it('stops a reset job before it deletes anything', async () => {
+    process.env.TEST_USER_ID = USER;
+    await store.write(writer => writer.setGroup(USER, 'g1', { groupId: 'g1', faceIds: ['a'], faceCount: 1 }));
+    jest.spyOn(groupManager, 'clearAllGroups');
+    // Cancel as soon as the worker has claimed the job
+    const getJob = store.getJob.bind(store);
+    jest.spyOn(store, 'getJob').mockImplementation(async jobId => {
+      const job = await getJob(jobId);
+      if (job?.status === 'running' && !job.cancelRequested) await jobQueue.cancel(jobId);
+      return getJob(jobId);
+    });
+
+    try {
+      const job = await runToEnd({ userId: USER, type: 'reset' });
+
+      expect(job.status).toBe('cancelled');
+      expect(groupManager.clearAllGroups).not.toHaveBeenCalled();
+      expect((await store.listGroups(USER)).map(g => g.groupId)).toEqual(['g1']);
+    } finally {
+      delete process.env.TEST_USER_ID;
+    }
+  });
+
+  it('stops a reconcile job before it deletes orphans, and stores the run as cancelled', async () => {
+    const matcher = new InMemoryFaceMatcher({ [USER]: { faces: [{ faceId: 'orphan', externalImageId: 'gone' }] } });
+    groupManager.setFaceMatcher(matcher);
+    const listFaces = matcher.listFaces.bind(matcher);
+    jest.spyOn(matcher, 'listFaces').mockImplementation(async userId => {
+      await cancelRunningJob();
+      return listFaces(userId);
+    });
+
+    const job = await runToEnd({ userId: USER, type: 'reconcile-collection', payload: { deleteOrphans: true } });
+
+    expect(job.status).toBe('cancelled');
+    expect((await listFaces(USER)).map(face => face.faceId)).toEqual(['orphan']);
+    const [run] = await store.listReconciliationRuns(USER, 1);
+    expect(run.status).toBe('cancelled');
+    expect(run.deletedFaceIds).toEqual([]);
+  });
+});
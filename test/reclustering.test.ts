@@ -0,0 +1,80 @@
+/**
+ * clusterFaces: the union-find rules the recluster job rebuilds groups with
+ */
+
+import { CannotLinkIndex } from '../src/services/constraints';
+import { clusterFaces } from '../src/services/reclustering';
+import { FaceMatchEdge } from '../src/types';
+
+function edge(a: string, b: string, similarity: number): FaceMatchEdge {
+  const faceIds = [a, b].sort() as [string, string];
+  return {
+    edgeId: faceIds.join('__'),
+    faceIds,
+    sourceFaceId: a,
+    targetFaceId: b,
+    similarity,
+    source: 'search',
+    fileId: `file_${a}`,
+    createdAt: new Date(0),
+    lastSeenAt: new Date(0)
+  };
+}
+
+/**
+ * Three faces that all match each other
+ */
+function triangle(ids: string[], similarity: number): FaceMatchEdge[] {
+  return [edge(ids[0], ids[1], similarity), edge(ids[1], ids[2], similarity), edge(ids[0], ids[2], similarity)];
+}
+
+function cluster(edges: FaceMatchEdge[], faceIds: string[]): string[][] {
+  return clusterFaces({
+    faceIds,
+    edges,
+    cannotLinks: new CannotLinkIndex([]),
+    confirmedFaces: new Map(),
+    faceGroupIds: new Map()
+  }).sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+describe('clusterFaces', () => {
+  it('seeds a cluster from a triangle of lone faces', () => {
+    expect(cluster(triangle(['a', 'b', 'c'], 99), ['a', 'b', 'c'])).toEqual([['a', 'b', 'c']]);
+  });
+
+  it('does not fuse three families through a cross-family triangle of single edges (GH-744)', () => {
+    const families = [['a1', 'a2', 'a3'], ['b1', 'b2', 'b3'], ['n1', 'n2', 'n3']];
+    const edges = [
+      ...families.flatMap(family => triangle(family, 99.5)),
+      // a1-b1-n1 form a triangle, but each pair of families shares one edge
+      ...triangle(['a1', 'b1', 'n1'], 97.5)
+    ];
+
+    expect(cluster(edges, families.flat())).toEqual(families);
+  });
+
+  it('merges two families when one face has two edges into the other', () => {
+    const edges = [
+      ...triangle(['a1', 'a2', 'a3'], 99.5),
+      ...triangle(['b1', 'b2', 'b3'], 99.5),
+      edge('a1', 'b1', 98),
+      edge('a1', 'b2', 98)
+    ];
+
+    expect(cluster(edges, ['a1', 'a2', 'a3', 'b1', 'b2', 'b3'])).toEqual([['a1', 'a2', 'a3', 'b1', 'b2', 'b3']]);
+  });
+
+  it('lets a lone face join the neighboring cluster with the most edges to it', () => {
+    const edges = [
+      ...triangle(['a1', 'a2', 'a3'], 99.5),
+      ...triangle(['b1', 'b2', 'b3'], 99.5),
+      edge('x', 'a1', 98),
+      edge('x', 'b1', 98.5)
+    ];
+
+    const clusters = cluster(edges, ['a1', 'a2', 'a3', 'b1', 'b2', 'b3', 'x']);
+    expect(clusters).toHaveLength(2);
+    expect(clusters.find(c => c.includes('x'))).toHaveLength(4);
+  });
+});
@@ -0,0 +1,3 @@
+// In-process backends; tests swap in fresh instances with setFaceStore/setFaceMatcher
+process.env.FACE_STORE = 'memory';
+process.env.FACE_MATCHER = 'memory';
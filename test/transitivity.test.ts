@@ -0,0 +1,92 @@
+/**
+ * Transitivity scenarios run in process: processFaces over InMemoryFaceStore
+ * with matches from an InMemoryFaceMatcher fixture
+ */
+
+import { setFaceStore } from '../src/services/faceStore';
+import { InMemoryFaceStore } from '../src/services/inMemoryFaceStore';
+import { FaceMatcherFixture, InMemoryFaceMatcher } from '../src/services/inMemoryMatcher';
+import { groupManager } from '../src/services/groupManager';
+
+const USER = 'transitivity-user';
+const BOX = { Left: 0.2, Top: 0.2, Width: 0.3, Height: 0.3 };
+
+let store: InMemoryFaceStore;
+
+function useMatches(matches: FaceMatcherFixture['matches']): void {
+  groupManager.setFaceMatcher(new InMemoryFaceMatcher({ [USER]: { matches } }));
+}
+
+/**
+ * Process one photo holding a single face; matches come from the matcher
+ */
+async function processFace(faceId: string): Promise<void> {
+  const fileId = `file_${faceId}`;
+  await store.write(writer => writer.mergeFile(USER, fileId, { url: `https://photos.example.test/${fileId}.jpg` }));
+  await groupManager.processFaces(USER, fileId, [{ faceId, matchedFaceIds: [], boundingBox: BOX, confidence: 99.9 }]);
+}
+
+/**
+ * Groups as sorted faceId lists, sorted by their first face
+ */
+async function groupings(): Promise<string[][]> {
+  return (await store.listGroups(USER))
+    .map(group => [...group.faceIds].sort())
+    .sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+describe('processFaces transitivity', () => {
+  beforeEach(() => {
+    store = new InMemoryFaceStore();
+    setFaceStore(store);
+  });
+
+  it('chains A→B→C into one group', async () => {
+    useMatches({ a: ['b'], b: ['c'] });
+
+    for (const faceId of ['a', 'b', 'c']) await processFace(faceId);
+
+    expect(await groupings()).toEqual([['a', 'b', 'c']]);
+    const faces = await store.listFaces(USER);
+    expect(new Set(faces.map(face => face.groupId)).size).toBe(1);
+  });
+
+  it('does not fuse two groups through a single bridging face (GH-744)', async () => {
+    useMatches({ a: ['b'], c: ['b'] });
+
+    // A and C never match each other; B, processed last, matches one face in each
+    for (const faceId of ['a', 'c', 'b']) await processFace(faceId);
+
+    const groups = await groupings();
+    expect(groups).toHaveLength(2);
+    expect(groups.flat().sort()).toEqual(['a', 'b', 'c']);
+  });
+
+  it('keeps a single-edge group separate while the face joins the best-supported one', async () => {
+    useMatches({ a1: ['a2', 'n'], a2: ['n'], b1: ['b2', 'n'] });
+
+    for (const faceId of ['a1', 'a2', 'b1', 'b2', 'n']) await processFace(faceId);
+
+    expect(await groupings()).toEqual([['a1', 'a2', 'n'], ['b1', 'b2']]);
+  });
+
+  it('merges groups when the new face matches two faces in each', async () => {
+    useMatches({ a1: ['a2', 'n'], a2: ['n'], b1: ['b2', 'n'], b2: ['n'] });
+
+    for (const faceId of ['a1', 'a2', 'b1', 'b2', 'n']) await processFace(faceId);
+
+    expect(await groupings()).toEqual([['a1', 'a2', 'b1', 'b2', 'n']]);
+    const [group] = await store.listGroups(USER);
+    expect(group.faceCount).toBe(5);
+    expect(group.mergeEvents).toEqual([expect.objectContaining({ origin: 'process-faces', bridgeFaceId: 'n' })]);
+    (await store.listFaces(USER)).forEach(face => expect(face.groupId).toBe(group.groupId));
+  });
+
+  it('leaves faces below the match threshold in their own groups', async () => {
+    useMatches({ a: [{ faceId: 'b', similarity: 90 }] });
+
+    for (const faceId of ['a', 'b']) await processFace(faceId);
+
+    expect(await groupings()).toEqual([['a'], ['b']]);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Undo and redo from the audit log: an operation goes back and forth, and
+ * is left alone once something later has changed the same groups or faces
+ */
+
+import { setFaceStore } from '../src/services/faceStore';
+import { InMemoryFaceStore } from '../src/services/inMemoryFaceStore';
+import { auditLog, AuditContext } from '../src/services/auditLog';
+import { GroupOperationError, groupManager } from '../src/services/groupManager';
+import { undoManager } from '../src/services/undoManager';
+import { seedGroups } from './helpers';
+
+const USER = 'undo-user';
+const CONTEXT: AuditContext = { actor: { type: 'user', id: USER }, source: 'ui', requestId: 'req-1' };
+
+let store: InMemoryFaceStore;
+
+/**
+ * Merge g2 into g1 the way POST /groups/:userId/merge does
+ */
+function mergeGroups(): Promise<unknown> {
+  return auditLog.track(CONTEXT, USER, {
+    action: 'merge-groups',
+    groupIds: ['g1', 'g2'],
+    facesOfGroups: ['g2']
+  }, () => groupManager.mergeGroups(USER, ['g1', 'g2']));
+}
+
+async function membership(): Promise<Record<string, string[]>> {
+  const groups = await store.listGroups(USER);
+  return Object.fromEntries(groups.map(group => [group.groupId, [...group.faceIds].sort()]));
+}
+
+async function groupIdOf(faceId: string): Promise<string | undefined> {
+  return (await store.getFace(USER, faceId))?.groupId;
+}
+
+async function expectRefused(promise: Promise<unknown>, message: RegExp): Promise<void> {
+  const error = await promise.then(() => null, error => error);
+  expect(error).toBeInstanceOf(GroupOperationError);
+  expect(error.status).toBe(409);
+  expect(error.message).toMatch(message);
+}
+
+describe('undo and redo', () => {
+  beforeEach(async () => {
+    store = new InMemoryFaceStore();
+    setFaceStore(store);
+    await seedGroups(store, USER, { g1: ['a', 'b'], g2: ['c'] });
+  });
+
+  it('undoes a merge and redoes it', async () => {
+    await mergeGroups();
+    expect(await membership()).toEqual({ g1: ['a', 'b', 'c'] });
+
+    const undone = await undoManager.undo(CONTEXT, USER);
+
+    expect(undone.reverted.map(item => item.action)).toEqual(['merge-groups']);
+    expect(undone.conflict).toBeNull();
+    expect(await membership()).toEqual({ g1: ['a', 'b'], g2: ['c'] });
+    expect(await groupIdOf('c')).toBe('g2');
+    expect((await undoManager.stacks(USER)).redo.map(item => item.action)).toEqual(['merge-groups']);
+
+    const redone = await undoManager.redo(CONTEXT, USER);
+
+    expect(redone.reverted.map(item => item.action)).toEqual(['merge-groups']);
+    expect(await membership()).toEqual({ g1: ['a', 'b', 'c'] });
+    expect(await groupIdOf('c')).toBe('g1');
+    expect(await undoManager.stacks(USER)).toMatchObject({ undo: [{ action: 'merge-groups' }], redo: [] });
+  });
+
+  it('refuses to undo a merge after a later logged change to the merged group', async () => {
+    await mergeGroups();
+    // Not undoable itself, so the merge stays on top of the undo stack
+    await auditLog.track(CONTEXT, USER, { action: 'set-leader', groupIds: ['g1'] },
+      () => groupManager.setLeaderFace(USER, 'g1', 'c'));
+
+    await expectRefused(undoManager.undo(CONTEXT, USER), /a later set-leader changed the same faces or groups/);
+
+    expect(await membership()).toEqual({ g1: ['a', 'b', 'c'] });
+    expect(await groupIdOf('c')).toBe('g1');
+  });
+
+  it('refuses to undo a merge after an unlogged change to its faces', async () => {
+    await mergeGroups();
+    await store.write(writer => writer.updateFace(USER, 'c', { groupId: 'g9' }));
+
+    await expectRefused(undoManager.undo(CONTEXT, USER), /face c has changed since/);
+
+    expect(await membership()).toEqual({ g1: ['a', 'b', 'c'] });
+  });
+});